@@ -25,11 +25,13 @@
           autoBackup: true,
           autoBackupInterval: 24,
           theme: "auto",
+          adaptivePolling: true,
+          adaptiveMinInterval: 15,
+          adaptiveMaxInterval: 720,
+          exchangeRateProvider: "frankfurter",
         };
 
   let settings = null;
-  let rateLimiter = null;
-  let retryQueue = new Map(); // For error recovery
 
   // Use centralized cache manager if available
   const cache =
@@ -46,7 +48,21 @@
           size: () => 0,
         };
 
+  // Per-host polite fetching; the hourly budget follows settings.rateLimitPerHour
+  const fetchQueue =
+    typeof FetchQueue !== "undefined"
+      ? FetchQueue.createQueue({ maxPerHour: DEFAULT_SETTINGS.rateLimitPerHour })
+      : {
+          fetch: (url, init) => fetch(url, init),
+          configure: () => {},
+          getStats: () => ({}),
+        };
+
   const pendingRequests = new Map();
+  let activeCheckRun = null;
+  let activeCheckForced = false;
+  let pendingForcedRun = null;
+  let activeRetryRun = null;
 
   /**
    * FIXED: Load settings from storage with proper error handling
@@ -110,26 +126,39 @@
     try {
       await loadSettings();
 
-      // Initialize rate limiter
-      if (
-        typeof PriceTrackerHelpers !== "undefined" &&
-        PriceTrackerHelpers.createRateLimiter
-      ) {
-        rateLimiter = PriceTrackerHelpers.createRateLimiter(
-          settings.rateLimitPerHour,
-          60 * 60 * 1000
-        );
-      } else {
-        // Fallback rate limiter
-        rateLimiter = {
-          checkLimit: async () => true,
-          getTokens: () => settings.rateLimitPerHour,
-          reset: () => {},
-        };
+      // Open product database and migrate the legacy storage array
+      try {
+        await ProductStore.ready();
+      } catch (storeError) {
+        logger.error("❌ Product store unavailable:", storeError);
+      }
+
+      // Re-key data saved under campaign links and tracking parameters (once per rules version)
+      try {
+        const migrated = await DataManager.migrateCanonicalUrls();
+        if (migrated) {
+          logger.info("🔗 Canonical URL migration:", migrated);
+        }
+      } catch (migrationError) {
+        logger.error("❌ Canonical URL migration failed:", migrationError);
+      }
+
+      fetchQueue.configure({ maxPerHour: settings.rateLimitPerHour });
+
+      // Retries survive background unloads; re-arm their alarm
+      await RetryQueue.syncAlarm();
+
+      // Cached rates convert prices until the next refresh
+      if (typeof ExchangeRates !== "undefined") {
+        await ExchangeRates.load();
+        await ExchangeRates.syncAlarm();
+        if (ExchangeRates.isDue()) {
+          refreshExchangeRates();
+        }
       }
 
       if (settings.autoCheck) {
-        await setupAlarm();
+        await scheduleNextCheck();
       }
 
       await createContextMenu();
@@ -233,22 +262,46 @@
   });
 
   /**
-   * Setup alarm
+   * Setup scheduler alarm
+   * The alarm wakes the background up when the next product is due; the period
+   * is only a safety net in case a run fails to reschedule it.
    */
-  async function setupAlarm() {
+  async function setupAlarm(delayMinutes = 1) {
     try {
+      const maxDelay =
+        (typeof Config !== "undefined" && Config.SCHEDULER?.MAX_ALARM_DELAY_MINUTES) || 60;
       await browser.alarms.clear("checkPrices");
-      const interval = Math.max(5, Math.min(1440, settings.checkInterval));
       await browser.alarms.create("checkPrices", {
-        periodInMinutes: interval,
-        when: Date.now() + 60000,
+        delayInMinutes: Math.max(1, delayMinutes),
+        periodInMinutes: maxDelay,
       });
-      logger.info(`⏰ Alarm set: Every ${interval} minutes`);
+      logger.info(`⏰ Scheduler alarm set: next run in ${delayMinutes} minutes`);
     } catch (error) {
       logger.error("Alarm setup failed:", error);
     }
   }
 
+  /**
+   * Re-arm the scheduler alarm for the earliest upcoming check
+   */
+  async function scheduleNextCheck() {
+    if (!settings?.autoCheck) return;
+
+    try {
+      const [products, domainSettings] = await Promise.all([
+        ProductStore.getAll(),
+        DomainSettings.getAll(),
+      ]);
+      const plan = CheckScheduler.planChecks(products, domainSettings, settings);
+      const delay =
+        plan.due.length > 0 ? 1 : CheckScheduler.getAlarmDelayMinutes(plan.nextDueAt);
+      await setupAlarm(delay);
+    } catch (error) {
+      logger.error("Scheduling failed:", error);
+      await setupAlarm();
+    }
+  }
+
   /**
    * FIXED: Listen for storage changes with proper handling
    */
@@ -263,23 +316,18 @@
           changes.settings.oldValue?.rateLimitPerHour !==
           newSettings.rateLimitPerHour
         ) {
-          if (
-            typeof PriceTrackerHelpers !== "undefined" &&
-            PriceTrackerHelpers.createRateLimiter
-          ) {
-            rateLimiter = PriceTrackerHelpers.createRateLimiter(
-              settings.rateLimitPerHour,
-              60 * 60 * 1000
-            );
-            logger.info("🔄 Rate limiter updated");
-          }
+          fetchQueue.configure({ maxPerHour: settings.rateLimitPerHour });
+          logger.info("🔄 Hourly request budget updated");
         }
         if (
           changes.settings.oldValue?.autoCheck !== newSettings.autoCheck ||
-          changes.settings.oldValue?.checkInterval !== newSettings.checkInterval
+          changes.settings.oldValue?.checkInterval !== newSettings.checkInterval ||
+          changes.settings.oldValue?.adaptivePolling !== newSettings.adaptivePolling ||
+          changes.settings.oldValue?.adaptiveMinInterval !== newSettings.adaptiveMinInterval ||
+          changes.settings.oldValue?.adaptiveMaxInterval !== newSettings.adaptiveMaxInterval
         ) {
           if (settings.autoCheck) {
-            await setupAlarm();
+            await scheduleNextCheck();
           } else {
             await browser.alarms.clear("checkPrices");
             logger.info("⏰ Alarm disabled");
@@ -288,6 +336,19 @@
         logger.success("✅ Settings synchronized");
       }
     }
+
+    if (
+      areaName === "local" &&
+      changes.settings?.oldValue &&
+      changes.settings.oldValue.exchangeRateProvider !== changes.settings.newValue?.exchangeRateProvider
+    ) {
+      await refreshExchangeRates();
+    }
+
+    // Domain schedules edited from the settings page or popup
+    if (areaName === "local" && changes.domainSettings) {
+      await scheduleNextCheck();
+    }
   });
 
   /**
@@ -295,8 +356,8 @@
    */
   browser.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === "checkPrices") {
-      logger.info("⏰ Automatic check triggered");
-      await checkAllPrices();
+      logger.info("⏰ Scheduler woke up");
+      await checkDueProducts();
       
       // Check price alerts after price check
       if (settings.enablePriceAlerts && typeof PriceAlerts !== "undefined") {
@@ -308,9 +369,11 @@
         logger.info("💾 Running auto backup...");
         await DataManager.createAutoBackup();
       }
-    } else if (alarm.name === "retryFailed") {
+    } else if (alarm.name === RetryQueue.ALARM_NAME) {
       // Retry failed requests
       await processRetryQueue();
+    } else if (typeof ExchangeRates !== "undefined" && alarm.name === ExchangeRates.ALARM_NAME) {
+      await refreshExchangeRates();
     }
   });
 
@@ -321,7 +384,7 @@
     if (typeof PriceAlerts === "undefined") return;
 
     try {
-      const products = await PriceTrackerHelpers.getStorage("trackedProducts", []);
+      const products = await ProductStore.getAll();
       const triggered = await PriceAlerts.checkAllAlerts(products);
 
       for (const alert of triggered) {
@@ -335,6 +398,14 @@
           });
         }
         logger.info(`🔔 Alert triggered: ${alert.message}`);
+
+        await logEvent({
+          type: "alert_triggered",
+          product: alert.product,
+          oldValue: alert.alert.basePrice ?? null,
+          newValue: alert.product.price,
+          details: { alertId: alert.alert.id, alertType: alert.alert.type, message: alert.message },
+        });
       }
 
       return triggered;
@@ -345,125 +416,316 @@
   }
 
   /**
-   * Process retry queue for failed requests
+   * Link products of different shops that share a GTIN/MPN or a near-identical name
+   */
+  async function groupMatchingProducts() {
+    if (typeof ProductGroups === "undefined") return;
+
+    try {
+      const linked = await ProductGroups.autoGroup(await ProductStore.getAll());
+      if (linked > 0) {
+        logger.info(`🔗 ${linked} products grouped with the same item in other shops`);
+      }
+    } catch (error) {
+      logger.error("Product grouping error:", error);
+    }
+  }
+
+  /**
+   * Fetch exchange rates from the configured provider
+   * A failed fetch keeps the last-known rates.
+   * @returns {Promise<Object>} { success, status, error }
+   */
+  async function refreshExchangeRates() {
+    if (typeof ExchangeRates === "undefined") {
+      return { success: false, error: "ExchangeRates not available" };
+    }
+    if (!settings) {
+      await loadSettings();
+    }
+
+    try {
+      const table = await ExchangeRates.refresh(settings.exchangeRateProvider);
+      logger.info(`💱 Exchange rates updated (${table.source}, ${table.date})`);
+      return { success: true, status: ExchangeRates.getStatus() };
+    } catch (error) {
+      logger.error("Exchange rate refresh error:", error);
+      return { success: false, error: error.message, status: ExchangeRates.getStatus() };
+    }
+  }
+
+  /**
+   * Re-check products whose retry time has come
+   * Never overlaps a check pass: a running pass re-checks these products itself and
+   * clears or re-queues their retries, so wait for it and retry only what is still due.
    */
   async function processRetryQueue() {
-    if (retryQueue.size === 0) return;
+    while (activeCheckRun) {
+      logger.info("⏳ Check running, retries wait for it");
+      await activeCheckRun.catch(() => {});
+    }
+    if (activeRetryRun) {
+      return activeRetryRun;
+    }
 
-    logger.info(`🔄 Processing ${retryQueue.size} failed requests...`);
+    activeRetryRun = runRetries().finally(() => {
+      activeRetryRun = null;
+    });
+    return activeRetryRun;
+  }
 
-    for (const [url, retryInfo] of retryQueue.entries()) {
-      if (retryInfo.attempts >= settings.maxRetries) {
-        retryQueue.delete(url);
-        continue;
-      }
+  /**
+   * One pass over the due retry entries
+   */
+  async function runRetries() {
+    if (!settings) {
+      await loadSettings();
+    }
 
-      try {
-        const result = await fetchProductPrice(url);
-        if (result && result.price) {
-          retryQueue.delete(url);
-          logger.success(`✅ Retry successful for ${url}`);
-        }
-      } catch (error) {
-        retryInfo.attempts++;
-        retryInfo.lastError = error.message;
-        logger.warn(`⚠️ Retry ${retryInfo.attempts} failed for ${url}`);
-      }
+    const due = await RetryQueue.getDue();
+
+    if (due.length > 0) {
+      logger.info(`🔄 Retrying ${due.length} failed checks...`);
+
+      await Promise.all(
+        due.map(async (entry) => {
+          const product = await ProductStore.get(entry.url);
+          if (!product) {
+            await RetryQueue.remove(entry.url);
+            return;
+          }
+
+          // checkSingleProduct re-queues or clears the retry itself
+          const result = await checkAndSave(product);
+
+          if (result.failure) {
+            logger.warn(`⚠️ Retry ${entry.attempts} failed for ${entry.url}`);
+          } else {
+            logger.success(`✅ Retry successful for ${entry.url}`);
+          }
+        })
+      );
     }
+
+    await RetryQueue.syncAlarm();
   }
 
   /**
-   * Add to retry queue
+   * Append to the event log; logging problems never fail the caller
    */
-  function addToRetryQueue(url, error) {
-    if (!retryQueue.has(url)) {
-      retryQueue.set(url, {
-        attempts: 1,
-        firstFailed: Date.now(),
-        lastError: error.message,
-      });
+  async function logEvent(event) {
+    if (typeof EventLog === "undefined") return;
+    await EventLog.append(event);
+  }
+
+  /**
+   * Mark a check as successful and drop any pending retry
+   */
+  async function recordCheckSuccess(product) {
+    const hadFailures = product.failureStreak > 0 || product.lastFailure;
+
+    product.lastCheck = Date.now();
+    product.lastCheckStatus = "success";
+    product.lastError = null;
+    product.failureStreak = 0;
+    product.lastFailure = null;
+
+    if (hadFailures) {
+      await RetryQueue.remove(product.url);
+      await RetryQueue.syncAlarm();
     }
   }
 
   /**
-   * Check all prices
+   * Classify a failed check, extend the product's failure streak and queue a retry
+   * @returns {Object} { updated: false, product, failure }
    */
-  async function checkAllPrices() {
-    const products = await PriceTrackerHelpers.getStorage(
-      "trackedProducts",
-      []
-    );
+  async function recordCheckFailure(product, error) {
+    const failure = PriceTrackerErrors.ErrorHandler.classify(error);
+    logger.warn(`⚠️ Check failed (${failure.type}): ${product.name}`, failure.message);
+
+    product.lastCheck = Date.now();
+    // Bot walls are not extraction failures - the page never reached us
+    product.lastCheckStatus = failure.type === "bot_wall" ? "blocked" : "failed";
+    product.lastError = failure.message;
+    product.failureStreak = (product.failureStreak || 0) + 1;
+    product.lastFailure = {
+      type: failure.type,
+      message: failure.message,
+      status: failure.status || null,
+      date: product.lastCheck,
+      nextRetryAt: null,
+    };
+
+    try {
+      const maxRetries = settings?.maxRetries ?? DEFAULT_SETTINGS.maxRetries;
+      const entry = await RetryQueue.schedule(product.url, failure, maxRetries);
+      product.lastFailure.nextRetryAt = entry ? entry.nextRetryAt : null;
+      await RetryQueue.syncAlarm();
+    } catch (queueError) {
+      logger.error("Retry queue error:", queueError);
+    }
+
+    await logEvent({
+      type: "check_failed",
+      product,
+      oldValue: product.price,
+      details: {
+        failureType: failure.type,
+        message: failure.message,
+        status: failure.status || null,
+        streak: product.failureStreak,
+      },
+    });
+
+    return { updated: false, product, failure };
+  }
+
+  /**
+   * Check products that are due according to their schedule
+   * @param {Object} options - { force: check every product regardless of schedule }
+   */
+  async function checkDueProducts(options = {}) {
+    // Alarm runs and popup requests share one run instead of overlapping
+    if (activeCheckRun && (!options.force || activeCheckForced)) {
+      logger.info("⏳ Check already running, joining it");
+      return activeCheckRun;
+    }
+
+    // A scheduled run skips products that are not due, so a forced pass queues behind it
+    if (activeCheckRun) {
+      if (!pendingForcedRun) {
+        logger.info("⏳ Check already running, forced check queued after it");
+        pendingForcedRun = activeCheckRun
+          .catch(() => {})
+          .then(() => {
+            pendingForcedRun = null;
+            return checkDueProducts(options);
+          });
+      }
+      return pendingForcedRun;
+    }
+
+    // A retry pass in flight finishes first so no product is checked twice at once
+    activeCheckForced = !!options.force;
+    activeCheckRun = Promise.resolve(activeRetryRun)
+      .catch(() => {})
+      .then(() => runChecks(options))
+      .finally(() => {
+        activeCheckRun = null;
+        activeCheckForced = false;
+      });
+    return activeCheckRun;
+  }
+
+  /**
+   * Run one pass over due (or, when forced, all) products
+   */
+  async function runChecks(options) {
+    const { force = false } = options;
+
+    if (!settings) {
+      await loadSettings();
+    }
+
+    const allProducts = await ProductStore.getAll();
+    const domainSettings = await DomainSettings.getAll();
+    const products = force
+      ? allProducts
+      : CheckScheduler.planChecks(allProducts, domainSettings, settings).due;
 
     if (products.length === 0) {
-      logger.info("No products to check");
-      return { checked: 0, updated: 0, errors: 0 };
+      logger.info(force ? "No products to check" : "No products due");
+      await scheduleNextCheck();
+      return { checked: 0, updated: 0, errors: 0, due: 0 };
     }
 
-    logger.info(`🔍 Checking ${products.length} products...`);
+    logger.info(
+      `🔍 Checking ${products.length}/${allProducts.length} products${force ? " (forced)" : ""}...`
+    );
 
     let checked = 0;
     let updated = 0;
     let errors = 0;
-    const originalCount = products.length;
 
-    for (let i = 0; i < products.length; i++) {
-      try {
-        await PriceTrackerHelpers.wait(i * 2000);
-        const result = await checkSingleProduct(products[i]);
-        if (result && result.product) {
-          products[i] = result.product;
-          checked++;
-          if (result.updated) {
-            updated++;
+    // All checks start together; the fetch queue spaces requests per shop
+    await Promise.all(
+      products.map(async (product) => {
+        try {
+          const result = await checkAndSave(product);
+          if (result && result.product) {
+            checked++;
+            if (result.updated) {
+              updated++;
+            }
           }
+        } catch (error) {
+          errors++;
+          logger.error(`Error checking ${product.url}:`, error);
         }
-      } catch (error) {
-        errors++;
-        logger.error(`Error checking product ${i}:`, error);
-      }
-    }
-
-    // FIXED: Only save if we still have products and didn't lose any
-    if (checked > 0 && products.length === originalCount) {
-      await PriceTrackerHelpers.setStorage("trackedProducts", products);
-      logger.info(`💾 Saved ${products.length} products after check`);
-    } else if (products.length !== originalCount) {
-      logger.error(`❌ Product count mismatch! Original: ${originalCount}, Current: ${products.length}. NOT saving to prevent data loss.`);
-    }
+      })
+    );
 
     logger.success(
       `✅ Check complete: ${checked} checked, ${updated} updated, ${errors} errors`
     );
 
-    return { checked, updated, errors };
+    if (checked > 0) {
+      await groupMatchingProducts();
+    }
+    await scheduleNextCheck();
+
+    return { checked, updated, errors, due: products.length };
+  }
+
+  /**
+   * Check a stored product and write back only the fields the check changed
+   * Per-record write; products deleted meanwhile are not recreated, and edits made while the
+   * check was running are kept.
+   * @param {Object} product - Product as read from ProductStore
+   * @param {Function} check - checkSingleProduct or checkProductInTab
+   * @returns {Promise<Object>} Check result
+   */
+  async function checkAndSave(product, check = checkSingleProduct) {
+    // Checks update the product in place, so keep what it looked like before
+    const before = JSON.parse(JSON.stringify(product));
+    const result = await check(product);
+    if (result && result.product) {
+      await ProductStore.update(product.url, ProductStore.changedFields(before, result.product));
+    }
+    return result;
   }
 
   /**
    * Check single product - IMPROVED WITH CUSTOM SELECTOR SUPPORT
+   * @param {Object} product - Product to check
+   * @param {Object} options - { interactive: the user asked for this check }
    */
-  async function checkSingleProduct(product) {
+  async function checkSingleProduct(product, options = {}) {
     try {
       // Use centralized validation if available
       if (
         typeof Validators !== "undefined" &&
         !Validators.isValidProductInfo(product)
       ) {
-        throw new Error("Invalid product data");
+        throw new PriceTrackerErrors.ValidationError("Invalid product data", {
+          url: product.url,
+        });
+      }
+
+      // Shops whose prices only appear after page scripts run
+      const domainConfig = await DomainSettings.get(product.url);
+      if (domainConfig.forceTabRender && typeof TabRenderer !== "undefined") {
+        return checkProductInTab(product);
       }
 
       logger.info(
         `🔍 Checking: ${PriceTrackerHelpers.truncate(product.name, 40)}`
       );
 
-      try {
-        await rateLimiter.checkLimit();
-      } catch (rateLimitError) {
-        logger.warn("⚠️ Rate limit, waiting...");
-        await PriceTrackerHelpers.wait(2000);
-      }
-
       // IMPROVED: Try custom selector first if available
       let newPriceData = null;
+      let selectorError = null;
 
       // Check if custom selector exists for this domain
       const domain = new URL(product.url).hostname.replace(/^www\./, "");
@@ -478,6 +740,7 @@
           );
         } catch (e) {
           logger.warn("Custom selector failed, falling back to parser:", e);
+          selectorError = e;
         }
       }
 
@@ -486,68 +749,368 @@
         newPriceData = await fetchProductPrice(product.url);
       }
 
-      if (!newPriceData || !newPriceData.price) {
-        logger.warn(`⚠️ Could not fetch price for: ${product.name}`);
-        product.lastCheck = Date.now();
-        product.lastCheckStatus = "failed";
-        return { updated: false, product };
+      if (!newPriceData || (!newPriceData.price && !newPriceData.availability)) {
+        // A missing custom selector explains the failure better than the parser
+        throw (
+          selectorError ||
+          new PriceTrackerErrors.ParseError("Price not found on page", { url: product.url })
+        );
       }
 
-      const newPrice = parseFloat(newPriceData.price);
-      const oldPrice = parseFloat(product.price);
+      return await applyPriceData(product, newPriceData);
+    } catch (error) {
+      // The page loaded but had no price - it may need its scripts to run. Scheduled passes
+      // only open a tab on domains that opted in; user-initiated checks always may.
+      if (
+        error instanceof PriceTrackerErrors.ExtractionError &&
+        typeof TabRenderer !== "undefined" &&
+        (options.interactive || (await DomainSettings.get(product.url)).tabFallback)
+      ) {
+        logger.info("🗂️ No price in fetched HTML, falling back to a background tab");
+        return checkProductInTab(product);
+      }
+      return recordCheckFailure(product, error);
+    }
+  }
+
+  /**
+   * Re-check a product by rendering it in a real background tab.
+   * Used for JavaScript-rendered pages and pages that block plain fetches.
+   */
+  async function checkProductInTab(product) {
+    try {
+      logger.info(`🗂️ Checking in tab: ${PriceTrackerHelpers.truncate(product.name, 40)}`);
 
-      if (isNaN(newPrice) || newPrice <= 0) {
-        logger.warn(`⚠️ Invalid new price: ${newPriceData.price}`);
-        product.lastCheck = Date.now();
-        product.lastCheckStatus = "failed";
-        return { updated: false, product };
+      const info = await TabRenderer.render(product.url);
+      if (!info || !info.price) {
+        throw new PriceTrackerErrors.ParseError("Price not found in rendered page", {
+          url: product.url,
+          method: "tab",
+        });
       }
 
-      const hasChanged = Math.abs(newPrice - oldPrice) > 0.01;
+      return await applyPriceData(product, { ...info, method: `tab:${info.method || "content"}` });
+    } catch (error) {
+      return recordCheckFailure(product, error);
+    }
+  }
 
-      if (hasChanged) {
-        logger.info(
-          `📊 Price changed: ${oldPrice} → ${newPrice} ${product.currency}`
-        );
+  /**
+   * Apply freshly extracted price data to a product
+   * @returns {Promise<Object>} { updated, product }
+   */
+  async function applyPriceData(product, extracted) {
+    // Multi-variant pages: follow the tracked variant, not whatever the page shows first
+    const variantData =
+      typeof ProductVariants !== "undefined"
+        ? ProductVariants.resolve(product.variant, extracted)
+        : extracted;
+    if (product.variant) {
+      // The price may be the page's default variant rather than the tracked one
+      product.variantUnverified = variantData.variantUnverified === true;
+    }
 
-        if (!Array.isArray(product.priceHistory)) {
-          product.priceHistory = [];
-        }
+    // Lowest-offer mode prices the product at the cheapest seller instead of the buy box
+    const newPriceData =
+      typeof SellerOffers !== "undefined"
+        ? SellerOffers.resolve(product.trackingMode, variantData)
+        : variantData;
 
-        product.priceHistory.push({
-          price: oldPrice,
-          date: product.lastCheck || Date.now(),
-        });
+    if (Array.isArray(newPriceData.offers) && newPriceData.offers.length > 0) {
+      product.offers = newPriceData.offers;
+      product.offersCheckedAt = Date.now();
+    }
 
-        if (product.priceHistory.length > 30) {
-          product.priceHistory = product.priceHistory.slice(-30);
-        }
+    const stockChanged = await applyAvailability(product, newPriceData);
 
-        product.previousPrice = oldPrice;
-        product.price = newPrice;
-        product.lastCheck = Date.now();
-        product.lastCheckStatus = "success";
+    // Sold-out pages without a price only update the stock state
+    if (!newPriceData.price && newPriceData.availability) {
+      await recordCheckSuccess(product);
+      return { updated: stockChanged, product };
+    }
 
-        if (newPriceData.name && newPriceData.name.length > 10) {
-          product.name = newPriceData.name;
-        }
+    const newPrice = parseFloat(newPriceData.price);
+    const oldPrice = parseFloat(product.price);
 
-        if (settings.notifications) {
-          await sendPriceNotification(product, oldPrice, newPrice);
-        }
+    if (isNaN(newPrice) || newPrice <= 0) {
+      throw new PriceTrackerErrors.ParseError(`Invalid price: ${newPriceData.price}`, {
+        url: product.url,
+      });
+    }
 
-        return { updated: true, product };
-      } else {
-        product.lastCheck = Date.now();
-        product.lastCheckStatus = "success";
-        return { updated: false, product };
+    await applyCurrency(product, newPriceData);
+
+    const hasChanged = Math.abs(newPrice - oldPrice) > 0.01;
+
+    // The old price the site shows next to a sale price, checked against the history
+    const shownPrevious = parseFloat(newPriceData.previousPrice);
+    product.referencePrice = shownPrevious > newPrice ? shownPrevious : null;
+
+    // Every successful check goes into the long-term history store
+    await recordPriceObservation(product, newPrice);
+    applyDiscounts(product, newPriceData);
+    await applyShipping(product, newPriceData, newPrice);
+    applyUnitPrice(product, newPriceData, newPrice);
+    if (newPriceData.identifiers) {
+      // Fields a check does not report (e.g. microdata without a brand) keep their last value
+      product.identifiers = { ...product.identifiers, ...pickDefined(newPriceData.identifiers) };
+    }
+
+    if (hasChanged) {
+      logger.info(
+        `📊 Price changed: ${oldPrice} → ${newPrice} ${product.currency}`
+      );
+
+      pushRecentPriceChange(product, oldPrice);
+
+      product.previousPrice = oldPrice;
+      product.price = newPrice;
+      await recordCheckSuccess(product);
+
+      await logEvent({
+        type: "price_changed",
+        product,
+        oldValue: oldPrice,
+        newValue: newPrice,
+        method: newPriceData.method,
+        confidence: newPriceData.confidence,
+        details: getPriceDetails(newPriceData),
+      });
+
+      if (newPriceData.name && newPriceData.name.length > 10) {
+        product.name = newPriceData.name;
       }
-    } catch (error) {
-      logger.error(`❌ Error checking product:`, error);
-      product.lastCheck = Date.now();
-      product.lastCheckStatus = "error";
-      product.lastError = error.message;
-      return { updated: false, product };
+
+      if (settings.notifications) {
+        await sendPriceNotification(product, oldPrice, newPrice);
+      }
+
+      return { updated: true, product };
+    } else {
+      await recordCheckSuccess(product);
+      return { updated: stockChanged, product };
+    }
+  }
+
+  /**
+   * Store the extracted stock state and log transitions
+   * @returns {Promise<boolean>} True if the known stock state changed
+   */
+  async function applyAvailability(product, newPriceData) {
+    const availability = newPriceData.availability;
+    if (!availability || availability === product.availability) return false;
+
+    const previous = product.availability || null;
+    product.availability = availability;
+    product.availabilityChangedAt = Date.now();
+
+    // The first detection is not a change
+    if (!previous) return false;
+
+    logger.info(`📦 Stock changed: ${previous} → ${availability}`);
+    await logEvent({
+      type: "stock_changed",
+      product,
+      oldValue: previous,
+      newValue: availability,
+      method: newPriceData.method,
+      confidence: newPriceData.confidence,
+    });
+    return true;
+  }
+
+  /**
+   * Take the currency decision of a check. A weaker source (e.g. the domain) does not overrule a
+   * stronger stored one (e.g. structured data); it is kept as a conflict instead.
+   * A changed currency relabels the product and its alerts: the amounts were always in the new currency.
+   */
+  async function applyCurrency(product, newPriceData) {
+    if (!newPriceData.currencySource || typeof CurrencyResolver === "undefined") return;
+
+    const rank = (source) => {
+      const index = Object.values(CurrencyResolver.SOURCES).indexOf(source);
+      return index === -1 ? Infinity : index;
+    };
+    const previous = product.currency || null;
+
+    if (
+      previous &&
+      previous !== newPriceData.currency &&
+      rank(newPriceData.currencySource) > rank(product.currencySource)
+    ) {
+      product.currencyConflicts = [
+        { source: newPriceData.currencySource, currency: newPriceData.currency },
+        ...(newPriceData.currencyConflicts || []).filter((conflict) => conflict.currency !== previous),
+      ];
+      return;
+    }
+
+    product.currency = newPriceData.currency;
+    product.currencySource = newPriceData.currencySource;
+    product.currencyConflicts = newPriceData.currencyConflicts || null;
+
+    if (!previous || previous === product.currency) return;
+
+    logger.warn(`💱 Currency changed: ${previous} → ${product.currency} (${product.currencySource})`);
+    await logEvent({
+      type: "currency_changed",
+      product,
+      oldValue: previous,
+      newValue: product.currency,
+      method: newPriceData.method,
+      details: { source: product.currencySource, conflicts: product.currencyConflicts },
+    });
+
+    // Alerts format their amounts with the currency they were created with
+    if (typeof PriceAlerts !== "undefined") {
+      await PriceAlerts.setProductCurrency(product.url, product.currency);
+    }
+  }
+
+  /**
+   * Keep the raw list price and the basket/member/coupon prices next to the tracked lowest price
+   * Checks that report no list price (custom selectors) clear them, as the price is the page price.
+   */
+  function applyDiscounts(product, newPriceData) {
+    const discounted = newPriceData.priceSource && newPriceData.priceSource !== "list";
+    product.listPrice = discounted ? parseFloat(newPriceData.listPrice) : null;
+    product.discounts = newPriceData.discounts || null;
+    product.priceSource = discounted ? newPriceData.priceSource : null;
+  }
+
+  /**
+   * Event details explaining where a changed price came from
+   */
+  function getPriceDetails(newPriceData) {
+    const details = {};
+    if (newPriceData.seller) details.seller = newPriceData.seller;
+    if (newPriceData.priceSource && newPriceData.priceSource !== "list") {
+      details.priceSource = newPriceData.priceSource;
+      details.listPrice = newPriceData.listPrice;
+    }
+    return Object.keys(details).length > 0 ? details : null;
+  }
+
+  /**
+   * Store the extracted shipping info and recompute the landed total price
+   * Checks that report no shipping info (custom selectors, tab renders) keep the last known one.
+   */
+  async function applyShipping(product, newPriceData, newPrice) {
+    if (typeof ShippingCosts === "undefined") return;
+
+    if (newPriceData.shipping !== undefined) {
+      product.shipping = newPriceData.shipping || null;
+    }
+
+    const domainConfig = await DomainSettings.get(product.url);
+    product.totalPrice = ShippingCosts.computeTotal(newPrice, product.shipping, domainConfig);
+  }
+
+  /**
+   * Store the package size and recompute the price per kg, litre or piece
+   * Checks that report no size keep the last known one; the product name is the last resort.
+   */
+  function applyUnitPrice(product, newPriceData, newPrice) {
+    if (typeof UnitPrice === "undefined") return;
+
+    if (newPriceData.quantity) {
+      product.quantity = newPriceData.quantity;
+    } else if (!product.quantity) {
+      product.quantity = UnitPrice.parseQuantity(product.name);
+    }
+
+    product.unitPrice = UnitPrice.compute(newPrice, product.quantity);
+  }
+
+  /**
+   * Copy an object without its null and undefined fields
+   */
+  function pickDefined(object) {
+    return Object.fromEntries(
+      Object.entries(object).filter(([, value]) => value !== null && value !== undefined)
+    );
+  }
+
+  /**
+   * Record an observation in the long-term price history store
+   * Unchanged prices extend the current point while checks keep arriving on schedule.
+   * Also refreshes the product's change stats used by adaptive polling.
+   */
+  async function recordPriceObservation(product, price) {
+    if (typeof PriceHistory === "undefined") return null;
+
+    const baseGap =
+      (typeof Config !== "undefined" && Config.HISTORY?.MAX_GAP_MS) ||
+      3 * 60 * 60 * 1000;
+    const schedule = CheckScheduler.resolveSchedule(
+      product,
+      await DomainSettings.getAll(),
+      settings || DEFAULT_SETTINGS
+    );
+    const intervalMs = schedule.intervalMinutes * 60 * 1000;
+
+    const kind = await PriceHistory.recordObservation(product, price, {
+      maxGapMs: Math.max(baseGap, intervalMs * 2.5),
+    });
+
+    const record = await PriceHistory.getHistory(product.url);
+    const stats = PriceHistory.getChangeStats(record, {
+      windowDays: (typeof Config !== "undefined" && Config.SCHEDULER?.ADAPTIVE_WINDOW_DAYS) || 30,
+    });
+    if (stats) {
+      product.volatility = { ...stats, updatedAt: Date.now() };
+    }
+
+    // Is the current price actually good compared with the history?
+    if (typeof DealScore !== "undefined") {
+      product.deal = DealScore.evaluate(PriceHistory.toSeries(record), price, {
+        referencePrice: product.referencePrice,
+      });
+    }
+
+    return kind;
+  }
+
+  /**
+   * Keep the short inline list of recent price changes on the product
+   */
+  function pushRecentPriceChange(product, oldPrice) {
+    if (!Array.isArray(product.priceHistory)) {
+      product.priceHistory = [];
+    }
+
+    product.priceHistory.push({
+      price: oldPrice,
+      date: product.lastCheck || Date.now(),
+    });
+
+    const maxRecent =
+      (typeof Config !== "undefined" && Config.VALIDATION?.MAX_PRICE_HISTORY) || 30;
+    if (product.priceHistory.length > maxRecent) {
+      product.priceHistory = product.priceHistory.slice(-maxRecent);
+    }
+  }
+
+  /**
+   * Throw a BotWallError if a fetched page is a captcha, challenge or consent wall
+   */
+  function assertNotBotWall(response, html, doc, url) {
+    if (typeof BotDetector === "undefined") return;
+
+    const wall = BotDetector.detect({
+      html,
+      doc,
+      headers: response.headers,
+      url: response.url || url,
+    });
+
+    if (wall) {
+      logger.warn(`🧱 Bot wall (${wall.provider}) on ${url}`);
+      throw new PriceTrackerErrors.BotWallError(`Bot koruması: ${wall.provider}`, {
+        url,
+        provider: wall.provider,
+        status: response.status,
+      });
     }
   }
 
@@ -556,10 +1119,7 @@
    */
   async function fetchProductPriceWithSelector(url, selector) {
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-      const response = await fetch(url, {
+      const response = await fetchQueue.fetch(url, {
         method: "GET",
         headers: {
           "User-Agent":
@@ -570,30 +1130,35 @@
           "Cache-Control": "no-cache",
         },
         cache: "no-store",
-        signal: controller.signal,
       });
 
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
       const html = await response.text();
       const parser = new DOMParser();
       const doc = parser.parseFromString(html, "text/html");
 
+      assertNotBotWall(response, html, doc, url);
+
+      if (!response.ok) {
+        throw new PriceTrackerErrors.HttpError(response.status, { url });
+      }
+
       // Use custom selector
       const element = doc.querySelector(selector);
       if (!element) {
-        throw new Error("Selector element not found");
+        throw new PriceTrackerErrors.SelectorMissError("Selector element not found", {
+          url,
+          selector,
+        });
       }
 
       const text = element.textContent.trim();
       const priceMatch = text.match(/[\d.,]+/);
 
       if (!priceMatch) {
-        throw new Error("Price not found in element");
+        throw new PriceTrackerErrors.ParseError("Price not found in element", {
+          url,
+          selector,
+        });
       }
 
       const price = SiteConfigs.cleanPrice(priceMatch[0]);
@@ -604,8 +1169,10 @@
       return {
         price: price,
         name: name,
-        currency: "TRY",
+        ...resolveCurrency({ doc, url, priceText: text }),
         url: url,
+        availability:
+          typeof PriceParser !== "undefined" ? PriceParser.detectAvailability(doc, url) : null,
         confidence: 0.9,
         method: "custom-selector",
       };
@@ -615,6 +1182,24 @@
     }
   }
 
+  /**
+   * Currency fields for a price read outside the parser (custom and picked selectors)
+   * @param {Object} input - { doc, url, priceText } for CurrencyResolver.resolve
+   * @returns {Object} { currency, currencySource, currencyConflicts }
+   */
+  function resolveCurrency(input) {
+    if (typeof CurrencyResolver === "undefined") {
+      return { currency: "TRY" };
+    }
+
+    const resolution = CurrencyResolver.resolve(input);
+    return {
+      currency: resolution.currency,
+      currencySource: resolution.source,
+      currencyConflicts: resolution.conflicts,
+    };
+  }
+
   /**
    * Fetch product price using parser or Go backend
    */
@@ -650,10 +1235,7 @@
 
       // Fallback to browser-based fetching
       try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-        const response = await fetch(url, {
+        const response = await fetchQueue.fetch(url, {
           method: "GET",
           headers: {
             "User-Agent":
@@ -664,33 +1246,33 @@
             "Cache-Control": "no-cache",
           },
           cache: "no-store",
-          signal: controller.signal,
         });
 
-        clearTimeout(timeoutId);
+        const html = await response.text();
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html || "", "text/html");
+
+        // Challenge pages come with 403/503 (the queue hands challenge 503s through instead of
+        // retrying them as rate limits), so look before the status
+        assertNotBotWall(response, html, doc, url);
 
         if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`);
+          throw new PriceTrackerErrors.HttpError(response.status, { url });
         }
 
-        const html = await response.text();
-
         if (!html || html.length < 100) {
-          throw new Error("Invalid HTML response");
+          throw new PriceTrackerErrors.ParseError("Invalid HTML response", { url });
         }
 
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, "text/html");
-
         const productInfo =
           typeof PriceParser !== "undefined"
-            ? await PriceParser.extractProductInfo(doc, url)
+            ? await PriceParser.extractProductInfo(doc, url, { allowMissingPrice: true })
             : null;
 
         if (productInfo && productInfo.price) {
           const price = parseFloat(productInfo.price);
           if (isNaN(price) || price <= 0) {
-            throw new Error("Invalid price value");
+            throw new PriceTrackerErrors.ParseError("Invalid price value", { url });
           }
           productInfo.price = price;
         }
@@ -703,7 +1285,7 @@
       } catch (error) {
         if (error.name === "AbortError") {
           logger.error("⏱️ Request timeout");
-          throw new Error("Request timeout");
+          throw new PriceTrackerErrors.TimeoutError("Request timeout", { url });
         }
         logger.error("🔴 Fetch error:", error);
         throw error;
@@ -769,16 +1351,36 @@
 
         switch (request.action) {
           case "checkAllPrices":
-            const allResult = await checkAllPrices();
+            // Forced "check everything" from the popup
+            const allResult = await checkDueProducts({ force: request.force !== false });
             console.log("[Background] Check all result:", allResult);
             return allResult;
 
+          case "checkDueProducts":
+            return await checkDueProducts();
+
+          case "updateSchedule":
+            if (request.domain) {
+              await DomainSettings.set(request.domain, { schedule: request.schedule || null });
+            } else if (request.productUrl) {
+              const scheduled = await ProductStore.update(request.productUrl, {
+                schedule: request.schedule || null,
+              });
+              if (!scheduled) {
+                throw new Error("Product not found");
+              }
+            } else {
+              throw new Error("Schedule target missing");
+            }
+            await scheduleNextCheck();
+            return { success: true };
+
           case "checkSingleProduct":
             if (!request.product) {
               throw new Error("Product data missing");
             }
             console.log("[Background] Checking product:", request.product.name);
-            const singleResult = await checkSingleProduct(request.product);
+            const singleResult = await checkSingleProduct(request.product, { interactive: true });
             console.log("[Background] Check single result:", singleResult);
             return singleResult;
 
@@ -791,23 +1393,16 @@
 
             if (saved) {
               if (request.settings.rateLimitPerHour) {
-                if (
-                  typeof PriceTrackerHelpers !== "undefined" &&
-                  PriceTrackerHelpers.createRateLimiter
-                ) {
-                  rateLimiter = PriceTrackerHelpers.createRateLimiter(
-                    settings.rateLimitPerHour,
-                    60 * 60 * 1000
-                  );
-                }
+                fetchQueue.configure({ maxPerHour: settings.rateLimitPerHour });
               }
 
               if (
                 request.settings.checkInterval !== undefined ||
-                request.settings.autoCheck !== undefined
+                request.settings.autoCheck !== undefined ||
+                request.settings.adaptivePolling !== undefined
               ) {
                 if (settings.autoCheck) {
-                  await setupAlarm();
+                  await scheduleNextCheck();
                 } else {
                   await browser.alarms.clear("checkPrices");
                 }
@@ -824,15 +1419,14 @@
             return settings || DEFAULT_SETTINGS;
 
           case "getDebugStats":
-            const trackedProducts = await PriceTrackerHelpers.getStorage(
-              "trackedProducts",
-              []
-            );
+            const productsCount = await ProductStore.count();
             return {
-              productsCount: trackedProducts.length,
+              productsCount,
               cacheSize: cache.size(),
               settings: settings,
-              rateLimit: rateLimiter ? rateLimiter.getTokens() : 0,
+              fetchQueue: fetchQueue.getStats(),
+              tabRenderer:
+                typeof TabRenderer !== "undefined" ? TabRenderer.getStats() : null,
             };
 
           case "clearCache":
@@ -842,19 +1436,40 @@
 
           case "productDetected":
             logger.info("📦 Product detected:", request.product?.name);
+            if (sender.tab && typeof TabRenderer !== "undefined") {
+              TabRenderer.handleProductDetected(sender.tab.id, request.product);
+            }
             return { received: true };
 
+          case "recheckInTab":
+            if (typeof TabRenderer === "undefined") {
+              return { success: false, error: "TabRenderer not available" };
+            }
+            const blockedProduct = await ProductStore.get(request.productUrl);
+            if (!blockedProduct) {
+              throw new Error("Product not found");
+            }
+            const tabResult = await checkAndSave(blockedProduct, checkProductInTab);
+            return { success: !tabResult.failure, ...tabResult };
+
           case "manualPriceSelected":
             logger.info("🎯 Manual price selected:", request.data);
             if (request.data) {
               const { text, price, url, selector, name, site, domain: domainFromPicker } = request.data;
+              // The picker resolves the currency on the page; older pickers only send the text
+              const pickedCurrency = request.data.currencySource
+                ? {
+                    currency: request.data.currency,
+                    currencySource: request.data.currencySource,
+                    currencyConflicts: request.data.currencyConflicts || null,
+                  }
+                : resolveCurrency({ url, priceText: text });
               logger.success(
                 `Manual selection saved: ${text} (${price}) for ${url}`
               );
 
               // FIXED: Actually save the price to tracked products
               try {
-                const trackedProducts = await PriceTrackerHelpers.getStorage("trackedProducts", []);
                 
                 // Parse the price - handle Turkish format (1.299,00) properly
                 let parsedPrice = null;
@@ -877,34 +1492,48 @@
                 
                 if (parsedPrice && parsedPrice > 0) {
                   // Find if product already exists
-                  const existingIndex = trackedProducts.findIndex(p => p.url === url);
+                  const existingProduct = await ProductStore.get(url);
                   
                   // Get domain from URL if not provided
                   const extractedDomain = domainFromPicker || new URL(url).hostname.replace(/^www\./, '');
                   const siteName = site || SiteConfigs?.getSiteConfig(extractedDomain)?.name || extractedDomain;
                   
-                  if (existingIndex >= 0) {
-                    // Update existing product
-                    const existingProduct = trackedProducts[existingIndex];
+                  if (existingProduct) {
+                    // Update existing product; keep what it looked like so only changed fields are written
+                    const before = JSON.parse(JSON.stringify(existingProduct));
                     const oldPrice = existingProduct.price;
                     
                     // Add to price history
-                    if (!Array.isArray(existingProduct.priceHistory)) {
-                      existingProduct.priceHistory = [];
-                    }
-                    existingProduct.priceHistory.push({
-                      price: oldPrice,
-                      date: existingProduct.lastCheck || Date.now(),
-                    });
-                    
-                    if (existingProduct.priceHistory.length > 30) {
-                      existingProduct.priceHistory = existingProduct.priceHistory.slice(-30);
+                    await recordPriceObservation(existingProduct, parsedPrice);
+                    if (Math.abs(parsedPrice - oldPrice) > 0.01) {
+                      pushRecentPriceChange(existingProduct, oldPrice);
                     }
                     
                     existingProduct.previousPrice = oldPrice;
                     existingProduct.price = parsedPrice;
-                    existingProduct.lastCheck = Date.now();
-                    existingProduct.lastCheckStatus = "success";
+                    await applyCurrency(existingProduct, { ...pickedCurrency, method: "manual-selector" });
+                    await recordCheckSuccess(existingProduct);
+
+                    if (Math.abs(parsedPrice - oldPrice) > 0.01) {
+                      await logEvent({
+                        type: "price_changed",
+                        product: existingProduct,
+                        oldValue: oldPrice,
+                        newValue: parsedPrice,
+                        method: "manual-selector",
+                        confidence: 0.9,
+                      });
+                    }
+                    if (selector && selector !== existingProduct.customSelector) {
+                      await logEvent({
+                        type: "selector_repaired",
+                        product: existingProduct,
+                        oldValue: existingProduct.customSelector || null,
+                        newValue: selector,
+                        method: "manual-selector",
+                      });
+                    }
+
                     existingProduct.customSelector = selector;
                     existingProduct.site = siteName;
                     existingProduct.domain = extractedDomain;
@@ -914,7 +1543,7 @@
                       existingProduct.name = name;
                     }
                     
-                    trackedProducts[existingIndex] = existingProduct;
+                    await ProductStore.update(url, ProductStore.changedFields(before, existingProduct));
                     
                     logger.info(`📊 Updated existing product price: ${oldPrice} → ${parsedPrice}`);
                     
@@ -923,39 +1552,38 @@
                       await sendPriceNotification(existingProduct, oldPrice, parsedPrice);
                     }
                   } else {
-                    // Check maximum product limit before adding new product
-                    const maxProducts = (typeof Config !== "undefined" && Config.VALIDATION?.MAX_PRODUCTS) || 50;
-                    if (trackedProducts.length >= maxProducts) {
-                      logger.warn(`⚠️ Maximum product limit reached (${maxProducts})`);
-                      // Still continue but don't add the product
-                    } else {
-                      // Add as new product with proper name and site
-                      const productName = name || text.substring(0, 100) || "Manuel Eklenen Ürün";
-                      
-                      const newProduct = {
-                        name: productName,
-                        price: parsedPrice,
-                        currency: "TRY",
-                        url: url,
-                        site: siteName,
-                        domain: extractedDomain,
-                        initialPrice: parsedPrice,
-                        previousPrice: null,
-                        priceHistory: [],
-                        addedDate: Date.now(),
-                        lastCheck: Date.now(),
-                        lastCheckStatus: "success",
-                        confidence: 0.9,
-                        customSelector: selector,
-                      };
-                      
-                      trackedProducts.push(newProduct);
-                      logger.info(`📦 Added new product: ${newProduct.name} at ${parsedPrice} from ${siteName}`);
-                    }
+                    // Add as new product with proper name and site
+                    const productName = name || text.substring(0, 100) || "Manuel Eklenen Ürün";
+                    
+                    const newProduct = {
+                      name: productName,
+                      price: parsedPrice,
+                      ...pickedCurrency,
+                      url: ProductStore.toKey(url),
+                      site: siteName,
+                      domain: extractedDomain,
+                      initialPrice: parsedPrice,
+                      previousPrice: null,
+                      priceHistory: [],
+                      addedDate: Date.now(),
+                      lastCheck: Date.now(),
+                      lastCheckStatus: "success",
+                      confidence: 0.9,
+                      customSelector: selector,
+                    };
+                    
+                    await ProductStore.put(newProduct);
+                    await recordPriceObservation(newProduct, parsedPrice);
+                    await logEvent({
+                      type: "product_added",
+                      product: newProduct,
+                      newValue: parsedPrice,
+                      method: "manual-selector",
+                      confidence: newProduct.confidence,
+                    });
+                    logger.info(`📦 Added new product: ${newProduct.name} at ${parsedPrice} from ${siteName}`);
                   }
                   
-                  // Save to storage
-                  await PriceTrackerHelpers.setStorage("trackedProducts", trackedProducts);
                   logger.success("✅ Products saved to storage");
                 } else {
                   logger.warn("⚠️ Invalid price value:", price);
@@ -984,6 +1612,25 @@
             }
             return { success: true };
 
+          case "getPriceHistory":
+            if (typeof PriceHistory !== "undefined") {
+              if (request.productUrl) {
+                const record = await PriceHistory.getHistory(request.productUrl);
+                return {
+                  success: true,
+                  history: record,
+                  series: PriceHistory.toSeries(record, request.range || {}),
+                  gaps: PriceHistory.getGaps(record),
+                };
+              }
+              const historyStats = await PriceHistory.getStats();
+              return { success: true, stats: historyStats };
+            }
+            return { success: false, error: "PriceHistory not available" };
+
+          case "refreshExchangeRates":
+            return refreshExchangeRates();
+
           // Price Alert handlers
           case "addAlert":
             if (typeof PriceAlerts !== "undefined") {
@@ -1017,6 +1664,13 @@
             }
             return { success: false, error: "Alerts not available" };
 
+          case "snoozeAlert":
+            if (typeof PriceAlerts !== "undefined") {
+              const snoozed = await PriceAlerts.snoozeAlert(request.alertId, request.hours);
+              return snoozed ? { success: true, alert: snoozed } : { success: false, error: "Alert not found" };
+            }
+            return { success: false, error: "Alerts not available" };
+
           case "checkAlerts":
             const triggeredAlerts = await checkPriceAlerts();
             return { success: true, triggered: triggeredAlerts };
@@ -479,10 +479,17 @@
                     || document.querySelector('[itemprop="name"]')?.textContent?.trim()
                     || document.title.split('|')[0].split('-')[0].trim();
                   
+                  const resolution =
+                    typeof CurrencyResolver !== "undefined"
+                      ? CurrencyResolver.resolve({ doc: document, url: window.location.href, priceText: text })
+                      : { currency: "TRY", source: null, conflicts: null };
+
                   return {
                     price: priceValue,
                     name: productName,
-                    currency: "TRY",
+                    currency: resolution.currency,
+                    currencySource: resolution.source,
+                    currencyConflicts: resolution.conflicts,
                     url: window.location.href,
                     site: request.domain,
                     confidence: 0.9,
@@ -5,13 +5,32 @@ const PriceAlerts = (function () {
   "use strict";
 
   /**
-   * Supported currencies with symbols and conversion rates (relative to TRY)
+   * Supported currencies with symbols (rates come from ExchangeRates)
    */
   const CURRENCIES = {
-    TRY: { symbol: "₺", name: "Türk Lirası", rate: 1 },
-    USD: { symbol: "$", name: "US Dollar", rate: 0.029 },
-    EUR: { symbol: "€", name: "Euro", rate: 0.027 },
-    GBP: { symbol: "£", name: "British Pound", rate: 0.023 },
+    TRY: { symbol: "₺", name: "Türk Lirası" },
+    USD: { symbol: "$", name: "US Dollar" },
+    EUR: { symbol: "€", name: "Euro" },
+    GBP: { symbol: "£", name: "British Pound" },
+  };
+
+  const ALERT_CONFIG =
+    typeof Config !== "undefined" && Config.ALERTS
+      ? Config.ALERTS
+      : { COOLDOWN_HOURS: 24, HYSTERESIS_PERCENT: 2, HISTORY_LIMIT: 50 };
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  /**
+   * Alert states shown in the popup
+   */
+  const ALERT_STATES = {
+    ACTIVE: "active",
+    PAUSED: "paused",
+    SNOOZED: "snoozed",
+    COOLDOWN: "cooldown",
+    // Fired and waiting for the condition to clear before it can fire again
+    WAITING: "waiting",
   };
 
   /**
@@ -22,6 +41,55 @@ const PriceAlerts = (function () {
     PERCENTAGE_DROP: "percentage_drop",
     PERCENTAGE_RISE: "percentage_rise",
     ANY_CHANGE: "any_change",
+    BACK_IN_STOCK: "back_in_stock",
+    SELLER_PRICE_DROP: "seller_price_drop",
+    GOOD_DEAL: "good_deal",
+    // Relative to the stored price history (DealScore statistics) instead of basePrice
+    ALL_TIME_LOW: "all_time_low",
+    LOWEST_IN_DAYS: "lowest_in_days",
+    BELOW_AVERAGE: "below_average",
+    BELOW_AVERAGE_90: "below_average_90",
+    PRE_CAMPAIGN_PRICE: "pre_campaign_price",
+    RULE: "rule",
+  };
+
+  /**
+   * Conditions a rule alert combines: every single-condition type plus checks on the stock state
+   * and the current seller
+   */
+  const CONDITION_TYPES = {
+    TARGET_PRICE: ALERT_TYPES.TARGET_PRICE,
+    PERCENTAGE_DROP: ALERT_TYPES.PERCENTAGE_DROP,
+    PERCENTAGE_RISE: ALERT_TYPES.PERCENTAGE_RISE,
+    ANY_CHANGE: ALERT_TYPES.ANY_CHANGE,
+    BACK_IN_STOCK: ALERT_TYPES.BACK_IN_STOCK,
+    SELLER_PRICE_DROP: ALERT_TYPES.SELLER_PRICE_DROP,
+    GOOD_DEAL: ALERT_TYPES.GOOD_DEAL,
+    ALL_TIME_LOW: ALERT_TYPES.ALL_TIME_LOW,
+    LOWEST_IN_DAYS: ALERT_TYPES.LOWEST_IN_DAYS,
+    BELOW_AVERAGE: ALERT_TYPES.BELOW_AVERAGE,
+    BELOW_AVERAGE_90: ALERT_TYPES.BELOW_AVERAGE_90,
+    PRE_CAMPAIGN_PRICE: ALERT_TYPES.PRE_CAMPAIGN_PRICE,
+    IN_STOCK: "in_stock",
+    SELLER_IS: "seller_is",
+  };
+
+  /**
+   * Whether a rule fires when all of its conditions hold or when any of them does
+   */
+  const RULE_MATCH = {
+    ALL: "all",
+    ANY: "any",
+  };
+
+  /**
+   * Which price an alert compares: the item price, the landed total (shipping and fixed costs
+   * included) or the price per kg, litre or piece
+   */
+  const PRICE_BASIS = {
+    ITEM: "item",
+    TOTAL: "total",
+    UNIT: "unit",
   };
 
   /**
@@ -34,10 +102,15 @@ const PriceAlerts = (function () {
       productUrl,
       productName,
       type,
-      targetPrice = null,
-      targetPercent = null,
       currentPrice,
       currency = "TRY",
+      availability = null,
+      match = RULE_MATCH.ALL,
+      conditions = [],
+      priceBasis = PRICE_BASIS.ITEM,
+      repeat = false,
+      cooldownHours = ALERT_CONFIG.COOLDOWN_HOURS,
+      hysteresisPercent = ALERT_CONFIG.HYSTERESIS_PERCENT,
       enabled = true,
     } = options;
 
@@ -50,31 +123,31 @@ const PriceAlerts = (function () {
       throw new Error(`Invalid alert type: ${type}`);
     }
 
-    // Validate target price for target_price type
-    if (type === ALERT_TYPES.TARGET_PRICE && (!targetPrice || targetPrice <= 0)) {
-      throw new Error("Target price must be a positive number");
-    }
-
-    // Validate percentage for percentage types
-    if (
-      (type === ALERT_TYPES.PERCENTAGE_DROP || type === ALERT_TYPES.PERCENTAGE_RISE) &&
-      (!targetPercent || targetPercent <= 0 || targetPercent > 100)
-    ) {
-      throw new Error("Target percentage must be between 1 and 100");
+    if (type === ALERT_TYPES.RULE && (!Array.isArray(conditions) || conditions.length === 0)) {
+      throw new Error("A rule needs at least one condition");
     }
 
     return {
       id: generateAlertId(),
-      productUrl,
+      productUrl: typeof CanonicalUrl !== "undefined" ? CanonicalUrl.canonicalize(productUrl) : productUrl,
       productName: productName || "Unknown Product",
       type,
-      targetPrice: type === ALERT_TYPES.TARGET_PRICE ? parseFloat(targetPrice) : null,
-      targetPercent:
-        type === ALERT_TYPES.PERCENTAGE_DROP || type === ALERT_TYPES.PERCENTAGE_RISE
-          ? parseFloat(targetPercent)
-          : null,
+      ...(type === ALERT_TYPES.RULE ? createCondition({ type: null }) : createCondition(options)),
       basePrice: parseFloat(currentPrice) || null,
+      match: type === ALERT_TYPES.RULE ? (match === RULE_MATCH.ANY ? RULE_MATCH.ANY : RULE_MATCH.ALL) : null,
+      conditions:
+        type === ALERT_TYPES.RULE
+          ? conditions.map((condition) => ({ type: condition.type, ...createCondition({ availability, ...condition }) }))
+          : null,
+      priceBasis: Object.values(PRICE_BASIS).includes(priceBasis) ? priceBasis : PRICE_BASIS.ITEM,
       currency,
+      // One-shot alerts pause after firing; repeating ones wait for the cooldown and a re-arm
+      repeat: !!repeat,
+      cooldownHours: Math.max(parseFloat(cooldownHours) || 0, 0),
+      hysteresisPercent: Math.max(parseFloat(hysteresisPercent) || 0, 0),
+      armed: true,
+      snoozedUntil: null,
+      history: [],
       enabled,
       createdAt: Date.now(),
       triggeredAt: null,
@@ -82,6 +155,71 @@ const PriceAlerts = (function () {
     };
   }
 
+  /**
+   * Validate a condition and keep only the targets its type uses
+   * Shared by single-condition alerts and the conditions of a rule.
+   * @param {Object} options - { type, targetPrice, targetPercent, targetScore, targetDays, sellerName, sellerPrice, availability }
+   * @returns {Object} Targets and per-condition state
+   */
+  function createCondition(options) {
+    const {
+      type,
+      targetPrice = null,
+      targetPercent = null,
+      targetScore = null,
+      targetDays = null,
+      availability = null,
+      sellerName = null,
+      sellerPrice = null,
+    } = options;
+
+    if (type !== null && !Object.values(CONDITION_TYPES).includes(type)) {
+      throw new Error(`Invalid condition type: ${type}`);
+    }
+
+    const usesPercent = [
+      CONDITION_TYPES.PERCENTAGE_DROP,
+      CONDITION_TYPES.PERCENTAGE_RISE,
+      CONDITION_TYPES.BELOW_AVERAGE,
+      CONDITION_TYPES.BELOW_AVERAGE_90,
+    ].includes(type);
+    const usesSeller = type === CONDITION_TYPES.SELLER_PRICE_DROP || type === CONDITION_TYPES.SELLER_IS;
+
+    // Validate target price for target_price type
+    if (type === CONDITION_TYPES.TARGET_PRICE && (!targetPrice || targetPrice <= 0)) {
+      throw new Error("Target price must be a positive number");
+    }
+
+    // Validate percentage for percentage types
+    if (usesPercent && (!targetPercent || targetPercent <= 0 || targetPercent > 100)) {
+      throw new Error("Target percentage must be between 1 and 100");
+    }
+
+    if (usesSeller && !(sellerName || "").trim()) {
+      throw new Error("Seller name is required");
+    }
+
+    if (type === CONDITION_TYPES.GOOD_DEAL && (!targetScore || targetScore <= 0 || targetScore > 100)) {
+      throw new Error("Target deal score must be between 1 and 100");
+    }
+
+    if (type === CONDITION_TYPES.LOWEST_IN_DAYS && !(parseInt(targetDays, 10) >= 1 && parseInt(targetDays, 10) <= 3650)) {
+      throw new Error("Target days must be between 1 and 3650");
+    }
+
+    return {
+      targetPrice: type === CONDITION_TYPES.TARGET_PRICE ? parseFloat(targetPrice) : null,
+      targetPercent: usesPercent ? parseFloat(targetPercent) : null,
+      targetScore: type === CONDITION_TYPES.GOOD_DEAL ? parseInt(targetScore, 10) : null,
+      targetDays: type === CONDITION_TYPES.LOWEST_IN_DAYS ? parseInt(targetDays, 10) : null,
+      // Stock alerts fire on transitions, so they remember the last state seen
+      lastAvailability: type === CONDITION_TYPES.BACK_IN_STOCK ? availability : null,
+      sellerName: usesSeller ? sellerName.trim() : null,
+      lastSellerPrice:
+        type === CONDITION_TYPES.SELLER_PRICE_DROP ? parseFloat(sellerPrice) || null : null,
+    };
+  }
+
   /**
    * Generate unique alert ID
    */
@@ -89,17 +227,177 @@ const PriceAlerts = (function () {
     return `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Price an alert compares against, per its price basis
+   * @param {Object} alert Alert object
+   * @param {Object} product Tracked product
+   * @returns {number|null} Item price, landed total or unit price (null while the size is unknown)
+   */
+  function getAlertPrice(alert, product) {
+    if (alert.priceBasis === PRICE_BASIS.TOTAL && typeof ShippingCosts !== "undefined") {
+      return ShippingCosts.getEffectivePrice(product);
+    }
+    if (alert.priceBasis === PRICE_BASIS.UNIT) {
+      return product.unitPrice || null;
+    }
+    return product.price;
+  }
+
+  /**
+   * Price level at which an alert fires, for drawing it on a chart
+   * @param {Object} alert Alert object
+   * @returns {number|null} Threshold, or null for alerts without a fixed level
+   */
+  function getThresholdPrice(alert) {
+    switch (alert.type) {
+      case ALERT_TYPES.RULE:
+        // The first condition with a price level stands for the rule
+        for (const condition of alert.conditions || []) {
+          const threshold = getThresholdPrice({ ...alert, ...condition });
+          if (threshold) return threshold;
+        }
+        return null;
+      case ALERT_TYPES.TARGET_PRICE:
+        return alert.targetPrice || null;
+      case ALERT_TYPES.PERCENTAGE_DROP:
+        return alert.basePrice ? alert.basePrice * (1 - alert.targetPercent / 100) : null;
+      case ALERT_TYPES.PERCENTAGE_RISE:
+        return alert.basePrice ? alert.basePrice * (1 + alert.targetPercent / 100) : null;
+      default:
+        return null;
+    }
+  }
+
   /**
    * Check if an alert should be triggered
    * @param {Object} alert Alert object
    * @param {number} currentPrice Current price
+   * @param {Object} product Tracked product (stock and seller alerts read its availability and offers)
    * @returns {Object} { triggered: boolean, message: string }
    */
-  function checkAlert(alert, currentPrice) {
+  function checkAlert(alert, currentPrice, product = null) {
     if (!alert.enabled) {
       return { triggered: false, message: null };
     }
 
+    if (alert.type === ALERT_TYPES.RULE) {
+      return checkRule(alert, currentPrice, product);
+    }
+
+    // Current state checks, mostly combined with other conditions in a rule
+    if (alert.type === CONDITION_TYPES.IN_STOCK) {
+      return product?.availability === "in_stock"
+        ? { triggered: true, message: `📦 Stokta: ${alert.productName}`, type: "success" }
+        : { triggered: false, message: null };
+    }
+
+    if (alert.type === CONDITION_TYPES.SELLER_IS) {
+      const offer = typeof SellerOffers !== "undefined" ? SellerOffers.getTrackedOffer(product) : null;
+      return offer && SellerOffers.normalizeSeller(offer.seller) === SellerOffers.normalizeSeller(alert.sellerName)
+        ? { triggered: true, message: `🏷️ Satıcı ${offer.seller}: ${alert.productName}`, type: "info" }
+        : { triggered: false, message: null };
+    }
+
+    // History alerts compare the item price with the statistics of its stored history (DealScore),
+    // so they stay meaningful long after basePrice was taken
+    const deal = product?.deal;
+    const itemPrice = parseFloat(product?.price);
+
+    if (alert.type === ALERT_TYPES.ALL_TIME_LOW) {
+      // A price that never moved is trivially its own low
+      return deal?.isAllTimeLow && deal.allTimeHigh > deal.allTimeLow
+        ? {
+            triggered: true,
+            message: `🏆 Tüm zamanların en düşüğü! ${alert.productName}: ${formatPrice(itemPrice, alert.currency)}`,
+            type: "success",
+          }
+        : { triggered: false, message: null };
+    }
+
+    if (alert.type === ALERT_TYPES.LOWEST_IN_DAYS) {
+      // The history has to cover the whole period; a lower price inside it rules it out
+      const lowest =
+        deal &&
+        deal.historyDays >= alert.targetDays &&
+        (deal.daysSinceLower === null || deal.daysSinceLower >= alert.targetDays) &&
+        deal.allTimeHigh > deal.allTimeLow;
+      return lowest
+        ? {
+            triggered: true,
+            message: `📅 Son ${alert.targetDays} günün en düşüğü! ${alert.productName}: ${formatPrice(itemPrice, alert.currency)}`,
+            type: "success",
+          }
+        : { triggered: false, message: null };
+    }
+
+    // below_average compares with the 30-day average, below_average_90 with the 90-day one
+    if (alert.type === ALERT_TYPES.BELOW_AVERAGE || alert.type === ALERT_TYPES.BELOW_AVERAGE_90) {
+      const days = alert.type === ALERT_TYPES.BELOW_AVERAGE_90 ? 90 : 30;
+      const average = days === 90 ? deal?.avg90 : deal?.avg30;
+      const below = average ? ((average - itemPrice) / average) * 100 : null;
+      return below !== null && below >= alert.targetPercent
+        ? {
+            triggered: true,
+            message: `📊 ${days} gün ortalamasının %${below.toFixed(1)} altında! ${alert.productName}: ${formatPrice(itemPrice, alert.currency)} (ort. ${formatPrice(average, alert.currency)})`,
+            type: "success",
+          }
+        : { triggered: false, message: null };
+    }
+
+    if (alert.type === ALERT_TYPES.PRE_CAMPAIGN_PRICE) {
+      const level = deal?.preRaise?.price;
+      return level && itemPrice > 0 && itemPrice <= level * 1.01
+        ? {
+            triggered: true,
+            message: `↩️ Kampanya öncesi fiyata döndü! ${alert.productName}: ${formatPrice(itemPrice, alert.currency)} (zamdan önce ${formatPrice(level, alert.currency)})`,
+            type: "success",
+          }
+        : { triggered: false, message: null };
+    }
+
+    // Sold-out products keep their last price, so stock alerts skip the price checks
+    if (alert.type === ALERT_TYPES.BACK_IN_STOCK) {
+      if (alert.lastAvailability === "out_of_stock" && product?.availability === "in_stock") {
+        const price = parseFloat(currentPrice);
+        const priceText = price > 0 ? ` ${formatPrice(price, alert.currency)}` : "";
+        return {
+          triggered: true,
+          message: `📦 Yeniden stokta! ${alert.productName}${priceText}`,
+          type: "success",
+        };
+      }
+      return { triggered: false, message: null };
+    }
+
+    // Deal alerts read the score computed from the price history (DealScore); a sale whose
+    // previous price was inflated never counts as a deal
+    if (alert.type === ALERT_TYPES.GOOD_DEAL) {
+      if (deal && deal.score !== null && deal.score >= alert.targetScore && !deal.inflated) {
+        return {
+          triggered: true,
+          message: `💎 Gerçek fırsat! ${alert.productName} şimdi ${formatPrice(parseFloat(product.price), alert.currency)} (fırsat puanı ${deal.score}/100)`,
+          type: "success",
+        };
+      }
+      return { triggered: false, message: null };
+    }
+
+    // Seller alerts compare the seller's own offer, not the tracked price
+    if (alert.type === ALERT_TYPES.SELLER_PRICE_DROP) {
+      const offer =
+        typeof SellerOffers !== "undefined"
+          ? SellerOffers.findSeller(product?.offers, alert.sellerName)
+          : null;
+      if (offer && alert.lastSellerPrice && offer.price < alert.lastSellerPrice - 0.01) {
+        return {
+          triggered: true,
+          message: `🏪 ${alert.sellerName} fiyatı düştü! ${alert.productName}: ${formatPrice(alert.lastSellerPrice, alert.currency)} → ${formatPrice(offer.price, alert.currency)}`,
+          type: "success",
+        };
+      }
+      return { triggered: false, message: null };
+    }
+
     const price = parseFloat(currentPrice);
     if (isNaN(price) || price <= 0) {
       return { triggered: false, message: null };
@@ -158,6 +456,37 @@ const PriceAlerts = (function () {
     return { triggered: false, message: null };
   }
 
+  /**
+   * Check a rule: each condition is checked like a single-condition alert of its type
+   * @returns {Object} { triggered, message, type }
+   */
+  function checkRule(alert, currentPrice, product) {
+    const results = (alert.conditions || []).map((condition) =>
+      checkAlert({ ...alert, ...condition, enabled: true }, currentPrice, product)
+    );
+    const met =
+      results.length > 0 &&
+      (alert.match === RULE_MATCH.ANY
+        ? results.some((result) => result.triggered)
+        : results.every((result) => result.triggered));
+
+    if (!met) {
+      return { triggered: false, message: null };
+    }
+
+    const reasons = alert.conditions
+      .filter((condition, i) => results[i].triggered)
+      .map((condition) => describeRuleCondition(condition, alert.currency));
+    const price = parseFloat(product?.price);
+    const priceText = price > 0 ? ` (${formatPrice(price, alert.currency)})` : "";
+
+    return {
+      triggered: true,
+      message: `🧩 Kural sağlandı! ${alert.productName}${priceText}: ${reasons.join(alert.match === RULE_MATCH.ANY ? " veya " : " ve ")}`,
+      type: results.some((result) => result.type === "warning") ? "warning" : "success",
+    };
+  }
+
   /**
    * Format price with currency symbol
    */
@@ -170,7 +499,64 @@ const PriceAlerts = (function () {
    * Get human-readable alert description
    */
   function getAlertDescription(alert) {
+    const description = describeCondition(alert);
+    if (alert.priceBasis === PRICE_BASIS.TOTAL) return `${description} (kargo dahil)`;
+    if (alert.priceBasis === PRICE_BASIS.UNIT) return `${description} (birim fiyat)`;
+    return description;
+  }
+
+  /**
+   * Short description of one condition of a rule, e.g. "fiyat ≤ 15000.00 ₺"
+   * @param {Object} condition - Rule condition
+   * @param {string} currency - Currency code of the alert
+   * @returns {string} Description
+   */
+  function describeRuleCondition(condition, currency = "TRY") {
+    switch (condition.type) {
+      case CONDITION_TYPES.TARGET_PRICE:
+        return `fiyat ≤ ${formatPrice(condition.targetPrice, currency)}`;
+      case CONDITION_TYPES.PERCENTAGE_DROP:
+        return `%${condition.targetPercent} düşüş`;
+      case CONDITION_TYPES.PERCENTAGE_RISE:
+        return `%${condition.targetPercent} artış`;
+      case CONDITION_TYPES.ANY_CHANGE:
+        return "fiyat değişti";
+      case CONDITION_TYPES.BACK_IN_STOCK:
+        return "yeniden stokta";
+      case CONDITION_TYPES.SELLER_PRICE_DROP:
+        return `${condition.sellerName} fiyatı düştü`;
+      case CONDITION_TYPES.GOOD_DEAL:
+        return `fırsat puanı ≥ ${condition.targetScore}`;
+      case CONDITION_TYPES.IN_STOCK:
+        return "stokta";
+      case CONDITION_TYPES.SELLER_IS:
+        return `satıcı ${condition.sellerName}`;
+      case CONDITION_TYPES.ALL_TIME_LOW:
+        return "tüm zamanların en düşüğü";
+      case CONDITION_TYPES.LOWEST_IN_DAYS:
+        return `son ${condition.targetDays} günün en düşüğü`;
+      case CONDITION_TYPES.BELOW_AVERAGE:
+        return `30 gün ortalamasının %${condition.targetPercent} altında`;
+      case CONDITION_TYPES.BELOW_AVERAGE_90:
+        return `90 gün ortalamasının %${condition.targetPercent} altında`;
+      case CONDITION_TYPES.PRE_CAMPAIGN_PRICE:
+        return "kampanya öncesi fiyatta";
+      default:
+        return "bilinmeyen koşul";
+    }
+  }
+
+  /**
+   * Describe the condition of an alert
+   */
+  function describeCondition(alert) {
     switch (alert.type) {
+      case ALERT_TYPES.RULE: {
+        const text = (alert.conditions || [])
+          .map((condition) => describeRuleCondition(condition, alert.currency))
+          .join(alert.match === RULE_MATCH.ANY ? " VEYA " : " VE ");
+        return `${text.charAt(0).toLocaleUpperCase("tr-TR")}${text.slice(1)} olduğunda bildir`;
+      }
       case ALERT_TYPES.TARGET_PRICE:
         return `Fiyat ${formatPrice(alert.targetPrice, alert.currency)} veya altına düştüğünde bildir`;
       case ALERT_TYPES.PERCENTAGE_DROP:
@@ -179,6 +565,22 @@ const PriceAlerts = (function () {
         return `Fiyat %${alert.targetPercent} veya daha fazla arttığında bildir`;
       case ALERT_TYPES.ANY_CHANGE:
         return `Herhangi bir fiyat değişikliğinde bildir`;
+      case ALERT_TYPES.BACK_IN_STOCK:
+        return `Tükenen ürün yeniden stoğa girdiğinde bildir`;
+      case ALERT_TYPES.SELLER_PRICE_DROP:
+        return `${alert.sellerName} satıcısının fiyatı düştüğünde bildir`;
+      case ALERT_TYPES.GOOD_DEAL:
+        return `Fırsat puanı ${alert.targetScore} veya üstüne çıktığında bildir`;
+      case ALERT_TYPES.ALL_TIME_LOW:
+        return `Fiyat tüm zamanların en düşüğüne indiğinde bildir`;
+      case ALERT_TYPES.LOWEST_IN_DAYS:
+        return `Fiyat son ${alert.targetDays} günün en düşüğü olduğunda bildir`;
+      case ALERT_TYPES.BELOW_AVERAGE:
+        return `Fiyat 30 gün ortalamasının %${alert.targetPercent} veya daha altına indiğinde bildir`;
+      case ALERT_TYPES.BELOW_AVERAGE_90:
+        return `Fiyat 90 gün ortalamasının %${alert.targetPercent} veya daha altına indiğinde bildir`;
+      case ALERT_TYPES.PRE_CAMPAIGN_PRICE:
+        return `Fiyat kampanya öncesi zamdan önceki seviyesine döndüğünde bildir`;
       default:
         return "Bilinmeyen alarm türü";
     }
@@ -239,17 +641,130 @@ const PriceAlerts = (function () {
     const alert = alerts.find((a) => a.id === alertId);
     if (alert) {
       alert.enabled = !alert.enabled;
+      // Turning an alert back on gives it a fresh start
+      if (alert.enabled) alert.armed = true;
       await saveAlerts(alerts);
     }
     return alerts;
   }
 
+  /**
+   * Snooze an alert: it keeps being checked but does not fire until the time is up
+   * @param {string} alertId - Alert ID
+   * @param {number} hours - Snooze length; 0 ends a snooze
+   * @returns {Promise<Object|null>} Updated alert
+   */
+  async function snoozeAlert(alertId, hours) {
+    const alerts = await loadAlerts();
+    const alert = alerts.find((a) => a.id === alertId);
+    if (!alert) return null;
+
+    alert.snoozedUntil = hours > 0 ? Date.now() + hours * HOUR_MS : null;
+    await saveAlerts(alerts);
+    return alert;
+  }
+
+  /**
+   * Current state of an alert
+   * Alerts saved before these fields existed count as armed repeating alerts without a cooldown.
+   * @param {Object} alert - Alert object
+   * @param {number} now - Current time
+   * @returns {string} ALERT_STATES value
+   */
+  function getAlertState(alert, now = Date.now()) {
+    if (!alert.enabled) return ALERT_STATES.PAUSED;
+    if (alert.snoozedUntil > now) return ALERT_STATES.SNOOZED;
+    if (alert.armed === false) return ALERT_STATES.WAITING;
+    if (alert.repeat !== false && alert.triggeredAt && now - alert.triggeredAt < (alert.cooldownHours || 0) * HOUR_MS) {
+      return ALERT_STATES.COOLDOWN;
+    }
+    return ALERT_STATES.ACTIVE;
+  }
+
+  /**
+   * Whether a fired alert may fire again: the price must be back past the threshold by the
+   * hysteresis margin; alerts without a price level only need their condition to clear
+   * @param {Object} alert - Alert object
+   * @param {number} price - Current price on the alert's basis
+   * @param {Object} result - checkAlert() result for the current check
+   * @returns {boolean}
+   */
+  function shouldRearm(alert, price, result) {
+    const threshold = alert.type === ALERT_TYPES.RULE ? null : getThresholdPrice(alert);
+    const margin = (alert.hysteresisPercent ?? ALERT_CONFIG.HYSTERESIS_PERCENT) / 100;
+    const value = parseFloat(price);
+
+    if (threshold && value > 0) {
+      return alert.type === ALERT_TYPES.PERCENTAGE_RISE
+        ? value < threshold * (1 - margin)
+        : value > threshold * (1 + margin);
+    }
+    return !result.triggered;
+  }
+
+  /**
+   * Store a trigger in the alert's history and move it to its after-firing state
+   */
+  function recordTrigger(alert, price, message, now) {
+    const value = parseFloat(price);
+    alert.triggeredAt = now;
+    alert.history = [{ at: now, price: value > 0 ? value : null, message }, ...(alert.history || [])].slice(
+      0,
+      ALERT_CONFIG.HISTORY_LIMIT
+    );
+
+    if (alert.repeat === false) {
+      alert.enabled = false;
+    } else if (alert.type === ALERT_TYPES.ANY_CHANGE && value > 0) {
+      // Change alerts measure the next change from the price that fired them
+      alert.basePrice = value;
+    } else {
+      alert.armed = false;
+    }
+  }
+
   /**
    * Get alerts for a specific product
    */
   async function getAlertsForProduct(productUrl) {
     const alerts = await loadAlerts();
-    return alerts.filter((a) => a.productUrl === productUrl);
+    const key = typeof CanonicalUrl !== "undefined" ? CanonicalUrl.canonicalize(productUrl) : productUrl;
+    return alerts.filter((a) => a.productUrl === key);
+  }
+
+  /**
+   * Relabel the currency of a product's alerts after the product's currency was corrected
+   * The amounts stay as they are: they were always in the new currency.
+   * @param {string} productUrl - Product URL
+   * @param {string} currency - Currency code
+   * @returns {Promise<number>} Number of alerts relabeled
+   */
+  async function setProductCurrency(productUrl, currency) {
+    const alerts = await loadAlerts();
+    const key = typeof CanonicalUrl !== "undefined" ? CanonicalUrl.canonicalize(productUrl) : productUrl;
+    const changed = alerts.filter((a) => a.productUrl === key && a.currency !== currency);
+    if (changed.length === 0) return 0;
+
+    for (const alert of changed) {
+      alert.currency = currency;
+    }
+    await saveAlerts(alerts);
+    return changed.length;
+  }
+
+  /**
+   * Remember the stock state and seller price that transition conditions compare against
+   * @param {Object} target - Alert or rule condition
+   * @param {Object} product - Tracked product
+   */
+  function updateConditionState(target, product) {
+    if (target.type === CONDITION_TYPES.BACK_IN_STOCK && product.availability) {
+      target.lastAvailability = product.availability;
+    }
+    if (target.type === CONDITION_TYPES.SELLER_PRICE_DROP && typeof SellerOffers !== "undefined") {
+      const offer = SellerOffers.findSeller(product.offers, target.sellerName);
+      if (offer) target.lastSellerPrice = offer.price;
+    }
   }
 
   /**
@@ -265,18 +780,28 @@ const PriceAlerts = (function () {
       const product = products.find((p) => p.url === alert.productUrl);
       if (!product) continue;
 
-      const result = checkAlert(alert, product.price);
-      if (result.triggered) {
+      const now = Date.now();
+      const price = getAlertPrice(alert, product);
+      const result = checkAlert(alert, price, product);
+
+      if (alert.armed === false && shouldRearm(alert, price, result)) {
+        alert.armed = true;
+      }
+
+      // Snoozed and cooling-down alerts keep their state current but stay quiet
+      if (result.triggered && getAlertState(alert, now) === ALERT_STATES.ACTIVE) {
         triggered.push({
           alert,
           product,
           ...result,
         });
-
-        // Mark alert as triggered
-        alert.triggeredAt = Date.now();
+        recordTrigger(alert, price, result.message, now);
       }
 
+      updateConditionState(alert, product);
+      for (const condition of alert.conditions || []) {
+        updateConditionState(condition, product);
+      }
       alert.lastChecked = Date.now();
     }
 
@@ -287,31 +812,44 @@ const PriceAlerts = (function () {
   }
 
   /**
-   * Convert price between currencies (approximate)
+   * Convert price between currencies with the fetched exchange rates
+   * @param {number} price - Amount in fromCurrency
+   * @param {string} fromCurrency - Currency code
+   * @param {string} toCurrency - Currency code
+   * @param {number} date - Optional timestamp; past prices use the rate of their day
+   * @returns {number|null} Converted price, or null when no rate is known
    */
-  function convertCurrency(price, fromCurrency, toCurrency) {
-    const from = CURRENCIES[fromCurrency] || CURRENCIES.TRY;
-    const to = CURRENCIES[toCurrency] || CURRENCIES.TRY;
-
-    // Convert to TRY first, then to target currency
-    const tryPrice = price / from.rate;
-    return tryPrice * to.rate;
+  function convertCurrency(price, fromCurrency, toCurrency, date = null) {
+    if (fromCurrency === toCurrency) return price;
+    if (typeof ExchangeRates === "undefined") return null;
+    return ExchangeRates.convert(price, fromCurrency, toCurrency, date);
   }
 
   // Public API
   return {
     ALERT_TYPES,
+    ALERT_STATES,
+    CONDITION_TYPES,
+    RULE_MATCH,
+    PRICE_BASIS,
     CURRENCIES,
     createAlert,
     checkAlert,
+    getAlertPrice,
+    getThresholdPrice,
     formatPrice,
     getAlertDescription,
+    getAlertState,
+    snoozeAlert,
+    shouldRearm,
+    describeRuleCondition,
     saveAlerts,
     loadAlerts,
     addAlert,
     removeAlert,
     toggleAlert,
     getAlertsForProduct,
+    setProductCurrency,
     checkAllAlerts,
     convertCurrency,
   };
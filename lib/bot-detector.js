@@ -0,0 +1,112 @@
+// Bot Wall Detector v1.0
+// Recognizes captcha, challenge and consent pages served instead of a product
+
+const BotDetector = (function () {
+  "use strict";
+
+  /**
+   * Known walls. A signature matches when any of its patterns is found in the
+   * page title, the HTML or the response headers.
+   */
+  const SIGNATURES = [
+    {
+      provider: "cloudflare",
+      // The Turkish title is anchored: "bir dakika" alone also shows up in product names
+      title: [/just a moment/i, /attention required!? \| cloudflare/i, /^bir dakika(?: lütfen)?(?:\.\.\.|…)$/i],
+      // Not "challenge-platform": Cloudflare injects that script into normal pages too
+      html: [/cf-browser-verification/i, /cf_chl_opt/i, /cf-challenge/i],
+      headers: { "cf-mitigated": /challenge/i },
+    },
+    {
+      provider: "akamai",
+      title: [/^access denied$/i],
+      html: [/errors\.edgesuite\.net/i, /you don't have permission to access/i],
+    },
+    {
+      provider: "perimeterx",
+      html: [/px-captcha/i, /_pxCaptcha/i, /press (?:&amp;|&) hold/i],
+    },
+    {
+      provider: "datadome",
+      // Not the X-DataDome header: DataDome sends it on every response it lets through
+      html: [/captcha-delivery\.com/i, /geo\.captcha-delivery/i],
+    },
+    {
+      provider: "incapsula",
+      html: [/_Incapsula_Resource/i, /incapsula incident id/i],
+    },
+    {
+      provider: "captcha",
+      title: [/are you a robot/i, /robot musunuz/i, /güvenlik doğrulaması/i, /verify you are human/i],
+      // Captcha widgets alone also appear in newsletter/login forms, so only page texts count
+      html: [
+        /robot olmadığınızı/i,
+        /verify (?:that )?you are (?:a )?human/i,
+        /unusual traffic from your (?:computer|network)/i,
+      ],
+    },
+    {
+      provider: "consent",
+      title: [/before you continue/i, /devam etmeden önce/i],
+      url: [/^https?:\/\/consent\./i, /\/consent(?:[/?#]|$)/i],
+    },
+  ];
+
+  /**
+   * Check whether any pattern matches a value
+   */
+  function matchesAny(patterns, value) {
+    return !!value && (patterns || []).some((pattern) => pattern.test(value));
+  }
+
+  /**
+   * Detect a bot wall in a fetched page
+   * @param {Object} page - Fetched page
+   * @param {string} page.html - Raw HTML
+   * @param {Document} page.doc - Parsed document (optional, used for the title)
+   * @param {Headers|Object} page.headers - Response headers (optional)
+   * @param {string} page.url - Final response URL, after redirects (optional)
+   * @returns {Object|null} { provider, matched } or null if the page looks normal
+   */
+  function detect(page = {}) {
+    const { html = "", doc = null, headers = null, url = "" } = page;
+
+    const title =
+      doc?.title ||
+      (/<title[^>]*>([^<]*)<\/title>/i.exec(html) || [])[1] ||
+      "";
+
+    const getHeader = (name) =>
+      headers && typeof headers.get === "function" ? headers.get(name) : headers?.[name];
+
+    for (const signature of SIGNATURES) {
+      if (matchesAny(signature.title, title.trim())) {
+        return { provider: signature.provider, matched: "title" };
+      }
+      if (matchesAny(signature.url, url)) {
+        return { provider: signature.provider, matched: "url" };
+      }
+      if (matchesAny(signature.html, html)) {
+        return { provider: signature.provider, matched: "html" };
+      }
+      for (const [name, pattern] of Object.entries(signature.headers || {})) {
+        if (matchesAny([pattern], getHeader(name))) {
+          return { provider: signature.provider, matched: "header" };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Public API
+  return {
+    SIGNATURES,
+    detect,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.BotDetector = BotDetector;
+}
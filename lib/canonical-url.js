@@ -0,0 +1,144 @@
+// Canonical URL v1.0
+// Stable product keys: tracking parameters stripped, per-site rules, <link rel=canonical>
+
+const CanonicalUrl = (function () {
+  "use strict";
+
+  // Bump when the rules change so stored data is migrated again
+  const RULES_VERSION = 1;
+
+  // Campaign and click-tracking parameters that never select a different product
+  const TRACKING_PARAMS = new Set([
+    "gclid", "gclsrc", "dclid", "gbraid", "wbraid", "fbclid", "msclkid", "yclid", "ttclid",
+    "igshid", "twclid", "mc_cid", "mc_eid", "_ga", "_gl", "srsltid", "ref", "ref_", "referrer",
+    "affiliate", "aff_id", "adjust_campaign", "campaign", "campaignid", "adgroupid", "sclid",
+  ]);
+  const TRACKING_PREFIXES = ["utm_", "pd_rd_", "pf_rd_", "_hs", "hsa_"];
+
+  /**
+   * Check if a query parameter only tracks where the visit came from
+   */
+  function isTrackingParam(name) {
+    const key = name.toLowerCase();
+    return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some((prefix) => key.startsWith(prefix));
+  }
+
+  /**
+   * Per-site canonical rules from SiteConfigs ({ stripParams, keepParams, path })
+   */
+  function getRules(url) {
+    if (typeof SiteConfigs === "undefined") return {};
+    return SiteConfigs.getSiteConfig(url)?.canonical || {};
+  }
+
+  /**
+   * Compute the canonical form of a product URL
+   * Drops the fragment and tracking parameters, applies the site's rules and sorts the
+   * remaining parameters so that the same product always gets the same key.
+   * @param {string} url - Product URL
+   * @returns {string} Canonical URL (the input unchanged when it cannot be parsed)
+   */
+  function canonicalize(url) {
+    if (!url || typeof url !== "string") return url;
+
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch (e) {
+      return url;
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return url;
+
+    const rules = getRules(parsed.href);
+    parsed.hash = "";
+
+    // "/Some-Name/dp/B0ABC12345/ref=sr_1_1" -> "/dp/B0ABC12345"
+    if (rules.path) {
+      const match = new RegExp(rules.path.pattern).exec(parsed.pathname);
+      if (match) {
+        parsed.pathname = match[0].replace(new RegExp(rules.path.pattern), rules.path.replace);
+      }
+    }
+
+    const strip = new Set((rules.stripParams || []).map((name) => name.toLowerCase()));
+    const keep = rules.keepParams ? new Set(rules.keepParams.map((name) => name.toLowerCase())) : null;
+
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => {
+        const key = name.toLowerCase();
+        if (keep) return keep.has(key);
+        return !isTrackingParam(key) && !strip.has(key);
+      })
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    parsed.search = "";
+    for (const [name, value] of params) {
+      parsed.searchParams.append(name, value);
+    }
+
+    return parsed.toString();
+  }
+
+  /**
+   * Host without "www." for same-site checks
+   */
+  function getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+    } catch (e) {
+      return "";
+    }
+  }
+
+  /**
+   * Canonical URL of a product page: <link rel=canonical>, then og:url, then the page URL.
+   * Declared URLs pointing to another site are ignored, and sites whose canonical tag drops
+   * the variant can opt out with canonical.ignoreDocument.
+   * @param {Document} doc - Page document
+   * @param {string} url - Page URL
+   * @returns {string} Canonical URL
+   */
+  function fromDocument(doc, url) {
+    if (!doc || getRules(url).ignoreDocument) return canonicalize(url);
+
+    const candidates = [
+      doc.querySelector('link[rel="canonical"]')?.getAttribute("href"),
+      doc.querySelector('meta[property="og:url"]')?.getAttribute("content"),
+    ];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      try {
+        const resolved = new URL(candidate.trim(), url).href;
+        if (getHost(resolved) === getHost(url)) {
+          return canonicalize(resolved);
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return canonicalize(url);
+  }
+
+  /**
+   * Check if two URLs point to the same product
+   */
+  function isSame(a, b) {
+    return !!a && !!b && canonicalize(a) === canonicalize(b);
+  }
+
+  // Public API
+  return {
+    RULES_VERSION,
+    canonicalize,
+    fromDocument,
+    isSame,
+    isTrackingParam,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.CanonicalUrl = CanonicalUrl;
+}
@@ -65,6 +65,57 @@ const Config = (function () {
     MESSAGE_TIMEOUT_MS: 10000,
   };
 
+  /**
+   * Background fetch queue (politeness towards shops)
+   * @constant
+   */
+  const FETCH_QUEUE = {
+    /** Requests in flight across all hosts */
+    CONCURRENCY: 4,
+    /** Requests in flight per host */
+    PER_HOST_CONCURRENCY: 1,
+    /** Minimum time between two request starts on the same host */
+    MIN_SPACING_MS: 3000,
+    /** Random extra spacing added per request */
+    JITTER_MS: 2000,
+    /** Back-off after a 429/503 without Retry-After (doubles on repeat) */
+    DEFAULT_BACKOFF_MS: 60000,
+    /** Longest a host is paused */
+    MAX_BACKOFF_MS: 60 * 60 * 1000,
+    /** Throttled requests are retried only if the wait is shorter than this */
+    MAX_RETRY_WAIT_MS: 120000,
+    /** Retries of a throttled request */
+    MAX_THROTTLE_RETRIES: 1,
+  };
+
+  /**
+   * Persistent retry queue for failed checks
+   * @constant
+   */
+  const RETRY_QUEUE = {
+    /** storage.local key of the queue */
+    STORAGE_KEY: "retryQueue",
+    /** Alarm that processes due retries */
+    ALARM_NAME: "retryFailed",
+    /** Delay before the first retry */
+    BASE_DELAY_MS: 5 * 60 * 1000,
+    /** Longest delay between retries */
+    MAX_DELAY_MS: 6 * 60 * 60 * 1000,
+    /** Random share added to each delay (0.2 = up to +20%) */
+    JITTER_RATIO: 0.2,
+  };
+
+  /**
+   * Background tab rendering
+   * @constant
+   */
+  const TAB_RENDER = {
+    /** How long to wait for content.js to report the product */
+    TIMEOUT_MS: 30000,
+    /** Background tabs open at the same time */
+    MAX_TABS: 2,
+  };
+
   /**
    * UI settings
    * @constant
@@ -98,6 +149,10 @@ const Config = (function () {
     autoBackup: true,
     autoBackupInterval: 24, // hours
     theme: "auto", // auto, light, dark
+    adaptivePolling: true,
+    adaptiveMinInterval: 15, // minutes
+    adaptiveMaxInterval: 720, // minutes
+    exchangeRateProvider: "frankfurter", // frankfurter, fixture
   };
 
   /**
@@ -148,10 +203,108 @@ const Config = (function () {
     MAX_PRICE: 1000000,
     /** Minimum price value */
     MIN_PRICE: 0,
-    /** Maximum price history entries */
+    /** Maximum recent price changes kept inline on the product (full history lives in PriceHistory) */
     MAX_PRICE_HISTORY: 30,
-    /** Maximum number of products that can be tracked */
-    MAX_PRODUCTS: 50,
+  };
+
+  /**
+   * Price history store settings
+   * @constant
+   */
+  const HISTORY = {
+    /** Storage key prefix for per-product history records */
+    STORAGE_PREFIX: "priceHistory_",
+    /** Raw observations younger than this are kept as-is (days) */
+    RAW_RETENTION_DAYS: 30,
+    /** Daily buckets younger than this are kept before folding into weekly buckets (days) */
+    DAILY_RETENTION_DAYS: 365,
+    /** Unchanged observations further apart than this start a new point, leaving a visible gap */
+    MAX_GAP_MS: 3 * 60 * 60 * 1000,
+  };
+
+  /**
+   * Check scheduler settings
+   * @constant
+   */
+  const SCHEDULER = {
+    /** Shortest allowed check interval in minutes */
+    MIN_INTERVAL_MINUTES: 5,
+    /** Longest allowed check interval in minutes (one week) */
+    MAX_INTERVAL_MINUTES: 10080,
+    /** Upper bound for the wake-up alarm delay, so schedule edits are picked up */
+    MAX_ALARM_DELAY_MINUTES: 60,
+    /** History window (days) used to measure how often a price changes */
+    ADAPTIVE_WINDOW_DAYS: 30,
+    /** Days of history needed before the interval starts adapting */
+    ADAPTIVE_MIN_OBSERVED_DAYS: 2,
+    /** Checks wanted between two expected price changes */
+    ADAPTIVE_CHECKS_PER_CHANGE: 96,
+  };
+
+  /**
+   * Alert firing settings
+   * @constant
+   */
+  const ALERTS = {
+    /** Hours a repeating alert stays quiet after firing */
+    COOLDOWN_HOURS: 24,
+    /** How far (%) the price must move back past the threshold before an alert re-arms */
+    HYSTERESIS_PERCENT: 2,
+    /** Triggers kept per alert */
+    HISTORY_LIMIT: 50,
+  };
+
+  /**
+   * Event log retention
+   * @constant
+   */
+  const EVENT_LOG = {
+    /** Events older than this are removed (days) */
+    RETENTION_DAYS: 365,
+    /** Newest events kept when the log grows past this */
+    MAX_ENTRIES: 20000,
+    /** Appends between pruning passes */
+    PRUNE_EVERY: 100,
+  };
+
+  /**
+   * Deal score thresholds
+   * @constant
+   */
+  const DEAL_SCORE = {
+    /** Less history than this is not enough to judge a price (days) */
+    MIN_HISTORY_DAYS: 7,
+    /** A higher price that lasted at most this long before a sale counts as a raise (days) */
+    RAISE_WINDOW_DAYS: 30,
+    /** How far before a raise the normal price is averaged (days) */
+    BASELINE_DAYS: 30,
+    /** Prices closer than this fraction are the same price level */
+    TOLERANCE: 0.03,
+    /** Score cap for a sale whose previous price was inflated */
+    INFLATED_MAX_SCORE: 35,
+  };
+
+  /**
+   * Exchange rate settings
+   * @constant
+   */
+  const EXCHANGE_RATES = {
+    /** storage.local key of the rate table and its daily history */
+    STORAGE_KEY: "exchangeRates",
+    /** Alarm that refreshes the rates */
+    ALARM_NAME: "exchangeRates",
+    /** Currency the stored rates are relative to */
+    BASE: "TRY",
+    /** Hours between scheduled refreshes */
+    REFRESH_HOURS: 12,
+    /** Rates older than this are shown as stale (hours) */
+    MAX_AGE_HOURS: 72,
+    /** Days fetched on the first refresh so older prices have the rate of their day */
+    BACKFILL_DAYS: 365,
+    /** Daily rates older than this are dropped (days) */
+    HISTORY_DAYS: 1825,
+    /** Bundled rate table read by the fixture provider */
+    FIXTURE_PATH: "fixtures/exchange-rates.json",
   };
 
   /**
@@ -160,6 +313,7 @@ const Config = (function () {
    */
   const MESSAGE_ACTIONS = {
     CHECK_ALL_PRICES: "checkAllPrices",
+    CHECK_DUE_PRODUCTS: "checkDueProducts",
     CHECK_SINGLE_PRODUCT: "checkSingleProduct",
     GET_PRODUCT_INFO: "getProductInfo",
     UPDATE_SETTINGS: "updateSettings",
@@ -175,6 +329,15 @@ const Config = (function () {
     ADD_ALERT: "addAlert",
     REMOVE_ALERT: "removeAlert",
     GET_ALERTS: "getAlerts",
+    SNOOZE_ALERT: "snoozeAlert",
+    // Price history
+    GET_PRICE_HISTORY: "getPriceHistory",
+    // Scheduling
+    UPDATE_SCHEDULE: "updateSchedule",
+    // Re-check a product in a real browser tab
+    RECHECK_IN_TAB: "recheckInTab",
+    // Fetch exchange rates now
+    REFRESH_EXCHANGE_RATES: "refreshExchangeRates",
   };
 
   // Public API
@@ -184,10 +347,19 @@ const Config = (function () {
     CONFIDENCE,
     MUTATION,
     NETWORK,
+    FETCH_QUEUE,
+    RETRY_QUEUE,
+    TAB_RENDER,
     UI,
     DEFAULT_SETTINGS,
     CONTENT_TIMING,
     VALIDATION,
+    HISTORY,
+    SCHEDULER,
+    ALERTS,
+    EVENT_LOG,
+    DEAL_SCORE,
+    EXCHANGE_RATES,
     MESSAGE_ACTIONS,
     CURRENCIES,
     CURRENCY_PATTERNS,
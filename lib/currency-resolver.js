@@ -0,0 +1,253 @@
+// Currency Resolver v1.0
+// Decides the currency of a product page: structured data, price symbol, site default, then domain and language
+
+const CurrencyResolver = (function () {
+  "use strict";
+
+  const SOURCES = {
+    STRUCTURED: "structured",
+    SYMBOL: "symbol",
+    SITE: "site",
+    TLD: "tld",
+    LOCALE: "locale",
+    DEFAULT: "default",
+  };
+
+  const SOURCE_LABELS = {
+    structured: "yapısal veri",
+    symbol: "fiyat simgesi",
+    site: "site varsayılanı",
+    tld: "alan adı uzantısı",
+    locale: "sayfa dili",
+    default: "varsayılan",
+  };
+
+  const DEFAULT_CURRENCY = "TRY";
+
+  const CURRENCY_PATTERNS =
+    typeof Config !== "undefined" && Config.CURRENCY_PATTERNS
+      ? Config.CURRENCY_PATTERNS
+      : {
+          TRY: /(?:₺|TL|TRY|Türk\s*Lirası)/i,
+          USD: /(?:\$|USD|US\s*Dollar)/i,
+          EUR: /(?:€|EUR|Euro)/i,
+          GBP: /(?:£|GBP|Pound)/i,
+        };
+
+  const KNOWN_CURRENCIES = Object.keys(CURRENCY_PATTERNS);
+
+  // Country code (domain extension or locale region) → currency
+  const COUNTRY_CURRENCIES = {
+    tr: "TRY",
+    us: "USD",
+    uk: "GBP",
+    gb: "GBP",
+    de: "EUR",
+    fr: "EUR",
+    it: "EUR",
+    es: "EUR",
+    nl: "EUR",
+    be: "EUR",
+    at: "EUR",
+    ie: "EUR",
+    fi: "EUR",
+    pt: "EUR",
+    gr: "EUR",
+    lu: "EUR",
+    sk: "EUR",
+    si: "EUR",
+    ee: "EUR",
+    lv: "EUR",
+    lt: "EUR",
+    hr: "EUR",
+  };
+
+  // Page languages spoken in a single currency area (without a region)
+  const LANGUAGE_CURRENCIES = {
+    tr: "TRY",
+    de: "EUR",
+    it: "EUR",
+    nl: "EUR",
+    fi: "EUR",
+    el: "EUR",
+  };
+
+  /**
+   * Known ISO code, or null
+   */
+  function normalize(code) {
+    if (!code || typeof code !== "string") return null;
+    const upper = code.trim().toUpperCase();
+    return KNOWN_CURRENCIES.includes(upper) ? upper : null;
+  }
+
+  /**
+   * priceCurrency of the first offer in JSON-LD items (arrays, @graph and nested offers)
+   */
+  function currencyFromJsonLd(node, depth = 0) {
+    if (!node || typeof node !== "object" || depth > 5) return null;
+    if (Array.isArray(node)) {
+      for (const item of node.slice(0, 20)) {
+        const found = currencyFromJsonLd(item, depth + 1);
+        if (found) return found;
+      }
+      return null;
+    }
+
+    const own = normalize(node.priceCurrency);
+    if (own) return own;
+
+    for (const key of ["@graph", "offers", "priceSpecification", "mainEntity"]) {
+      const found = currencyFromJsonLd(node[key], depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Currency declared by the page: JSON-LD, microdata or product meta tags
+   * @param {Document} doc - Page document
+   * @returns {string|null} Currency code
+   */
+  function fromStructuredData(doc) {
+    if (!doc) return null;
+
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const content = script.textContent;
+        if (!content || content.length > 500000) continue;
+        const found = currencyFromJsonLd(JSON.parse(content));
+        if (found) return found;
+      } catch (parseError) {
+        continue;
+      }
+    }
+
+    const element = doc.querySelector(
+      '[itemprop="priceCurrency"], meta[property="product:price:currency"], meta[property="og:price:currency"]'
+    );
+    return element ? normalize(element.getAttribute("content") || element.textContent) : null;
+  }
+
+  /**
+   * Currency of a price text via Config.CURRENCY_PATTERNS; the earliest match wins
+   * @param {string} text - Price text, e.g. "1.299,00 TL" or "€ 12,99"
+   * @returns {string|null} Currency code
+   */
+  function fromSymbol(text) {
+    if (!text || typeof text !== "string") return null;
+
+    let best = null;
+    for (const [code, pattern] of Object.entries(CURRENCY_PATTERNS)) {
+      const match = text.match(pattern);
+      if (match && (!best || match.index < best.index)) {
+        best = { code, index: match.index };
+      }
+    }
+    return best ? best.code : null;
+  }
+
+  /**
+   * Default currency of a configured shop (the generic config has none)
+   */
+  function fromSite(siteConfig) {
+    return siteConfig ? normalize(siteConfig.currency) : null;
+  }
+
+  /**
+   * Currency of a country domain extension (amazon.de, ebay.co.uk, amazon.com.tr)
+   * @param {string} url - Page URL
+   * @returns {string|null} Currency code
+   */
+  function fromHostname(url) {
+    try {
+      const tld = new URL(url).hostname.toLowerCase().split(".").pop();
+      return COUNTRY_CURRENCIES[tld] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Currency of the page language: the region when given (en-GB), else the language (de)
+   * @param {Document} doc - Page document
+   * @returns {string|null} Currency code
+   */
+  function fromLocale(doc) {
+    if (!doc) return null;
+
+    const locale =
+      doc.documentElement?.getAttribute("lang") ||
+      doc.querySelector('meta[property="og:locale"]')?.getAttribute("content") ||
+      "";
+    const [language, region] = locale.toLowerCase().split(/[-_]/);
+
+    if (region) return COUNTRY_CURRENCIES[region] || null;
+    return LANGUAGE_CURRENCIES[language] || null;
+  }
+
+  /**
+   * Resolve the currency of a product
+   * Every source is evaluated; sources that disagree with the chosen one are reported as conflicts.
+   * @param {Object} input - { doc, url, priceText, siteConfig }
+   * @returns {Object} { currency, source, conflicts } (conflicts: [{ source, currency }] or null)
+   */
+  function resolve(input = {}) {
+    const { doc = null, url = "", priceText = "" } = input;
+    const siteConfig =
+      input.siteConfig !== undefined
+        ? input.siteConfig
+        : url && typeof SiteConfigs !== "undefined"
+        ? SiteConfigs.getSiteConfig(url)
+        : null;
+
+    const candidates = [
+      { source: SOURCES.STRUCTURED, currency: fromStructuredData(doc) },
+      { source: SOURCES.SYMBOL, currency: fromSymbol(priceText) },
+      { source: SOURCES.SITE, currency: fromSite(siteConfig) },
+      { source: SOURCES.TLD, currency: fromHostname(url) },
+      { source: SOURCES.LOCALE, currency: fromLocale(doc) },
+    ].filter((candidate) => candidate.currency);
+
+    const chosen = candidates[0] || { source: SOURCES.DEFAULT, currency: DEFAULT_CURRENCY };
+    const conflicts = candidates.filter((candidate) => candidate.currency !== chosen.currency);
+
+    return {
+      currency: chosen.currency,
+      source: chosen.source,
+      conflicts: conflicts.length > 0 ? conflicts : null,
+    };
+  }
+
+  /**
+   * Explain a product's currency decision, e.g. for a tooltip
+   * @param {Object} product - Product with currency, currencySource and currencyConflicts
+   * @returns {string} Explanation
+   */
+  function describe(product) {
+    if (!product || !product.currencySource) return "";
+
+    const text = `${product.currency}: ${SOURCE_LABELS[product.currencySource] || product.currencySource}`;
+    const conflicts = (product.currencyConflicts || []).map(
+      (conflict) => `${SOURCE_LABELS[conflict.source] || conflict.source} ${conflict.currency} diyor`
+    );
+    return conflicts.length > 0 ? `${text} · ${conflicts.join(", ")}` : text;
+  }
+
+  // Public API
+  return {
+    SOURCES,
+    fromStructuredData,
+    fromSymbol,
+    fromSite,
+    fromHostname,
+    fromLocale,
+    resolve,
+    describe,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.CurrencyResolver = CurrencyResolver;
+}
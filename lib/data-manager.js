@@ -4,35 +4,60 @@
 const DataManager = (function () {
   "use strict";
 
-  const EXPORT_VERSION = "2.1.0";
+  const EXPORT_VERSION = "2.4.0";
+
+  // CanonicalUrl.RULES_VERSION the stored data was last migrated with
+  const CANONICAL_FLAG = "canonicalUrlsVersion";
 
   /**
    * Export all extension data
+   * @param {Object} options Export options ({ includeHistory, includeEvents })
    * @returns {Object} Exportable data object
    */
-  async function exportAll() {
+  async function exportAll(options = {}) {
+    const { includeHistory = true, includeEvents = includeHistory } = options;
+
     try {
       const [products, settings, alerts, customSelectors, darkMode] = await Promise.all([
-        browser.storage.local.get("trackedProducts"),
+        ProductStore.getAll(),
         browser.storage.local.get("settings"),
         browser.storage.local.get("priceAlerts"),
         browser.storage.sync.get(null), // Get all sync storage (custom selectors)
         browser.storage.local.get("darkMode"),
       ]);
 
+      const priceHistory =
+        includeHistory && typeof PriceHistory !== "undefined"
+          ? await PriceHistory.exportAll()
+          : {};
+
+      const events =
+        includeEvents && typeof EventLog !== "undefined" ? await EventLog.exportAll() : [];
+
+      const productGroups =
+        typeof ProductGroups !== "undefined"
+          ? await ProductGroups.exportAll()
+          : { groups: [], exclusions: [] };
+
       const exportData = {
         version: EXPORT_VERSION,
         exportDate: new Date().toISOString(),
         metadata: {
-          productCount: (products.trackedProducts || []).length,
+          productCount: products.length,
           alertCount: (alerts.priceAlerts || []).length,
+          historyCount: Object.keys(priceHistory).length,
+          eventCount: events.length,
+          groupCount: productGroups.groups.length,
           browserInfo: navigator.userAgent,
         },
         data: {
-          products: products.trackedProducts || [],
+          products,
           settings: settings.settings || {},
           alerts: alerts.priceAlerts || [],
           customSelectors: customSelectors || {},
+          priceHistory,
+          events,
+          productGroups,
           preferences: {
             darkMode: darkMode.darkMode || false,
           },
@@ -73,7 +98,14 @@ const DataManager = (function () {
    * @param {Object} options Import options
    */
   async function importData(importData, options = {}) {
-    const { merge = false, skipSettings = false, skipProducts = false, skipAlerts = false } = options;
+    const {
+      merge = false,
+      skipSettings = false,
+      skipProducts = false,
+      skipAlerts = false,
+      skipHistory = false,
+      skipEvents = skipHistory,
+    } = options;
 
     try {
       // Parse if string
@@ -95,29 +127,33 @@ const DataManager = (function () {
       const results = {
         products: { imported: 0, skipped: 0 },
         alerts: { imported: 0, skipped: 0 },
+        history: { imported: 0 },
+        events: { imported: 0 },
+        groups: { imported: 0 },
         settings: false,
       };
 
+      // Imported products merged into an existing one under another URL
+      let remapUrl = (url) => url;
+
       // Import products
       if (!skipProducts && data.data.products) {
-        const existingProducts = merge
-          ? (await browser.storage.local.get("trackedProducts")).trackedProducts || []
-          : [];
+        const existingProducts = merge ? await ProductStore.getAll() : [];
 
-        let newProducts = merge
-          ? mergeProducts(existingProducts, data.data.products)
-          : data.data.products;
-
-        // Apply maximum product limit
-        const maxProducts = (typeof Config !== "undefined" && Config.VALIDATION?.MAX_PRODUCTS) || 50;
-        if (newProducts.length > maxProducts) {
-          results.products.skipped += newProducts.length - maxProducts;
-          newProducts = newProducts.slice(0, maxProducts);
+        let newProducts = data.data.products;
+        if (merge) {
+          const merged = mergeProducts(existingProducts, data.data.products);
+          newProducts = merged.products;
+          remapUrl = (url) => merged.remapped.get(ProductStore.toKey(url)) || url;
         }
 
-        await browser.storage.local.set({ trackedProducts: newProducts });
-        results.products.imported = newProducts.length;
-        results.products.skipped += data.data.products.length - (newProducts.length - existingProducts.length);
+        // Merging only upserts; a plain import replaces the collection
+        const written = merge
+          ? await ProductStore.putMany(newProducts)
+          : await ProductStore.replaceAll(newProducts);
+
+        results.products.imported = written;
+        results.products.skipped += data.data.products.length - (written - existingProducts.length);
       }
 
       // Import alerts
@@ -127,13 +163,48 @@ const DataManager = (function () {
           : [];
 
         const newAlerts = merge
-          ? mergeAlerts(existingAlerts, data.data.alerts)
+          ? mergeAlerts(
+              existingAlerts,
+              data.data.alerts.map((alert) => ({ ...alert, productUrl: remapUrl(alert.productUrl) }))
+            )
           : data.data.alerts;
 
         await browser.storage.local.set({ priceAlerts: newAlerts });
         results.alerts.imported = newAlerts.length;
       }
 
+      // Import price history
+      if (!skipHistory && data.data.priceHistory && typeof PriceHistory !== "undefined") {
+        const records = Object.entries(data.data.priceHistory);
+        const moved = records.filter(([url]) => remapUrl(url) !== url);
+
+        results.history.imported = await PriceHistory.importAll(
+          Object.fromEntries(records.filter(([url]) => remapUrl(url) === url)),
+          { merge }
+        );
+        // History of a remapped product joins the record of the product it was merged into
+        for (const [url, record] of moved) {
+          results.history.imported += await PriceHistory.importAll(
+            { [remapUrl(url)]: record },
+            { merge: true }
+          );
+        }
+      }
+
+      // Import event log
+      if (!skipEvents && Array.isArray(data.data.events) && typeof EventLog !== "undefined") {
+        const events = data.data.events.map((event) =>
+          event && event.productUrl ? { ...event, productUrl: remapUrl(event.productUrl) } : event
+        );
+        results.events.imported = await EventLog.importAll(events, { merge });
+      }
+
+      // Import product groups (backups before 2.4.0 have none)
+      if (!skipProducts && data.data.productGroups && typeof ProductGroups !== "undefined") {
+        results.groups.imported = await ProductGroups.importAll(data.data.productGroups, { merge });
+        if (merge) await ProductGroups.remapUrls(remapUrl);
+      }
+
       // Import settings
       if (!skipSettings && data.data.settings) {
         await browser.storage.local.set({ settings: data.data.settings });
@@ -156,6 +227,9 @@ const DataManager = (function () {
         }
       }
 
+      // Backups from before canonical URLs (or older rules) key alerts and history by raw URLs
+      await migrateCanonicalUrls({ force: true });
+
       return { success: true, results };
     } catch (error) {
       console.error("[DataManager] Import error:", error);
@@ -184,18 +258,73 @@ const DataManager = (function () {
     });
   }
 
+  /**
+   * Keys that identify the same listing of a shop independent of its URL
+   * (tracking parameters, mobile hosts): the domain and tracked variant with the GTIN or SKU
+   * @param {Object} product - Product
+   * @returns {Array<string>} Identity keys (empty when the product has no identifiers)
+   */
+  function getIdentityKeys(product) {
+    const identifiers = product?.identifiers;
+    if (!identifiers) return [];
+
+    let domain = product.domain;
+    if (!domain) {
+      try {
+        domain = new URL(product.url).hostname;
+      } catch (e) {
+        return [];
+      }
+    }
+
+    const scope = `${domain.replace(/^www\./, "")}|${product.variant?.key || ""}`;
+    const keys = [];
+
+    const gtin = String(identifiers.gtin || "").replace(/\D/g, "").replace(/^0+/, "");
+    if (gtin.length >= 7) keys.push(`${scope}|gtin:${gtin}`);
+
+    const sku = String(identifiers.sku || "").trim().toLowerCase();
+    if (sku) keys.push(`${scope}|sku:${sku}`);
+
+    return keys;
+  }
+
   /**
    * Merge products without duplicates
+   * Products match by URL, or by GTIN/SKU within the same shop.
+   * @returns {Object} { products, remapped: Map of imported URL key → URL of the product it joined }
    */
   function mergeProducts(existing, imported) {
-    const urlMap = new Map(existing.map((p) => [p.url, p]));
+    const urlMap = new Map(existing.map((p) => [ProductStore.toKey(p.url), p]));
+    const identityMap = new Map();
+    const remapped = new Map();
+
+    const addIdentity = (product) => {
+      for (const key of getIdentityKeys(product)) {
+        if (!identityMap.has(key)) identityMap.set(key, product);
+      }
+    };
+    existing.forEach(addIdentity);
 
     for (const product of imported) {
-      if (!urlMap.has(product.url)) {
-        urlMap.set(product.url, product);
+      const existingProduct =
+        urlMap.get(ProductStore.toKey(product.url)) ||
+        getIdentityKeys(product)
+          .map((key) => identityMap.get(key))
+          .find(Boolean);
+
+      if (!existingProduct) {
+        urlMap.set(ProductStore.toKey(product.url), product);
+        addIdentity(product);
       } else {
+        existingProduct.identifiers = existingProduct.identifiers || product.identifiers || null;
+
+        const key = ProductStore.toKey(product.url);
+        if (key !== ProductStore.toKey(existingProduct.url)) {
+          remapped.set(key, existingProduct.url);
+        }
+
         // Merge price history
-        const existingProduct = urlMap.get(product.url);
         if (product.priceHistory && existingProduct.priceHistory) {
           const historyMap = new Map(existingProduct.priceHistory.map((h) => [h.date, h]));
           for (const entry of product.priceHistory) {
@@ -208,7 +337,7 @@ const DataManager = (function () {
       }
     }
 
-    return Array.from(urlMap.values());
+    return { products: Array.from(urlMap.values()), remapped };
   }
 
   /**
@@ -220,7 +349,9 @@ const DataManager = (function () {
     for (const alert of imported) {
       // Check if same product/type alert exists
       const duplicate = existing.find(
-        (a) => a.productUrl === alert.productUrl && a.type === alert.type
+        (a) =>
+          ProductStore.toKey(a.productUrl) === ProductStore.toKey(alert.productUrl) &&
+          a.type === alert.type
       );
       if (!duplicate) {
         // Generate new ID to avoid conflicts
@@ -232,6 +363,62 @@ const DataManager = (function () {
     return Array.from(idMap.values());
   }
 
+  /**
+   * Move products, price history, alerts and groups to canonical product URLs (CanonicalUrl)
+   * Runs once per rules version; imports force a run for the data they bring in.
+   * @param {Object} options - { force }
+   * @returns {Promise<Object|null>} Moved counts, or null when nothing had to run
+   */
+  async function migrateCanonicalUrls(options = {}) {
+    const { force = false } = options;
+    if (typeof CanonicalUrl === "undefined") return null;
+
+    const flags = await browser.storage.local.get(CANONICAL_FLAG);
+    if (!force && flags[CANONICAL_FLAG] === CanonicalUrl.RULES_VERSION) return null;
+
+    const toKey = CanonicalUrl.canonicalize;
+    const results = { products: 0, history: 0, alerts: 0, groups: false };
+
+    try {
+      results.products = await ProductStore.migrateKeys();
+
+      // History of duplicates is merged into the record of the canonical URL
+      if (typeof PriceHistory !== "undefined") {
+        const records = await PriceHistory.exportAll();
+        for (const [url, record] of Object.entries(records)) {
+          const key = toKey(url);
+          if (key === url) continue;
+
+          await PriceHistory.importAll({ [key]: record }, { merge: true });
+          await PriceHistory.removeHistory(url);
+          results.history++;
+        }
+      }
+
+      const { priceAlerts = [] } = await browser.storage.local.get("priceAlerts");
+      for (const alert of priceAlerts) {
+        const key = toKey(alert.productUrl);
+        if (key !== alert.productUrl) {
+          alert.productUrl = key;
+          results.alerts++;
+        }
+      }
+      if (results.alerts > 0) {
+        await browser.storage.local.set({ priceAlerts });
+      }
+
+      if (typeof ProductGroups !== "undefined") {
+        results.groups = await ProductGroups.remapUrls(toKey);
+      }
+
+      await browser.storage.local.set({ [CANONICAL_FLAG]: CanonicalUrl.RULES_VERSION });
+      return results;
+    } catch (error) {
+      console.error("[DataManager] Canonical URL migration error:", error);
+      throw new Error("URL geçişi başarısız: " + error.message);
+    }
+  }
+
   /**
    * Migrate from v1 format
    */
@@ -244,7 +431,7 @@ const DataManager = (function () {
         lastCheckStatus: p.lastCheckStatus || "unknown",
         confidence: p.confidence || 0.7,
       }));
-      await browser.storage.local.set({ trackedProducts: migratedProducts });
+      await ProductStore.replaceAll(migratedProducts);
     }
 
     if (oldData.settings) {
@@ -260,7 +447,19 @@ const DataManager = (function () {
 
     try {
       if (!keepProducts) {
-        await browser.storage.local.remove("trackedProducts");
+        await ProductStore.clear();
+        if (typeof PriceHistory !== "undefined") {
+          await PriceHistory.clearAll();
+        }
+        if (typeof RetryQueue !== "undefined") {
+          await RetryQueue.clear();
+        }
+        if (typeof ProductGroups !== "undefined") {
+          await ProductGroups.clear();
+        }
+        if (typeof EventLog !== "undefined") {
+          await EventLog.clear();
+        }
       }
       if (!keepSettings) {
         await browser.storage.local.remove("settings");
@@ -286,9 +485,11 @@ const DataManager = (function () {
     try {
       const local = await browser.storage.local.get(null);
       const sync = await browser.storage.sync.get(null);
+      const products = await ProductStore.getAll();
 
       const localSize = new Blob([JSON.stringify(local)]).size;
       const syncSize = new Blob([JSON.stringify(sync)]).size;
+      const productsSize = new Blob([JSON.stringify(products)]).size;
 
       return {
         local: {
@@ -301,9 +502,14 @@ const DataManager = (function () {
           sizeFormatted: formatBytes(syncSize),
           keys: Object.keys(sync).length,
         },
+        products: {
+          size: productsSize,
+          sizeFormatted: formatBytes(productsSize),
+          count: products.length,
+        },
         total: {
-          size: localSize + syncSize,
-          sizeFormatted: formatBytes(localSize + syncSize),
+          size: localSize + syncSize + productsSize,
+          sizeFormatted: formatBytes(localSize + syncSize + productsSize),
         },
       };
     } catch (error) {
@@ -335,7 +541,8 @@ const DataManager = (function () {
    */
   async function createAutoBackup() {
     try {
-      const data = await exportAll();
+      // History records and the event log live in their own stores and are not duplicated into backups
+      const data = await exportAll({ includeHistory: false });
       const backupKey = `backup_${Date.now()}`;
 
       // Store in local storage (keep last 3 backups)
@@ -404,6 +611,7 @@ const DataManager = (function () {
     importData,
     importFromFile,
     clearAll,
+    migrateCanonicalUrls,
     getStorageStats,
     createAutoBackup,
     restoreFromAutoBackup,
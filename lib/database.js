@@ -0,0 +1,150 @@
+// IndexedDB Access Layer v1.0
+// Shared database connection and versioned schema migrations
+
+const PriceTrackerDB = (function () {
+  "use strict";
+
+  const DB_NAME = "fiyatTakipci";
+
+  /**
+   * Schema migrations, one per database version.
+   * Never edit a shipped migration - append a new one instead.
+   */
+  const MIGRATIONS = [
+    // v1: tracked products keyed by URL
+    (db) => {
+      const products = db.createObjectStore("products", { keyPath: "url" });
+      products.createIndex("domain", "domain", { unique: false });
+      products.createIndex("status", "lastCheckStatus", { unique: false });
+      products.createIndex("lastCheck", "lastCheck", { unique: false });
+    },
+    // v2: append-only event log
+    (db) => {
+      const events = db.createObjectStore("events", { keyPath: "id", autoIncrement: true });
+      events.createIndex("productUrl", "productUrl", { unique: false });
+      events.createIndex("type", "type", { unique: false });
+      events.createIndex("timestamp", "timestamp", { unique: false });
+    },
+  ];
+
+  const DB_VERSION = MIGRATIONS.length;
+
+  let dbPromise = null;
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<*>} Request result
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open (and upgrade if needed) the shared database
+   * @returns {Promise<IDBDatabase>} Database connection
+   */
+  function open() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const tx = request.transaction;
+        for (let version = event.oldVersion; version < DB_VERSION; version++) {
+          MIGRATIONS[version](db, tx);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another page upgraded the schema - drop our stale connection
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+
+      request.onblocked = () => {
+        console.warn("[Database] Upgrade blocked by another open connection");
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run work inside a transaction and resolve once it commits
+   * @param {string|Array<string>} storeNames - Object store name(s)
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} work - Receives the store (or stores object) and may return a value or promise
+   * @returns {Promise<*>} Value returned by work
+   */
+  async function transaction(storeNames, mode, work) {
+    const db = await open();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const tx = db.transaction(names, mode);
+
+    const stores = Array.isArray(storeNames)
+      ? Object.fromEntries(names.map((name) => [name, tx.objectStore(name)]))
+      : tx.objectStore(storeNames);
+
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+
+    let result;
+    try {
+      result = await work(stores, tx);
+    } catch (error) {
+      done.catch(() => {});
+      try {
+        tx.abort();
+      } catch (e) {
+        // Transaction already finished
+      }
+      throw error;
+    }
+
+    await done;
+    return result;
+  }
+
+  /**
+   * Close the shared connection
+   */
+  async function close() {
+    if (!dbPromise) return;
+    const db = await dbPromise;
+    db.close();
+    dbPromise = null;
+  }
+
+  // Public API
+  return {
+    DB_NAME,
+    DB_VERSION,
+    open,
+    transaction,
+    promisify,
+    close,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.PriceTrackerDB = PriceTrackerDB;
+}
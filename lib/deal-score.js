@@ -0,0 +1,331 @@
+// Deal Score v1.0
+// Judges the current price against the stored history and spots prices raised just before a sale
+
+const DealScore = (function () {
+  "use strict";
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const GRADES = {
+    GREAT: "great",
+    GOOD: "good",
+    FAIR: "fair",
+    POOR: "poor",
+    UNKNOWN: "unknown",
+  };
+
+  const GRADE_LABELS = {
+    great: "Harika fiyat",
+    good: "İyi fiyat",
+    fair: "Ortalama fiyat",
+    poor: "Pahalı",
+    unknown: "Geçmiş az",
+  };
+
+  const DEAL_CONFIG =
+    typeof Config !== "undefined" && Config.DEAL_SCORE
+      ? Config.DEAL_SCORE
+      : {
+          MIN_HISTORY_DAYS: 7,
+          RAISE_WINDOW_DAYS: 30,
+          BASELINE_DAYS: 30,
+          TOLERANCE: 0.03,
+          INFLATED_MAX_SCORE: 35,
+        };
+
+  /**
+   * Price steps: each history point holds its price until the next one, the last until now
+   * @param {Array} series - PriceHistory.toSeries() points
+   * @param {number} now - Current time
+   * @returns {Array} [{ date, until, price, min, max }]
+   */
+  function toSteps(series, now) {
+    const points = (series || []).filter((point) => point.price > 0);
+    return points.map((point, i) => ({
+      date: point.date,
+      until: i + 1 < points.length ? points[i + 1].date : Math.max(point.end || point.date, now),
+      price: point.price,
+      min: point.min ?? point.price,
+      max: point.max ?? point.price,
+    }));
+  }
+
+  /**
+   * Time-weighted average price between two dates
+   * @returns {number|null} Average, or null without history in the range
+   */
+  function averageBetween(steps, from, to) {
+    let weighted = 0;
+    let duration = 0;
+
+    for (const step of steps) {
+      const length = Math.min(step.until, to) - Math.max(step.date, from);
+      if (length <= 0) continue;
+      weighted += step.price * length;
+      duration += length;
+    }
+
+    return duration > 0 ? weighted / duration : null;
+  }
+
+  const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+  /**
+   * Price before the latest short-lived raise, e.g. the normal price before a pre-campaign markup
+   * A raise only counts when the raised price gave way within RAISE_WINDOW_DAYS (or is that recent);
+   * a higher price that held longer is the new normal, and one that ended more than BASELINE_DAYS
+   * ago belongs to an old campaign.
+   * @returns {Object|null} { price, raisedAt }
+   */
+  function findPreRaise(steps, now) {
+    const { TOLERANCE, RAISE_WINDOW_DAYS, BASELINE_DAYS } = DEAL_CONFIG;
+
+    for (let r = steps.length - 1; r > 0; r--) {
+      if (!(steps[r].price > steps[r - 1].price * (1 + TOLERANCE))) continue;
+
+      const raisedAt = steps[r].date;
+      let end = r + 1;
+      while (end < steps.length && steps[end].price >= steps[r].price * (1 - TOLERANCE)) end++;
+      const heldUntil = end < steps.length ? steps[end].date : now;
+      if (heldUntil - raisedAt > RAISE_WINDOW_DAYS * DAY_MS) return null;
+      if (now - heldUntil > BASELINE_DAYS * DAY_MS) return null;
+
+      const baseline = averageBetween(steps, raisedAt - BASELINE_DAYS * DAY_MS, raisedAt);
+      return baseline === null ? null : { price: round(baseline), raisedAt };
+    }
+    return null;
+  }
+
+  /**
+   * All-time low/high, 30/90-day averages, percentile of the current price, the days since
+   * the price was last lower and the price before the latest short-lived raise
+   * @param {Array} series - PriceHistory.toSeries() points
+   * @param {number} price - Current price
+   * @param {number} now - Current time
+   * @returns {Object|null} Statistics, or null without history
+   */
+  function computeStats(series, price, now = Date.now()) {
+    const steps = toSteps(series, now);
+    if (steps.length === 0 || !(price > 0)) return null;
+
+    const allTimeLow = Math.min(price, ...steps.map((step) => step.min));
+    const allTimeHigh = Math.max(price, ...steps.map((step) => step.max));
+
+    // Percentile rank over time: share of the history spent below this price, ties counted half
+    let below = 0;
+    let equal = 0;
+    let total = 0;
+    for (const step of steps) {
+      const length = Math.max(step.until - step.date, 0);
+      total += length;
+      if (Math.abs(step.price - price) <= 0.01) equal += length;
+      else if (step.price < price) below += length;
+    }
+
+    // Last time a lower price was seen (the current step never counts)
+    let lastLowerAt = null;
+    for (let i = steps.length - 1; i >= 0; i--) {
+      if (steps[i].min < price - 0.01) {
+        lastLowerAt = Math.min(steps[i].until, now);
+        break;
+      }
+    }
+
+    return {
+      allTimeLow: round(allTimeLow),
+      allTimeHigh: round(allTimeHigh),
+      avg30: round(averageBetween(steps, now - 30 * DAY_MS, now)),
+      avg90: round(averageBetween(steps, now - 90 * DAY_MS, now)),
+      percentile: total > 0 ? Math.round(((below + equal / 2) / total) * 100) : null,
+      daysSinceLower: lastLowerAt !== null ? Math.floor((now - lastLowerAt) / DAY_MS) : null,
+      isAllTimeLow: price <= allTimeLow + 0.01,
+      historyDays: Math.floor((now - steps[0].date) / DAY_MS),
+      preRaise: findPreRaise(steps, now),
+    };
+  }
+
+  /**
+   * Detect a "raised before discount": the price was pushed up shortly before a sale, so the
+   * previous price the site shows is not what the product normally cost
+   * @param {Array} series - PriceHistory.toSeries() points
+   * @param {number} price - Current (sale) price
+   * @param {number|null} referencePrice - Previous price the site shows, if any
+   * @param {number} now - Current time
+   * @returns {Object|null} { reason, referencePrice, baselinePrice, claimedPercent, realPercent,
+   *   raisedAt, saleStart }, or null when the discount looks genuine or cannot be judged
+   */
+  function detectInflatedDiscount(series, price, referencePrice = null, now = Date.now()) {
+    const steps = toSteps(series, now);
+    const { TOLERANCE, RAISE_WINDOW_DAYS, BASELINE_DAYS } = DEAL_CONFIG;
+    const samePrice = (a, b) => Math.abs(a - b) <= b * TOLERANCE;
+
+    if (steps.length === 0) return null;
+
+    // Start of the current price level; a price that never moved only has the site's claim
+    let saleIndex = steps.length - 1;
+    while (saleIndex > 0 && samePrice(steps[saleIndex - 1].price, price)) saleIndex--;
+    if (saleIndex === 0) saleIndex = steps.length;
+
+    const saleStart = saleIndex < steps.length ? steps[saleIndex].date : now;
+    const windowStart = saleStart - RAISE_WINDOW_DAYS * DAY_MS;
+    const recent = steps.slice(0, saleIndex).filter((step) => step.until > windowStart);
+    const claimed = referencePrice > price ? referencePrice : Math.max(0, ...recent.map((step) => step.price));
+
+    // Not presented as a discount
+    if (!(claimed > price * (1 + TOLERANCE))) return null;
+
+    const result = (reason, raisedAt, baseline) => ({
+      reason,
+      referencePrice: round(claimed),
+      baselinePrice: round(baseline),
+      claimedPercent: Math.round(((claimed - price) / claimed) * 100),
+      realPercent: Math.round(((baseline - price) / baseline) * 100),
+      raisedAt,
+      saleStart,
+    });
+
+    // Run of prices at the claimed level right before the sale
+    let raiseIndex = saleIndex;
+    while (raiseIndex > 0 && steps[raiseIndex - 1].price >= claimed * (1 - TOLERANCE)) raiseIndex--;
+
+    if (raiseIndex === saleIndex) {
+      // The site's previous price was never the price in the weeks before the sale
+      const covered = steps[0].date <= windowStart;
+      const seen = recent.some((step) => step.max >= claimed * (1 - TOLERANCE));
+      const baseline = averageBetween(steps, windowStart, saleStart);
+      return covered && !seen && baseline !== null ? result("never_seen", null, baseline) : null;
+    }
+
+    // High since tracking began, or high long enough to be the real price
+    if (raiseIndex === 0) return null;
+    const raisedAt = steps[raiseIndex].date;
+    if (saleStart - raisedAt > RAISE_WINDOW_DAYS * DAY_MS) return null;
+
+    const baseline = averageBetween(steps, raisedAt - BASELINE_DAYS * DAY_MS, raisedAt);
+    if (baseline === null || baseline > price * (1 + TOLERANCE)) return null;
+
+    return result("raised", raisedAt, baseline);
+  }
+
+  /**
+   * 0-100 score from the statistics: where the price sits in its history and against the
+   * 90-day average. Flat histories stay in the middle; inflated sales are capped.
+   */
+  function computeScore(stats, price, inflated) {
+    const moved = stats.allTimeHigh > stats.allTimeLow * (1 + DEAL_CONFIG.TOLERANCE);
+    const position = 100 - stats.percentile;
+    const vsAverage = stats.avg90
+      ? Math.min(Math.max(50 + ((stats.avg90 - price) / stats.avg90) * 250, 0), 100)
+      : 50;
+
+    let score = Math.round(position * 0.6 + vsAverage * 0.4);
+    if (moved && stats.isAllTimeLow) score = Math.max(score, 90);
+    if (inflated) score = Math.min(score, DEAL_CONFIG.INFLATED_MAX_SCORE);
+    return score;
+  }
+
+  function toGrade(score) {
+    if (score === null) return GRADES.UNKNOWN;
+    if (score >= 80) return GRADES.GREAT;
+    if (score >= 60) return GRADES.GOOD;
+    if (score >= 40) return GRADES.FAIR;
+    return GRADES.POOR;
+  }
+
+  /**
+   * Evaluate the current price of a product
+   * @param {Array} series - PriceHistory.toSeries() points
+   * @param {number} price - Current price
+   * @param {Object} options - { referencePrice, now }
+   * @returns {Object|null} Statistics plus { score, grade, inflated, updatedAt }
+   */
+  function evaluate(series, price, options = {}) {
+    const { referencePrice = null, now = Date.now() } = options;
+    const stats = computeStats(series, price, now);
+    if (!stats) return null;
+
+    const inflated = detectInflatedDiscount(series, price, referencePrice, now);
+    const score =
+      stats.historyDays >= DEAL_CONFIG.MIN_HISTORY_DAYS && stats.percentile !== null
+        ? computeScore(stats, price, inflated)
+        : null;
+
+    return {
+      ...stats,
+      score,
+      grade: toGrade(score),
+      inflated,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * Short label for a deal badge
+   * @param {Object} deal - evaluate() result
+   * @returns {string} Label
+   */
+  function describe(deal) {
+    if (!deal) return "";
+    if (deal.inflated) return "Şişirilmiş indirim";
+    return GRADE_LABELS[deal.grade] || GRADE_LABELS.unknown;
+  }
+
+  /**
+   * Explanation lines for a deal badge tooltip
+   * @param {Object} deal - evaluate() result
+   * @param {string} currency - Currency code
+   * @returns {Array<string>} Lines
+   */
+  function explain(deal, currency = "") {
+    if (!deal) return [];
+    const money = (value) => `${value.toFixed(2)} ${currency}`.trim();
+    const lines = [];
+
+    if (deal.score !== null) lines.push(`Fırsat puanı: ${deal.score}/100`);
+    lines.push(`En düşük: ${money(deal.allTimeLow)} · En yüksek: ${money(deal.allTimeHigh)}`);
+    if (deal.avg30 !== null) lines.push(`30 gün ort.: ${money(deal.avg30)}`);
+    if (deal.avg90 !== null) lines.push(`90 gün ort.: ${money(deal.avg90)}`);
+    if (deal.percentile !== null) lines.push(`Geçmişin %${deal.percentile} kadarında daha ucuzdu`);
+    lines.push(
+      deal.isAllTimeLow
+        ? "Şimdiye kadarki en düşük fiyat"
+        : deal.daysSinceLower !== null
+        ? `Son daha düşük fiyat: ${deal.daysSinceLower} gün önce`
+        : ""
+    );
+
+    if (deal.preRaise) {
+      lines.push(
+        `Son zamdan önceki fiyat: ${money(deal.preRaise.price)} (${new Date(deal.preRaise.raisedAt).toLocaleDateString("tr-TR")})`
+      );
+    }
+
+    if (deal.inflated) {
+      const { reason, baselinePrice, referencePrice, realPercent } = deal.inflated;
+      const real = realPercent > 0 ? `gerçek indirim %${realPercent}` : "gerçekte indirim yok";
+      lines.push(
+        reason === "raised"
+          ? `İndirimden önce fiyat ${money(baselinePrice)} → ${money(referencePrice)} yükseltilmiş; ${real}`
+          : `Sitenin gösterdiği eski fiyat (${money(referencePrice)}) son ${DEAL_CONFIG.RAISE_WINDOW_DAYS} günde görülmedi; ${real}`
+      );
+    }
+
+    return lines.filter(Boolean);
+  }
+
+  // Public API
+  return {
+    GRADES,
+    DEAL_CONFIG,
+    computeStats,
+    detectInflatedDiscount,
+    evaluate,
+    describe,
+    explain,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.DealScore = DealScore;
+}
@@ -0,0 +1,220 @@
+// Price Discounts v1.0
+// Basket ("Sepette %10 indirim"), member and coupon prices below the list price
+
+const PriceDiscounts = (function () {
+  "use strict";
+
+  const KINDS = {
+    BASKET: "basket",
+    MEMBER: "member",
+    COUPON: "coupon",
+  };
+
+  /**
+   * Phrases that mark a price (or a discount) as conditional, checked in this order
+   */
+  const PHRASES = [
+    {
+      kind: KINDS.COUPON,
+      pattern: /kupon|indirim kodu|coupon|promo(?:tion)? code/i,
+    },
+    {
+      kind: KINDS.MEMBER,
+      pattern: /üyelere özel|üye(?:ye)? özel|üye fiyat|plus(?:'?a|'?ya)? özel|elite(?:'?e)? özel|kulüp fiyat|member price|prime (?:price|fiyat)/i,
+    },
+    {
+      kind: KINDS.BASKET,
+      pattern: /sepette|sepete özel|sepet fiyat|sepetteki fiyat|in (?:the )?cart|at checkout/i,
+    },
+  ];
+
+  /**
+   * Class and id hints for elements whose own text is only the number
+   */
+  const CLASS_HINTS = [
+    { kind: KINDS.COUPON, pattern: /coupon|kupon|promo/i },
+    { kind: KINDS.MEMBER, pattern: /member|uye|loyalty|plus-price|elite/i },
+    { kind: KINDS.BASKET, pattern: /basket-?price|sepet|cart-?price|checkout-?price/i },
+  ];
+
+  // A discounted price below this share of the list price is more likely a misread
+  const MIN_RATIO = 0.3;
+
+  const MAX_TEXT_LENGTH = 200;
+
+  const PERCENT = /%\s*(\d{1,2}(?:[.,]\d+)?)|(\d{1,2}(?:[.,]\d+)?)\s*%/;
+  const AMOUNT_OFF =
+    /(\d[\d.,]*)\s*(?:TL|₺|TRY)\s*(?:indirim|kupon|off)|(?:TL|₺)\s*(\d[\d.,]*)\s*(?:indirim|kupon)/i;
+  const AMOUNT = /(?:(?:TL|₺)\s*(\d[\d.,]*)|(\d[\d.,]*)\s*(?:TL\b|₺|TRY\b))/i;
+
+  /**
+   * Normalize a text for phrase matching
+   * Turkish upper case (SEPETTE, ÜYELERE) only folds correctly with the Turkish locale
+   */
+  function normalize(text) {
+    return (text || "").toString().replace(/\s+/g, " ").trim().toLocaleLowerCase("tr-TR");
+  }
+
+  /**
+   * Recognize a basket, member or coupon phrase
+   * @param {string} text - Element text, e.g. "Sepette %10 indirim"
+   * @param {string} hint - Class and id of the element (optional)
+   * @returns {string|null} KINDS value or null for plain prices
+   */
+  function detectKind(text, hint = "") {
+    const value = normalize(text);
+    if (value && value.length <= MAX_TEXT_LENGTH) {
+      const phrase = PHRASES.find((entry) => entry.pattern.test(value));
+      if (phrase) return phrase.kind;
+    }
+
+    const classHint = hint ? CLASS_HINTS.find((entry) => entry.pattern.test(hint)) : null;
+    return classHint ? classHint.kind : null;
+  }
+
+  /**
+   * Compute the price a discount text leads to
+   * "%10" and "100 TL indirim" are applied to the list price; a bare amount is the price itself
+   * and wins over a percent in the same text ("Sepette %10 indirimli 899,90 TL" is 899,90).
+   * @param {string} text - Discount or price text
+   * @param {number} listPrice - List price
+   * @returns {number|null} Discounted price, or null if it is not below the list price
+   */
+  function parsePrice(text, listPrice) {
+    const value = normalize(text);
+    if (!value || value.length > MAX_TEXT_LENGTH || !listPrice) return null;
+
+    let price = null;
+
+    const amountOff = AMOUNT_OFF.exec(value);
+    const percent = PERCENT.exec(value);
+    const amount = AMOUNT.exec(value);
+
+    if (amountOff) {
+      price = listPrice - SiteConfigs.cleanPrice(amountOff[1] || amountOff[2]);
+    } else if (amount) {
+      price = SiteConfigs.cleanPrice(amount[1] || amount[2]);
+    } else if (percent) {
+      price = listPrice * (1 - parseFloat((percent[1] || percent[2]).replace(",", ".")) / 100);
+    } else {
+      price = SiteConfigs.cleanPrice(value);
+    }
+
+    return isPlausible(price, listPrice) ? Math.round(price * 100) / 100 : null;
+  }
+
+  /**
+   * Check that a discounted price is below, but not implausibly far below, the list price
+   */
+  function isPlausible(price, listPrice) {
+    return (
+      typeof price === "number" &&
+      Number.isFinite(price) &&
+      price < listPrice - 0.01 &&
+      price >= listPrice * MIN_RATIO
+    );
+  }
+
+  /**
+   * Read the basketPrice, memberPrice and couponText selectors of a site
+   * @param {Document} doc - Page document
+   * @param {Object} siteConfig - SiteConfigs.getSiteConfig() result
+   * @param {number} listPrice - List price
+   * @returns {Object} { basket, member, coupon, couponText } (missing kinds are null)
+   */
+  function extract(doc, siteConfig, listPrice) {
+    const discounts = { basket: null, member: null, coupon: null, couponText: null };
+    const selectors = siteConfig?.selectors;
+    if (!doc || !selectors || !listPrice) return discounts;
+
+    try {
+      if (selectors.basketPrice) {
+        discounts.basket = parsePrice(SiteConfigs.extractValue(doc, selectors.basketPrice), listPrice);
+      }
+      if (selectors.memberPrice) {
+        discounts.member = parsePrice(SiteConfigs.extractValue(doc, selectors.memberPrice), listPrice);
+      }
+      if (selectors.couponText) {
+        const text = SiteConfigs.extractValue(doc, selectors.couponText);
+        discounts.coupon = parsePrice(text, listPrice);
+        discounts.couponText = discounts.coupon && text ? text.replace(/\s+/g, " ").slice(0, 100) : null;
+      }
+    } catch (error) {
+      console.error("[PriceDiscounts] Extraction error:", error);
+    }
+
+    return discounts;
+  }
+
+  /**
+   * Merge discount sets, keeping the lower price of each kind
+   * @param {...Object} sets - { basket, member, coupon, couponText }
+   * @returns {Object} Merged discounts
+   */
+  function merge(...sets) {
+    const merged = { basket: null, member: null, coupon: null, couponText: null };
+
+    for (const set of sets) {
+      if (!set) continue;
+      for (const kind of Object.values(KINDS)) {
+        const price = set[kind];
+        if (price && (!merged[kind] || price < merged[kind])) {
+          merged[kind] = price;
+          if (kind === KINDS.COUPON) merged.couponText = set.couponText || null;
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Track the lowest effective price and keep the raw list price alongside it
+   * @param {Object} result - Extraction result; price is the list price on input
+   * @param {Object} discounts - { basket, member, coupon, couponText }
+   * @returns {Object} The result with price, listPrice, discounts and priceSource set
+   */
+  function apply(result, discounts) {
+    if (!result || !result.price) return result;
+
+    const listPrice = result.listPrice || result.price;
+    let price = listPrice;
+    let source = "list";
+
+    for (const kind of Object.values(KINDS)) {
+      const candidate = discounts?.[kind];
+      if (candidate && isPlausible(candidate, listPrice) && candidate < price) {
+        price = candidate;
+        source = kind;
+      }
+    }
+
+    result.listPrice = listPrice;
+    result.price = price;
+    result.priceSource = source;
+    result.discounts = hasAny(discounts) ? discounts : null;
+    return result;
+  }
+
+  /**
+   * Check if a discount set holds any price
+   */
+  function hasAny(discounts) {
+    return !!discounts && Object.values(KINDS).some((kind) => !!discounts[kind]);
+  }
+
+  // Public API
+  return {
+    KINDS,
+    detectKind,
+    parsePrice,
+    extract,
+    merge,
+    apply,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.PriceDiscounts = PriceDiscounts;
+}
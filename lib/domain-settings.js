@@ -0,0 +1,101 @@
+// Per-Domain Settings v1.0
+// Settings that apply to every tracked product on a shop domain
+
+const DomainSettings = (function () {
+  "use strict";
+
+  const STORAGE_KEY = "domainSettings";
+
+  /**
+   * Normalize a domain or URL to a bare hostname without www.
+   * @param {string} domainOrUrl - Domain or full URL
+   * @returns {string} Domain
+   */
+  function normalizeDomain(domainOrUrl) {
+    if (!domainOrUrl) return "";
+    try {
+      const host = domainOrUrl.includes("://")
+        ? new URL(domainOrUrl).hostname
+        : domainOrUrl;
+      return host.toLowerCase().replace(/^www\./, "");
+    } catch (e) {
+      return String(domainOrUrl).toLowerCase();
+    }
+  }
+
+  /**
+   * Load settings for all domains
+   * @returns {Promise<Object>} Settings keyed by domain
+   */
+  async function getAll() {
+    try {
+      const stored = await browser.storage.local.get(STORAGE_KEY);
+      return stored[STORAGE_KEY] || {};
+    } catch (error) {
+      console.error("[DomainSettings] Load error:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Load settings for one domain
+   * @param {string} domainOrUrl - Domain or product URL
+   * @returns {Promise<Object>} Domain settings (empty object if none)
+   */
+  async function get(domainOrUrl) {
+    const all = await getAll();
+    return all[normalizeDomain(domainOrUrl)] || {};
+  }
+
+  /**
+   * Merge changes into a domain's settings
+   * @param {string} domainOrUrl - Domain or product URL
+   * @param {Object} changes - Fields to merge; null values remove the field
+   * @returns {Promise<Object>} Updated domain settings
+   */
+  async function set(domainOrUrl, changes) {
+    const domain = normalizeDomain(domainOrUrl);
+    if (!domain) throw new Error("Geçersiz alan adı");
+
+    const all = await getAll();
+    const next = { ...(all[domain] || {}), ...changes };
+
+    for (const [key, value] of Object.entries(next)) {
+      if (value === null || value === undefined) delete next[key];
+    }
+
+    if (Object.keys(next).length === 0) {
+      delete all[domain];
+    } else {
+      all[domain] = next;
+    }
+
+    await browser.storage.local.set({ [STORAGE_KEY]: all });
+    return next;
+  }
+
+  /**
+   * Remove all settings for a domain
+   * @param {string} domainOrUrl - Domain or product URL
+   */
+  async function remove(domainOrUrl) {
+    const all = await getAll();
+    delete all[normalizeDomain(domainOrUrl)];
+    await browser.storage.local.set({ [STORAGE_KEY]: all });
+  }
+
+  // Public API
+  return {
+    STORAGE_KEY,
+    normalizeDomain,
+    getAll,
+    get,
+    set,
+    remove,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.DomainSettings = DomainSettings;
+}
@@ -119,6 +119,86 @@ const PriceTrackerErrors = (function () {
     }
   }
 
+  /**
+   * Error for requests that did not answer in time
+   * @extends NetworkError
+   */
+  class TimeoutError extends NetworkError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} context - Request context (url, timeout, etc.)
+     */
+    constructor(message, context = {}) {
+      super(message, context);
+      this.code = "TIMEOUT_ERROR";
+      this.name = "TimeoutError";
+    }
+  }
+
+  /**
+   * Error for non-OK HTTP responses
+   * @extends NetworkError
+   */
+  class HttpError extends NetworkError {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {Object} context - Request context (url, etc.)
+     */
+    constructor(status, context = {}) {
+      super(`HTTP ${status}`, { ...context, status });
+      this.code = "HTTP_ERROR";
+      this.name = "HttpError";
+      this.status = status;
+    }
+  }
+
+  /**
+   * Error for a custom selector that matched nothing on the page
+   * @extends ExtractionError
+   */
+  class SelectorMissError extends ExtractionError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} context - Extraction context (url, selector, etc.)
+     */
+    constructor(message, context = {}) {
+      super(message, context);
+      this.code = "SELECTOR_MISS";
+      this.name = "SelectorMissError";
+    }
+  }
+
+  /**
+   * Error for pages that loaded but yielded no usable price
+   * @extends ExtractionError
+   */
+  class ParseError extends ExtractionError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} context - Extraction context (url, method, etc.)
+     */
+    constructor(message, context = {}) {
+      super(message, context);
+      this.code = "PARSE_ERROR";
+      this.name = "ParseError";
+    }
+  }
+
+  /**
+   * Error for captcha or bot-protection pages served instead of the product
+   * @extends PriceTrackerError
+   */
+  class BotWallError extends PriceTrackerError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} context - Detection context (url, provider, etc.)
+     */
+    constructor(message, context = {}) {
+      super(message, "BOT_WALL", context);
+      this.name = "BotWallError";
+    }
+  }
+
   /**
    * Error handler for centralized error processing
    */
@@ -220,6 +300,50 @@ const PriceTrackerErrors = (function () {
       return false;
     },
 
+    /**
+     * Classify a check failure for retry decisions and display
+     * @param {Error} error - Error to classify
+     * @returns {Object} { type, retryable, message, status?, retryAfter? }
+     *   type: timeout | rate_limit | bot_wall | http_4xx | http_5xx |
+     *         selector_miss | parse | network | invalid | unknown
+     */
+    classify(error) {
+      const message = error?.message || String(error);
+
+      if (error instanceof TimeoutError || error?.name === "AbortError") {
+        return { type: "timeout", retryable: true, message };
+      }
+      if (error instanceof RateLimitError) {
+        return { type: "rate_limit", retryable: true, message, retryAfter: error.retryAfter };
+      }
+      if (error instanceof BotWallError) {
+        return { type: "bot_wall", retryable: true, message };
+      }
+      if (error instanceof HttpError) {
+        const status = error.status;
+        if (status >= 500) {
+          return { type: "http_5xx", retryable: true, message, status };
+        }
+        // Only request timeouts are worth retrying among 4xx
+        return { type: "http_4xx", retryable: status === 408, message, status };
+      }
+      if (error instanceof SelectorMissError) {
+        return { type: "selector_miss", retryable: false, message };
+      }
+      if (error instanceof ExtractionError) {
+        return { type: "parse", retryable: false, message };
+      }
+      if (error instanceof ValidationError) {
+        return { type: "invalid", retryable: false, message };
+      }
+      // fetch() rejects with a TypeError when the connection fails
+      if (error instanceof NetworkError || error instanceof TypeError) {
+        return { type: "network", retryable: true, message };
+      }
+
+      return { type: "unknown", retryable: true, message };
+    },
+
     /**
      * Get recovery strategy for an error
      * @param {Error} error - Error to get strategy for
@@ -268,6 +392,11 @@ const PriceTrackerErrors = (function () {
     ValidationError,
     RateLimitError,
     StorageError,
+    TimeoutError,
+    HttpError,
+    SelectorMissError,
+    ParseError,
+    BotWallError,
     ErrorHandler,
   };
 })();
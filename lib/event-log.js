@@ -0,0 +1,270 @@
+// Event Log v1.0
+// Append-only record of what happened to tracked products
+
+const EventLog = (function () {
+  "use strict";
+
+  const STORE = "events";
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const RETENTION =
+    typeof Config !== "undefined" && Config.EVENT_LOG
+      ? Config.EVENT_LOG
+      : {
+          RETENTION_DAYS: 365,
+          MAX_ENTRIES: 20000,
+          PRUNE_EVERY: 100,
+        };
+
+  // Appends since this page loaded; the first one prunes as well
+  let appendCount = 0;
+
+  const TYPES = {
+    PRICE_CHANGED: "price_changed",
+    STOCK_CHANGED: "stock_changed",
+    CHECK_FAILED: "check_failed",
+    ALERT_TRIGGERED: "alert_triggered",
+    SELECTOR_REPAIRED: "selector_repaired",
+    PRODUCT_ADDED: "product_added",
+    PRODUCT_REMOVED: "product_removed",
+    CURRENCY_CHANGED: "currency_changed",
+  };
+
+  const VALID_TYPES = Object.values(TYPES);
+
+  /**
+   * Get the domain of a product URL
+   */
+  function getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch (e) {
+      return "";
+    }
+  }
+
+  /**
+   * Build a stored entry from an event description
+   * @param {Object} event - Event description
+   * @returns {Object} Entry without id
+   */
+  function createEntry(event) {
+    const product = event.product || {};
+    const productUrl = product.url || event.productUrl || "";
+
+    return {
+      type: event.type,
+      timestamp: event.timestamp || Date.now(),
+      productUrl,
+      productName: product.name || event.productName || "",
+      domain: product.domain || getDomain(productUrl),
+      oldValue: event.oldValue !== undefined ? event.oldValue : null,
+      newValue: event.newValue !== undefined ? event.newValue : null,
+      method: event.method || null,
+      confidence: typeof event.confidence === "number" ? event.confidence : null,
+      details: event.details || null,
+    };
+  }
+
+  /**
+   * Delete events past the retention age, then the oldest ones beyond the entry cap
+   * @param {Object} options - { maxAgeDays, maxEntries, now }
+   * @returns {Promise<number>} Number of events deleted
+   */
+  function prune(options = {}) {
+    const {
+      maxAgeDays = RETENTION.RETENTION_DAYS,
+      maxEntries = RETENTION.MAX_ENTRIES,
+      now = Date.now(),
+    } = options;
+
+    return PriceTrackerDB.transaction(STORE, "readwrite", async (store) => {
+      const index = store.index("timestamp");
+      const deleteOldest = (range, limit = Infinity) =>
+        new Promise((resolve, reject) => {
+          let deleted = 0;
+          const request = index.openCursor(range);
+          request.onerror = () => reject(request.error);
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || deleted >= limit) {
+              resolve(deleted);
+              return;
+            }
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+          };
+        });
+
+      let deleted = await deleteOldest(IDBKeyRange.upperBound(now - maxAgeDays * DAY_MS, true));
+
+      const remaining = await PriceTrackerDB.promisify(store.count());
+      if (remaining > maxEntries) {
+        deleted += await deleteOldest(null, remaining - maxEntries);
+      }
+      return deleted;
+    });
+  }
+
+  /**
+   * Append an event. Logging never throws: a failed write must not fail a check.
+   * Every few appends the log is pruned to its retention limits.
+   * @param {Object} event - { type, product, oldValue, newValue, method, confidence, details }
+   * @returns {Promise<Object|null>} Stored entry or null
+   */
+  async function append(event) {
+    if (!event || !VALID_TYPES.includes(event.type)) {
+      console.error("[EventLog] Unknown event type:", event && event.type);
+      return null;
+    }
+
+    try {
+      const entry = createEntry(event);
+      entry.id = await PriceTrackerDB.transaction(STORE, "readwrite", (store) =>
+        PriceTrackerDB.promisify(store.add(entry))
+      );
+      if (appendCount++ % RETENTION.PRUNE_EVERY === 0) {
+        await prune().catch((error) => console.error("[EventLog] Prune error:", error));
+      }
+      return entry;
+    } catch (error) {
+      console.error("[EventLog] Append error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Query events, newest first
+   * @param {Object} filter - { type (one type or a list), productUrl, search, from, to, limit, offset }
+   * @returns {Promise<Array>} Matching events
+   */
+  async function query(filter = {}) {
+    const { type = null, productUrl = null, search = "", from = 0, to = Infinity } = filter;
+    const { limit = 100, offset = 0 } = filter;
+    const needle = search.trim().toLowerCase();
+    const types = type ? [].concat(type) : null;
+
+    return PriceTrackerDB.transaction(STORE, "readonly", (store) => {
+      const results = [];
+      let skipped = 0;
+
+      const source = productUrl
+        ? store.index("productUrl").openCursor(IDBKeyRange.only(productUrl), "prev")
+        : store.index("timestamp").openCursor(null, "prev");
+
+      return new Promise((resolve, reject) => {
+        source.onerror = () => reject(source.error);
+        source.onsuccess = () => {
+          const cursor = source.result;
+          if (!cursor || results.length >= limit) {
+            resolve(results);
+            return;
+          }
+
+          const entry = cursor.value;
+          const matches =
+            (!types || types.includes(entry.type)) &&
+            entry.timestamp >= from &&
+            entry.timestamp <= to &&
+            (!needle ||
+              entry.productName.toLowerCase().includes(needle) ||
+              entry.productUrl.toLowerCase().includes(needle));
+
+          if (matches) {
+            if (skipped < offset) {
+              skipped++;
+            } else {
+              results.push(entry);
+            }
+          }
+          cursor.continue();
+        };
+      });
+    });
+  }
+
+  /**
+   * Count stored events
+   * @returns {Promise<number>} Event count
+   */
+  function count() {
+    return PriceTrackerDB.transaction(STORE, "readonly", (store) =>
+      PriceTrackerDB.promisify(store.count())
+    );
+  }
+
+  /**
+   * Export every event, oldest first
+   * @returns {Promise<Array>} Events
+   */
+  function exportAll() {
+    return PriceTrackerDB.transaction(STORE, "readonly", (store) =>
+      PriceTrackerDB.promisify(store.getAll())
+    );
+  }
+
+  /**
+   * Import events from a backup
+   * @param {Array} entries - Exported events
+   * @param {Object} options - { merge } keeps existing events and skips duplicates
+   * @returns {Promise<number>} Number of events written
+   */
+  async function importAll(entries, options = {}) {
+    const { merge = false } = options;
+    const valid = (Array.isArray(entries) ? entries : []).filter(
+      (entry) => entry && VALID_TYPES.includes(entry.type) && entry.timestamp
+    );
+
+    return PriceTrackerDB.transaction(STORE, "readwrite", async (store) => {
+      const seen = new Set();
+      if (merge) {
+        const existing = await PriceTrackerDB.promisify(store.getAll());
+        for (const entry of existing) {
+          seen.add(`${entry.type}|${entry.productUrl}|${entry.timestamp}`);
+        }
+      } else {
+        store.clear();
+      }
+
+      let written = 0;
+      for (const entry of valid) {
+        const key = `${entry.type}|${entry.productUrl}|${entry.timestamp}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        // Ids are local to this database; let the store assign new ones
+        const { id, ...rest } = entry;
+        store.add(createEntry(rest));
+        written++;
+      }
+      return written;
+    });
+  }
+
+  /**
+   * Remove all events
+   */
+  async function clear() {
+    await PriceTrackerDB.transaction(STORE, "readwrite", (store) => {
+      store.clear();
+    });
+  }
+
+  // Public API
+  return {
+    TYPES,
+    append,
+    prune,
+    query,
+    count,
+    exportAll,
+    importAll,
+    clear,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.EventLog = EventLog;
+}
@@ -0,0 +1,332 @@
+// Exchange Rates v1.0
+// Pluggable rate providers, a cached last-known table and daily history for dated conversions
+
+const ExchangeRates = (function () {
+  "use strict";
+
+  const RATES_CONFIG =
+    typeof Config !== "undefined" && Config.EXCHANGE_RATES
+      ? Config.EXCHANGE_RATES
+      : {
+          STORAGE_KEY: "exchangeRates",
+          ALARM_NAME: "exchangeRates",
+          BASE: "TRY",
+          REFRESH_HOURS: 12,
+          MAX_AGE_HOURS: 72,
+          BACKFILL_DAYS: 365,
+          HISTORY_DAYS: 1825,
+          FIXTURE_PATH: "fixtures/exchange-rates.json",
+        };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const FETCH_TIMEOUT_MS = 15000;
+
+  const CURRENCY_CODES =
+    typeof Config !== "undefined" && Config.CURRENCIES
+      ? Object.keys(Config.CURRENCIES)
+      : ["TRY", "USD", "EUR", "GBP"];
+
+  // Last-known table: { base, date, rates, source, fetchedAt, history: { "YYYY-MM-DD": rates } }
+  let table = null;
+  let historyDays = [];
+  let refreshing = null;
+
+  /**
+   * UTC day key of a timestamp
+   */
+  function toDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Fetch JSON with a timeout
+   */
+  async function fetchJSON(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Express rates against another base: rates are units of each currency per 1 base
+   * @param {Object} rates - Rates against `from`
+   * @param {string} from - Current base currency
+   * @param {string} to - New base currency
+   * @returns {Object|null} Rebased rates, or null when the base is missing
+   */
+  function rebase(rates, from, to) {
+    if (from === to) return { ...rates, [to]: 1 };
+    const pivot = rates[to];
+    if (!(pivot > 0)) return null;
+
+    const result = { [to]: 1, [from]: 1 / pivot };
+    for (const [code, rate] of Object.entries(rates)) {
+      if (code !== to && rate > 0) result[code] = rate / pivot;
+    }
+    return result;
+  }
+
+  /**
+   * Rate providers
+   * fetchLatest(base, symbols) resolves { date, rates }; fetchRange(base, symbols, from, to)
+   * resolves { "YYYY-MM-DD": rates }. fetchRange is optional.
+   */
+  const providers = {
+    frankfurter: {
+      label: "Avrupa Merkez Bankası (frankfurter.app)",
+      async fetchLatest(base, symbols) {
+        const data = await fetchJSON(
+          `https://api.frankfurter.app/latest?from=${base}&to=${symbols.join(",")}`
+        );
+        return { date: data.date, rates: data.rates };
+      },
+      async fetchRange(base, symbols, from, to) {
+        const data = await fetchJSON(
+          `https://api.frankfurter.app/${from}..${to}?from=${base}&to=${symbols.join(",")}`
+        );
+        return data.rates || {};
+      },
+    },
+
+    // Bundled file for local testing; edit it to try conversions without network access
+    fixture: {
+      label: "Yerel dosya (test)",
+      async load(base) {
+        const data = await fetchJSON(browser.runtime.getURL(RATES_CONFIG.FIXTURE_PATH));
+        const history = {};
+        for (const [day, rates] of Object.entries(data.history || {})) {
+          const rebased = rebase(rates, data.base, base);
+          if (rebased) history[day] = rebased;
+        }
+        return { date: data.date, rates: rebase(data.rates, data.base, base), history };
+      },
+      async fetchLatest(base) {
+        const { date, rates } = await this.load(base);
+        return { date, rates };
+      },
+      async fetchRange(base, symbols, from, to) {
+        const { history } = await this.load(base);
+        return Object.fromEntries(Object.entries(history).filter(([day]) => day >= from && day <= to));
+      },
+    },
+  };
+
+  /**
+   * Add or replace a rate provider
+   * @param {string} name - Provider name (settings.exchangeRateProvider)
+   * @param {Object} provider - { label, fetchLatest, fetchRange? }
+   */
+  function registerProvider(name, provider) {
+    if (!provider || typeof provider.fetchLatest !== "function") {
+      throw new Error(`Invalid exchange rate provider: ${name}`);
+    }
+    providers[name] = provider;
+  }
+
+  /**
+   * Registered providers for the settings page
+   * @returns {Array} [{ name, label }]
+   */
+  function getProviders() {
+    return Object.entries(providers).map(([name, provider]) => ({ name, label: provider.label || name }));
+  }
+
+  /**
+   * Keep only valid positive rates of the known currencies
+   */
+  function cleanRates(rates) {
+    const clean = { [RATES_CONFIG.BASE]: 1 };
+    for (const [code, rate] of Object.entries(rates || {})) {
+      if (CURRENCY_CODES.includes(code) && typeof rate === "number" && rate > 0) clean[code] = rate;
+    }
+    return clean;
+  }
+
+  function setTable(stored) {
+    table = stored && stored.rates ? stored : null;
+    historyDays = table ? Object.keys(table.history || {}).sort() : [];
+  }
+
+  /**
+   * Load the cached table into memory
+   * @returns {Promise<Object|null>} Cached table
+   */
+  async function load() {
+    try {
+      const stored = await browser.storage.local.get(RATES_CONFIG.STORAGE_KEY);
+      setTable(stored[RATES_CONFIG.STORAGE_KEY]);
+    } catch (error) {
+      console.error("[ExchangeRates] Load error:", error);
+    }
+    return table;
+  }
+
+  /**
+   * Fetch the latest rates and fill missing history days
+   * On failure the last-known table stays in use.
+   * @param {string} providerName - Registered provider
+   * @returns {Promise<Object>} Updated table
+   */
+  function refresh(providerName = "frankfurter") {
+    if (refreshing) return refreshing;
+
+    refreshing = (async () => {
+      const provider = providers[providerName];
+      if (!provider) throw new Error(`Unknown exchange rate provider: ${providerName}`);
+
+      await load();
+      const base = RATES_CONFIG.BASE;
+      const symbols = CURRENCY_CODES.filter((code) => code !== base);
+      const latest = await provider.fetchLatest(base, symbols);
+      const rates = cleanRates(latest.rates);
+      if (Object.keys(rates).length < 2) throw new Error("Provider returned no rates");
+
+      // Another source's history would mix two rate sets; start over when the source changes
+      const history = table && table.source === providerName ? { ...table.history } : {};
+      const today = toDay(Date.now());
+      const lastDay = Object.keys(history).sort().pop();
+
+      if (typeof provider.fetchRange === "function" && lastDay !== today) {
+        const from = lastDay
+          ? toDay(Date.parse(lastDay) + DAY_MS)
+          : toDay(Date.now() - RATES_CONFIG.BACKFILL_DAYS * DAY_MS);
+        try {
+          const range = await provider.fetchRange(base, symbols, from, today);
+          for (const [day, dayRates] of Object.entries(range)) {
+            history[day] = cleanRates(dayRates);
+          }
+        } catch (error) {
+          console.error("[ExchangeRates] History fetch error:", error);
+        }
+      }
+
+      const date = latest.date || today;
+      history[date] = rates;
+
+      const cutoff = toDay(Date.now() - RATES_CONFIG.HISTORY_DAYS * DAY_MS);
+      for (const day of Object.keys(history)) {
+        if (day < cutoff) delete history[day];
+      }
+
+      const updated = { base, date, rates, source: providerName, fetchedAt: Date.now(), history };
+      await browser.storage.local.set({ [RATES_CONFIG.STORAGE_KEY]: updated });
+      setTable(updated);
+      return updated;
+    })();
+
+    return refreshing.finally(() => {
+      refreshing = null;
+    });
+  }
+
+  /**
+   * Rates of a day: the last stored day on or before it, the earliest day for older dates
+   * and the latest table without a date
+   */
+  function ratesFor(date) {
+    if (!table) return null;
+    if (date === undefined || date === null || historyDays.length === 0) return table.rates;
+
+    const day = toDay(date);
+    if (day >= table.date) return table.rates;
+
+    let match = historyDays[0];
+    for (const key of historyDays) {
+      if (key > day) break;
+      match = key;
+    }
+    return table.history[match];
+  }
+
+  /**
+   * Rate from one currency to another
+   * @param {string} from - Currency code
+   * @param {string} to - Currency code
+   * @param {number} date - Optional timestamp; past dates use the rate of that day
+   * @returns {number|null} Units of `to` per unit of `from`, or null without a known rate
+   */
+  function getRate(from, to, date = null) {
+    if (from === to) return 1;
+    const rates = ratesFor(date);
+    if (!rates || !(rates[from] > 0) || !(rates[to] > 0)) return null;
+    return rates[to] / rates[from];
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in `from`
+   * @param {string} from - Currency code
+   * @param {string} to - Currency code
+   * @param {number} date - Optional timestamp of the price
+   * @returns {number|null} Converted amount, or null without a known rate
+   */
+  function convert(amount, from, to, date = null) {
+    const rate = getRate(from, to, date);
+    return rate === null ? null : amount * rate;
+  }
+
+  /**
+   * State of the cached table for the settings page
+   * @returns {Object} { available, source, date, fetchedAt, stale, historyDays }
+   */
+  function getStatus() {
+    if (!table) return { available: false, stale: true, historyDays: 0 };
+    return {
+      available: true,
+      source: table.source,
+      date: table.date,
+      fetchedAt: table.fetchedAt,
+      stale: Date.now() - table.fetchedAt > RATES_CONFIG.MAX_AGE_HOURS * 60 * 60 * 1000,
+      historyDays: historyDays.length,
+    };
+  }
+
+  /**
+   * Whether the scheduled refresh is due
+   */
+  function isDue() {
+    return !table || Date.now() - table.fetchedAt >= RATES_CONFIG.REFRESH_HOURS * 60 * 60 * 1000;
+  }
+
+  /**
+   * Create the periodic refresh alarm
+   */
+  async function syncAlarm() {
+    const existing = await browser.alarms.get(RATES_CONFIG.ALARM_NAME);
+    if (existing) return;
+    await browser.alarms.create(RATES_CONFIG.ALARM_NAME, {
+      periodInMinutes: RATES_CONFIG.REFRESH_HOURS * 60,
+    });
+  }
+
+  // Pages keep their in-memory table in step with refreshes done in the background
+  if (typeof browser !== "undefined" && browser.storage && browser.storage.onChanged) {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes[RATES_CONFIG.STORAGE_KEY]) {
+        setTable(changes[RATES_CONFIG.STORAGE_KEY].newValue);
+      }
+    });
+  }
+
+  // Public API
+  return {
+    ALARM_NAME: RATES_CONFIG.ALARM_NAME,
+    registerProvider,
+    getProviders,
+    load,
+    refresh,
+    rebase,
+    getRate,
+    convert,
+    getStatus,
+    isDue,
+    syncAlarm,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.ExchangeRates = ExchangeRates;
+}
@@ -0,0 +1,363 @@
+// Fetch Queue v1.0
+// Polite background fetching: per-host concurrency, spacing, jitter and back-off
+
+const FetchQueue = (function () {
+  "use strict";
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const DEFAULTS =
+    typeof Config !== "undefined" && Config.FETCH_QUEUE
+      ? Config.FETCH_QUEUE
+      : {
+          CONCURRENCY: 4,
+          PER_HOST_CONCURRENCY: 1,
+          MIN_SPACING_MS: 3000,
+          JITTER_MS: 2000,
+          DEFAULT_BACKOFF_MS: 60000,
+          MAX_BACKOFF_MS: HOUR_MS,
+          MAX_RETRY_WAIT_MS: 120000,
+          MAX_THROTTLE_RETRIES: 1,
+        };
+
+  const THROTTLE_STATUSES = [429, 503];
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date)
+   * @param {string|null} value - Header value
+   * @param {number} now - Current time
+   * @returns {number|null} Wait time in ms or null if missing/invalid
+   */
+  function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+  }
+
+  /**
+   * Get the host a URL belongs to
+   * @param {string} url - Request URL
+   * @returns {string} Hostname without www.
+   */
+  function getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+    } catch (e) {
+      return "";
+    }
+  }
+
+  /**
+   * Create a new fetch queue
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Requests in flight across all hosts
+   * @param {number} options.perHostConcurrency - Requests in flight per host
+   * @param {number} options.minSpacingMs - Minimum time between request starts on a host
+   * @param {number} options.jitterMs - Random extra spacing added per request
+   * @param {number} options.maxPerHour - Global hourly request budget (0 = unlimited); queued
+   *   requests fail with a RateLimitError once it is used up
+   * @param {number} options.timeout - Request timeout in ms, counted from request start and
+   *   covering the body read
+   * @returns {Object} Queue instance
+   */
+  function createQueue(options = {}) {
+    const config = {
+      concurrency: DEFAULTS.CONCURRENCY,
+      perHostConcurrency: DEFAULTS.PER_HOST_CONCURRENCY,
+      minSpacingMs: DEFAULTS.MIN_SPACING_MS,
+      jitterMs: DEFAULTS.JITTER_MS,
+      maxPerHour: 0,
+      timeout:
+        typeof Config !== "undefined" ? Config.NETWORK.REQUEST_TIMEOUT_MS : 15000,
+      ...options,
+    };
+
+    const hosts = new Map();
+    const pending = [];
+    const recentStarts = [];
+    let active = 0;
+    let wakeTimer = null;
+    let wakeAt = Infinity;
+
+    /**
+     * Get (or create) the state of a host
+     */
+    function getHostState(host) {
+      if (!hosts.has(host)) {
+        hosts.set(host, {
+          active: 0,
+          nextStartAt: 0,
+          blockedUntil: 0,
+          backoffMs: 0,
+          requests: 0,
+          throttled: 0,
+        });
+      }
+      return hosts.get(host);
+    }
+
+    /**
+     * Wake the queue at a given time (keeps the earliest wake-up)
+     */
+    function wakeAtTime(time) {
+      if (time >= wakeAt) return;
+      clearTimeout(wakeTimer);
+      wakeAt = time;
+      wakeTimer = setTimeout(() => {
+        wakeAt = Infinity;
+        wakeTimer = null;
+        pump();
+      }, Math.max(0, time - Date.now()));
+    }
+
+    /**
+     * Start every job that is allowed to run right now
+     */
+    function pump() {
+      const now = Date.now();
+
+      while (recentStarts.length && recentStarts[0] <= now - HOUR_MS) {
+        recentStarts.shift();
+      }
+
+      for (let i = 0; i < pending.length && active < config.concurrency; ) {
+        if (config.maxPerHour && recentStarts.length >= config.maxPerHour) {
+          // Waiting here could hold a check run for up to an hour in a background page that
+          // may be unloaded; callers hand the product to the retry queue instead
+          rejectPending(budgetError(recentStarts[0] + HOUR_MS - now));
+          return;
+        }
+
+        const job = pending[i];
+        const state = getHostState(job.host);
+
+        if (state.active >= config.perHostConcurrency) {
+          i++;
+          continue;
+        }
+
+        const readyAt = Math.max(state.nextStartAt, state.blockedUntil);
+        if (readyAt > now) {
+          wakeAtTime(readyAt);
+          i++;
+          continue;
+        }
+
+        pending.splice(i, 1);
+        start(job, state, now);
+      }
+    }
+
+    /**
+     * Error for requests refused because the hourly budget is used up
+     */
+    function budgetError(waitMs) {
+      const message = `Saatlik istek sınırı doldu (${config.maxPerHour}/saat)`;
+      if (typeof PriceTrackerErrors !== "undefined") {
+        return new PriceTrackerErrors.RateLimitError(message, waitMs);
+      }
+      return new Error(message);
+    }
+
+    /**
+     * Fail every job still waiting for a slot
+     */
+    function rejectPending(error) {
+      for (const job of pending.splice(0)) {
+        job.reject(error);
+      }
+    }
+
+    /**
+     * Run a job and release its slots when done
+     */
+    function start(job, state, now) {
+      active++;
+      state.active++;
+      state.requests++;
+      state.nextStartAt = now + config.minSpacingMs + Math.random() * config.jitterMs;
+      recentStarts.push(now);
+
+      Promise.resolve()
+        .then(() => job.task(state))
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active--;
+          state.active--;
+          pump();
+        });
+    }
+
+    /**
+     * Queue a task for a host
+     * @param {string} host - Host the task talks to
+     * @param {Function} task - Async function run once a slot is free
+     * @returns {Promise<*>} Task result
+     */
+    function schedule(host, task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ host, task, resolve, reject });
+        pump();
+      });
+    }
+
+    /**
+     * Pause a host, e.g. after it asked us to slow down
+     * @param {string} host - Host to pause
+     * @param {number} waitMs - Pause length
+     */
+    function pauseHost(host, waitMs) {
+      const state = getHostState(host);
+      state.blockedUntil = Math.max(state.blockedUntil, Date.now() + waitMs);
+      pump();
+    }
+
+    /**
+     * Whether a throttling status actually carries a bot-wall challenge page
+     * Cloudflare and Akamai answer challenges with 403/503; those are not rate limits and
+     * waiting for them would never help, so they go to the caller's bot-wall check.
+     */
+    async function isBotWall(response, url) {
+      if (typeof BotDetector === "undefined") return false;
+      try {
+        const html = await response.clone().text();
+        return !!BotDetector.detect({ html, headers: response.headers, url: response.url || url });
+      } catch (error) {
+        return false;
+      }
+    }
+
+    /**
+     * Handle a 429/503 response: honour Retry-After or back off exponentially
+     * @returns {number} Wait time applied to the host
+     */
+    function throttle(host, state, response) {
+      const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+      const waitMs =
+        retryAfter !== null
+          ? Math.min(retryAfter, DEFAULTS.MAX_BACKOFF_MS)
+          : Math.min(
+              state.backoffMs ? state.backoffMs * 2 : DEFAULTS.DEFAULT_BACKOFF_MS,
+              DEFAULTS.MAX_BACKOFF_MS
+            );
+
+      state.backoffMs = waitMs;
+      state.throttled++;
+      pauseHost(host, waitMs);
+      return waitMs;
+    }
+
+    /**
+     * Fetch a URL through the queue
+     * Throttled responses are retried once the host allows it (if the wait is short),
+     * otherwise a RateLimitError carrying the wait time is thrown, as it is when the hourly budget
+     * is used up. A 429/503 that is a bot-wall challenge page is returned as is.
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch() options (signal is managed by the queue)
+     * @returns {Promise<Response>} Response
+     */
+    async function queuedFetch(url, init = {}) {
+      const host = getHost(url);
+
+      for (let attempt = 0; ; attempt++) {
+        const result = await schedule(host, async (state) => {
+          const controller = new AbortController();
+          const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+
+          try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
+
+            if (THROTTLE_STATUSES.includes(response.status) && !(await isBotWall(response, url))) {
+              clearTimeout(timeoutId);
+              return { throttled: true, response, waitMs: throttle(host, state, response) };
+            }
+
+            // The timer stays armed so a body that stalls after the headers is aborted too;
+            // firing once the body has been read does nothing
+            state.backoffMs = 0;
+            return { throttled: false, response };
+          } catch (error) {
+            clearTimeout(timeoutId);
+            throw error;
+          }
+        });
+
+        if (!result.throttled) {
+          return result.response;
+        }
+
+        if (
+          attempt >= DEFAULTS.MAX_THROTTLE_RETRIES ||
+          result.waitMs > DEFAULTS.MAX_RETRY_WAIT_MS
+        ) {
+          const message = `HTTP ${result.response.status}: ${host} yavaşlatma istedi`;
+          if (typeof PriceTrackerErrors !== "undefined") {
+            throw new PriceTrackerErrors.RateLimitError(message, result.waitMs);
+          }
+          throw new Error(message);
+        }
+      }
+    }
+
+    /**
+     * Update queue options
+     * @param {Object} changes - Options to change
+     */
+    function configure(changes = {}) {
+      Object.assign(config, changes);
+      pump();
+    }
+
+    /**
+     * Get queue statistics
+     * @returns {Object} Statistics
+     */
+    function getStats() {
+      const now = Date.now();
+      const hostStats = {};
+
+      for (const [host, state] of hosts) {
+        hostStats[host] = {
+          active: state.active,
+          requests: state.requests,
+          throttled: state.throttled,
+          blockedFor: Math.max(0, state.blockedUntil - now),
+        };
+      }
+
+      return {
+        active,
+        pending: pending.length,
+        requestsLastHour: recentStarts.filter((t) => t > now - HOUR_MS).length,
+        maxPerHour: config.maxPerHour,
+        hosts: hostStats,
+      };
+    }
+
+    return {
+      fetch: queuedFetch,
+      schedule,
+      pauseHost,
+      configure,
+      getStats,
+    };
+  }
+
+  // Public API
+  return {
+    createQueue,
+    parseRetryAfter,
+    getHost,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.FetchQueue = FetchQueue;
+}
@@ -211,7 +211,7 @@ const Messenger = (function () {
     },
 
     /**
-     * Check all prices via background script
+     * Check all prices via background script, ignoring schedules
      * @returns {Promise<Object>} Check result
      */
     async checkAllPrices() {
@@ -220,7 +220,40 @@ const Messenger = (function () {
           ? Config.MESSAGE_ACTIONS.CHECK_ALL_PRICES
           : "checkAllPrices";
 
-      return send(action);
+      return send(action, { force: true });
+    },
+
+    /**
+     * Update the check schedule of a product or a whole domain
+     * @param {Object} target - { productUrl } or { domain }
+     * @param {Object|null} schedule - { intervalMinutes, quietHours, pauseUntil } or null to clear
+     * @returns {Promise<Object>} Update result
+     */
+    async updateSchedule(target, schedule) {
+      const action =
+        typeof Config !== "undefined"
+          ? Config.MESSAGE_ACTIONS.UPDATE_SCHEDULE
+          : "updateSchedule";
+
+      return send(action, { ...target, schedule });
+    },
+
+    /**
+     * Re-check a product by rendering it in a real background tab
+     * @param {string} productUrl - Product URL
+     * @returns {Promise<Object>} Check result
+     */
+    async recheckInTab(productUrl) {
+      const action =
+        typeof Config !== "undefined"
+          ? Config.MESSAGE_ACTIONS.RECHECK_IN_TAB
+          : "recheckInTab";
+
+      // Page load plus content script extraction takes longer than a message
+      const timeout =
+        typeof Config !== "undefined" ? Config.TAB_RENDER.TIMEOUT_MS + 15000 : 45000;
+
+      return send(action, { productUrl }, { timeout });
     },
 
     /**
@@ -277,6 +310,34 @@ const Messenger = (function () {
       return send(action);
     },
 
+    /**
+     * Get long-term price history for a product, or store stats when no URL is given
+     * @param {string} productUrl - Product URL (optional)
+     * @param {Object} range - Optional { from, to } timestamps
+     * @returns {Promise<Object>} History result
+     */
+    async getPriceHistory(productUrl = null, range = {}) {
+      const action =
+        typeof Config !== "undefined"
+          ? Config.MESSAGE_ACTIONS.GET_PRICE_HISTORY
+          : "getPriceHistory";
+
+      return send(action, { productUrl, range });
+    },
+
+    /**
+     * Fetch exchange rates now with the configured provider
+     * @returns {Promise<Object>} { success, status, error }
+     */
+    async refreshExchangeRates() {
+      const action =
+        typeof Config !== "undefined"
+          ? Config.MESSAGE_ACTIONS.REFRESH_EXCHANGE_RATES
+          : "refreshExchangeRates";
+
+      return send(action, {}, { timeout: 60000 });
+    },
+
     /**
      * Ping content script to check if loaded
      * @param {number} tabId - Tab ID
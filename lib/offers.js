@@ -0,0 +1,279 @@
+// Seller Offers v1.0
+// Marketplace offer lists (buy box plus other sellers) and lowest-offer tracking
+
+const SellerOffers = (function () {
+  "use strict";
+
+  const TRACKING_MODES = {
+    BUY_BOX: "buybox",
+    LOWEST_OFFER: "lowest_offer",
+  };
+
+  const MAX_OFFERS = 50;
+
+  const FREE_SHIPPING = /ücretsiz|bedava|free/i;
+
+  /**
+   * Parse a price value from JSON-LD or page text
+   */
+  function toPrice(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const price = typeof value === "number" ? value : SiteConfigs.cleanPrice(String(value));
+    return price && price > 0 ? price : null;
+  }
+
+  /**
+   * Parse a shipping cost; "Kargo Bedava" and similar texts mean 0
+   */
+  function toShipping(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (typeof value === "number") return value;
+    if (FREE_SHIPPING.test(value)) return 0;
+    const cost = SiteConfigs.cleanPrice(String(value));
+    return cost === null ? null : cost;
+  }
+
+  /**
+   * Parse a seller rating such as "9,4" or "4.8 out of 5"
+   */
+  function toRating(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const match = String(value).replace(",", ".").match(/\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  /**
+   * Normalize a seller name for comparisons
+   * @param {string} name - Seller name
+   * @returns {string} Lowercased, trimmed name
+   */
+  function normalizeSeller(name) {
+    return (name || "").toString().trim().replace(/\s+/g, " ").toLocaleLowerCase("tr-TR");
+  }
+
+  /**
+   * Build an offer record
+   */
+  function createOffer({ seller, price, shipping = null, currency = null, rating = null, isBuyBox = false }) {
+    return {
+      seller: (seller || "").toString().trim(),
+      price,
+      shipping,
+      total: price !== null && shipping !== null ? price + shipping : price,
+      currency,
+      rating,
+      isBuyBox,
+    };
+  }
+
+  /**
+   * Offers of a JSON-LD Product (offers array or AggregateOffer.offers)
+   */
+  function fromJsonLdItem(item) {
+    if (!item || item["@type"] !== "Product" || !item.offers) return [];
+
+    const list = Array.isArray(item.offers)
+      ? item.offers
+      : Array.isArray(item.offers.offers)
+      ? item.offers.offers
+      : [item.offers];
+
+    return list
+      .slice(0, MAX_OFFERS)
+      .filter((offer) => offer && offer.seller)
+      .map((offer, index) => {
+        const seller = typeof offer.seller === "string" ? offer.seller : offer.seller.name;
+        const shippingRate = [].concat(offer.shippingDetails || [])[0]?.shippingRate;
+        return createOffer({
+          seller,
+          price: toPrice(offer.price ?? offer.lowPrice),
+          shipping: toShipping(shippingRate?.value),
+          currency: typeof offer.priceCurrency === "string" ? offer.priceCurrency : null,
+          rating: toRating(offer.seller?.aggregateRating?.ratingValue),
+          isBuyBox: index === 0,
+        });
+      })
+      .filter((offer) => offer.seller && offer.price);
+  }
+
+  /**
+   * Extract offers from JSON-LD scripts
+   * @param {Document} doc - Page document
+   * @returns {Array} Offers
+   */
+  function extractFromJsonLd(doc) {
+    const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of scripts) {
+      try {
+        const content = script.textContent;
+        if (!content || content.length > 500000) continue;
+
+        const data = JSON.parse(content);
+        const items = Array.isArray(data) ? data.slice(0, 10) : [data];
+
+        for (const item of items) {
+          const offers = fromJsonLdItem(item);
+          if (offers.length > 0) return offers;
+        }
+      } catch (parseError) {
+        continue;
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Extract offers with a site's offer selector config
+   * @param {Document} doc - Page document
+   * @param {Object} config - { item, seller, price, shipping, rating, buyBoxSeller }
+   * @returns {Array} Offers
+   */
+  function extractWithSelectors(doc, config) {
+    if (!config || !config.item) return [];
+
+    const readText = (root, selector) => {
+      if (!selector) return null;
+      const element = root.querySelector(selector);
+      const value = element?.getAttribute("content") || element?.textContent;
+      return value && value.trim() ? value.trim() : null;
+    };
+
+    try {
+      return Array.from(doc.querySelectorAll(config.item))
+        .slice(0, MAX_OFFERS)
+        .map((element) =>
+          createOffer({
+            seller: readText(element, config.seller),
+            price: toPrice(readText(element, config.price)),
+            shipping: toShipping(readText(element, config.shipping)),
+            rating: toRating(readText(element, config.rating)),
+          })
+        )
+        .filter((offer) => offer.seller && offer.price);
+    } catch (error) {
+      console.warn("[SellerOffers] Selector error:", config.item, error);
+      return [];
+    }
+  }
+
+  /**
+   * Extract the offer list of a page: site selectors first, then JSON-LD.
+   * The buy box (the price the page shows) is added when the list misses it.
+   * @param {Document} doc - Page document
+   * @param {Object} siteConfig - SiteConfigs.getSiteConfig() result
+   * @param {Object} buyBox - { price, currency } extracted for the page
+   * @returns {Array} Offers, cheapest first (empty when no seller is named)
+   */
+  function extract(doc, siteConfig, buyBox = {}) {
+    if (!doc) return [];
+
+    const config = siteConfig?.selectors?.offers;
+    let offers = extractWithSelectors(doc, config);
+    if (offers.length === 0) {
+      offers = extractFromJsonLd(doc);
+    }
+
+    const buyBoxSeller = config?.buyBoxSeller
+      ? SiteConfigs.extractValue(doc, { selector: config.buyBoxSeller, attr: "textContent" })
+      : null;
+
+    if (buyBoxSeller) {
+      const key = normalizeSeller(buyBoxSeller);
+      const existing = offers.find((offer) => normalizeSeller(offer.seller) === key);
+      offers.forEach((offer) => (offer.isBuyBox = offer === existing));
+
+      if (!existing && buyBox.price) {
+        offers.unshift(
+          createOffer({ seller: buyBoxSeller, price: buyBox.price, currency: buyBox.currency, isBuyBox: true })
+        );
+      }
+    }
+
+    for (const offer of offers) {
+      offer.currency = offer.currency || buyBox.currency || null;
+    }
+
+    return offers.sort((a, b) => a.total - b.total);
+  }
+
+  /**
+   * Cheapest offer from any seller, shipping included where the offer names it
+   * @param {Array} offers - Offers
+   * @returns {Object|null} Offer
+   */
+  function getLowest(offers) {
+    if (!Array.isArray(offers) || offers.length === 0) return null;
+    const totalOf = (offer) => offer.total ?? offer.price;
+    return offers.reduce((best, offer) => (totalOf(offer) < totalOf(best) ? offer : best));
+  }
+
+  /**
+   * Find a seller's offer
+   * @param {Array} offers - Offers
+   * @param {string} seller - Seller name
+   * @returns {Object|null} Offer
+   */
+  function findSeller(offers, seller) {
+    const key = normalizeSeller(seller);
+    if (!key || !Array.isArray(offers)) return null;
+    return offers.find((offer) => normalizeSeller(offer.seller) === key) || null;
+  }
+
+  /**
+   * Offer that sets a product's tracked price: the lowest one in lowest-offer mode, else the buy box
+   * @param {Object} product - Tracked product with offers and trackingMode
+   * @returns {Object|null} Offer
+   */
+  function getTrackedOffer(product) {
+    if (!product || !Array.isArray(product.offers)) return null;
+    if (product.trackingMode === TRACKING_MODES.LOWEST_OFFER) return getLowest(product.offers);
+    return product.offers.find((offer) => offer.isBuyBox) || null;
+  }
+
+  /**
+   * Apply a product's tracking mode to extracted price data
+   * @param {string} mode - TRACKING_MODES value (buy box when unset)
+   * @param {Object} data - Extracted price data with an optional offers list
+   * @returns {Object} Price data, priced at the lowest offer in lowest-offer mode
+   */
+  function resolve(mode, data) {
+    if (mode !== TRACKING_MODES.LOWEST_OFFER || !data) return data;
+
+    const lowest = getLowest(data.offers);
+    if (!lowest) return data;
+
+    return {
+      ...data,
+      price: lowest.price,
+      listPrice: lowest.price,
+      discounts: null,
+      priceSource: "list",
+      // The page's old price belongs to the featured offer
+      previousPrice: null,
+      currency: lowest.currency || data.currency,
+      seller: lowest.seller,
+      shipping:
+        lowest.shipping !== null ? { cost: lowest.shipping, freeThreshold: null } : data.shipping,
+    };
+  }
+
+  // Public API
+  return {
+    TRACKING_MODES,
+    extract,
+    extractFromJsonLd,
+    extractWithSelectors,
+    normalizeSeller,
+    getLowest,
+    findSeller,
+    getTrackedOffer,
+    resolve,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.SellerOffers = SellerOffers;
+}
@@ -73,10 +73,14 @@ const PriceParser = (() => {
 
   /**
    * Main extraction function
+   * @param {Document} doc - Page document
+   * @param {string} url - Page URL
+   * @param {Object} options - { allowMissingPrice: return sold-out pages that show no price }
    */
   async function extractProductInfo(
     doc = document,
-    url = window.location.href
+    url = window.location.href,
+    options = {}
   ) {
     logger.info("🔍 Starting enhanced extraction...");
 
@@ -91,7 +95,7 @@ const PriceParser = (() => {
 
     try {
       // Wrap extraction with timeout
-      const extractionPromise = performExtraction(doc, validUrl, startTime);
+      const extractionPromise = performExtraction(doc, validUrl, startTime, options);
       
       return await Promise.race([
         extractionPromise,
@@ -110,7 +114,7 @@ const PriceParser = (() => {
   /**
    * Performs the actual extraction logic
    */
-  async function performExtraction(doc, url, startTime) {
+  async function performExtraction(doc, url, startTime, options = {}) {
     // Get site configuration
     const siteConfig = SiteConfigs.getSiteConfig(url);
 
@@ -160,8 +164,37 @@ const PriceParser = (() => {
       }
 
       const elapsed = (performance.now() - startTime).toFixed(2);
+      const availability = (result && result.availability) || extractAvailabilityInfo(doc, siteConfig);
 
       if (result && result.price) {
+        result.availability = availability;
+        Object.assign(result, resolveCurrency(doc, url, result.priceText, siteConfig, result.currency));
+        delete result.priceText;
+        // Stable product key: the page's canonical URL without tracking parameters
+        if (typeof CanonicalUrl !== "undefined") {
+          result.url = CanonicalUrl.fromDocument(doc, url);
+        }
+        if (typeof ProductVariants !== "undefined") {
+          result.variants = ProductVariants.extract(doc, url, siteConfig);
+        }
+        if (typeof SellerOffers !== "undefined") {
+          result.offers = SellerOffers.extract(doc, siteConfig, result);
+        }
+        if (typeof ShippingCosts !== "undefined") {
+          result.shipping = ShippingCosts.extract(doc, siteConfig);
+        }
+        if (typeof UnitPrice !== "undefined") {
+          result.quantity = UnitPrice.extract(doc, siteConfig, result.name);
+        }
+        // Product codes and catalog data, used to match the same item across shops
+        result.identifiers = mergeIdentifiers(result.identifiers, extractIdentifiers(doc));
+        // Basket, member and coupon prices: track the lowest, keep the list price
+        if (typeof PriceDiscounts !== "undefined") {
+          PriceDiscounts.apply(
+            result,
+            PriceDiscounts.merge(result.discounts, PriceDiscounts.extract(doc, siteConfig, result.price))
+          );
+        }
         logger.success(`Extraction complete in ${elapsed}ms:`, {
           price: result.price,
           name: result.name?.substring(0, 50) + "...",
@@ -171,10 +204,203 @@ const PriceParser = (() => {
         return result;
       }
 
+      // Sold-out pages often hide the price; the stock state alone is still news
+      if (options.allowMissingPrice && availability && availability !== "in_stock") {
+        logger.info(`📦 No price, but availability is ${availability}`);
+        return {
+          name: cleanProductName(findProductName(doc) || ""),
+          price: null,
+          ...resolveCurrency(doc, url, null, siteConfig, siteConfig.currency || "TRY"),
+          url: url,
+          site: siteConfig.name,
+          availability: availability,
+          confidence: 0.5,
+          method: "availability",
+        };
+      }
+
       logger.warn(`⚠️ No product found after ${elapsed}ms`);
       return null;
   }
 
+  /**
+   * Detect the stock state: site selectors, then JSON-LD offers, then generic markers
+   * @returns {string|null} SiteConfigs.AVAILABILITY value or null if unknown
+   */
+  function extractAvailabilityInfo(doc, siteConfig) {
+    if (!doc) return null;
+
+    try {
+      const siteSelectors = siteConfig?.selectors?.availability;
+      if (siteSelectors && siteSelectors !== SiteConfigs.GENERIC_SELECTORS.availability) {
+        const fromSite = SiteConfigs.extractAvailability(doc, siteSelectors);
+        if (fromSite) return fromSite;
+      }
+
+      const fromJsonLd = extractAvailabilityFromJsonLd(doc);
+      if (fromJsonLd) return fromJsonLd;
+
+      return SiteConfigs.extractAvailability(doc, SiteConfigs.GENERIC_SELECTORS.availability);
+    } catch (error) {
+      logger.error("Availability extraction error:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read offers.availability from JSON-LD Product items
+   */
+  function extractAvailabilityFromJsonLd(doc) {
+    const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of scripts) {
+      try {
+        const content = script.textContent;
+        if (!content || content.length > 100000) continue;
+
+        const data = JSON.parse(content);
+        const items = Array.isArray(data) ? data.slice(0, 10) : [data];
+
+        for (const item of items) {
+          if (!item || item["@type"] !== "Product" || !item.offers) continue;
+
+          const offer = Array.isArray(item.offers) ? item.offers[0] : item.offers;
+          const availability = SiteConfigs.normalizeAvailability(offer?.availability);
+          if (availability) return availability;
+        }
+      } catch (parseError) {
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Identifier fields read from structured data
+   */
+  const IDENTIFIER_FIELDS = ["gtin", "mpn", "sku", "brand", "model", "category"];
+
+  /**
+   * Turn a structured-data value into a short string
+   * Brand and model may be objects ({ "@type": "Brand", name }), category may be a list.
+   */
+  function cleanIdentifier(value) {
+    if (Array.isArray(value)) {
+      const parts = value.map(cleanIdentifier).filter(Boolean);
+      return parts.length > 0 ? parts.join(" > ").substring(0, 100) : null;
+    }
+    if (value && typeof value === "object") {
+      return cleanIdentifier(value.name);
+    }
+    if (typeof value === "string" || typeof value === "number") {
+      return String(value).replace(/\s+/g, " ").trim().substring(0, 100) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Build an identifier set, or null when no field is known
+   */
+  function toIdentifiers(values) {
+    const identifiers = {};
+    for (const field of IDENTIFIER_FIELDS) {
+      identifiers[field] = cleanIdentifier(values[field]);
+    }
+    return IDENTIFIER_FIELDS.some((field) => identifiers[field]) ? identifiers : null;
+  }
+
+  /**
+   * Fill the missing fields of one identifier set from another
+   */
+  function mergeIdentifiers(primary, fallback) {
+    if (!primary) return fallback || null;
+    if (!fallback) return primary;
+
+    const merged = { ...primary };
+    for (const field of IDENTIFIER_FIELDS) {
+      merged[field] = primary[field] || fallback[field] || null;
+    }
+    return merged;
+  }
+
+  /**
+   * Read GTIN, MPN, SKU, brand, model and category of a JSON-LD Product item
+   */
+  function identifiersFromJsonLdItem(item) {
+    if (!item || item["@type"] !== "Product") return null;
+
+    return toIdentifiers({
+      gtin: item.gtin13 ?? item.gtin14 ?? item.gtin12 ?? item.gtin8 ?? item.gtin,
+      mpn: item.mpn,
+      sku: item.sku,
+      brand: item.brand,
+      model: item.model,
+      category: item.category,
+    });
+  }
+
+  /**
+   * Read GTIN, MPN, SKU, brand, model and category from schema.org microdata
+   */
+  function identifiersFromMicrodata(doc) {
+    const root = doc.querySelector('[itemtype*="schema.org/Product"]') || doc;
+
+    const read = (selector) => {
+      const element = root.querySelector(selector);
+      if (!element) return null;
+      // Brand and model are often nested items: <div itemprop="brand" itemscope><span itemprop="name">
+      const nameEl = element.hasAttribute("itemscope") ? element.querySelector('[itemprop="name"]') : null;
+      const target = nameEl || element;
+      return target.getAttribute("content") || target.textContent;
+    };
+
+    return toIdentifiers({
+      gtin: read('[itemprop^="gtin"]'),
+      mpn: read('[itemprop="mpn"]'),
+      sku: read('[itemprop="sku"]'),
+      brand: read('[itemprop="brand"]'),
+      model: read('[itemprop="model"]'),
+      category: read('[itemprop="category"]'),
+    });
+  }
+
+  /**
+   * Read product identifiers from every JSON-LD Product item and the microdata of a page
+   * @returns {Object|null} { gtin, mpn, sku, brand, model, category } or null when the page names none
+   */
+  function extractIdentifiers(doc) {
+    if (!doc) return null;
+
+    let identifiers = null;
+
+    try {
+      const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+
+      for (const script of scripts) {
+        try {
+          const content = script.textContent;
+          if (!content || content.length > 500000) continue;
+
+          const data = JSON.parse(content);
+          const items = Array.isArray(data) ? data.slice(0, 10) : [data];
+
+          for (const item of items) {
+            identifiers = mergeIdentifiers(identifiers, identifiersFromJsonLdItem(item));
+          }
+        } catch (parseError) {
+          continue;
+        }
+      }
+
+      identifiers = mergeIdentifiers(identifiers, identifiersFromMicrodata(doc));
+    } catch (error) {
+      logger.error("Identifier extraction error:", error.message);
+    }
+
+    return identifiers;
+  }
+
   /**
    * Strategy 1: Extract using site-specific configuration
    */
@@ -231,6 +457,7 @@ const PriceParser = (() => {
         price: price,
         previousPrice: previousPrice,
         currency: config.currency || detectCurrency(priceStr) || "TRY",
+        priceText: priceStr,
         url: url,
         site: config.name,
         image: image,
@@ -329,8 +556,10 @@ const PriceParser = (() => {
         name: cleanProductName(name),
         price: price,
         currency: currency,
+        priceText: priceStr,
         url: url,
         site: getSiteName(url),
+        identifiers: identifiersFromMicrodata(doc),
         confidence: 0.85,
         method: "schema.org",
       };
@@ -340,6 +569,28 @@ const PriceParser = (() => {
     }
   }
 
+  /**
+   * Currency decision for an extracted product, with its source and any disagreeing sources
+   * @param {string} priceText - Raw price text the price was read from
+   * @param {string} fallback - Currency the extraction strategy reported
+   * @returns {Object} { currency, currencySource, currencyConflicts }
+   */
+  function resolveCurrency(doc, url, priceText, siteConfig, fallback) {
+    if (typeof CurrencyResolver === "undefined") {
+      return { currency: fallback || "TRY" };
+    }
+
+    const resolution = CurrencyResolver.resolve({ doc, url, priceText, siteConfig });
+    if (resolution.conflicts) {
+      logger.warn(`💱 Currency conflict: ${resolution.currency} (${resolution.source})`, resolution.conflicts);
+    }
+    return {
+      currency: resolution.currency,
+      currencySource: resolution.source,
+      currencyConflicts: resolution.conflicts,
+    };
+  }
+
   /**
    * Sanitizes currency code
    */
@@ -384,7 +635,9 @@ const PriceParser = (() => {
         return null;
       }
 
-      const bestCandidate = scoredCandidates[0];
+      // Basket, member and coupon prices are conditional; the list price is the best plain candidate
+      const listCandidates = scoredCandidates.filter((c) => !c.discountKind);
+      const bestCandidate = (listCandidates.length > 0 ? listCandidates : scoredCandidates)[0];
 
       logger.info(
         `Best candidate: ${
@@ -406,8 +659,10 @@ const PriceParser = (() => {
         name: cleanProductName(name),
         price: bestCandidate.price,
         currency: bestCandidate.currency || "TRY",
+        priceText: bestCandidate.text,
         url: url,
         site: getSiteName(url),
+        discounts: findDiscountPrices(scoredCandidates, bestCandidate.price),
         confidence: confidence,
         method: "heuristic",
       };
@@ -417,6 +672,36 @@ const PriceParser = (() => {
     }
   }
 
+  /**
+   * Best basket, member and coupon price among scored candidates
+   * @param {Array} candidates - Scored candidates, best first
+   * @param {number} listPrice - Chosen list price
+   * @returns {Object|null} { basket, member, coupon, couponText }
+   */
+  function findDiscountPrices(candidates, listPrice) {
+    if (typeof PriceDiscounts === "undefined") return null;
+
+    const discounts = { basket: null, member: null, coupon: null, couponText: null };
+
+    for (const candidate of candidates) {
+      const kind = candidate.discountKind;
+      if (!kind || discounts[kind]) continue;
+
+      // "Sepette %10 indirim" only makes sense with the surrounding text
+      const price =
+        PriceDiscounts.parsePrice(candidate.context, listPrice) ||
+        PriceDiscounts.parsePrice(candidate.text, listPrice);
+      if (price) {
+        discounts[kind] = price;
+        if (kind === PriceDiscounts.KINDS.COUPON) {
+          discounts.couponText = candidate.context.substring(0, 100);
+        }
+      }
+    }
+
+    return discounts;
+  }
+
   /**
    * Strategy 4: Extract from JSON-LD structured data
    */
@@ -499,6 +784,8 @@ const PriceParser = (() => {
         Array.isArray(item.image) ? item.image[0] : item.image,
         url
       ),
+      availability: SiteConfigs.normalizeAvailability(offer.availability),
+      identifiers: identifiersFromJsonLdItem(item),
       confidence: 0.9,
       method: "json-ld",
     };
@@ -526,6 +813,10 @@ const PriceParser = (() => {
       "amount",
       "sale",
       "indirim",
+      "sepet",
+      "basket",
+      "kupon",
+      "coupon",
     ];
 
     // Find elements with price-related classes/attributes (more targeted)
@@ -580,6 +871,20 @@ const PriceParser = (() => {
       pricePattern.lastIndex = 0;
       const matches = [...text.matchAll(pricePattern)];
 
+      // Labels such as "Sepette" often sit in a sibling, so look at the parent's text too -
+      // but only a bare label: a sibling badge with its own price or percent describes that
+      // price, not this one
+      const parentText = (el.parentElement?.textContent || "").trim();
+      const context =
+        parentText.length <= CONFIG.MAX_TEXT_LENGTH ? parentText : text;
+      const siblingsText = context.replace(text, "");
+      const hint = `${el.className || ""} ${el.id || ""}`;
+      const discountKind =
+        typeof PriceDiscounts !== "undefined"
+          ? PriceDiscounts.detectKind(text, hint) ||
+            (/\d/.test(siblingsText) ? null : PriceDiscounts.detectKind(context))
+          : null;
+
       for (const match of matches) {
         const priceStr = match[1];
         const price = SiteConfigs.cleanPrice(priceStr);
@@ -589,6 +894,8 @@ const PriceParser = (() => {
             element: el,
             price: price,
             text: text.substring(0, 50), // Limit stored text
+            context: context.substring(0, 200),
+            discountKind: discountKind,
             currency: detectCurrency(text),
             className: (el.className || "").substring(0, 100),
             id: (el.id || "").substring(0, 50),
@@ -649,6 +956,7 @@ const PriceParser = (() => {
       score -= 3;
     }
 
+    // Shipping fees are never the item price; ShippingCosts reads them separately
     if (/shipping|cargo|kargo|vergi|tax|fee/i.test(combined)) {
       score -= 2;
     }
@@ -797,11 +1105,22 @@ const PriceParser = (() => {
     }
   }
 
+  /**
+   * Detect the stock state of a page (for callers that extract the price themselves)
+   * @param {Document} doc - Page document
+   * @param {string} url - Page URL
+   * @returns {string|null} SiteConfigs.AVAILABILITY value or null if unknown
+   */
+  function detectAvailability(doc, url) {
+    return extractAvailabilityInfo(doc, SiteConfigs.getSiteConfig(url));
+  }
+
   /**
    * Public API
    */
   return {
     extractProductInfo,
+    detectAvailability,
             // Expose config for testing
     get config() { return { ...CONFIG }; },
   };
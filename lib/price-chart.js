@@ -0,0 +1,607 @@
+// Price Chart v1.0
+// Canvas drawing shared by the performance monitor, card sparklines and the product detail chart
+
+const PriceChart = (function () {
+  "use strict";
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Zoom presets of the detail chart
+  const RANGES = {
+    "7d": 7 * DAY_MS,
+    "30d": 30 * DAY_MS,
+    "90d": 90 * DAY_MS,
+    all: Infinity,
+  };
+
+  // Zooming in stops at one hour
+  const MIN_SPAN_MS = 60 * 60 * 1000;
+
+  // Events closer than this to the cursor are listed in the tooltip
+  const EVENT_HIT_PX = 6;
+
+  /**
+   * Theme-aware colors (M3 palette, follows body.dark-mode)
+   */
+  function getTheme() {
+    const isDark = typeof document !== "undefined" && document.body.classList.contains("dark-mode");
+    return {
+      isDark,
+      primary: isDark ? "#D0BCFF" : "#6750A4",
+      secondary: isDark ? "#CCC2DC" : "#625B71",
+      success: "#1B8755",
+      error: isDark ? "#F2B8B5" : "#B3261E",
+      warning: isDark ? "#FFB870" : "#9A5B00",
+      surface: isDark ? "#1C1B1F" : "#FFFBFE",
+      grid: isDark ? "rgba(255, 255, 255, 0.1)" : "rgba(0, 0, 0, 0.1)",
+      text: isDark ? "rgba(255, 255, 255, 0.5)" : "rgba(0, 0, 0, 0.5)",
+      guide: isDark ? "rgba(255, 255, 255, 0.3)" : "rgba(0, 0, 0, 0.2)",
+    };
+  }
+
+  /**
+   * Dashed horizontal grid lines with optional labels on the left edge
+   * @param {CanvasRenderingContext2D} ctx - Context
+   * @param {Object} area - { left, top, right, bottom } plot area
+   * @param {Object} options - { lines, label(i), lineStart, theme }
+   */
+  function drawGrid(ctx, area, options = {}) {
+    const { lines = 4, label = null, lineStart = area.left, theme = getTheme() } = options;
+
+    ctx.strokeStyle = theme.grid;
+    ctx.lineWidth = 1;
+    ctx.font = "10px system-ui";
+    ctx.fillStyle = theme.text;
+
+    for (let i = 0; i <= lines; i++) {
+      const y = area.top + ((area.bottom - area.top) / lines) * i;
+      ctx.beginPath();
+      ctx.setLineDash([2, 4]);
+      ctx.moveTo(lineStart, y);
+      ctx.lineTo(area.right, y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      if (label) ctx.fillText(label(i), 2, y + 3);
+    }
+  }
+
+  /**
+   * Centered message for charts without enough data
+   */
+  function drawMessage(ctx, text, theme = getTheme()) {
+    ctx.fillStyle = theme.text;
+    ctx.font = "12px system-ui";
+    ctx.textAlign = "center";
+    ctx.fillText(text, ctx.canvas.width / 2, ctx.canvas.height / 2);
+    ctx.textAlign = "left";
+  }
+
+  /**
+   * Gradient-filled area under a line
+   * @param {CanvasRenderingContext2D} ctx - Context
+   * @param {Array} points - [{ x, y }]
+   * @param {number} baseY - Bottom of the area
+   * @param {string} color - Hex color
+   * @param {string} alpha - Hex alpha at the top of the gradient
+   */
+  function drawArea(ctx, points, baseY, color, alpha = "40") {
+    if (points.length < 2) return;
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, ctx.canvas.height);
+    gradient.addColorStop(0, color + alpha);
+    gradient.addColorStop(1, color + "05");
+
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, baseY);
+    points.forEach((point) => ctx.lineTo(point.x, point.y));
+    ctx.lineTo(points[points.length - 1].x, baseY);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * Polyline through the points
+   */
+  function drawLine(ctx, points, color, lineWidth = 2.5) {
+    if (points.length < 2) return;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    points.forEach((point, i) => {
+      if (i === 0) ctx.moveTo(point.x, point.y);
+      else ctx.lineTo(point.x, point.y);
+    });
+    ctx.stroke();
+  }
+
+  /**
+   * Data point, optionally outlined
+   */
+  function drawPoint(ctx, x, y, radius, fill, stroke = null) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = fill;
+    ctx.fill();
+    if (stroke) {
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Dashed vertical guide line (hover position)
+   */
+  function drawGuide(ctx, x, top, bottom, color = getTheme().guide) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * Small trend line for product cards: green when the price fell, red when it rose
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @param {Array<number>} values - Prices, oldest first
+   */
+  function drawSparkline(canvas, values) {
+    const ctx = canvas.getContext("2d");
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 3;
+
+    ctx.clearRect(0, 0, width, height);
+    if (!Array.isArray(values) || values.length < 2) return;
+
+    const theme = getTheme();
+    const first = values[0];
+    const last = values[values.length - 1];
+    const color = last < first ? theme.success : last > first ? theme.error : theme.primary;
+
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const step = (width - padding * 2) / (values.length - 1);
+    const points = values.map((value, i) => ({
+      x: padding + i * step,
+      y: padding + (1 - (value - min) / range) * (height - padding * 2),
+    }));
+
+    drawArea(ctx, points, height, color, "30");
+    drawLine(ctx, points, color, 1.5);
+    const end = points[points.length - 1];
+    drawPoint(ctx, end.x, end.y, 2, color);
+  }
+
+  /**
+   * Axis label for a price: whole numbers above 100
+   */
+  function formatAxisValue(value) {
+    return Math.abs(value) >= 100 ? Math.round(value).toLocaleString("tr-TR") : value.toFixed(2);
+  }
+
+  /**
+   * Axis label for a date: day and month, or the time when zoomed into a few days
+   */
+  function formatAxisDate(timestamp, span) {
+    const date = new Date(timestamp);
+    if (span <= 2 * DAY_MS) {
+      return date.toLocaleTimeString("tr-TR", { hour: "2-digit", minute: "2-digit" });
+    }
+    return date.toLocaleDateString("tr-TR", { day: "numeric", month: "short" });
+  }
+
+  /**
+   * Interactive price history chart: zoom with the wheel or range presets, pan by dragging,
+   * double-click to reset. Draws min/max/avg markers for the visible range, alert thresholds
+   * as dashed lines and events as annotations.
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @param {Object} options - { formatValue, formatDate, tooltip (element), onViewChange(stats) }
+   * @returns {Object} Controller { setData, setRange, reset, resize, render, getStats, destroy }
+   */
+  function createChart(canvas, options = {}) {
+    const ctx = canvas.getContext("2d");
+    const formatValue = options.formatValue || ((value) => value.toFixed(2));
+    const formatDate = options.formatDate || ((timestamp) => new Date(timestamp).toLocaleString("tr-TR"));
+    const tooltip = options.tooltip || null;
+
+    let steps = [];
+    let thresholds = [];
+    let events = [];
+    let bounds = { from: 0, to: 0 };
+    let view = { from: 0, to: 0 };
+    let hoverX = null;
+    let drag = null;
+
+    const getArea = () => ({
+      left: 52,
+      top: 20,
+      right: canvas.width - 16,
+      bottom: canvas.height - 28,
+    });
+
+    const toX = (date, area) =>
+      area.left + ((date - view.from) / (view.to - view.from || 1)) * (area.right - area.left);
+    const toDate = (x, area) =>
+      view.from + ((x - area.left) / (area.right - area.left || 1)) * (view.to - view.from);
+
+    /**
+     * Canvas x of a mouse event (the canvas may be scaled by CSS)
+     */
+    function eventX(e) {
+      const rect = canvas.getBoundingClientRect();
+      return ((e.clientX - rect.left) / (rect.width || 1)) * canvas.width;
+    }
+
+    /**
+     * Keep the view inside the data and no narrower than MIN_SPAN_MS
+     */
+    function setView(from, to) {
+      const full = bounds.to - bounds.from;
+      const span = Math.min(Math.max(to - from, Math.min(MIN_SPAN_MS, full)), full);
+      const start = Math.max(bounds.from, Math.min(from, bounds.to - span));
+      view = { from: start, to: start + span };
+      render();
+      if (options.onViewChange) options.onViewChange(getStats());
+    }
+
+    /**
+     * Steps overlapping the view
+     */
+    function getVisible() {
+      return steps.filter((step) => step.until >= view.from && step.date <= view.to);
+    }
+
+    /**
+     * Min, max and time-weighted average of the visible range
+     * @returns {Object|null} { from, to, min, max, avg, minDate, maxDate }
+     */
+    function getStats() {
+      const visible = getVisible();
+      if (visible.length === 0) return null;
+
+      let min = visible[0];
+      let max = visible[0];
+      let weighted = 0;
+      let duration = 0;
+
+      for (const step of visible) {
+        if (step.min < min.min) min = step;
+        if (step.max > max.max) max = step;
+        const length = Math.min(step.until, view.to) - Math.max(step.date, view.from);
+        weighted += step.price * Math.max(length, 0);
+        duration += Math.max(length, 0);
+      }
+
+      return {
+        from: view.from,
+        to: view.to,
+        min: min.min,
+        max: max.max,
+        minDate: Math.max(min.date, view.from),
+        maxDate: Math.max(max.date, view.from),
+        avg: duration > 0 ? weighted / duration : visible.reduce((sum, s) => sum + s.price, 0) / visible.length,
+      };
+    }
+
+    /**
+     * Replace the chart data and show everything
+     * @param {Object} data - { series (PriceHistory.toSeries), thresholds [{ value, label, color }],
+     *   events [{ date, label, color }] }; colors are getTheme() keys or hex colors
+     */
+    function setData(data = {}) {
+      const series = (data.series || []).filter((point) => point.price > 0);
+      const now = Date.now();
+      const end = series.length > 0 ? Math.max(series[series.length - 1].end || 0, now) : now;
+
+      // A price holds until the next observation, the last one until now
+      steps = series.map((point, i) => ({
+        ...point,
+        until: i + 1 < series.length ? series[i + 1].date : end,
+      }));
+      thresholds = (data.thresholds || []).filter((t) => t && t.value > 0);
+      events = (data.events || []).filter((e) => e && e.date);
+
+      const start = steps.length > 0 ? steps[0].date : now - DAY_MS;
+      bounds = { from: Math.min(start, end - MIN_SPAN_MS), to: end };
+      setView(bounds.from, bounds.to);
+    }
+
+    /**
+     * Show the last 7/30/90 days or everything
+     * @param {string} key - RANGES key
+     */
+    function setRange(key) {
+      const span = RANGES[key] || Infinity;
+      setView(span === Infinity ? bounds.from : bounds.to - span, bounds.to);
+    }
+
+    function reset() {
+      setView(bounds.from, bounds.to);
+    }
+
+    /**
+     * Match the canvas resolution to its displayed width
+     */
+    function resize() {
+      if (canvas.clientWidth > 0 && canvas.width !== canvas.clientWidth) {
+        canvas.width = canvas.clientWidth;
+        render();
+      }
+    }
+
+    function render() {
+      const theme = getTheme();
+      const area = getArea();
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+      const visible = getVisible();
+      if (visible.length === 0) {
+        drawGrid(ctx, area, { theme });
+        drawMessage(ctx, "Geçmiş toplanıyor...", theme);
+        return;
+      }
+
+      const stats = getStats();
+      const levels = [stats.min, stats.max, ...thresholds.map((t) => t.value)];
+      let low = Math.min(...levels);
+      let high = Math.max(...levels);
+      const pad = (high - low) * 0.1 || high * 0.05 || 1;
+      low = Math.max(0, low - pad);
+      high += pad;
+      const toY = (value) => area.top + (1 - (value - low) / (high - low)) * (area.bottom - area.top);
+
+      drawGrid(ctx, area, {
+        theme,
+        lineStart: area.left - 4,
+        label: (i) => formatAxisValue(high - ((high - low) / 4) * i),
+      });
+
+      // Date ticks
+      const span = view.to - view.from;
+      ctx.fillStyle = theme.text;
+      ctx.font = "10px system-ui";
+      ctx.textAlign = "center";
+      for (let i = 0; i <= 4; i++) {
+        const date = view.from + (span / 4) * i;
+        ctx.fillText(formatAxisDate(date, span), toX(date, area), canvas.height - 8);
+      }
+      ctx.textAlign = "left";
+
+      // Step line clipped to the view
+      const points = [];
+      for (const step of visible) {
+        const y = toY(step.price);
+        points.push({ x: toX(Math.max(step.date, view.from), area), y });
+        points.push({ x: toX(Math.min(step.until, view.to), area), y });
+      }
+      drawArea(ctx, points, area.bottom, theme.primary);
+      drawLine(ctx, points, theme.primary, 2);
+
+      // Average of the visible range
+      const avgY = toY(stats.avg);
+      ctx.strokeStyle = theme.secondary;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 3]);
+      ctx.beginPath();
+      ctx.moveTo(area.left, avgY);
+      ctx.lineTo(area.right, avgY);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = theme.secondary;
+      ctx.fillText(`Ort. ${formatValue(stats.avg)}`, area.left + 4, avgY - 4);
+
+      // Alert thresholds
+      for (const threshold of thresholds) {
+        const y = toY(threshold.value);
+        const color = theme[threshold.color] || threshold.color || theme.warning;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(area.left, y);
+        ctx.lineTo(area.right, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        ctx.textAlign = "right";
+        ctx.fillText(`${threshold.label} ${formatValue(threshold.value)}`, area.right, y - 4);
+        ctx.textAlign = "left";
+      }
+
+      // Min and max markers
+      const markers = [
+        { value: stats.max, date: stats.maxDate, label: "En yüksek", color: theme.error, dy: -8 },
+        { value: stats.min, date: stats.minDate, label: "En düşük", color: theme.success, dy: 14 },
+      ];
+      for (const marker of markers) {
+        const x = toX(marker.date, area);
+        const y = toY(marker.value);
+        drawPoint(ctx, x, y, 4, marker.color, theme.surface);
+        ctx.fillStyle = marker.color;
+        ctx.textAlign = x > (area.left + area.right) / 2 ? "right" : "left";
+        ctx.fillText(`${marker.label} ${formatValue(marker.value)}`, x, y + marker.dy);
+        ctx.textAlign = "left";
+      }
+
+      // Event annotations
+      for (const event of events) {
+        if (event.date < view.from || event.date > view.to) continue;
+        const x = toX(event.date, area);
+        const color = theme[event.color] || event.color || theme.secondary;
+        drawGuide(ctx, x, area.top, area.bottom, color + "80");
+        drawPoint(ctx, x, area.top - 8, 4, color, theme.surface);
+      }
+
+      // Hover position
+      if (hoverX !== null && hoverX >= area.left && hoverX <= area.right) {
+        const step = findStep(toDate(hoverX, area));
+        drawGuide(ctx, hoverX, area.top, area.bottom, theme.guide);
+        if (step) drawPoint(ctx, hoverX, toY(step.price), 5, theme.primary, theme.surface);
+      }
+    }
+
+    /**
+     * Step in effect at a date
+     */
+    function findStep(date) {
+      for (let i = steps.length - 1; i >= 0; i--) {
+        if (steps[i].date <= date) return date <= steps[i].until ? steps[i] : null;
+      }
+      return null;
+    }
+
+    function showTooltip(e) {
+      if (!tooltip) return;
+
+      const area = getArea();
+      const date = toDate(hoverX, area);
+      const step = findStep(date);
+      const nearby = events.filter((event) => Math.abs(toX(event.date, area) - hoverX) <= EVENT_HIT_PX);
+
+      if (!step && nearby.length === 0) {
+        hideTooltip();
+        return;
+      }
+
+      const escape = (text) =>
+        typeof PriceTrackerHelpers !== "undefined" ? PriceTrackerHelpers.escapeHtml(text) : text;
+      const theme = getTheme();
+      const rows = [];
+      if (step) {
+        rows.push({ color: theme.primary, label: "Fiyat", value: formatValue(step.price) });
+        if (step.resolution !== "raw" && step.max > step.min) {
+          rows.push({
+            color: theme.secondary,
+            label: "Aralık",
+            value: `${formatValue(step.min)} – ${formatValue(step.max)}`,
+          });
+        }
+      }
+      for (const event of nearby) {
+        rows.push({
+          color: theme[event.color] || event.color || theme.secondary,
+          label: event.label,
+          value: formatDate(event.date),
+        });
+      }
+
+      tooltip.innerHTML = `
+        <div class="chart-tooltip-time">${escape(formatDate(date))}</div>
+        ${rows
+          .map(
+            (row) => `
+          <div class="chart-tooltip-row">
+            <span class="chart-tooltip-dot" style="background: ${row.color}"></span>
+            <span class="chart-tooltip-label">${escape(row.label)}</span>
+            <span class="chart-tooltip-value">${escape(row.value)}</span>
+          </div>`
+          )
+          .join("")}
+      `;
+      tooltip.style.left = `${e.clientX + 12}px`;
+      tooltip.style.top = `${e.clientY - 60}px`;
+      tooltip.classList.add("visible");
+    }
+
+    function hideTooltip() {
+      if (tooltip) tooltip.classList.remove("visible");
+    }
+
+    function handleWheel(e) {
+      if (steps.length === 0) return;
+      e.preventDefault();
+
+      const area = getArea();
+      const anchor = toDate(Math.min(Math.max(eventX(e), area.left), area.right), area);
+      const factor = e.deltaY < 0 ? 0.8 : 1.25;
+      setView(anchor - (anchor - view.from) * factor, anchor + (view.to - anchor) * factor);
+    }
+
+    function handleMouseDown(e) {
+      drag = { x: eventX(e), view: { ...view } };
+      canvas.style.cursor = "grabbing";
+    }
+
+    function handleMouseMove(e) {
+      hoverX = eventX(e);
+
+      if (drag) {
+        const area = getArea();
+        const shift = ((drag.x - hoverX) / (area.right - area.left)) * (drag.view.to - drag.view.from);
+        hideTooltip();
+        setView(drag.view.from + shift, drag.view.to + shift);
+        return;
+      }
+
+      render();
+      showTooltip(e);
+    }
+
+    function handleMouseUp() {
+      drag = null;
+      canvas.style.cursor = "";
+    }
+
+    function handleMouseLeave() {
+      handleMouseUp();
+      hoverX = null;
+      hideTooltip();
+      render();
+    }
+
+    canvas.addEventListener("wheel", handleWheel, { passive: false });
+    canvas.addEventListener("mousedown", handleMouseDown);
+    canvas.addEventListener("mousemove", handleMouseMove);
+    canvas.addEventListener("mouseup", handleMouseUp);
+    canvas.addEventListener("mouseleave", handleMouseLeave);
+    canvas.addEventListener("dblclick", reset);
+
+    function destroy() {
+      canvas.removeEventListener("wheel", handleWheel);
+      canvas.removeEventListener("mousedown", handleMouseDown);
+      canvas.removeEventListener("mousemove", handleMouseMove);
+      canvas.removeEventListener("mouseup", handleMouseUp);
+      canvas.removeEventListener("mouseleave", handleMouseLeave);
+      canvas.removeEventListener("dblclick", reset);
+      hideTooltip();
+    }
+
+    return {
+      setData,
+      setRange,
+      reset,
+      resize,
+      render,
+      getStats,
+      destroy,
+    };
+  }
+
+  // Public API
+  return {
+    RANGES,
+    getTheme,
+    drawGrid,
+    drawMessage,
+    drawArea,
+    drawLine,
+    drawPoint,
+    drawGuide,
+    drawSparkline,
+    createChart,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.PriceChart = PriceChart;
+}
@@ -0,0 +1,536 @@
+// Price History Store v1.0
+// Unbounded per-product history with raw recent points and downsampled buckets
+
+const PriceHistory = (function () {
+  "use strict";
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const HISTORY_CONFIG =
+    typeof Config !== "undefined" && Config.HISTORY
+      ? Config.HISTORY
+      : {
+          STORAGE_PREFIX: "priceHistory_",
+          RAW_RETENTION_DAYS: 30,
+          DAILY_RETENTION_DAYS: 365,
+          MAX_GAP_MS: 3 * 60 * 60 * 1000,
+        };
+
+  // Points kept for the sparkline on product cards
+  const SPARKLINE_POINTS = 30;
+
+  /**
+   * Get storage key for a product
+   * @param {string} productUrl - Product URL
+   * @returns {string} Storage key
+   */
+  function getStorageKey(productUrl) {
+    return HISTORY_CONFIG.STORAGE_PREFIX + productUrl;
+  }
+
+  /**
+   * Create an empty history record
+   * @param {string} productUrl - Product URL
+   * @returns {Object} History record
+   */
+  function createRecord(productUrl) {
+    return {
+      url: productUrl,
+      raw: [],
+      daily: [],
+      weekly: [],
+      firstSeen: null,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Start of the local day containing a timestamp
+   */
+  function startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  /**
+   * Start of the local week (Monday) containing a timestamp
+   */
+  function startOfWeek(timestamp) {
+    const date = new Date(startOfDay(timestamp));
+    const offset = (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() - offset);
+    return date.getTime();
+  }
+
+  /**
+   * Fold a point or bucket into a bucket map keyed by bucket start
+   */
+  function addToBucket(buckets, start, item) {
+    const count = item.count || 1;
+    const min = item.min !== undefined ? item.min : item.price;
+    const max = item.max !== undefined ? item.max : item.price;
+    const avg = item.avg !== undefined ? item.avg : item.price;
+    const open = item.open !== undefined ? item.open : item.price;
+    const close = item.close !== undefined ? item.close : item.price;
+    const first = item.start !== undefined ? item.start : item.date;
+    const last = item.lastSeen || item.end || first;
+
+    const bucket = buckets.get(start);
+    if (!bucket) {
+      buckets.set(start, {
+        start,
+        end: last,
+        min,
+        max,
+        avg,
+        open,
+        close,
+        count,
+        firstDate: first,
+      });
+      return;
+    }
+
+    bucket.avg = (bucket.avg * bucket.count + avg * count) / (bucket.count + count);
+    bucket.count += count;
+    bucket.min = Math.min(bucket.min, min);
+    bucket.max = Math.max(bucket.max, max);
+    if (first < bucket.firstDate) {
+      bucket.firstDate = first;
+      bucket.open = open;
+    }
+    if (last >= bucket.end) {
+      bucket.end = last;
+      bucket.close = close;
+    }
+  }
+
+  /**
+   * Downsample old raw points into daily buckets and old daily buckets into weekly ones
+   * @param {Object} record - History record (mutated)
+   * @param {number} now - Reference timestamp
+   * @returns {Object} The same record
+   */
+  function compact(record, now = Date.now()) {
+    const rawCutoff = startOfDay(now - HISTORY_CONFIG.RAW_RETENTION_DAYS * DAY_MS);
+    const dailyCutoff = startOfWeek(now - HISTORY_CONFIG.DAILY_RETENTION_DAYS * DAY_MS);
+
+    const staleRaw = record.raw.filter((p) => (p.lastSeen || p.date) < rawCutoff);
+    if (staleRaw.length > 0) {
+      const daily = new Map(record.daily.map((b) => [b.start, b]));
+      for (const point of staleRaw) {
+        addToBucket(daily, startOfDay(point.date), point);
+      }
+      record.daily = Array.from(daily.values()).sort((a, b) => a.start - b.start);
+      record.raw = record.raw.filter((p) => (p.lastSeen || p.date) >= rawCutoff);
+    }
+
+    const staleDaily = record.daily.filter((b) => b.start < dailyCutoff);
+    if (staleDaily.length > 0) {
+      const weekly = new Map(record.weekly.map((b) => [b.start, b]));
+      for (const bucket of staleDaily) {
+        addToBucket(weekly, startOfWeek(bucket.start), bucket);
+      }
+      record.weekly = Array.from(weekly.values()).sort((a, b) => a.start - b.start);
+      record.daily = record.daily.filter((b) => b.start >= dailyCutoff);
+    }
+
+    return record;
+  }
+
+  /**
+   * Append an observation to a record without touching storage
+   * Same-price observations extend the last point instead of adding a new one,
+   * unless the gap since it was last seen exceeds maxGapMs.
+   * @param {Object} record - History record (mutated)
+   * @param {number} price - Observed price
+   * @param {number} date - Observation timestamp
+   * @param {number} maxGapMs - Maximum gap that still counts as "unchanged"
+   * @returns {string} Observation kind: initial, up, down or unchanged
+   */
+  function appendObservation(record, price, date, maxGapMs = HISTORY_CONFIG.MAX_GAP_MS) {
+    const last = record.raw[record.raw.length - 1];
+
+    if (!record.firstSeen || date < record.firstSeen) {
+      record.firstSeen = date;
+    }
+    record.updatedAt = Date.now();
+
+    if (!last) {
+      record.raw.push({ date, lastSeen: date, price, count: 1, change: "initial" });
+      return "initial";
+    }
+
+    const sameAsLast = Math.abs(last.price - price) <= 0.01;
+
+    if (sameAsLast && date - last.lastSeen <= maxGapMs) {
+      last.lastSeen = Math.max(last.lastSeen, date);
+      last.count++;
+      return "unchanged";
+    }
+
+    const change = sameAsLast ? "unchanged" : price < last.price ? "down" : "up";
+    record.raw.push({ date, lastSeen: date, price, count: 1, change });
+    return change;
+  }
+
+  /**
+   * Seed a record from the data already on the product: initial price,
+   * the legacy inline priceHistory array and the last checked price
+   */
+  function seedFromProduct(record, product) {
+    const legacy = Array.isArray(product?.priceHistory) ? product.priceHistory : [];
+    const entries = [
+      { price: product?.initialPrice, date: product?.addedDate },
+      ...legacy,
+      { price: product?.price, date: product?.lastCheck },
+    ]
+      .filter((h) => h && parseFloat(h.price) > 0 && h.date)
+      .sort((a, b) => a.date - b.date);
+
+    for (const entry of entries) {
+      appendObservation(record, parseFloat(entry.price), entry.date);
+    }
+
+    return record;
+  }
+
+  /**
+   * Load a product's history record
+   * @param {string} productUrl - Product URL
+   * @returns {Promise<Object|null>} History record or null
+   */
+  async function getHistory(productUrl) {
+    try {
+      const key = getStorageKey(productUrl);
+      const stored = await browser.storage.local.get(key);
+      return stored[key] || null;
+    } catch (error) {
+      console.error("[PriceHistory] Load error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a product's history record
+   */
+  async function saveHistory(record) {
+    await browser.storage.local.set({ [getStorageKey(record.url)]: record });
+  }
+
+  /**
+   * Record a price observation for a product
+   * @param {Object} product - Tracked product (url and legacy priceHistory are used)
+   * @param {number} price - Observed price
+   * @param {Object} options - { date, maxGapMs }
+   * @returns {Promise<string|null>} Observation kind or null on failure
+   */
+  async function recordObservation(product, price, options = {}) {
+    const { date = Date.now(), maxGapMs = HISTORY_CONFIG.MAX_GAP_MS } = options;
+    const value = parseFloat(price);
+
+    if (!product?.url || isNaN(value) || value <= 0) {
+      return null;
+    }
+
+    try {
+      let record = await getHistory(product.url);
+      if (!record) {
+        record = seedFromProduct(createRecord(product.url), product);
+      }
+
+      const kind = appendObservation(record, value, date, maxGapMs);
+      compact(record);
+      await saveHistory(record);
+      return kind;
+    } catch (error) {
+      console.error("[PriceHistory] Record error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Flatten a record into a chronological series for charts and statistics
+   * Weekly and daily buckets come first, followed by raw points.
+   * @param {Object} record - History record
+   * @param {Object} options - { from, to }
+   * @returns {Array} Series of { date, end, price, min, max, avg, count, resolution }
+   */
+  function toSeries(record, options = {}) {
+    if (!record) return [];
+
+    const { from = 0, to = Infinity } = options;
+    const fromBucket = (resolution) => (b) => ({
+      date: b.start,
+      end: b.end,
+      price: b.close,
+      min: b.min,
+      max: b.max,
+      avg: b.avg,
+      count: b.count,
+      resolution,
+    });
+
+    const series = [
+      ...record.weekly.map(fromBucket("weekly")),
+      ...record.daily.map(fromBucket("daily")),
+      ...record.raw.map((p) => ({
+        date: p.date,
+        end: p.lastSeen,
+        price: p.price,
+        min: p.price,
+        max: p.price,
+        avg: p.price,
+        count: p.count,
+        resolution: "raw",
+        change: p.change,
+      })),
+    ];
+
+    return series
+      .filter((p) => p.end >= from && p.date <= to)
+      .sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Find periods without observations longer than a threshold
+   * @param {Object} record - History record
+   * @param {number} thresholdMs - Minimum gap length
+   * @returns {Array} Gaps as { from, to }
+   */
+  function getGaps(record, thresholdMs = HISTORY_CONFIG.MAX_GAP_MS) {
+    const points = record ? record.raw : [];
+    const gaps = [];
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1].lastSeen;
+      const to = points[i].date;
+      if (to - from > thresholdMs) {
+        gaps.push({ from, to });
+      }
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Count price changes inside a recent window, used to adapt polling
+   * Daily buckets whose min and max differ count as a single change.
+   * @param {Object} record - History record
+   * @param {Object} options - { windowDays, now }
+   * @returns {Object|null} { changes, observedDays, lastChangeAt }
+   */
+  function getChangeStats(record, options = {}) {
+    if (!record) return null;
+
+    const { windowDays = HISTORY_CONFIG.RAW_RETENTION_DAYS, now = Date.now() } = options;
+    const from = now - windowDays * DAY_MS;
+    const firstSeen = record.firstSeen || record.raw[0]?.date;
+    if (!firstSeen) return null;
+
+    let changes = 0;
+    let lastChangeAt = null;
+
+    for (const bucket of record.daily) {
+      if (bucket.end < from || bucket.max - bucket.min <= 0.01) continue;
+      changes++;
+      lastChangeAt = Math.max(lastChangeAt || 0, bucket.end);
+    }
+
+    for (const point of record.raw) {
+      if (point.date < from || (point.change !== "up" && point.change !== "down")) continue;
+      changes++;
+      lastChangeAt = Math.max(lastChangeAt || 0, point.date);
+    }
+
+    return {
+      changes,
+      observedDays: (now - Math.max(firstSeen, from)) / DAY_MS,
+      lastChangeAt,
+    };
+  }
+
+  /**
+   * Summarize a record for list views
+   * @param {Object} record - History record
+   * @returns {Object|null} { observations, points, firstSeen, lastSeen, min, max, recent }
+   */
+  function summarize(record) {
+    if (!record) return null;
+
+    const series = toSeries(record);
+    if (series.length === 0) return null;
+
+    return {
+      observations: series.reduce((sum, p) => sum + (p.count || 1), 0),
+      points: series.length,
+      firstSeen: record.firstSeen || series[0].date,
+      lastSeen: series[series.length - 1].end,
+      min: Math.min(...series.map((p) => p.min)),
+      max: Math.max(...series.map((p) => p.max)),
+      recent: series.slice(-SPARKLINE_POINTS).map((p) => p.price),
+    };
+  }
+
+  /**
+   * Load summaries for many products in one storage read
+   * @param {Array<string>} productUrls - Product URLs
+   * @returns {Promise<Map>} Map of url to summary
+   */
+  async function getSummaries(productUrls) {
+    const summaries = new Map();
+    if (!productUrls || productUrls.length === 0) return summaries;
+
+    try {
+      const stored = await browser.storage.local.get(productUrls.map(getStorageKey));
+      for (const url of productUrls) {
+        const summary = summarize(stored[getStorageKey(url)]);
+        if (summary) summaries.set(url, summary);
+      }
+    } catch (error) {
+      console.error("[PriceHistory] Summaries error:", error);
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Remove a product's history
+   * @param {string} productUrl - Product URL
+   */
+  async function removeHistory(productUrl) {
+    try {
+      await browser.storage.local.remove(getStorageKey(productUrl));
+    } catch (error) {
+      console.error("[PriceHistory] Remove error:", error);
+    }
+  }
+
+  /**
+   * Export all history records keyed by product URL
+   * @returns {Promise<Object>} Records by URL
+   */
+  async function exportAll() {
+    const all = await browser.storage.local.get(null);
+    const records = {};
+
+    for (const [key, value] of Object.entries(all)) {
+      if (key.startsWith(HISTORY_CONFIG.STORAGE_PREFIX) && value?.url) {
+        records[value.url] = value;
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Merge two records of the same product
+   */
+  function mergeRecords(existing, imported) {
+    const merged = createRecord(existing.url);
+    const byDate = (a, b) => a.date - b.date;
+    const seen = new Set();
+
+    for (const point of [...existing.raw, ...imported.raw].sort(byDate)) {
+      if (seen.has(point.date)) continue;
+      seen.add(point.date);
+      merged.raw.push(point);
+    }
+
+    for (const level of ["daily", "weekly"]) {
+      const buckets = new Map(existing[level].map((b) => [b.start, b]));
+      for (const bucket of imported[level]) {
+        if (!buckets.has(bucket.start)) buckets.set(bucket.start, bucket);
+      }
+      merged[level] = Array.from(buckets.values()).sort((a, b) => a.start - b.start);
+    }
+
+    const firstSeen = Math.min(
+      existing.firstSeen || Infinity,
+      imported.firstSeen || Infinity
+    );
+    merged.firstSeen = isFinite(firstSeen) ? firstSeen : null;
+    merged.updatedAt = Date.now();
+    return compact(merged);
+  }
+
+  /**
+   * Import history records
+   * @param {Object} records - Records keyed by product URL
+   * @param {Object} options - { merge }
+   * @returns {Promise<number>} Number of records written
+   */
+  async function importAll(records, options = {}) {
+    const { merge = false } = options;
+    if (!records || typeof records !== "object") return 0;
+
+    let written = 0;
+    for (const [url, record] of Object.entries(records)) {
+      if (!record || !Array.isArray(record.raw)) continue;
+
+      const incoming = { ...createRecord(url), ...record, url };
+      const existing = merge ? await getHistory(url) : null;
+      await saveHistory(existing ? mergeRecords(existing, incoming) : compact(incoming));
+      written++;
+    }
+
+    return written;
+  }
+
+  /**
+   * Remove every history record
+   */
+  async function clearAll() {
+    const records = await exportAll();
+    await browser.storage.local.remove(Object.keys(records).map(getStorageKey));
+  }
+
+  /**
+   * Get storage statistics for all history records
+   * @returns {Promise<Object>} { products, rawPoints, dailyBuckets, weeklyBuckets, observations, size }
+   */
+  async function getStats() {
+    const records = Object.values(await exportAll());
+    const stats = {
+      products: records.length,
+      rawPoints: 0,
+      dailyBuckets: 0,
+      weeklyBuckets: 0,
+      observations: 0,
+      size: new Blob([JSON.stringify(records)]).size,
+    };
+
+    for (const record of records) {
+      stats.rawPoints += record.raw.length;
+      stats.dailyBuckets += record.daily.length;
+      stats.weeklyBuckets += record.weekly.length;
+      stats.observations += summarize(record)?.observations || 0;
+    }
+
+    return stats;
+  }
+
+  // Public API
+  return {
+    getHistory,
+    recordObservation,
+    appendObservation,
+    compact,
+    toSeries,
+    getGaps,
+    getChangeStats,
+    summarize,
+    getSummaries,
+    removeHistory,
+    exportAll,
+    importAll,
+    clearAll,
+    getStats,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.PriceHistory = PriceHistory;
+}
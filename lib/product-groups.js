@@ -0,0 +1,502 @@
+// Product Groups v1.0
+// Links listings of the same product across shops, by GTIN/MPN or by similar names
+
+const ProductGroups = (function () {
+  "use strict";
+
+  const STORAGE_KEY = "productGroups";
+  // Product pairs the user separated; automatic matching never links them again
+  const EXCLUSIONS_KEY = "productGroupExclusions";
+
+  const SOURCES = {
+    MANUAL: "manual",
+    AUTO: "auto",
+  };
+
+  // Dice coefficient of name tokens above which two listings count as the same product
+  const NAME_MATCH_THRESHOLD = 0.75;
+  const MIN_NAME_TOKENS = 3;
+
+  // Words that say nothing about which product a listing is
+  const STOP_WORDS = new Set([
+    "ve", "ile", "için", "icin", "the", "and", "for", "with",
+    "yeni", "new", "orijinal", "original", "resmi", "distribütör", "garantili", "ithalatçı",
+  ]);
+
+  /**
+   * Load all groups
+   * @returns {Promise<Array>} Groups
+   */
+  async function getAll() {
+    try {
+      const stored = await browser.storage.local.get(STORAGE_KEY);
+      return Array.isArray(stored[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+    } catch (error) {
+      console.error("[ProductGroups] Load error:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Save all groups, dropping groups left with fewer than two products
+   * @param {Array} groups - Groups
+   */
+  async function saveAll(groups) {
+    const valid = groups.filter((group) => group.productUrls.length > 1);
+    await browser.storage.local.set({ [STORAGE_KEY]: valid });
+    return valid;
+  }
+
+  /**
+   * Load the separated product pairs
+   * @returns {Promise<Set<string>>} Pair keys (see pairKey)
+   */
+  async function getExclusions() {
+    try {
+      const stored = await browser.storage.local.get(EXCLUSIONS_KEY);
+      return new Set(Array.isArray(stored[EXCLUSIONS_KEY]) ? stored[EXCLUSIONS_KEY] : []);
+    } catch (error) {
+      console.error("[ProductGroups] Exclusions load error:", error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Save the separated product pairs
+   */
+  async function saveExclusions(exclusions) {
+    await browser.storage.local.set({ [EXCLUSIONS_KEY]: Array.from(exclusions) });
+  }
+
+  /**
+   * Order-independent key of a product pair
+   */
+  function pairKey(urlA, urlB) {
+    return [urlA, urlB].sort().join("\n");
+  }
+
+  /**
+   * Find the group a product belongs to
+   * @param {Array} groups - Groups
+   * @param {string} productUrl - Product URL
+   * @returns {Object|null} Group
+   */
+  function findGroup(groups, productUrl) {
+    return groups.find((group) => group.productUrls.includes(productUrl)) || null;
+  }
+
+  /**
+   * Create a group object
+   */
+  function createGroup(productUrls, name, source) {
+    return {
+      id: `group_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: name || "",
+      productUrls: [...new Set(productUrls)],
+      source,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Link products into one group; groups they already belong to are merged
+   * @param {Array} groups - Groups (modified in place)
+   * @param {Array<string>} productUrls - Product URLs
+   * @param {Object} options - { name, source }
+   * @returns {Object} The resulting group
+   */
+  function linkInto(groups, productUrls, options = {}) {
+    const { name = "", source = SOURCES.MANUAL } = options;
+    const existing = groups.filter((group) => productUrls.some((url) => group.productUrls.includes(url)));
+
+    if (existing.length === 0) {
+      const group = createGroup(productUrls, name, source);
+      groups.push(group);
+      return group;
+    }
+
+    const [target, ...rest] = existing;
+    for (const other of rest) {
+      target.productUrls.push(...other.productUrls);
+      groups.splice(groups.indexOf(other), 1);
+    }
+
+    target.productUrls = [...new Set([...target.productUrls, ...productUrls])];
+    target.name = name || target.name;
+    if (source === SOURCES.MANUAL) target.source = SOURCES.MANUAL;
+    target.updatedAt = Date.now();
+    return target;
+  }
+
+  /**
+   * Link products manually
+   * @param {Array<string>} productUrls - Product URLs (at least two)
+   * @param {string} name - Optional group name
+   * @returns {Promise<Object>} Group
+   */
+  async function link(productUrls, name = "") {
+    if (!Array.isArray(productUrls) || new Set(productUrls).size < 2) {
+      throw new Error("En az iki ürün seçilmeli");
+    }
+
+    const groups = await getAll();
+    const group = linkInto(groups, productUrls, { name, source: SOURCES.MANUAL });
+    await saveAll(groups);
+
+    // Linking by hand overrides an earlier "not the same product"
+    const exclusions = await getExclusions();
+    for (const urlA of group.productUrls) {
+      for (const urlB of group.productUrls) {
+        exclusions.delete(pairKey(urlA, urlB));
+      }
+    }
+    await saveExclusions(exclusions);
+
+    return group;
+  }
+
+  /**
+   * Take a product out of its group; automatic matching will not add it back
+   * @param {string} productUrl - Product URL
+   */
+  async function unlink(productUrl) {
+    const groups = await getAll();
+    const group = findGroup(groups, productUrl);
+    if (!group) return;
+
+    group.productUrls = group.productUrls.filter((url) => url !== productUrl);
+    group.updatedAt = Date.now();
+    await saveAll(groups);
+
+    const exclusions = await getExclusions();
+    for (const url of group.productUrls) {
+      exclusions.add(pairKey(productUrl, url));
+    }
+    await saveExclusions(exclusions);
+  }
+
+  /**
+   * Forget a deleted product
+   * @param {string} productUrl - Product URL
+   */
+  async function removeProduct(productUrl) {
+    const groups = await getAll();
+    const group = findGroup(groups, productUrl);
+    if (!group) return;
+
+    group.productUrls = group.productUrls.filter((url) => url !== productUrl);
+    await saveAll(groups);
+
+    const exclusions = await getExclusions();
+    const pairs = Array.from(exclusions).filter((key) => !key.split("\n").includes(productUrl));
+    if (pairs.length !== exclusions.size) {
+      await saveExclusions(pairs);
+    }
+  }
+
+  /**
+   * Rename a group
+   * @param {string} groupId - Group ID
+   * @param {string} name - New name
+   */
+  async function rename(groupId, name) {
+    const groups = await getAll();
+    const group = groups.find((g) => g.id === groupId);
+    if (!group) return null;
+
+    group.name = (name || "").trim();
+    group.updatedAt = Date.now();
+    await saveAll(groups);
+    return group;
+  }
+
+  /**
+   * Normalize a GTIN/EAN/UPC for comparison (digits only, no leading zeros)
+   * @param {string|number} code - GTIN
+   * @returns {string|null} Normalized code
+   */
+  function normalizeGtin(code) {
+    const digits = String(code || "").replace(/\D/g, "");
+    if (digits.length < 8 || digits.length > 14) return null;
+    return digits.replace(/^0+/, "");
+  }
+
+  /**
+   * Normalize an MPN for comparison
+   */
+  function normalizeMpn(code) {
+    const value = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+    return value.length >= 4 ? value : null;
+  }
+
+  /**
+   * Split a product name into comparable tokens
+   */
+  function tokenize(name) {
+    return (name || "")
+      .toLocaleLowerCase("tr-TR")
+      .replace(/[^a-z0-9çğıöşü]+/g, " ")
+      // "128gb" and "128 gb" are the same size
+      .replace(/(\d)([a-zçğıöşü])/g, "$1 $2")
+      .split(" ")
+      .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+  }
+
+  /**
+   * Similarity of two product names (Dice coefficient of their tokens)
+   * Names with different numbers ("128 gb" vs "256 gb", "15" vs "15 pro") never match.
+   * @param {string} a - Name
+   * @param {string} b - Name
+   * @returns {number} 0..1
+   */
+  function nameSimilarity(a, b) {
+    const tokensA = new Set(tokenize(a));
+    const tokensB = new Set(tokenize(b));
+    if (tokensA.size < MIN_NAME_TOKENS || tokensB.size < MIN_NAME_TOKENS) return 0;
+
+    const numbers = (tokens) => [...tokens].filter((t) => /\d/.test(t)).sort().join("|");
+    if (numbers(tokensA) !== numbers(tokensB)) return 0;
+
+    let shared = 0;
+    for (const token of tokensA) {
+      if (tokensB.has(token)) shared++;
+    }
+    return (2 * shared) / (tokensA.size + tokensB.size);
+  }
+
+  /**
+   * Decide whether two tracked products are the same item
+   * @param {Object} a - Product
+   * @param {Object} b - Product
+   * @returns {string|null} Match reason ("gtin", "mpn", "name") or null
+   */
+  function matchReason(a, b) {
+    const gtinA = normalizeGtin(a.identifiers?.gtin);
+    const gtinB = normalizeGtin(b.identifiers?.gtin);
+    if (gtinA && gtinB) return gtinA === gtinB ? "gtin" : null;
+
+    // Different brands are never the same product, whatever the names say
+    const brandA = (a.identifiers?.brand || "").toLocaleLowerCase("tr-TR");
+    const brandB = (b.identifiers?.brand || "").toLocaleLowerCase("tr-TR");
+    if (brandA && brandB && brandA !== brandB) return null;
+
+    const mpnA = normalizeMpn(a.identifiers?.mpn);
+    const mpnB = normalizeMpn(b.identifiers?.mpn);
+    if (mpnA && mpnB && mpnA === mpnB) return "mpn";
+
+    return nameSimilarity(a.name, b.name) >= NAME_MATCH_THRESHOLD ? "name" : null;
+  }
+
+  /**
+   * Link products of different shops that match by identifier or name
+   * @param {Array} products - Tracked products
+   * @returns {Promise<number>} Number of products newly grouped
+   */
+  async function autoGroup(products) {
+    const groups = await getAll();
+    const exclusions = await getExclusions();
+    let linked = 0;
+
+    for (let i = 0; i < products.length; i++) {
+      for (let j = i + 1; j < products.length; j++) {
+        const a = products[i];
+        const b = products[j];
+        if (!a.url || !b.url || a.domain === b.domain) continue;
+
+        const groupA = findGroup(groups, a.url);
+        const groupB = findGroup(groups, b.url);
+        if (groupA && groupA === groupB) continue;
+
+        // Products the user separated stay apart, also from the rest of each other's group
+        const membersA = groupA ? groupA.productUrls : [a.url];
+        const membersB = groupB ? groupB.productUrls : [b.url];
+        const excluded = membersA.some((urlA) => membersB.some((urlB) => exclusions.has(pairKey(urlA, urlB))));
+        if (excluded || !matchReason(a, b)) continue;
+
+        linkInto(groups, [a.url, b.url], { name: groupA?.name || groupB?.name || "", source: SOURCES.AUTO });
+        linked += (groupA ? 0 : 1) + (groupB ? 0 : 1);
+      }
+    }
+
+    if (linked > 0) {
+      await saveAll(groups);
+    }
+    return linked;
+  }
+
+  /**
+   * Landed total of a product, or its item price before the first total is known
+   */
+  function getComparePrice(product) {
+    return typeof ShippingCosts !== "undefined"
+      ? ShippingCosts.getEffectivePrice(product)
+      : parseFloat(product.price);
+  }
+
+  /**
+   * Current state of a group: members priced by landed total, cheapest shop and spread
+   * Members are compared in one currency; those that cannot be converted are listed but not compared.
+   * @param {Object} group - Group
+   * @param {Array} products - Tracked products
+   * @param {Function} priceOf - Price to compare by (stored landed total by default)
+   * @param {Object} options - { currency, convert(price, product) → price in currency or null };
+   *   without them only members in the first member's currency are compared
+   * @returns {Object|null} { members, cheapest, highest, spread, spreadPercent, currency }
+   */
+  function summarize(group, products, priceOf = getComparePrice, options = {}) {
+    const priced = group.productUrls
+      .map((url) => products.find((p) => p.url === url))
+      .filter(Boolean)
+      .map((product) => ({ product, price: priceOf(product) }))
+      .filter((member) => member.price > 0);
+
+    if (priced.length === 0) return null;
+
+    const currency = options.currency || priced[0].product.currency;
+    const convert =
+      options.convert || ((price, product) => (product.currency === currency ? price : null));
+
+    const members = priced
+      .map((member) => {
+        const compared = convert(member.price, member.product);
+        return { ...member, compared: compared > 0 ? compared : null };
+      })
+      .sort((a, b) => (a.compared ?? Infinity) - (b.compared ?? Infinity));
+
+    const comparable = members.filter((m) => m.compared !== null);
+    if (comparable.length === 0) return null;
+
+    const cheapest = comparable[0];
+    const highest = comparable[comparable.length - 1];
+    const spread = highest.compared - cheapest.compared;
+
+    return {
+      members,
+      cheapest,
+      highest,
+      spread: Math.round(spread * 100) / 100,
+      spreadPercent: cheapest.compared > 0 ? (spread / cheapest.compared) * 100 : 0,
+      currency,
+    };
+  }
+
+  /**
+   * Display name of a group: its own name or its first member's name
+   */
+  function getDisplayName(group, products) {
+    if (group.name) return group.name;
+    const member = products.find((p) => group.productUrls.includes(p.url));
+    return member ? member.name : "Ürün grubu";
+  }
+
+  /**
+   * Export groups and separated pairs for a backup
+   * @returns {Promise<Object>} { groups, exclusions }
+   */
+  async function exportAll() {
+    return {
+      groups: await getAll(),
+      exclusions: Array.from(await getExclusions()),
+    };
+  }
+
+  /**
+   * Import groups from a backup
+   * @param {Object} imported - exportAll() result
+   * @param {Object} options - { merge } keeps existing groups and merges overlapping ones
+   * @returns {Promise<number>} Number of groups after import
+   */
+  async function importAll(imported, options = {}) {
+    const { merge = false } = options;
+    const groups = merge ? await getAll() : [];
+    const exclusions = merge ? await getExclusions() : new Set();
+
+    for (const group of Array.isArray(imported?.groups) ? imported.groups : []) {
+      if (!group || !Array.isArray(group.productUrls) || group.productUrls.length < 2) continue;
+      linkInto(groups, group.productUrls, { name: group.name, source: group.source });
+    }
+
+    for (const key of Array.isArray(imported?.exclusions) ? imported.exclusions : []) {
+      if (typeof key === "string") exclusions.add(key);
+    }
+
+    await saveExclusions(exclusions);
+    return (await saveAll(groups)).length;
+  }
+
+  /**
+   * Rewrite the product URLs of all groups and separated pairs (canonical URL migration)
+   * Groups that end up sharing a product are merged.
+   * @param {Function} mapUrl - Old URL -> new URL
+   * @returns {Promise<boolean>} True when anything changed
+   */
+  async function remapUrls(mapUrl) {
+    const groups = await getAll();
+    const exclusions = Array.from(await getExclusions());
+
+    const changed =
+      groups.some((group) => group.productUrls.some((url) => mapUrl(url) !== url)) ||
+      exclusions.some((key) => key.split("\n").some((url) => mapUrl(url) !== url));
+    if (!changed) return false;
+
+    const remapped = [];
+    for (const group of groups) {
+      const count = remapped.length;
+      const target = linkInto(remapped, group.productUrls.map(mapUrl), {
+        name: group.name,
+        source: group.source,
+      });
+      // Groups that were not merged keep their identity
+      if (remapped.length > count) {
+        target.id = group.id;
+        target.createdAt = group.createdAt;
+      }
+    }
+
+    await saveAll(remapped);
+    await saveExclusions(
+      new Set(
+        exclusions
+          .map((key) => key.split("\n").map(mapUrl))
+          .filter(([urlA, urlB]) => urlA !== urlB)
+          .map(([urlA, urlB]) => pairKey(urlA, urlB))
+      )
+    );
+    return true;
+  }
+
+  /**
+   * Remove all groups and separated pairs
+   */
+  async function clear() {
+    await browser.storage.local.remove([STORAGE_KEY, EXCLUSIONS_KEY]);
+  }
+
+  // Public API
+  return {
+    STORAGE_KEY,
+    SOURCES,
+    getAll,
+    findGroup,
+    link,
+    unlink,
+    removeProduct,
+    rename,
+    normalizeGtin,
+    nameSimilarity,
+    matchReason,
+    autoGroup,
+    summarize,
+    getDisplayName,
+    exportAll,
+    importAll,
+    remapUrls,
+    clear,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.ProductGroups = ProductGroups;
+}
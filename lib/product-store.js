@@ -0,0 +1,357 @@
+// Product Repository v1.0
+// IndexedDB-backed tracked product storage with per-record writes
+
+const ProductStore = (function () {
+  "use strict";
+
+  const STORE = "products";
+  const LEGACY_KEY = "trackedProducts";
+  const MIGRATION_FLAG = "productStoreMigrated";
+
+  let readyPromise = null;
+
+  /**
+   * Storage key of a product URL: its canonical form when CanonicalUrl is loaded,
+   * so campaign links and tracking parameters do not create duplicates
+   * @param {string} url - Product URL
+   * @returns {string} Key
+   */
+  function toKey(url) {
+    return typeof CanonicalUrl !== "undefined" ? CanonicalUrl.canonicalize(url) : url;
+  }
+
+  /**
+   * Fill derived fields used by the indexes
+   * @param {Object} product - Product record
+   * @returns {Object} Normalized copy
+   */
+  function normalize(product) {
+    if (!product || typeof product.url !== "string" || !product.url) {
+      throw new Error("Product URL is required");
+    }
+
+    const normalized = { ...product, url: toKey(product.url) };
+    if (!normalized.domain) {
+      try {
+        normalized.domain = new URL(normalized.url).hostname.replace(/^www\./, "");
+      } catch (e) {
+        // Leave unindexed
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Move products from the legacy storage.local array into IndexedDB (once)
+   */
+  async function migrateLegacy() {
+    const flags = await browser.storage.local.get(MIGRATION_FLAG);
+    if (flags[MIGRATION_FLAG]) return;
+
+    const legacy =
+      typeof PriceTrackerHelpers !== "undefined"
+        ? await PriceTrackerHelpers.getStorage(LEGACY_KEY, [])
+        : (await browser.storage.local.get(LEGACY_KEY))[LEGACY_KEY] || [];
+
+    if (Array.isArray(legacy) && legacy.length > 0) {
+      await PriceTrackerDB.transaction(STORE, "readwrite", (store) => {
+        for (const product of legacy) {
+          if (product && product.url) {
+            store.put(normalize(product));
+          }
+        }
+      });
+      console.log(`[ProductStore] Migrated ${legacy.length} products from storage`);
+    }
+
+    // Keep the legacy array around as a backup instead of deleting it outright
+    await browser.storage.local.set({
+      [MIGRATION_FLAG]: Date.now(),
+      trackedProducts_migrated: Array.isArray(legacy) ? legacy : [],
+    });
+    await browser.storage.local.remove(LEGACY_KEY);
+  }
+
+  /**
+   * Open the database and run the legacy migration
+   * @returns {Promise<void>}
+   */
+  function ready() {
+    if (!readyPromise) {
+      readyPromise = PriceTrackerDB.open()
+        .then(migrateLegacy)
+        .catch((error) => {
+          readyPromise = null;
+          console.error("[ProductStore] Init error:", error);
+          throw error;
+        });
+    }
+    return readyPromise;
+  }
+
+  /**
+   * Get all products, optionally filtered by an index
+   * @param {Object} query - Optional { index, value } or { index, range }
+   * @returns {Promise<Array>} Products
+   */
+  async function getAll(query = {}) {
+    await ready();
+    return PriceTrackerDB.transaction(STORE, "readonly", (store) => {
+      if (query.index) {
+        const source = store.index(query.index);
+        return PriceTrackerDB.promisify(
+          source.getAll(query.range !== undefined ? query.range : query.value)
+        );
+      }
+      return PriceTrackerDB.promisify(store.getAll());
+    });
+  }
+
+  /**
+   * Get a single product by URL
+   * @param {string} url - Product URL
+   * @returns {Promise<Object|null>} Product or null
+   */
+  async function get(url) {
+    await ready();
+    const product = await PriceTrackerDB.transaction(STORE, "readonly", (store) =>
+      PriceTrackerDB.promisify(store.get(toKey(url)))
+    );
+    return product || null;
+  }
+
+  /**
+   * Products on a domain
+   * @param {string} domain - Domain without www.
+   * @returns {Promise<Array>} Products
+   */
+  function getByDomain(domain) {
+    return getAll({ index: "domain", value: domain });
+  }
+
+  /**
+   * Products with a given last check status
+   * @param {string} status - lastCheckStatus value
+   * @returns {Promise<Array>} Products
+   */
+  function getByStatus(status) {
+    return getAll({ index: "status", value: status });
+  }
+
+  /**
+   * Products not checked since a timestamp
+   * @param {number} timestamp - Cutoff
+   * @returns {Promise<Array>} Products
+   */
+  function getCheckedBefore(timestamp) {
+    return getAll({ index: "lastCheck", range: IDBKeyRange.upperBound(timestamp, true) });
+  }
+
+  /**
+   * Count tracked products
+   * @returns {Promise<number>} Product count
+   */
+  async function count() {
+    await ready();
+    return PriceTrackerDB.transaction(STORE, "readonly", (store) =>
+      PriceTrackerDB.promisify(store.count())
+    );
+  }
+
+  /**
+   * Insert or replace a product
+   * Variants share their page URL and so the storage key; a second variant of a tracked
+   * product is rejected instead of overwriting the first.
+   * @param {Object} product - Product record
+   * @returns {Promise<Object>} Stored product
+   * @throws {ValidationError} If another variant of the product is already tracked
+   */
+  async function put(product) {
+    await ready();
+    const record = normalize(product);
+    await PriceTrackerDB.transaction(STORE, "readwrite", async (store) => {
+      const existing = await PriceTrackerDB.promisify(store.get(record.url));
+      const existingVariant = existing?.variant?.key || null;
+      if (existing && existingVariant !== (record.variant?.key || null)) {
+        const label = existing.variant?.label || "varsayılan varyant";
+        const message = `Bu ürünün başka bir varyantı zaten takip ediliyor (${label})`;
+        throw typeof PriceTrackerErrors !== "undefined"
+          ? new PriceTrackerErrors.ValidationError(message, { url: record.url, variant: existingVariant })
+          : new Error(message);
+      }
+      store.put(record);
+    });
+    return record;
+  }
+
+  /**
+   * Insert or replace many products in one transaction
+   * @param {Array} products - Product records
+   * @returns {Promise<number>} Number written
+   */
+  async function putMany(products) {
+    await ready();
+    const records = (products || []).filter((p) => p && p.url).map(normalize);
+    await PriceTrackerDB.transaction(STORE, "readwrite", (store) => {
+      for (const record of records) {
+        store.put(record);
+      }
+    });
+    return records.length;
+  }
+
+  /**
+   * Update an existing product. Missing products are not recreated,
+   * so a product deleted while a check was running stays deleted.
+   * @param {string} url - Product URL
+   * @param {Object|Function} changes - Fields to merge, or fn(existing) returning the new record
+   * @returns {Promise<Object|null>} Updated product or null if it no longer exists
+   */
+  async function update(url, changes) {
+    await ready();
+    const key = toKey(url);
+    return PriceTrackerDB.transaction(STORE, "readwrite", async (store) => {
+      const existing = await PriceTrackerDB.promisify(store.get(key));
+      if (!existing) return null;
+
+      const next =
+        typeof changes === "function" ? changes({ ...existing }) : { ...existing, ...changes };
+      const record = normalize({ ...next, url: key });
+      store.put(record);
+      return record;
+    });
+  }
+
+  /**
+   * Fields a check changed on a product, for update()
+   * Writing only these keeps edits made while the check was running (schedule, name,
+   * tracking mode) instead of overwriting them with the snapshot the check started from.
+   * @param {Object} before - Product as read before the check
+   * @param {Object} after - Product after the check
+   * @returns {Object} Changed fields (removed fields are set to undefined)
+   */
+  function changedFields(before, after) {
+    const changes = {};
+    for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+      if (key === "url") continue;
+      if (JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])) {
+        changes[key] = after?.[key];
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Remove a product
+   * @param {string} url - Product URL
+   */
+  async function remove(url) {
+    await ready();
+    await PriceTrackerDB.transaction(STORE, "readwrite", (store) => {
+      store.delete(toKey(url));
+    });
+  }
+
+  /**
+   * Remove all products
+   */
+  async function clear() {
+    await ready();
+    await PriceTrackerDB.transaction(STORE, "readwrite", (store) => {
+      store.clear();
+    });
+  }
+
+  /**
+   * Replace the whole collection (imports and backup restores)
+   * @param {Array} products - New product list
+   * @returns {Promise<number>} Number written
+   */
+  async function replaceAll(products) {
+    await ready();
+    const records = (products || []).filter((p) => p && p.url).map(normalize);
+    await PriceTrackerDB.transaction(STORE, "readwrite", (store) => {
+      store.clear();
+      for (const record of records) {
+        store.put(record);
+      }
+    });
+    return records.length;
+  }
+
+  /**
+   * Combine two records of the same product; the more recently checked one wins,
+   * the older one keeps its start date, initial price and history
+   */
+  function mergeDuplicates(a, b) {
+    const [newer, older] = (a.lastCheck || 0) >= (b.lastCheck || 0) ? [a, b] : [b, a];
+    const history = new Map(
+      [...(older.priceHistory || []), ...(newer.priceHistory || [])].map((entry) => [entry.date, entry])
+    );
+
+    return {
+      ...older,
+      ...newer,
+      addedDate: Math.min(older.addedDate || Date.now(), newer.addedDate || Date.now()),
+      initialPrice: older.initialPrice ?? newer.initialPrice,
+      priceHistory: Array.from(history.values()).sort((x, y) => x.date - y.date),
+    };
+  }
+
+  /**
+   * Move products stored under a non-canonical URL to their canonical key (CanonicalUrl)
+   * Records that turn out to be the same product are merged.
+   * @returns {Promise<number>} Number of records moved
+   */
+  async function migrateKeys() {
+    await ready();
+    if (typeof CanonicalUrl === "undefined") return 0;
+
+    return PriceTrackerDB.transaction(STORE, "readwrite", async (store) => {
+      const records = await PriceTrackerDB.promisify(store.getAll());
+      const byKey = new Map(records.map((record) => [record.url, record]));
+      let moved = 0;
+
+      for (const record of records) {
+        const key = toKey(record.url);
+        if (key === record.url) continue;
+
+        store.delete(record.url);
+        byKey.delete(record.url);
+
+        const existing = byKey.get(key);
+        const next = normalize(existing ? mergeDuplicates(existing, record) : record);
+        byKey.set(key, next);
+        store.put(next);
+        moved++;
+      }
+
+      return moved;
+    });
+  }
+
+  // Public API
+  return {
+    ready,
+    getAll,
+    get,
+    getByDomain,
+    getByStatus,
+    getCheckedBefore,
+    count,
+    put,
+    putMany,
+    update,
+    changedFields,
+    remove,
+    clear,
+    replaceAll,
+    migrateKeys,
+    toKey,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.ProductStore = ProductStore;
+}
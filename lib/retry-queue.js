@@ -0,0 +1,173 @@
+// Retry Queue v1.0
+// Persistent retries for failed checks with exponential backoff
+
+const RetryQueue = (function () {
+  "use strict";
+
+  const RETRY_CONFIG =
+    typeof Config !== "undefined" && Config.RETRY_QUEUE
+      ? Config.RETRY_QUEUE
+      : {
+          STORAGE_KEY: "retryQueue",
+          ALARM_NAME: "retryFailed",
+          BASE_DELAY_MS: 5 * 60 * 1000,
+          MAX_DELAY_MS: 6 * 60 * 60 * 1000,
+          JITTER_RATIO: 0.2,
+        };
+
+  // Checks run in parallel; serialize read-modify-write cycles on the single key
+  let lock = Promise.resolve();
+
+  /**
+   * Run a queue update after the previous one finished
+   */
+  function exclusive(work) {
+    const run = lock.then(work, work);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the queue
+   * @returns {Promise<Object>} Entries keyed by product URL
+   */
+  async function getAll() {
+    try {
+      const stored = await browser.storage.local.get(RETRY_CONFIG.STORAGE_KEY);
+      return stored[RETRY_CONFIG.STORAGE_KEY] || {};
+    } catch (error) {
+      console.error("[RetryQueue] Load error:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the queue
+   */
+  async function saveAll(entries) {
+    await browser.storage.local.set({ [RETRY_CONFIG.STORAGE_KEY]: entries });
+  }
+
+  /**
+   * Backoff delay for an attempt
+   * @param {number} attempt - Attempt number (1 = first retry)
+   * @param {Object} failure - Classified failure (retryAfter is honoured)
+   * @returns {number} Delay in ms
+   */
+  function getDelay(attempt, failure = {}) {
+    const exponential = RETRY_CONFIG.BASE_DELAY_MS * Math.pow(2, attempt - 1);
+    const base = Math.max(exponential, failure.retryAfter || 0);
+    const jitter = base * RETRY_CONFIG.JITTER_RATIO * Math.random();
+    return Math.min(RETRY_CONFIG.MAX_DELAY_MS, Math.round(base + jitter));
+  }
+
+  /**
+   * Queue a retry for a failed product check
+   * @param {string} url - Product URL
+   * @param {Object} failure - Classified failure (ErrorHandler.classify)
+   * @param {number} maxRetries - Retries allowed before giving up
+   * @returns {Promise<Object|null>} Queue entry, or null if not retried
+   */
+  function schedule(url, failure, maxRetries) {
+    return exclusive(async () => {
+      const entries = await getAll();
+      const entry = entries[url];
+
+      if (!failure.retryable || (entry && entry.attempts >= maxRetries)) {
+        if (entry) {
+          delete entries[url];
+          await saveAll(entries);
+        }
+        return null;
+      }
+
+      const now = Date.now();
+      const attempts = (entry?.attempts || 0) + 1;
+
+      entries[url] = {
+        url,
+        attempts,
+        firstFailedAt: entry?.firstFailedAt || now,
+        lastFailedAt: now,
+        nextRetryAt: now + getDelay(attempts, failure),
+        failure: { type: failure.type, message: failure.message, status: failure.status || null },
+      };
+
+      await saveAll(entries);
+      return entries[url];
+    });
+  }
+
+  /**
+   * Remove a product from the queue
+   * @param {string} url - Product URL
+   */
+  function remove(url) {
+    return exclusive(async () => {
+      const entries = await getAll();
+      if (!entries[url]) return;
+      delete entries[url];
+      await saveAll(entries);
+    });
+  }
+
+  /**
+   * Entries whose retry time has come
+   * @param {number} now - Current time
+   * @returns {Promise<Array>} Due entries, oldest first
+   */
+  async function getDue(now = Date.now()) {
+    const entries = Object.values(await getAll());
+    return entries
+      .filter((entry) => entry.nextRetryAt <= now)
+      .sort((a, b) => a.nextRetryAt - b.nextRetryAt);
+  }
+
+  /**
+   * Point the retry alarm at the earliest pending retry, or clear it
+   * @returns {Promise<number|null>} Time the alarm fires
+   */
+  async function syncAlarm() {
+    const entries = Object.values(await getAll());
+
+    if (entries.length === 0) {
+      await browser.alarms.clear(RETRY_CONFIG.ALARM_NAME);
+      return null;
+    }
+
+    // Alarms cannot fire in the past; a small lead keeps due retries moving
+    const when = Math.max(
+      Date.now() + 1000,
+      Math.min(...entries.map((entry) => entry.nextRetryAt))
+    );
+    await browser.alarms.create(RETRY_CONFIG.ALARM_NAME, { when });
+    return when;
+  }
+
+  /**
+   * Empty the queue
+   */
+  function clear() {
+    return exclusive(async () => {
+      await browser.storage.local.remove(RETRY_CONFIG.STORAGE_KEY);
+      await browser.alarms.clear(RETRY_CONFIG.ALARM_NAME);
+    });
+  }
+
+  // Public API
+  return {
+    ALARM_NAME: RETRY_CONFIG.ALARM_NAME,
+    getAll,
+    getDelay,
+    schedule,
+    remove,
+    getDue,
+    syncAlarm,
+    clear,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.RetryQueue = RetryQueue;
+}
@@ -0,0 +1,257 @@
+// Check Scheduler v1.0
+// Decides when each tracked product is due for a background check
+
+const CheckScheduler = (function () {
+  "use strict";
+
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MINUTES = 24 * 60;
+
+  const LIMITS =
+    typeof Config !== "undefined" && Config.SCHEDULER
+      ? Config.SCHEDULER
+      : {
+          MIN_INTERVAL_MINUTES: 5,
+          MAX_INTERVAL_MINUTES: 10080,
+          MAX_ALARM_DELAY_MINUTES: 60,
+          ADAPTIVE_WINDOW_DAYS: 30,
+          ADAPTIVE_MIN_OBSERVED_DAYS: 2,
+          ADAPTIVE_CHECKS_PER_CHANGE: 96,
+        };
+
+  /**
+   * Clamp an interval to the allowed range
+   * @param {number} minutes - Interval in minutes
+   * @returns {number} Clamped interval
+   */
+  function clampInterval(minutes) {
+    const value = parseFloat(minutes);
+    if (isNaN(value)) return LIMITS.MIN_INTERVAL_MINUTES;
+    return Math.max(
+      LIMITS.MIN_INTERVAL_MINUTES,
+      Math.min(LIMITS.MAX_INTERVAL_MINUTES, value)
+    );
+  }
+
+  /**
+   * Parse "HH:MM" into minutes after midnight
+   */
+  function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check if a moment falls inside quiet hours. Ranges may wrap past midnight.
+   * @param {Object} quietHours - { start: "HH:MM", end: "HH:MM" }
+   * @param {number} timestamp - Moment to test
+   * @returns {boolean} True if checks should not run
+   */
+  function isInQuietHours(quietHours, timestamp = Date.now()) {
+    if (!quietHours) return false;
+
+    const start = parseTime(quietHours.start);
+    const end = parseTime(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+
+    const date = new Date(timestamp);
+    const current = date.getHours() * 60 + date.getMinutes();
+
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * Timestamp at which the quiet hours containing a moment end
+   * @param {Object} quietHours - { start, end }
+   * @param {number} timestamp - Moment inside quiet hours
+   * @returns {number} End of quiet hours
+   */
+  function getQuietHoursEnd(quietHours, timestamp) {
+    const end = parseTime(quietHours.end);
+    const date = new Date(timestamp);
+    date.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (date.getTime() <= timestamp) {
+      date.setDate(date.getDate() + 1);
+    }
+    return date.getTime();
+  }
+
+  /**
+   * Adapt the global interval to how often a product's price actually changes.
+   * Frequent changes tighten the interval, long quiet periods back it off.
+   * @param {number} baseMinutes - Global check interval
+   * @param {Object} volatility - Product change stats { changes, observedDays, lastChangeAt }
+   * @param {Object} settings - Global settings (adaptiveMinInterval, adaptiveMaxInterval)
+   * @returns {Object} { intervalMinutes, reason: "learning"|"volatile"|"stable"|"normal" }
+   */
+  function getAdaptiveInterval(baseMinutes, volatility, settings = {}) {
+    if (!volatility || volatility.observedDays < LIMITS.ADAPTIVE_MIN_OBSERVED_DAYS) {
+      return { intervalMinutes: baseMinutes, reason: "learning" };
+    }
+
+    const min = clampInterval(settings.adaptiveMinInterval || baseMinutes);
+    const max = Math.max(min, clampInterval(settings.adaptiveMaxInterval || baseMinutes));
+
+    let target;
+    if (volatility.changes > 0) {
+      const minutesPerChange = (volatility.observedDays * DAY_MINUTES) / volatility.changes;
+      target = minutesPerChange / LIMITS.ADAPTIVE_CHECKS_PER_CHANGE;
+    } else {
+      // No change in the window: grow by one base interval per quiet day
+      target = baseMinutes * (1 + volatility.observedDays);
+    }
+
+    const intervalMinutes = Math.round(Math.max(min, Math.min(max, target)));
+    const reason =
+      intervalMinutes < baseMinutes ? "volatile" : intervalMinutes > baseMinutes ? "stable" : "normal";
+
+    return { intervalMinutes, reason };
+  }
+
+  /**
+   * Resolve the effective schedule for a product.
+   * Product fields win over domain fields, which win over global settings.
+   * Only the global interval adapts to price volatility.
+   * @param {Object} product - Tracked product
+   * @param {Object} domainSettings - Settings keyed by domain (DomainSettings.getAll)
+   * @param {Object} settings - Global settings
+   * @returns {Object} { intervalMinutes, quietHours, pauseUntil, source, reason }
+   */
+  function resolveSchedule(product, domainSettings = {}, settings = {}) {
+    const domain =
+      typeof DomainSettings !== "undefined"
+        ? DomainSettings.normalizeDomain(product.domain || product.url)
+        : product.domain;
+    const domainSchedule = domainSettings[domain]?.schedule || {};
+    const productSchedule = product.schedule || {};
+
+    let intervalMinutes = settings.checkInterval || 30;
+    let source = "global";
+    let reason = "fixed";
+
+    if (settings.adaptivePolling) {
+      ({ intervalMinutes, reason } = getAdaptiveInterval(
+        intervalMinutes,
+        product.volatility,
+        settings
+      ));
+    }
+
+    if (domainSchedule.intervalMinutes) {
+      intervalMinutes = domainSchedule.intervalMinutes;
+      source = "domain";
+      reason = "fixed";
+    }
+    if (productSchedule.intervalMinutes) {
+      intervalMinutes = productSchedule.intervalMinutes;
+      source = "product";
+      reason = "fixed";
+    }
+
+    return {
+      intervalMinutes: clampInterval(intervalMinutes),
+      quietHours: productSchedule.quietHours || domainSchedule.quietHours || null,
+      pauseUntil: Math.max(productSchedule.pauseUntil || 0, domainSchedule.pauseUntil || 0) || null,
+      source,
+      reason,
+    };
+  }
+
+  /**
+   * Compute when a product should next be checked
+   * @param {Object} product - Tracked product
+   * @param {Object} schedule - Resolved schedule
+   * @param {number} now - Current time
+   * @returns {number} Timestamp of the next check
+   */
+  function getNextCheckAt(product, schedule, now = Date.now()) {
+    let next = product.lastCheck
+      ? product.lastCheck + schedule.intervalMinutes * MINUTE_MS
+      : now;
+
+    if (schedule.pauseUntil && next < schedule.pauseUntil) {
+      next = schedule.pauseUntil;
+    }
+
+    if (isInQuietHours(schedule.quietHours, Math.max(next, now))) {
+      next = getQuietHoursEnd(schedule.quietHours, Math.max(next, now));
+    }
+
+    return next;
+  }
+
+  /**
+   * Check if a product is due
+   * @param {Object} product - Tracked product
+   * @param {Object} schedule - Resolved schedule
+   * @param {number} now - Current time
+   * @returns {boolean} True if the product should be checked now
+   */
+  function isDue(product, schedule, now = Date.now()) {
+    return getNextCheckAt(product, schedule, now) <= now;
+  }
+
+  /**
+   * Split products into due ones and the time of the next upcoming check
+   * @param {Array} products - Tracked products
+   * @param {Object} domainSettings - Settings keyed by domain
+   * @param {Object} settings - Global settings
+   * @param {number} now - Current time
+   * @returns {Object} { due: Array, nextDueAt: number|null }
+   */
+  function planChecks(products, domainSettings = {}, settings = {}, now = Date.now()) {
+    const due = [];
+    let nextDueAt = null;
+
+    for (const product of products) {
+      const schedule = resolveSchedule(product, domainSettings, settings);
+      const nextCheckAt = getNextCheckAt(product, schedule, now);
+
+      if (nextCheckAt <= now) {
+        due.push(product);
+      } else if (nextDueAt === null || nextCheckAt < nextDueAt) {
+        nextDueAt = nextCheckAt;
+      }
+    }
+
+    // Oldest checks first
+    due.sort((a, b) => (a.lastCheck || 0) - (b.lastCheck || 0));
+
+    return { due, nextDueAt };
+  }
+
+  /**
+   * Delay until the scheduler alarm should fire next
+   * @param {number|null} nextDueAt - Earliest upcoming check
+   * @param {number} now - Current time
+   * @returns {number} Delay in minutes (at least 1)
+   */
+  function getAlarmDelayMinutes(nextDueAt, now = Date.now()) {
+    if (!nextDueAt) return LIMITS.MAX_ALARM_DELAY_MINUTES;
+    const minutes = Math.ceil((nextDueAt - now) / MINUTE_MS);
+    return Math.max(1, Math.min(LIMITS.MAX_ALARM_DELAY_MINUTES, minutes));
+  }
+
+  // Public API
+  return {
+    clampInterval,
+    isInQuietHours,
+    getAdaptiveInterval,
+    resolveSchedule,
+    getNextCheckAt,
+    isDue,
+    planChecks,
+    getAlarmDelayMinutes,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.CheckScheduler = CheckScheduler;
+}
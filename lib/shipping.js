@@ -0,0 +1,228 @@
+// Shipping Costs v1.0
+// Shipping fees, free-shipping thresholds and the landed (total) price of a product
+
+const ShippingCosts = (function () {
+  "use strict";
+
+  const FREE_SHIPPING =
+    /ücretsiz kargo|kargo bedava|bedava kargo|kargo ücretsiz|free (?:shipping|delivery)|ücretsiz teslimat/i;
+
+  // "500 TL ve üzeri kargo bedava", "150 TL üzeri siparişlerde ücretsiz kargo", "free shipping over $35"
+  const THRESHOLD_PATTERNS = [
+    /(\d[\d.,]*)\s*(?:TL|₺|TRY)?\s*(?:ve\s*)?üzer[iı]\w*\s*(?:alışverişlerde|siparişlerde)?\s*(?:kargo bedava|ücretsiz kargo|kargo ücretsiz)/i,
+    /free (?:shipping|delivery)[^\d]{0,30}(?:over|above|from)\s*[$€£]?\s*(\d[\d.,]*)/i,
+  ];
+
+  // "Kargo ücreti: 29,99 TL", "Kargo: ₺34,90", "Shipping: $5.99"
+  // A currency is required so that delivery times ("Kargo 2 gün") are not read as fees
+  const FEE_PATTERNS = [
+    /kargo(?:\s*(?:ücreti|bedeli|tutarı))?\s*:?\s*(?:(?:TL|₺)\s*(\d[\d.,]*)|(\d[\d.,]*)\s*(?:TL\b|₺|TRY\b))/i,
+    /(?:shipping|delivery)(?:\s*(?:fee|cost))?\s*:?\s*[$€£]\s*(\d[\d.,]*)/i,
+  ];
+
+  const MAX_TEXT_LENGTH = 200;
+  const MAX_ELEMENTS = 10;
+
+  /**
+   * Read the first number captured by a pattern list
+   */
+  function matchAmount(patterns, text) {
+    for (const pattern of patterns) {
+      const match = pattern.exec(text);
+      if (match) {
+        const amount = SiteConfigs.cleanPrice(match[1] || match[2]);
+        if (amount !== null && amount >= 0) return amount;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a shipping text into a fee and a free-shipping threshold
+   * @param {string} text - e.g. "Kargo Bedava" or "300 TL üzeri kargo bedava"
+   * @returns {Object|null} { cost, freeThreshold } or null if the text says nothing about shipping
+   */
+  function parseText(text) {
+    if (!text || typeof text !== "string") return null;
+
+    // Turkish upper case (ÜCRETSİZ) only folds correctly with the Turkish locale
+    const value = text.replace(/\s+/g, " ").trim().toLocaleLowerCase("tr-TR");
+    if (!value || value.length > MAX_TEXT_LENGTH) return null;
+
+    const freeThreshold = matchAmount(THRESHOLD_PATTERNS, value);
+    if (freeThreshold) {
+      // Some shops name the fee for smaller orders in the same sentence
+      const fee = matchAmount(FEE_PATTERNS, value.replace(THRESHOLD_PATTERNS[0], ""));
+      return { cost: fee, freeThreshold };
+    }
+
+    if (FREE_SHIPPING.test(value)) {
+      return { cost: 0, freeThreshold: null };
+    }
+
+    const cost = matchAmount(FEE_PATTERNS, value);
+    return cost !== null ? { cost, freeThreshold: null } : null;
+  }
+
+  /**
+   * Merge two partial shipping infos, keeping the first known value of each field
+   */
+  function merge(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return {
+      cost: a.cost !== null ? a.cost : b.cost,
+      freeThreshold: a.freeThreshold !== null ? a.freeThreshold : b.freeThreshold,
+    };
+  }
+
+  /**
+   * Read shipping texts with a selector config list
+   * @param {Document} doc - Page document
+   * @param {Array} selectorConfigs - [{ selector, attr }]
+   * @returns {Object|null} { cost, freeThreshold }
+   */
+  function extractWithSelectors(doc, selectorConfigs) {
+    if (!Array.isArray(selectorConfigs)) return null;
+
+    let result = null;
+
+    for (const config of selectorConfigs) {
+      try {
+        const elements = Array.from(doc.querySelectorAll(config.selector)).slice(0, MAX_ELEMENTS);
+
+        for (const element of elements) {
+          const text =
+            config.attr && config.attr !== "textContent"
+              ? element.getAttribute(config.attr)
+              : element.textContent;
+          result = merge(result, parseText(text));
+          if (result && result.cost !== null && result.freeThreshold !== null) {
+            return result;
+          }
+        }
+      } catch (error) {
+        console.warn("[ShippingCosts] Selector error:", config.selector, error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Read offers.shippingDetails from JSON-LD Product items
+   * @param {Document} doc - Page document
+   * @returns {Object|null} { cost, freeThreshold }
+   */
+  function extractFromJsonLd(doc) {
+    const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of scripts) {
+      try {
+        const content = script.textContent;
+        if (!content || content.length > 500000) continue;
+
+        const data = JSON.parse(content);
+        const items = Array.isArray(data) ? data.slice(0, 10) : [data];
+
+        for (const item of items) {
+          if (!item || item["@type"] !== "Product" || !item.offers) continue;
+
+          const offer = Array.isArray(item.offers) ? item.offers[0] : item.offers;
+          const details = [].concat(offer?.shippingDetails || [])[0];
+          const rate = details?.shippingRate?.value;
+          if (rate === undefined || rate === null) continue;
+
+          const cost = typeof rate === "number" ? rate : SiteConfigs.cleanPrice(String(rate));
+          if (cost !== null && cost >= 0) return { cost, freeThreshold: null };
+        }
+      } catch (parseError) {
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract the shipping fee and free-shipping threshold of a page:
+   * site selectors, then JSON-LD, then generic shipping/kargo elements
+   * @param {Document} doc - Page document
+   * @param {Object} siteConfig - SiteConfigs.getSiteConfig() result
+   * @returns {Object|null} { cost, freeThreshold } or null when the page shows no shipping info
+   */
+  function extract(doc, siteConfig) {
+    if (!doc) return null;
+
+    try {
+      const siteSelectors = siteConfig?.selectors?.shipping;
+      let result = null;
+
+      if (siteSelectors && siteSelectors !== SiteConfigs.GENERIC_SELECTORS.shipping) {
+        result = extractWithSelectors(doc, siteSelectors);
+      }
+
+      result = merge(result, extractFromJsonLd(doc));
+
+      if (!result || result.cost === null) {
+        result = merge(result, extractWithSelectors(doc, SiteConfigs.GENERIC_SELECTORS.shipping));
+      }
+
+      return result;
+    } catch (error) {
+      console.error("[ShippingCosts] Extraction error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Shipping fee that applies to an item price
+   * @param {Object|null} shipping - { cost, freeThreshold }
+   * @param {number} price - Item price
+   * @returns {number} Fee (0 when unknown or above the free-shipping threshold)
+   */
+  function getShippingCost(shipping, price) {
+    if (!shipping) return 0;
+    if (shipping.freeThreshold && price >= shipping.freeThreshold) return 0;
+    return shipping.cost || 0;
+  }
+
+  /**
+   * Landed price: item price plus shipping plus the domain's fixed extra cost
+   * @param {number} price - Item price
+   * @param {Object|null} shipping - { cost, freeThreshold }
+   * @param {Object} domainConfig - DomainSettings entry ({ extraCost })
+   * @returns {number} Total price
+   */
+  function computeTotal(price, shipping, domainConfig = {}) {
+    const extraCost = parseFloat(domainConfig?.extraCost) || 0;
+    const total = price + getShippingCost(shipping, price) + extraCost;
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Price to compare products by: the stored total, or the item price before the first total
+   * @param {Object} product - Tracked product
+   * @returns {number} Price
+   */
+  function getEffectivePrice(product) {
+    const total = parseFloat(product?.totalPrice);
+    return isNaN(total) ? parseFloat(product?.price) : total;
+  }
+
+  // Public API
+  return {
+    parseText,
+    extract,
+    extractWithSelectors,
+    extractFromJsonLd,
+    getShippingCost,
+    computeTotal,
+    getEffectivePrice,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.ShippingCosts = ShippingCosts;
+}
@@ -7,12 +7,19 @@ const SiteConfigs = (() => {
   /**
    * Site configuration definitions
    * Each site can have multiple selectors with priority order
+   * Optional basketPrice, memberPrice and couponText selectors read conditional prices (PriceDiscounts)
+   * Optional quantity selectors read the package size for unit prices (UnitPrice)
+   * Optional canonical rules ({ stripParams, keepParams, path, ignoreDocument }) shape product keys (CanonicalUrl)
    */
   const SITES = {
     // ==================== Turkish E-Commerce ====================
 
     "hepsiburada.com": {
       name: "Hepsiburada",
+      canonical: {
+        // Seller and listing-source parameters; the product is the "-p-" code in the path
+        stripParams: ["magaza", "wt_int", "wt_af"],
+      },
       selectors: {
         price: [
           // Current price (checkout price)
@@ -40,8 +47,44 @@ const SiteConfigs = (() => {
           { selector: 'img[itemprop="image"]', attr: "src" },
           { selector: ".product-image img", attr: "src" },
         ],
-        currency: "TRY",
+        availability: [
+          { selector: '[data-test-id="out-of-stock"]', value: "out_of_stock" },
+          { selector: ".out-of-stock-container", value: "out_of_stock" },
+          { selector: 'link[itemprop="availability"]', attr: "href" },
+          { selector: '[data-test-id="addToCart"]', attr: "textContent" },
+        ],
+        variants: {
+          item: '[data-test-id="variant-item"], .variants-content li',
+          sku: "data-sku",
+          name: "textContent",
+          link: "href",
+          selectedClass: "selected",
+          unavailableClass: "disabled",
+        },
+        basketPrice: [
+          { selector: '[data-test-id="basket-discount-price"]', attr: "textContent" },
+          { selector: ".basket-discount-price, .price-in-basket", attr: "textContent" },
+        ],
+        memberPrice: [
+          { selector: '[data-test-id="premium-price"], .premium-price', attr: "textContent" },
+        ],
+        couponText: [
+          { selector: '[data-test-id="coupon-info"], .coupon-text', attr: "textContent" },
+        ],
+        shipping: [
+          { selector: '[data-test-id="shipping-info"], .shipping-info', attr: "textContent" },
+          { selector: ".free-shipping-threshold, .cargo-info", attr: "textContent" },
+        ],
+        offers: {
+          item: '[data-test-id="other-merchants"] li, .marketplace-list .merchant-item',
+          seller: '[data-test-id="merchant-name"], .merchant-name',
+          price: '[data-test-id="price-current-price"], .price-value',
+          shipping: ".shipping-price, .cargo-price",
+          rating: ".merchant-rating",
+          buyBoxSeller: '[data-test-id="buy-box"] [data-test-id="merchant-name"], .seller-container .merchant-name',
+        },
       },
+      currency: "TRY",
       patterns: {
         price: /[\d.,]+/,
         clean: /[^\d.,]/g,
@@ -50,6 +93,9 @@ const SiteConfigs = (() => {
 
     "trendyol.com": {
       name: "Trendyol",
+      canonical: {
+        stripParams: ["boutiqueId", "merchantId", "sav", "sk"],
+      },
       selectors: {
         price: [
           { selector: '[data-test-id="current-price"]', attr: "textContent" },
@@ -75,12 +121,50 @@ const SiteConfigs = (() => {
           { selector: ".product-image img", attr: "src" },
           { selector: 'img[alt*="ürün"]', attr: "src" },
         ],
-        currency: "TRY",
+        availability: [
+          { selector: ".sold-out", value: "out_of_stock" },
+          { selector: ".add-to-basket-button-text", attr: "textContent" },
+          { selector: ".add-to-basket", attr: "textContent" },
+        ],
+        variants: {
+          item: ".variant-list-item, .sp-itm",
+          sku: "data-id",
+          name: "textContent",
+          link: "href",
+          selectedClass: "selected",
+          unavailableClass: "so",
+        },
+        basketPrice: [
+          { selector: ".prc-dsc-basket, .basket-discount .prc", attr: "textContent" },
+          { selector: '[class*="lowest-price"] .prc-dsc', attr: "textContent" },
+        ],
+        memberPrice: [
+          { selector: ".plus-price, .elite-price", attr: "textContent" },
+        ],
+        couponText: [
+          { selector: ".coupon-container, .pr-cpn-txt", attr: "textContent" },
+        ],
+        shipping: [
+          { selector: ".product-shipping-info, .delivery-info .cargo", attr: "textContent" },
+          { selector: ".free-cargo-threshold, .campaign-cargo", attr: "textContent" },
+        ],
+        offers: {
+          item: ".other-seller-item, .omc-cntr .pr-mc-w",
+          seller: ".seller-name, .merchant-name",
+          price: ".prc-dsc, .price",
+          shipping: ".cargo-price",
+          rating: ".sl-pn, .seller-point",
+          buyBoxSeller: ".merchant-box-wrapper .merchant-name, .seller-container .seller-name",
+        },
       },
+      currency: "TRY",
     },
 
     "n11.com": {
       name: "N11",
+      canonical: {
+        stripParams: ["magaza"],
+      },
       selectors: {
         price: [
           { selector: ".newPrice ins", attr: "textContent" },
@@ -98,12 +182,38 @@ const SiteConfigs = (() => {
           { selector: ".proName", attr: "textContent" },
           { selector: "h1.productName", attr: "textContent" },
         ],
-        currency: "TRY",
+        availability: [
+          { selector: ".outOfStock, .soldOut", value: "out_of_stock" },
+          { selector: ".unf-p-summary .btnAddBasket", attr: "textContent" },
+        ],
+        basketPrice: [
+          { selector: ".basketPrice, .unf-p-basket-price", attr: "textContent" },
+        ],
+        couponText: [
+          { selector: ".couponText, .unf-coupon", attr: "textContent" },
+        ],
+        shipping: [
+          { selector: ".unf-cargo-info, .cargoInfo", attr: "textContent" },
+          { selector: ".freeShipping, .shippingFee", attr: "textContent" },
+        ],
+        offers: {
+          item: ".unf-p-other-seller li, .otherSellers .seller-item",
+          seller: ".seller-name, .shopName",
+          price: ".newPrice ins, .price",
+          shipping: ".cargo",
+          rating: ".point",
+          buyBoxSeller: ".unf-p-seller-name, .sallerTop .shopName",
+        },
       },
+      currency: "TRY",
     },
 
     "amazon.com.tr": {
       name: "Amazon TR",
+      canonical: {
+        path: { pattern: "/(?:dp|gp/product)/([A-Z0-9]{10})", replace: "/dp/$1" },
+        keepParams: [],
+      },
       selectors: {
         price: [
           { selector: "span.a-price-whole", attr: "textContent" },
@@ -122,8 +232,29 @@ const SiteConfigs = (() => {
           { selector: "h1.a-size-large", attr: "textContent" },
           { selector: "span.a-price-fraction", attr: "textContent" },
         ],
-        currency: "TRY",
+        availability: [
+          { selector: "#outOfStock", value: "out_of_stock" },
+          { selector: "#availability span", attr: "textContent" },
+        ],
+        memberPrice: [
+          { selector: "#primeExclusivePricingMessage, .prime-exclusive-price", attr: "textContent" },
+        ],
+        couponText: [
+          { selector: "#couponText, #promoPriceBlockMessage_feature_div label", attr: "textContent" },
+        ],
+        shipping: [
+          { selector: "#mir-layout-DELIVERY_BLOCK, #deliveryBlockMessage", attr: "textContent" },
+        ],
+        offers: {
+          item: "#aod-pinned-offer, #aod-offer",
+          seller: "#aod-offer-soldBy a, #aod-offer-soldBy .a-color-base",
+          price: ".a-price .a-offscreen",
+          shipping: "[data-csa-c-delivery-price]",
+          rating: "#aod-offer-seller-rating",
+          buyBoxSeller: "#sellerProfileTriggerId, #merchant-info a",
+        },
       },
+      currency: "TRY",
     },
 
     "gittigidiyor.com": {
@@ -143,8 +274,8 @@ const SiteConfigs = (() => {
           { selector: 'h1[itemprop="name"]', attr: "textContent" },
           { selector: ".product-name", attr: "textContent" },
         ],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     "ciceksepeti.com": {
@@ -163,8 +294,8 @@ const SiteConfigs = (() => {
           { selector: 'h1[data-testid="product-title"]', attr: "textContent" },
           { selector: ".product-title", attr: "textContent" },
         ],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     "morhipo.com": {
@@ -183,8 +314,8 @@ const SiteConfigs = (() => {
           { selector: "h1.product-name", attr: "textContent" },
           { selector: "h1", attr: "textContent" },
         ],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     "defacto.com.tr": {
@@ -203,8 +334,8 @@ const SiteConfigs = (() => {
           { selector: "h1.product-name", attr: "textContent" },
           { selector: '[data-testid="product-name"]', attr: "textContent" },
         ],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     "lcwaikiki.com": {
@@ -219,8 +350,8 @@ const SiteConfigs = (() => {
           { selector: ".product-price__old", attr: "textContent" },
         ],
         name: [{ selector: "h1.product-name", attr: "textContent" }],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     "koton.com": {
@@ -239,8 +370,8 @@ const SiteConfigs = (() => {
           { selector: ".price-original", attr: "textContent" },
         ],
         name: [{ selector: "h1.product-name", attr: "textContent" }],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     "flo.com.tr": {
@@ -254,8 +385,8 @@ const SiteConfigs = (() => {
           { selector: ".product-price-original", attr: "textContent" },
         ],
         name: [{ selector: "h1.product-title", attr: "textContent" }],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     "teknosa.com": {
@@ -268,8 +399,12 @@ const SiteConfigs = (() => {
         ],
         previousPrice: [{ selector: ".old-price", attr: "textContent" }],
         name: [{ selector: "h1.product-name", attr: "textContent" }],
-        currency: "TRY",
+        availability: [
+          { selector: ".out-of-stock, .prd-out-of-stock", value: "out_of_stock" },
+          { selector: ".add-to-cart-button", attr: "textContent" },
+        ],
       },
+      currency: "TRY",
     },
 
     "mediamarkt.com.tr": {
@@ -283,8 +418,12 @@ const SiteConfigs = (() => {
         name: [
           { selector: 'h1[data-test="product-name"]', attr: "textContent" },
         ],
-        currency: "TRY",
+        availability: [
+          { selector: '[data-test="pdp-product-not-available"]', value: "out_of_stock" },
+          { selector: '[data-test="a2c-Button"]', attr: "textContent" },
+        ],
       },
+      currency: "TRY",
     },
 
     "vatanbilgisayar.com": {
@@ -300,8 +439,8 @@ const SiteConfigs = (() => {
         name: [
           { selector: "h1.product-list__product-name", attr: "textContent" },
         ],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     "a101.com.tr": {
@@ -313,8 +452,11 @@ const SiteConfigs = (() => {
         ],
         previousPrice: [{ selector: ".old-price", attr: "textContent" }],
         name: [{ selector: "h1.product-name", attr: "textContent" }],
-        currency: "TRY",
+        quantity: [
+          { selector: ".product-unit, .product-detail-unit", attr: "textContent" },
+        ],
       },
+      currency: "TRY",
     },
 
     "gratis.com": {
@@ -328,8 +470,11 @@ const SiteConfigs = (() => {
           { selector: ".product-detail__price--old", attr: "textContent" },
         ],
         name: [{ selector: "h1.product-detail__name", attr: "textContent" }],
-        currency: "TRY",
+        quantity: [
+          { selector: ".product-detail__size, .product-detail__volume", attr: "textContent" },
+        ],
       },
+      currency: "TRY",
     },
 
     "decathlon.com.tr": {
@@ -342,14 +487,18 @@ const SiteConfigs = (() => {
         name: [
           { selector: 'h1[data-testid="product-title"]', attr: "textContent" },
         ],
-        currency: "TRY",
       },
+      currency: "TRY",
     },
 
     // ==================== International E-Commerce ====================
 
     "amazon.com": {
       name: "Amazon",
+      canonical: {
+        path: { pattern: "/(?:dp|gp/product)/([A-Z0-9]{10})", replace: "/dp/$1" },
+        keepParams: [],
+      },
       selectors: {
         price: [
           { selector: "span.a-price-whole", attr: "textContent" },
@@ -361,12 +510,20 @@ const SiteConfigs = (() => {
           { selector: ".a-text-price span.a-offscreen", attr: "textContent" },
         ],
         name: [{ selector: "#productTitle", attr: "textContent" }],
-        currency: "USD",
+        availability: [
+          { selector: "#outOfStock", value: "out_of_stock" },
+          { selector: "#availability span", attr: "textContent" },
+        ],
       },
+      currency: "USD",
     },
 
     "ebay.com": {
       name: "eBay",
+      canonical: {
+        path: { pattern: "/itm/(?:[^/]+/)?(\\d+)", replace: "/itm/$1" },
+        keepParams: ["var"],
+      },
       selectors: {
         price: [
           { selector: '[itemprop="price"]', attr: "content" },
@@ -374,12 +531,16 @@ const SiteConfigs = (() => {
           { selector: "#prcIsum", attr: "textContent" },
         ],
         name: [{ selector: "h1.x-item-title__mainTitle", attr: "textContent" }],
-        currency: "USD",
       },
+      currency: "USD",
     },
 
     "aliexpress.com": {
       name: "AliExpress",
+      canonical: {
+        path: { pattern: "/item/(\\d+)\\.html", replace: "/item/$1.html" },
+        keepParams: ["sku_id"],
+      },
       selectors: {
         price: [
           { selector: '[data-spm-anchor-id*="price"]', attr: "textContent" },
@@ -389,32 +550,40 @@ const SiteConfigs = (() => {
         name: [
           { selector: 'h1[data-pl="product-title"]', attr: "textContent" },
         ],
-        currency: "USD",
       },
+      currency: "USD",
     },
 
     "walmart.com": {
       name: "Walmart",
+      canonical: {
+        path: { pattern: "/ip/(?:[^/]+/)?(\\d+)", replace: "/ip/$1" },
+        keepParams: [],
+      },
       selectors: {
         price: [
           { selector: '[itemprop="price"]', attr: "content" },
           { selector: 'span[data-testid="price-wrap"]', attr: "textContent" },
         ],
         name: [{ selector: 'h1[itemprop="name"]', attr: "textContent" }],
-        currency: "USD",
       },
+      currency: "USD",
     },
 
     "etsy.com": {
       name: "Etsy",
+      canonical: {
+        path: { pattern: "/listing/(\\d+)", replace: "/listing/$1" },
+        keepParams: [],
+      },
       selectors: {
         price: [
           { selector: '[data-buy-box-region="price"]', attr: "textContent" },
           { selector: ".wt-text-title-03", attr: "textContent" },
         ],
         name: [{ selector: "h1", attr: "textContent" }],
-        currency: "USD",
       },
+      currency: "USD",
     },
 
     "bestbuy.com": {
@@ -425,8 +594,8 @@ const SiteConfigs = (() => {
           { selector: ".priceView-customer-price span", attr: "textContent" },
         ],
         name: [{ selector: "h1.heading-5", attr: "textContent" }],
-        currency: "USD",
       },
+      currency: "USD",
     },
   };
 
@@ -475,8 +644,64 @@ const SiteConfigs = (() => {
       { selector: '[data-test-id*="product-name"]', attr: "textContent" },
       { selector: "h1", attr: "textContent" },
     ],
+    availability: [
+      // Schema.org microdata and Open Graph product tags
+      { selector: '[itemprop="availability"]', attr: "href" },
+      { selector: '[itemprop="availability"]', attr: "content" },
+      { selector: 'meta[property="product:availability"]', attr: "content" },
+      { selector: 'meta[property="og:availability"]', attr: "content" },
+      // Sold-out badge classes are left to site configs: generic ones also match hidden
+      // templates and recommended products next to an in-stock item
+    ],
+    shipping: [
+      { selector: '[itemprop="shippingDetails"] [itemprop="value"]', attr: "content" },
+      { selector: '[class*="shipping"], [class*="cargo"], [class*="kargo"]', attr: "textContent" },
+    ],
   };
 
+  /**
+   * Stock states stored on products
+   */
+  const AVAILABILITY = {
+    IN_STOCK: "in_stock",
+    OUT_OF_STOCK: "out_of_stock",
+    PREORDER: "preorder",
+    DISCONTINUED: "discontinued",
+  };
+
+  /**
+   * schema.org ItemAvailability values (lowercased, without the URL prefix)
+   */
+  const SCHEMA_AVAILABILITY = {
+    instock: AVAILABILITY.IN_STOCK,
+    limitedavailability: AVAILABILITY.IN_STOCK,
+    onlineonly: AVAILABILITY.IN_STOCK,
+    instoreonly: AVAILABILITY.IN_STOCK,
+    outofstock: AVAILABILITY.OUT_OF_STOCK,
+    soldout: AVAILABILITY.OUT_OF_STOCK,
+    preorder: AVAILABILITY.PREORDER,
+    presale: AVAILABILITY.PREORDER,
+    backorder: AVAILABILITY.PREORDER,
+    discontinued: AVAILABILITY.DISCONTINUED,
+  };
+
+  /**
+   * Page text markers, checked in order (sold-out phrases before "in stock")
+   */
+  const AVAILABILITY_TEXT = [
+    { pattern: /üretimi durdu|discontinued/i, value: AVAILABILITY.DISCONTINUED },
+    {
+      pattern:
+        /tükendi|stokta yok|stoklarda yok|stokta bulunmamaktadır|temin edilemiyor|mevcut değil|satışta değil|out of stock|sold out|currently unavailable|no longer available/i,
+      value: AVAILABILITY.OUT_OF_STOCK,
+    },
+    { pattern: /ön sipariş|pre-?order/i, value: AVAILABILITY.PREORDER },
+    {
+      pattern: /stokta|in stock|sepete ekle|hemen al|add to (?:cart|basket)|buy now/i,
+      value: AVAILABILITY.IN_STOCK,
+    },
+  ];
+
   /**
    * Get site configuration by domain
    */
@@ -496,7 +721,8 @@ const SiteConfigs = (() => {
         name: "Generic",
         domain: hostname,
         selectors: GENERIC_SELECTORS,
-        currency: "TRY",
+        // Unknown shops: CurrencyResolver decides from the page and the domain
+        currency: null,
       };
     } catch (error) {
       console.error("[SiteConfigs] Error parsing URL:", error);
@@ -541,6 +767,69 @@ const SiteConfigs = (() => {
     return null;
   }
 
+  /**
+   * Map a schema.org value or a page text to a stock state
+   * @param {string} value - e.g. "https://schema.org/OutOfStock", "InStock" or "Tükendi"
+   * @returns {string|null} AVAILABILITY value or null if unknown
+   */
+  function normalizeAvailability(value) {
+    if (!value || typeof value !== "string") return null;
+
+    const text = value.trim();
+    if (!text || text.length > 200) return null;
+
+    const schemaKey = text
+      .split("/")
+      .pop()
+      .toLowerCase()
+      .replace(/[^a-z]/g, "");
+    if (SCHEMA_AVAILABILITY[schemaKey]) {
+      return SCHEMA_AVAILABILITY[schemaKey];
+    }
+
+    // Turkish upper case (TÜKENDİ) only folds correctly with the Turkish locale
+    const turkishLower = text.toLocaleLowerCase("tr-TR");
+    const marker = AVAILABILITY_TEXT.find(
+      (entry) => entry.pattern.test(text) || entry.pattern.test(turkishLower)
+    );
+    return marker ? marker.value : null;
+  }
+
+  /**
+   * Extract the stock state using availability selector configs.
+   * Configs with a fixed `value` match on element presence (sold-out badges);
+   * the others read the element and normalize what they find.
+   * @param {Document} doc - Page document
+   * @param {Array} selectorConfigs - Availability selector configs
+   * @returns {string|null} AVAILABILITY value or null if unknown
+   */
+  function extractAvailability(doc, selectorConfigs) {
+    for (const config of selectorConfigs || []) {
+      try {
+        const elements = doc.querySelectorAll(config.selector);
+
+        for (const element of elements) {
+          if (config.value) {
+            return config.value;
+          }
+
+          const raw =
+            config.attr === "textContent"
+              ? element.textContent
+              : element.getAttribute(config.attr);
+          const availability = normalizeAvailability(raw);
+          if (availability) {
+            return availability;
+          }
+        }
+      } catch (error) {
+        console.warn("[SiteConfigs] Selector error:", config.selector, error);
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Clean price string and extract numeric value
    */
@@ -602,9 +891,12 @@ const SiteConfigs = (() => {
   return {
     getSiteConfig,
     extractValue,
+    extractAvailability,
+    normalizeAvailability,
     cleanPrice,
     SITES,
     GENERIC_SELECTORS,
+    AVAILABILITY,
   };
 })();
 
@@ -0,0 +1,140 @@
+// Tab Renderer v1.0
+// Loads a product page in a real background tab and lets content.js extract it
+
+const TabRenderer = (function () {
+  "use strict";
+
+  const TAB_CONFIG =
+    typeof Config !== "undefined" && Config.TAB_RENDER
+      ? Config.TAB_RENDER
+      : { TIMEOUT_MS: 30000, MAX_TABS: 2 };
+
+  // tabId -> { resolve } for renders waiting on content.js
+  const waiters = new Map();
+
+  // Renders waiting for a free tab slot
+  const slotQueue = [];
+  let openTabs = 0;
+
+  /**
+   * Wait for a free tab slot
+   */
+  function acquireSlot() {
+    if (openTabs < TAB_CONFIG.MAX_TABS) {
+      openTabs++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => slotQueue.push(resolve));
+  }
+
+  /**
+   * Hand the slot to the next waiting render, or free it
+   */
+  function releaseSlot() {
+    const next = slotQueue.shift();
+    if (next) {
+      next();
+    } else {
+      openTabs--;
+    }
+  }
+
+  /**
+   * Ask the content script directly, for pages where it stayed silent
+   */
+  async function askContentScript(tabId) {
+    try {
+      return await browser.tabs.sendMessage(tabId, {
+        action: "getProductInfo",
+        skipCache: true,
+      });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Open a URL in a muted background tab and wait for content.js to report the product.
+   * At most TAB_RENDER.MAX_TABS tabs are open at once; further renders wait their turn.
+   * @param {string} url - Product URL
+   * @param {Object} options - { timeout }
+   * @returns {Promise<Object|null>} Product info from content.js, or null if none was found
+   */
+  async function render(url, options = {}) {
+    const { timeout = TAB_CONFIG.TIMEOUT_MS } = options;
+
+    await acquireSlot();
+
+    let tab;
+    try {
+      tab = await browser.tabs.create({ url, active: false });
+    } catch (error) {
+      releaseSlot();
+      throw error;
+    }
+
+    browser.tabs.update(tab.id, { muted: true }).catch(() => {});
+    let timer = null;
+
+    try {
+      const reported = new Promise((resolve) => {
+        waiters.set(tab.id, { resolve });
+        timer = setTimeout(() => resolve(null), timeout);
+      });
+
+      const info = await reported;
+      return info && info.price ? info : await askContentScript(tab.id);
+    } finally {
+      clearTimeout(timer);
+      waiters.delete(tab.id);
+      browser.tabs.remove(tab.id).catch(() => {});
+      releaseSlot();
+    }
+  }
+
+  /**
+   * Route a productDetected message to a pending render
+   * @param {number} tabId - Sender tab
+   * @param {Object} product - Product info reported by content.js
+   * @returns {boolean} True if the message belonged to a render
+   */
+  function handleProductDetected(tabId, product) {
+    const waiter = waiters.get(tabId);
+    if (!waiter) return false;
+
+    if (product && product.price) {
+      waiter.resolve(product);
+    }
+    return true;
+  }
+
+  /**
+   * Check if a tab was opened by the renderer
+   * @param {number} tabId - Tab ID
+   * @returns {boolean} True for renderer tabs
+   */
+  function isRenderTab(tabId) {
+    return waiters.has(tabId);
+  }
+
+  /**
+   * Get renderer statistics
+   * @returns {Object} { openTabs, waiting, maxTabs }
+   */
+  function getStats() {
+    return { openTabs, waiting: slotQueue.length, maxTabs: TAB_CONFIG.MAX_TABS };
+  }
+
+  // Public API
+  return {
+    render,
+    handleProductDetected,
+    isRenderTab,
+    getStats,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.TabRenderer = TabRenderer;
+}
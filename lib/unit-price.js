@@ -0,0 +1,191 @@
+// Unit Price v1.0
+// Package size parsing ("500 g", "2 x 1 L", "30'lu") and price per kg, litre or piece
+
+const UnitPrice = (function () {
+  "use strict";
+
+  const BASE_UNITS = {
+    KG: "kg",
+    LITRE: "l",
+    PIECE: "adet",
+  };
+
+  /**
+   * Unit spellings mapped to their base unit and the factor to convert to it
+   */
+  const UNITS = {
+    mg: { base: BASE_UNITS.KG, factor: 0.000001 },
+    g: { base: BASE_UNITS.KG, factor: 0.001 },
+    gr: { base: BASE_UNITS.KG, factor: 0.001 },
+    gram: { base: BASE_UNITS.KG, factor: 0.001 },
+    kg: { base: BASE_UNITS.KG, factor: 1 },
+    kilo: { base: BASE_UNITS.KG, factor: 1 },
+    ml: { base: BASE_UNITS.LITRE, factor: 0.001 },
+    cl: { base: BASE_UNITS.LITRE, factor: 0.01 },
+    l: { base: BASE_UNITS.LITRE, factor: 1 },
+    lt: { base: BASE_UNITS.LITRE, factor: 1 },
+    litre: { base: BASE_UNITS.LITRE, factor: 1 },
+    liter: { base: BASE_UNITS.LITRE, factor: 1 },
+  };
+
+  // Word boundary that also works after Turkish letters (\b treats "ü" as a non-word character)
+  const END = "(?![a-zçğıöşü0-9])";
+  const NUMBER = "(\\d+(?:[.,]\\d+)?)";
+  const UNIT = "(mg|gram|gr|g|kg|kilo|ml|cl|litre|liter|lt|l)";
+
+  // "6 x 330 ml", "2x1 L"
+  const MULTI_PREFIX = new RegExp(`(\\d+)\\s*[x×*]\\s*${NUMBER}\\s*${UNIT}${END}`, "i");
+  // "330 ml x 6"
+  const MULTI_SUFFIX = new RegExp(`${NUMBER}\\s*${UNIT}\\s*[x×*]\\s*(\\d+)${END}`, "i");
+  // "500 g", "1,5 L"
+  const SINGLE = new RegExp(`${NUMBER}\\s*${UNIT}${END}`, "i");
+  // "30'lu", "6'lı", "12li", "3 adet", "20 parça"
+  const COUNT = new RegExp(`(\\d+)\\s*(?:['’]?\\s*(?:lı|li|lu|lü)|adet|ad\\.|parça|tablet|kapsül|pcs|pieces?)${END}`, "i");
+
+  // Spec table labels that hold a package size (a bare "Ağırlık" is usually the device weight)
+  const SPEC_LABELS =
+    /net miktar|net ağırlık|net içerik|hacim|gramaj|içerik miktarı|paket içi adet|paketteki adet|adet sayısı|net weight|net volume|net contents/i;
+
+  const MAX_TEXT_LENGTH = 300;
+  const MAX_SPEC_ROWS = 200;
+
+  /**
+   * Parse a decimal with either separator
+   */
+  function toNumber(value) {
+    const number = parseFloat(String(value).replace(",", "."));
+    return Number.isFinite(number) && number > 0 ? number : null;
+  }
+
+  /**
+   * Parse a package size
+   * @param {string} text - Product name or spec value, e.g. "Süt 6'lı 1 L"
+   * @returns {Object|null} { amount, unit, label } with amount in the base unit (kg, l or adet)
+   */
+  function parseQuantity(text) {
+    if (!text || typeof text !== "string") return null;
+
+    // Turkish upper case (LİTRE, 6'LI) only folds correctly with the Turkish locale
+    const value = text.replace(/\s+/g, " ").trim().toLocaleLowerCase("tr-TR");
+    if (!value || value.length > MAX_TEXT_LENGTH) return null;
+
+    const toBase = (number, unit) => {
+      const spec = UNITS[unit];
+      return spec ? { amount: number * spec.factor, unit: spec.base } : null;
+    };
+
+    let quantity = null;
+    let match = MULTI_PREFIX.exec(value);
+
+    if (match) {
+      quantity = toBase(toNumber(match[2]) * parseInt(match[1]), match[3]);
+    } else if ((match = MULTI_SUFFIX.exec(value))) {
+      quantity = toBase(toNumber(match[1]) * parseInt(match[3]), match[2]);
+    } else if ((match = SINGLE.exec(value))) {
+      quantity = toBase(toNumber(match[1]), match[2]);
+
+      // "4'lü 70 g" is a pack of four 70 g items
+      const count = COUNT.exec(value.replace(match[0], ""));
+      if (quantity && count && parseInt(count[1]) > 1) {
+        quantity.amount *= parseInt(count[1]);
+        match = [`${count[0]} ${match[0]}`];
+      }
+    } else if ((match = COUNT.exec(value))) {
+      const count = parseInt(match[1]);
+      quantity = count > 0 ? { amount: count, unit: BASE_UNITS.PIECE } : null;
+    }
+
+    if (!quantity || !Number.isFinite(quantity.amount) || quantity.amount <= 0) return null;
+
+    return {
+      amount: Math.round(quantity.amount * 1000000) / 1000000,
+      unit: quantity.unit,
+      label: match[0].trim(),
+    };
+  }
+
+  /**
+   * Read a package size from spec table rows ("Net Miktar: 500 g")
+   * @param {Document} doc - Page document
+   * @returns {Object|null} Quantity
+   */
+  function extractFromSpecs(doc) {
+    const rows = Array.from(
+      doc.querySelectorAll('table tr, dl > div, [class*="spec"] li, [class*="feature"] li, [class*="attribute"] li')
+    ).slice(0, MAX_SPEC_ROWS);
+
+    for (const row of rows) {
+      const cells = Array.from(row.children);
+      if (cells.length < 2) continue;
+
+      const label = (cells[0].textContent || "").trim();
+      if (label.length > 50 || !SPEC_LABELS.test(label)) continue;
+
+      const quantity = parseQuantity(cells.slice(1).map((cell) => cell.textContent).join(" "));
+      if (quantity) return quantity;
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract the package size of a page: site selectors, then spec tables, then the product name
+   * @param {Document} doc - Page document
+   * @param {Object} siteConfig - SiteConfigs.getSiteConfig() result
+   * @param {string} name - Extracted product name
+   * @returns {Object|null} { amount, unit, label }
+   */
+  function extract(doc, siteConfig, name) {
+    try {
+      const selectors = siteConfig?.selectors?.quantity;
+      if (doc && selectors) {
+        const fromSite = parseQuantity(SiteConfigs.extractValue(doc, selectors));
+        if (fromSite) return fromSite;
+      }
+
+      const fromSpecs = doc ? extractFromSpecs(doc) : null;
+      return fromSpecs || parseQuantity(name);
+    } catch (error) {
+      console.error("[UnitPrice] Extraction error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Price per base unit
+   * @param {number} price - Package price
+   * @param {Object|null} quantity - { amount, unit }
+   * @returns {number|null} Price per kg, litre or piece
+   */
+  function compute(price, quantity) {
+    const value = parseFloat(price);
+    if (!quantity || !quantity.amount || !Number.isFinite(value) || value <= 0) return null;
+    return Math.round((value / quantity.amount) * 100) / 100;
+  }
+
+  /**
+   * Format a unit price, e.g. "45.80 TRY/kg"
+   * @param {number} unitPrice - Price per base unit
+   * @param {string} unit - Base unit
+   * @param {string} currency - Currency code
+   * @returns {string} Formatted unit price
+   */
+  function format(unitPrice, unit, currency = "TRY") {
+    return `${unitPrice.toFixed(2)} ${currency}/${unit}`;
+  }
+
+  // Public API
+  return {
+    BASE_UNITS,
+    parseQuantity,
+    extract,
+    extractFromSpecs,
+    compute,
+    format,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.UnitPrice = UnitPrice;
+}
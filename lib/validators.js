@@ -4,6 +4,9 @@
 const Validators = (function () {
   "use strict";
 
+  // Product identifier fields kept on products (see PriceParser identifier extraction)
+  const IDENTIFIER_FIELDS = ["gtin", "mpn", "sku", "brand", "model", "category"];
+
   /**
    * Validate a URL string
    * @param {string} url - URL to validate
@@ -139,6 +142,9 @@ const Validators = (function () {
         ? parseFloat(product.initialPrice)
         : price,
       currency: (product.currency || "TRY").toString().toUpperCase(),
+      // Where the currency was read from and sources that disagreed (CurrencyResolver)
+      currencySource: product.currencySource || null,
+      currencyConflicts: Array.isArray(product.currencyConflicts) ? product.currencyConflicts : null,
       
       // Site info
       site: product.site || extractDomain(product.url),
@@ -146,6 +152,39 @@ const Validators = (function () {
       
       // Media
       image: product.image || null,
+
+      // Tracked variant on multi-variant pages (ProductVariants.toTracked)
+      variant: product.variant || null,
+      // The last check could not tie the page price to the tracked variant
+      variantUnverified: product.variantUnverified === true,
+
+      // Marketplace offers seen on the last check and how the price is picked
+      offers: Array.isArray(product.offers) ? product.offers : null,
+      offersCheckedAt: product.offersCheckedAt || null,
+      trackingMode: product.trackingMode || null,
+
+      // Old price the site shows next to a sale price
+      referencePrice: product.referencePrice ? parseFloat(product.referencePrice) : null,
+
+      // Raw list price and conditional prices when the tracked price is a basket/member/coupon price
+      listPrice: product.listPrice ? parseFloat(product.listPrice) : null,
+      discounts: product.discounts || null,
+      priceSource: product.priceSource || null,
+
+      // Shipping info ({ cost, freeThreshold }) and the landed price (ShippingCosts.computeTotal)
+      shipping: product.shipping || null,
+      totalPrice: product.totalPrice ? parseFloat(product.totalPrice) : null,
+
+      // Package size ({ amount, unit, label }) and price per kg, litre or piece
+      quantity: product.quantity || null,
+      unitPrice: product.unitPrice ? parseFloat(product.unitPrice) : null,
+
+      // Product codes and catalog data ({ gtin, mpn, sku, brand, model, category })
+      identifiers: sanitizeIdentifiers(product.identifiers),
+
+      // Stock state (SiteConfigs.AVAILABILITY)
+      availability: product.availability || null,
+      availabilityChangedAt: product.availabilityChangedAt || null,
       
       // Metadata
       confidence: parseFloat(product.confidence) || 0.8,
@@ -156,13 +195,44 @@ const Validators = (function () {
       lastCheck: product.lastCheck || null,
       lastCheckStatus: product.lastCheckStatus || null,
       lastError: product.lastError || null,
+      failureStreak: parseInt(product.failureStreak) || 0,
+      lastFailure: product.lastFailure || null,
       
       // Custom selector support - CRITICAL: preserve these!
       customSelector: product.customSelector || null,
       selectorPath: product.selectorPath || null,
+
+      // Per-product check schedule and change stats for adaptive polling
+      schedule: product.schedule || null,
+      volatility: product.volatility || null,
+
+      // Price statistics and deal score (DealScore.evaluate)
+      deal: product.deal || null,
     };
   }
 
+  /**
+   * Sanitize product identifiers read from structured data
+   * @param {Object} identifiers - { gtin, mpn, sku, brand, model, category }
+   * @returns {Object|null} Identifiers with string values, or null if none is set
+   */
+  function sanitizeIdentifiers(identifiers) {
+    if (!identifiers || typeof identifiers !== "object") return null;
+
+    const result = {};
+    let found = false;
+
+    for (const field of IDENTIFIER_FIELDS) {
+      const value = identifiers[field];
+      const text =
+        typeof value === "string" || typeof value === "number" ? String(value).trim().substring(0, 100) : "";
+      result[field] = text || null;
+      found = found || !!text;
+    }
+
+    return found ? result : null;
+  }
+
   /**
    * Extract domain from URL
    * @param {string} url - URL string
@@ -215,6 +285,15 @@ const Validators = (function () {
       return false;
     }
 
+    for (const key of ["adaptiveMinInterval", "adaptiveMaxInterval"]) {
+      if (
+        settings[key] !== undefined &&
+        (typeof settings[key] !== "number" || settings[key] < 1 || settings[key] > 10080)
+      ) {
+        return false;
+      }
+    }
+
     return true;
   }
 
@@ -249,6 +328,7 @@ const Validators = (function () {
     isValidName,
     isValidProductInfo,
     sanitizeProductData,
+    sanitizeIdentifiers,
     isValidSettings,
     isValidPageForExtraction,
   };
@@ -0,0 +1,349 @@
+// Product Variants v1.0
+// Enumerates size, colour and storage variants and follows a tracked variant across checks
+
+const ProductVariants = (function () {
+  "use strict";
+
+  // schema.org Product properties that distinguish variants
+  const OPTION_KEYS = ["color", "size", "material", "pattern"];
+
+  const MAX_VARIANTS = 100;
+
+  /**
+   * Parse a price value from JSON-LD or an attribute
+   */
+  function toPrice(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const price = typeof value === "number" ? value : SiteConfigs.cleanPrice(String(value));
+    return price && price > 0 ? price : null;
+  }
+
+  /**
+   * Resolve a possibly relative URL against the page
+   */
+  function toUrl(value, pageUrl) {
+    if (!value || typeof value !== "string") return null;
+    try {
+      const url = new URL(value, pageUrl);
+      return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Read price, currency, availability and URL from a JSON-LD offers value
+   */
+  function readOffer(offers, pageUrl) {
+    const offer = Array.isArray(offers) ? offers[0] : offers;
+    if (!offer || typeof offer !== "object") return {};
+
+    return {
+      price: toPrice(offer.price ?? offer.lowPrice),
+      currency: typeof offer.priceCurrency === "string" ? offer.priceCurrency : null,
+      availability: SiteConfigs.normalizeAvailability(offer.availability),
+      url: toUrl(offer.url, pageUrl),
+    };
+  }
+
+  /**
+   * Collect option values (colour, size, ...) from a JSON-LD product
+   */
+  function readOptions(item) {
+    const options = {};
+
+    for (const key of OPTION_KEYS) {
+      if (typeof item[key] === "string" && item[key].trim()) {
+        options[key] = item[key].trim();
+      }
+    }
+
+    // Storage, capacity and similar options usually come as additionalProperty
+    const properties = Array.isArray(item.additionalProperty) ? item.additionalProperty : [];
+    for (const property of properties) {
+      if (property && typeof property.name === "string" && property.value !== undefined) {
+        options[property.name.trim().toLowerCase()] = String(property.value).trim();
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Variants of one JSON-LD Product or ProductGroup
+   */
+  function fromJsonLdItem(item, pageUrl) {
+    if (!item || !["Product", "ProductGroup"].includes(item["@type"])) return [];
+
+    // ProductGroup.hasVariant (also used on plain Products by some shops)
+    if (Array.isArray(item.hasVariant) && item.hasVariant.length > 0) {
+      return item.hasVariant.slice(0, MAX_VARIANTS).map((variant) => {
+        const offer = readOffer(variant.offers, pageUrl);
+        return {
+          sku: variant.sku || variant.productID || variant.gtin13 || null,
+          name: typeof variant.name === "string" ? variant.name.trim() : "",
+          options: readOptions(variant),
+          price: offer.price,
+          currency: offer.currency,
+          availability: offer.availability,
+          url: toUrl(variant.url, pageUrl) || offer.url,
+          selected: false,
+        };
+      });
+    }
+
+    // An offers array is only a variant list when the offers name different items;
+    // several sellers offering the same item are not variants
+    if (Array.isArray(item.offers) && item.offers.length > 1) {
+      const variants = item.offers.slice(0, MAX_VARIANTS).map((offer) => {
+        const offered = offer.itemOffered || {};
+        const read = readOffer(offer, pageUrl);
+        return {
+          sku: offer.sku || offered.sku || null,
+          name: (offer.name || offered.name || "").toString().trim(),
+          options: readOptions(offered),
+          price: read.price,
+          currency: read.currency,
+          availability: read.availability,
+          url: read.url,
+          selected: false,
+        };
+      });
+
+      const keys = new Set(variants.map(getKey).filter(Boolean));
+      return keys.size > 1 ? variants : [];
+    }
+
+    return [];
+  }
+
+  /**
+   * Enumerate variants from JSON-LD scripts
+   * @param {Document} doc - Page document
+   * @param {string} pageUrl - Page URL
+   * @returns {Array} Variants
+   */
+  function extractFromJsonLd(doc, pageUrl) {
+    const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of scripts) {
+      try {
+        const content = script.textContent;
+        if (!content || content.length > 500000) continue;
+
+        const data = JSON.parse(content);
+        const items = Array.isArray(data) ? data.slice(0, 10) : [data];
+
+        for (const item of items) {
+          const variants = fromJsonLdItem(item, pageUrl);
+          if (variants.length > 1) return variants;
+        }
+      } catch (parseError) {
+        continue;
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Enumerate variants with a site's variant selector config
+   * @param {Document} doc - Page document
+   * @param {Object} config - { item, name, sku, price, link, selectedClass, unavailableClass }
+   * @param {string} pageUrl - Page URL
+   * @returns {Array} Variants
+   */
+  function extractWithSelectors(doc, config, pageUrl) {
+    if (!config || !config.item) return [];
+
+    const read = (element, attr) => {
+      if (!attr) return null;
+      const value = attr === "textContent" ? element.textContent : element.getAttribute(attr);
+      return value && value.trim() ? value.trim() : null;
+    };
+
+    try {
+      return Array.from(doc.querySelectorAll(config.item))
+        .slice(0, MAX_VARIANTS)
+        .map((element) => {
+          const link = read(element, config.link) || element.querySelector("a[href]")?.getAttribute("href");
+          return {
+            sku: read(element, config.sku),
+            name: read(element, config.name) || "",
+            options: {},
+            price: toPrice(read(element, config.price)),
+            currency: null,
+            availability:
+              config.unavailableClass && element.classList.contains(config.unavailableClass)
+                ? "out_of_stock"
+                : null,
+            url: toUrl(link, pageUrl),
+            selected: !!config.selectedClass && element.classList.contains(config.selectedClass),
+          };
+        })
+        .filter((variant) => variant.sku || variant.name);
+    } catch (error) {
+      console.warn("[ProductVariants] Selector error:", config.item, error);
+      return [];
+    }
+  }
+
+  /**
+   * Enumerate the variants a page offers: JSON-LD first, then site selectors
+   * @param {Document} doc - Page document
+   * @param {string} pageUrl - Page URL
+   * @param {Object} siteConfig - SiteConfigs.getSiteConfig() result
+   * @returns {Array} Variants (empty when the page has a single variant)
+   */
+  function extract(doc, pageUrl, siteConfig) {
+    if (!doc) return [];
+
+    let variants = extractFromJsonLd(doc, pageUrl);
+    if (variants.length < 2) {
+      variants = extractWithSelectors(doc, siteConfig?.selectors?.variants, pageUrl);
+    }
+
+    // Drop duplicates (the same option is often rendered twice for mobile/desktop)
+    const seen = new Set();
+    variants = variants.filter((variant) => {
+      const key = getKey(variant);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    return variants.length > 1 ? variants : [];
+  }
+
+  /**
+   * Stable key of a variant: the SKU, or its options/name when there is no SKU
+   * @param {Object} variant - Variant
+   * @returns {string|null} Key
+   */
+  function getKey(variant) {
+    if (!variant) return null;
+    if (variant.sku) return `sku:${String(variant.sku).trim()}`;
+
+    const options = Object.entries(variant.options || {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}=${value}`)
+      .join("|");
+    const label = options || (variant.name || "").trim();
+
+    return label ? `opt:${label.toLocaleLowerCase("tr-TR")}` : null;
+  }
+
+  /**
+   * Human readable variant label, e.g. "Siyah / 128 GB"
+   * @param {Object} variant - Variant
+   * @returns {string} Label
+   */
+  function describe(variant) {
+    if (!variant) return "";
+    const options = Object.values(variant.options || {});
+    return options.length > 0 ? options.join(" / ") : variant.name || variant.sku || "";
+  }
+
+  /**
+   * The part of a variant stored on a tracked product
+   * @param {Object} variant - Variant picked by the user
+   * @returns {Object} { key, sku, name, options, label }
+   */
+  function toTracked(variant) {
+    return {
+      key: getKey(variant),
+      sku: variant.sku || null,
+      name: variant.name || "",
+      options: variant.options || {},
+      label: describe(variant),
+    };
+  }
+
+  /**
+   * Find the tracked variant in a freshly extracted variant list
+   * @param {Array} variants - Extracted variants
+   * @param {Object} tracked - Tracked variant (toTracked)
+   * @returns {Object|null} Matching variant
+   */
+  function findMatch(variants, tracked) {
+    if (!tracked || !Array.isArray(variants)) return null;
+
+    if (tracked.sku) {
+      const bySku = variants.find((v) => v.sku && String(v.sku) === String(tracked.sku));
+      if (bySku) return bySku;
+    }
+
+    return variants.find((v) => getKey({ ...v, sku: null }) === getKey({ ...tracked, sku: null })) || null;
+  }
+
+  /**
+   * Narrow extracted price data down to the tracked variant
+   * Data that lists no variants (e.g. custom selectors) cannot be tied to the tracked
+   * variant; it is used as it is and flagged with variantUnverified.
+   * @param {Object|null} tracked - Tracked variant, or null for single-variant products
+   * @param {Object} data - Extracted price data with an optional variants list
+   * @returns {Object} Price data for the tracked variant
+   * @throws {SelectorMissError} If the variant is gone or its price cannot be told apart
+   */
+  function resolve(tracked, data) {
+    if (!tracked || !data) {
+      return data;
+    }
+    if (!Array.isArray(data.variants) || data.variants.length === 0) {
+      return { ...data, variantUnverified: true };
+    }
+
+    const match = findMatch(data.variants, tracked);
+    const fail = (message) => {
+      if (typeof PriceTrackerErrors !== "undefined") {
+        return new PriceTrackerErrors.SelectorMissError(message, { variant: tracked.key });
+      }
+      return new Error(message);
+    };
+
+    if (!match) {
+      throw fail(`Takip edilen varyant bulunamadı: ${tracked.label || tracked.key}`);
+    }
+
+    if (match.price) {
+      // Basket and coupon prices, the old price, package size and seller offers read from
+      // the page belong to the variant shown; they only carry over when that is this one
+      return {
+        ...data,
+        price: match.selected ? data.price : match.price,
+        listPrice: match.selected ? data.listPrice || match.price : match.price,
+        discounts: match.selected ? data.discounts : null,
+        priceSource: match.selected ? data.priceSource : "list",
+        previousPrice: match.selected ? data.previousPrice : null,
+        quantity: match.selected ? data.quantity : null,
+        offers: match.selected ? data.offers : null,
+        currency: match.currency || data.currency,
+        availability: match.availability || data.availability,
+      };
+    }
+
+    // Without a per-variant price the page price only counts if it shows this variant
+    if (match.selected) {
+      return { ...data, availability: match.availability || data.availability };
+    }
+
+    throw fail(`Varyant fiyatı okunamadı: ${tracked.label || tracked.key}`);
+  }
+
+  // Public API
+  return {
+    extract,
+    extractFromJsonLd,
+    extractWithSelectors,
+    getKey,
+    describe,
+    toTracked,
+    findMatch,
+    resolve,
+  };
+})();
+
+// Export for browser extension
+if (typeof window !== "undefined") {
+  window.ProductVariants = ProductVariants;
+}
@@ -48,6 +48,17 @@
 
   console.log("[Picker] 🎯 Initializing manual price picker...");
 
+  // Currency of the picked price, decided on the page (content scripts share this scope)
+  const getCurrencyFields = (text) => {
+    if (typeof CurrencyResolver === "undefined") return {};
+    const resolution = CurrencyResolver.resolve({ doc: document, url: location.href, priceText: text });
+    return {
+      currency: resolution.currency,
+      currencySource: resolution.source,
+      currencyConflicts: resolution.conflicts,
+    };
+  };
+
   // FIXED: Safe storage access with error handling
   const loadSavedSelector = async () => {
     try {
@@ -105,7 +116,8 @@
             selector: saved.selector,
             name: productName,
             site: domain,
-            domain: domain
+            domain: domain,
+            ...getCurrencyFields(text)
           },
         });
 
@@ -699,7 +711,8 @@
                 selector,
                 name: productName,
                 site: domain,
-                domain: domain
+                domain: domain,
+                ...getCurrencyFields(text)
               },
             });
 
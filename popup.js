@@ -4,9 +4,16 @@
 
   let currentProduct = null;
   let products = [];
+  let historySummaries = new Map();
+  let domainSettings = {};
+  let scheduleTarget = null;
+  let productGroups = [];
+  let groupTarget = null;
   let alerts = [];
+  let ruleConditions = [];
   let settings = null;
   let searchTimeout = null;
+  let sortOrder = "recent";
 
   // DOM Elements Cache
   const $ = (id) => document.getElementById(id);
@@ -32,6 +39,8 @@
     detectedName: $("detectedName"),
     detectedPrice: $("detectedPrice"),
     detectedConfidence: $("detectedConfidence"),
+    variantPicker: $("variantPicker"),
+    variantSelect: $("variantSelect"),
     detectedSite: $("detectedSite"),
     addProductBtn: $("addProductBtn"),
     refreshAllBtn: $("refreshAllBtn"),
@@ -40,7 +49,9 @@
 
     // List Tab
     searchInput: $("searchInput"),
+    sortSelect: $("sortSelect"),
     clearSearch: $("clearSearch"),
+    groupList: $("groupList"),
     productList: $("productList"),
     listEmptyState: $("listEmptyState"),
 
@@ -51,11 +62,14 @@
     addAlertModal: $("addAlertModal"),
     closeAlertModal: $("closeAlertModal"),
     alertProductSelect: $("alertProductSelect"),
-    alertTypeSelect: $("alertTypeSelect"),
-    alertTargetPrice: $("alertTargetPrice"),
-    alertTargetPercent: $("alertTargetPercent"),
-    targetPriceGroup: $("targetPriceGroup"),
-    targetPercentGroup: $("targetPercentGroup"),
+    alertRuleMatch: $("alertRuleMatch"),
+    alertConditions: $("alertConditions"),
+    addConditionBtn: $("addConditionBtn"),
+    priceBasisGroup: $("priceBasisGroup"),
+    alertPriceBasis: $("alertPriceBasis"),
+    alertOneTime: $("alertOneTime"),
+    alertRepeatGroup: $("alertRepeatGroup"),
+    alertCooldown: $("alertCooldown"),
     cancelAlertBtn: $("cancelAlertBtn"),
     saveAlertBtn: $("saveAlertBtn"),
 
@@ -78,6 +92,11 @@
       // Load settings from background
       await loadSettings();
 
+      // Cached exchange rates for prices in other currencies
+      if (typeof ExchangeRates !== "undefined") {
+        await ExchangeRates.load();
+      }
+
       // Setup all event listeners
       setupEventListeners();
 
@@ -164,6 +183,7 @@
 
     // Add product button
     els.addProductBtn?.addEventListener("click", addProduct);
+    els.variantSelect?.addEventListener("change", handleVariantChange);
 
     // Refresh all button
     els.refreshAllBtn?.addEventListener("click", refreshAll);
@@ -190,6 +210,11 @@
     // Clear search
     els.clearSearch?.addEventListener("click", clearSearch);
 
+    els.sortSelect?.addEventListener("change", () => {
+      sortOrder = els.sortSelect.value;
+      renderProducts(els.searchInput?.value.trim() || "");
+    });
+
     // Alert modal events
     els.addAlertBtn?.addEventListener("click", openAlertModal);
     els.closeAlertModal?.addEventListener("click", closeAlertModal);
@@ -199,17 +224,39 @@
     // Close modal on backdrop click
     els.addAlertModal?.querySelector(".modal-backdrop")?.addEventListener("click", closeAlertModal);
     
-    // Alarm type card selection
-    $$("#alarmTypeCards .alarm-type-card").forEach(card => {
-      card.addEventListener("click", () => {
-        $$("#alarmTypeCards .alarm-type-card").forEach(c => c.classList.remove("selected"));
-        card.classList.add("selected");
-        handleAlertTypeChange();
-      });
+    // Rule editor: conditions are edited in place, a type change redraws the row
+    els.addConditionBtn?.addEventListener("click", () => {
+      ruleConditions.push(createRuleCondition('in_stock'));
+      renderRuleConditions();
+    });
+    els.alertConditions?.addEventListener("change", handleRuleConditionEdit);
+    els.alertConditions?.addEventListener("input", handleRuleConditionEdit);
+    els.alertConditions?.addEventListener("click", (e) => {
+      const row = e.target.closest('.rule-condition-remove') ? e.target.closest('.rule-condition') : null;
+      if (!row || ruleConditions.length <= 1) return;
+      ruleConditions.splice(parseInt(row.dataset.index, 10), 1);
+      renderRuleConditions();
     });
     
     // Product selection change
     els.alertProductSelect?.addEventListener("change", handleProductSelectChange);
+    els.alertOneTime?.addEventListener("change", () => {
+      if (els.alertRepeatGroup) els.alertRepeatGroup.style.display = els.alertOneTime.checked ? 'none' : 'block';
+    });
+
+    // Schedule modal
+    $("closeScheduleModal")?.addEventListener("click", closeScheduleModal);
+    $("cancelScheduleBtn")?.addEventListener("click", closeScheduleModal);
+    $("scheduleModalBackdrop")?.addEventListener("click", closeScheduleModal);
+    $("saveScheduleBtn")?.addEventListener("click", () => saveSchedule(false));
+    $("resetScheduleBtn")?.addEventListener("click", () => saveSchedule(true));
+
+    // Product group modal
+    $("closeGroupModal")?.addEventListener("click", closeGroupModal);
+    $("cancelGroupBtn")?.addEventListener("click", closeGroupModal);
+    $("groupModalBackdrop")?.addEventListener("click", closeGroupModal);
+    $("saveGroupBtn")?.addEventListener("click", saveGroup);
+    $("unlinkGroupBtn")?.addEventListener("click", unlinkGroup);
 
     // FAB and empty state add buttons
     $("fabAddAlert")?.addEventListener("click", openAlertModal);
@@ -336,13 +383,7 @@
     $("accountAlertCount").textContent = alerts.length;
     
     // Calculate total savings
-    let totalSavings = 0;
-    products.forEach(p => {
-      if (p.initialPrice && p.price && p.price < p.initialPrice) {
-        totalSavings += p.initialPrice - p.price;
-      }
-    });
-    $("accountSavings").textContent = `${totalSavings.toFixed(0)}₺`;
+    $("accountSavings").textContent = formatSavings(getTotalSavings());
 
     // Show modal
     modal.style.display = "flex";
@@ -576,13 +617,12 @@
   }
 
   /**
-   * Load products from storage - uses centralized Validators
+   * Load products from the product store - uses centralized Validators
    * FIXED: Better error handling to prevent data loss
    */
   async function loadProducts() {
     try {
-      const result = await browser.storage.local.get("trackedProducts");
-      const stored = result.trackedProducts || [];
+      const stored = await ProductStore.getAll();
 
       console.log("[Popup] 📦 Raw products from storage:", stored.length);
 
@@ -608,6 +648,16 @@
       products = validProducts;
       console.log("[Popup] 📦 Valid products loaded:", products.length);
 
+      await loadHistorySummaries();
+
+      if (typeof DomainSettings !== "undefined") {
+        domainSettings = await DomainSettings.getAll();
+      }
+
+      if (typeof ProductGroups !== "undefined") {
+        productGroups = await ProductGroups.getAll();
+      }
+
       // Render products list
       renderProducts();
     } catch (error) {
@@ -619,41 +669,15 @@
   }
 
   /**
-   * Save products to storage
-   * FIXED: Added validation and backup before saving to prevent data loss
+   * Load long-term price history summaries for the product cards
    */
-  async function saveProducts() {
-    try {
-      // Validate products array before saving
-      if (!Array.isArray(products)) {
-        console.error("[Popup] ❌ Invalid products array, aborting save");
-        return false;
-      }
-
-      // Don't save empty array if we previously had products (potential data loss)
-      const existing = await browser.storage.local.get("trackedProducts");
-      const existingCount = (existing.trackedProducts || []).length;
-      
-      if (products.length === 0 && existingCount > 0) {
-        console.warn("[Popup] ⚠️ Attempting to save empty products array when we had", existingCount, "products");
-        // Create backup before clearing
-        if (existingCount > 0) {
-          await browser.storage.local.set({ 
-            trackedProducts_backup: existing.trackedProducts,
-            trackedProducts_backup_time: Date.now()
-          });
-          console.log("[Popup] 💾 Created backup before clearing products");
-        }
-      }
-
-      // Log the save operation
-      console.log("[Popup] 💾 Saving", products.length, "products to storage");
+  async function loadHistorySummaries() {
+    if (typeof PriceHistory === "undefined") return;
 
-      await browser.storage.local.set({ trackedProducts: products });
-      return true;
+    try {
+      historySummaries = await PriceHistory.getSummaries(products.map((p) => p.url));
     } catch (error) {
-      console.error("[Popup] Save products error:", error);
-      return false;
+      console.error("[Popup] History summaries error:", error);
     }
   }
 
@@ -684,7 +708,7 @@
       }
 
       // STEP 1: Check if this URL is already in tracked products
-      const trackedProduct = products.find(p => p.url === tab.url);
+      const trackedProduct = products.find(p => CanonicalUrl.isSame(p.url, tab.url));
       if (trackedProduct) {
         console.log("[Popup] Found tracked product for this URL:", trackedProduct.name);
         currentProduct = trackedProduct;
@@ -715,6 +739,8 @@
                   name: customResponse.name || document.title,
                   price: customResponse.price,
                   currency: customResponse.currency || "TRY",
+                  currencySource: customResponse.currencySource || null,
+                  currencyConflicts: customResponse.currencyConflicts || null,
                   url: tab.url,
                   site: domain,
                   confidence: 0.9,
@@ -745,6 +771,9 @@
 
       if (response && Validators.isValidProductInfo(response)) {
         currentProduct = Validators.sanitizeProductData(response);
+        if (currentProduct && Array.isArray(response.variants)) {
+          currentProduct.variants = response.variants;
+        }
         showProduct(currentProduct);
       } else {
         showEmpty("Ürün bulunamadı");
@@ -809,8 +838,10 @@
     const confidence = Math.round((product.confidence || 0.8) * 100);
     els.detectedConfidence.textContent = `✓ ${confidence}%`;
 
+    renderVariantPicker(product);
+
     // Check if already tracked
-    const exists = products.find((p) => p.url === product.url);
+    const exists = products.find((p) => CanonicalUrl.isSame(p.url, product.url));
 
     if (exists) {
       els.addProductBtn.innerHTML = `
@@ -832,6 +863,58 @@
     }
   }
 
+  /**
+   * Let the user pick which variant of a multi-variant page to track
+   */
+  function renderVariantPicker(product) {
+    if (!els.variantPicker || !els.variantSelect) return;
+
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    if (variants.length < 2 || typeof ProductVariants === "undefined") {
+      els.variantPicker.style.display = "none";
+      els.variantSelect.innerHTML = "";
+      return;
+    }
+
+    // Preselect what the page shows: the marked variant, else the one at the page price
+    let selectedIndex = variants.findIndex((v) => v.selected);
+    if (selectedIndex === -1) {
+      selectedIndex = variants.findIndex((v) => v.price && Math.abs(v.price - product.price) < 0.01);
+    }
+
+    els.variantSelect.innerHTML = variants
+      .map((variant, index) => {
+        const price = variant.price
+          ? ` · ${variant.price.toFixed(2)} ${variant.currency || product.currency}`
+          : "";
+        const stock = variant.availability === "out_of_stock" ? " · Tükendi" : "";
+        const label = ProductVariants.describe(variant) || `Varyant ${index + 1}`;
+        return `<option value="${index}" ${index === selectedIndex ? "selected" : ""}>${PriceTrackerHelpers.escapeHtml(label + price + stock)}</option>`;
+      })
+      .join("");
+
+    els.variantPicker.style.display = "block";
+  }
+
+  /**
+   * Get the variant picked in the variant select
+   */
+  function getSelectedVariant() {
+    if (!currentProduct?.variants?.length || els.variantPicker?.style.display === "none") {
+      return null;
+    }
+    return currentProduct.variants[parseInt(els.variantSelect.value)] || null;
+  }
+
+  /**
+   * Show the picked variant's price
+   */
+  function handleVariantChange() {
+    const variant = getSelectedVariant();
+    const price = variant?.price || currentProduct.price;
+    els.detectedPrice.textContent = `${price.toFixed(2)} ${variant?.currency || currentProduct.currency}`;
+  }
+
   /**
    * Show empty state with custom message
    */
@@ -848,13 +931,6 @@
   async function addProduct() {
     if (!currentProduct) return;
 
-    // Check maximum product limit
-    const maxProducts = (typeof Config !== "undefined" && Config.VALIDATION?.MAX_PRODUCTS) || 50;
-    if (products.length >= maxProducts) {
-      showToast(`❌ Maksimum ${maxProducts} ürün ekleyebilirsiniz`, "error");
-      return;
-    }
-
     els.addProductBtn.disabled = true;
     els.addProductBtn.innerHTML = `
       <div class="spinner"></div>
@@ -862,13 +938,28 @@
     `;
 
     try {
+      // Variants with their own page are tracked at that URL
+      const variant = getSelectedVariant();
+      const price = variant?.price || currentProduct.price;
+
       const product = {
         name: currentProduct.name,
-        price: currentProduct.price,
-        currency: currentProduct.currency,
-        url: currentProduct.url,
+        price: price,
+        currency: variant?.currency || currentProduct.currency,
+        currencySource: currentProduct.currencySource || null,
+        currencyConflicts: currentProduct.currencyConflicts || null,
+        url: CanonicalUrl.canonicalize(variant?.url || currentProduct.url),
         site: currentProduct.site,
-        initialPrice: currentProduct.price,
+        availability: variant?.availability || currentProduct.availability || null,
+        variant: variant ? ProductVariants.toTracked(variant) : null,
+        shipping: currentProduct.shipping || null,
+        identifiers: currentProduct.identifiers || null,
+        // A variant's own price replaces the page's basket/coupon price
+        listPrice: variant?.price ? null : currentProduct.listPrice || null,
+        discounts: variant?.price ? null : currentProduct.discounts || null,
+        priceSource: variant?.price || currentProduct.priceSource === "list" ? null : currentProduct.priceSource || null,
+        referencePrice: !variant?.price && currentProduct.previousPrice > price ? currentProduct.previousPrice : null,
+        initialPrice: price,
         previousPrice: null,
         priceHistory: [],
         addedDate: Date.now(),
@@ -877,32 +968,56 @@
         confidence: currentProduct.confidence || 0.8,
       };
 
+      product.totalPrice = getTotalPrice(product);
+      if (typeof UnitPrice !== "undefined") {
+        product.quantity =
+          (variant && UnitPrice.parseQuantity(ProductVariants.describe(variant))) ||
+          currentProduct.quantity ||
+          UnitPrice.parseQuantity(product.name);
+        product.unitPrice = UnitPrice.compute(product.price, product.quantity);
+      }
+
+      await ProductStore.put(product);
       products.push(product);
 
-      const saved = await saveProducts();
+      if (typeof PriceHistory !== "undefined") {
+        await PriceHistory.recordObservation(product, product.price);
+        await loadHistorySummaries();
+      }
 
-      if (saved) {
-        showToast("✅ Ürün eklendi!", "success");
+      if (typeof EventLog !== "undefined") {
+        await EventLog.append({
+          type: EventLog.TYPES.PRODUCT_ADDED,
+          product,
+          newValue: product.price,
+          method: currentProduct.method,
+          confidence: product.confidence,
+        });
+      }
 
-        els.addProductBtn.innerHTML = `
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
-            <polyline points="20 6 9 17 4 12"></polyline>
-          </svg>
-          <span>Eklendi!</span>
-        `;
+      await groupMatchingProducts();
 
-        // Update UI
-        renderProducts();
-        updateStats();
+      showToast("✅ Ürün eklendi!", "success");
 
-        // Switch to list tab after 1 second
-        setTimeout(() => switchTab("list"), 1000);
-      } else {
-        throw new Error("Kaydetme başarısız");
-      }
+      els.addProductBtn.innerHTML = `
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
+          <polyline points="20 6 9 17 4 12"></polyline>
+        </svg>
+        <span>Eklendi!</span>
+      `;
+
+      // Update UI
+      renderProducts();
+      updateStats();
+
+      // Switch to list tab after 1 second
+      setTimeout(() => switchTab("list"), 1000);
     } catch (error) {
       console.error("[Popup] Add product error:", error);
-      showToast("❌ Ekleme başarısız", "error");
+      showToast(
+        error instanceof PriceTrackerErrors.ValidationError ? `❌ ${error.message}` : "❌ Ekleme başarısız",
+        "error"
+      );
 
       els.addProductBtn.innerHTML = `
         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
@@ -999,6 +1114,8 @@
    * Optimized for performance with large datasets (50+ products)
    */
   function renderProducts(filterText = "") {
+    renderGroups(filterText);
+
     if (products.length === 0) {
       els.productList.innerHTML = "";
       els.listEmptyState.style.display = "block";
@@ -1034,8 +1151,15 @@
 
     els.listEmptyState.style.display = "none";
 
-    // Sort by last check (most recent first)
-    filtered.sort((a, b) => (b.lastCheck || 0) - (a.lastCheck || 0));
+    // Sort by last check (most recent first) or by landed total price
+    if (sortOrder === "total_asc" || sortOrder === "total_desc") {
+      const direction = sortOrder === "total_asc" ? 1 : -1;
+      filtered.sort((a, b) => compareTotalPrice(a, b, direction));
+    } else if (sortOrder === "unit_asc") {
+      filtered.sort(compareUnitPrice);
+    } else {
+      filtered.sort((a, b) => (b.lastCheck || 0) - (a.lastCheck || 0));
+    }
 
     // Render ALL product cards - no limits!
     // Using DocumentFragment for better performance with large lists
@@ -1064,6 +1188,37 @@
 
     // Attach event listeners to cards
     attachCardListeners();
+    drawSparklines();
+  }
+
+  /**
+   * Draw the price history sparklines of the rendered cards
+   */
+  function drawSparklines() {
+    if (typeof PriceChart === "undefined") return;
+
+    els.productList.querySelectorAll(".card-sparkline").forEach((canvas) => {
+      const product = products[parseInt(canvas.dataset.index)];
+      const history = product && historySummaries.get(product.url);
+      if (history) PriceChart.drawSparkline(canvas, history.recent);
+    });
+  }
+
+  /**
+   * Open the product detail page in a new tab
+   */
+  async function openProductDetail(index) {
+    const product = products[index];
+    if (!product) return;
+
+    try {
+      const url = browser.runtime.getURL(`product.html?url=${encodeURIComponent(product.url)}`);
+      await browser.tabs.create({ url });
+      window.close();
+    } catch (error) {
+      console.error("[Popup] Product detail error:", error);
+      showToast("❌ Ürün sayfası açılamadı", "error");
+    }
   }
 
   /**
@@ -1094,12 +1249,48 @@
         ? "success"
         : product.lastCheckStatus === "failed"
         ? "error"
+        : product.lastCheckStatus === "blocked"
+        ? "blocked"
         : "pending";
 
     const lastCheckText = product.lastCheck
       ? PriceTrackerHelpers.formatDate(product.lastCheck)
       : "Kontrol edilmedi";
 
+    const schedule =
+      typeof CheckScheduler !== "undefined"
+        ? CheckScheduler.resolveSchedule(product, domainSettings, settings || {})
+        : null;
+    const stockHTML = renderStockBadge(product);
+    const variantHTML = product.variant?.label
+      ? `<div class="card-variant">🎨 ${PriceTrackerHelpers.escapeHtml(product.variant.label)}${
+          product.variantUnverified
+            ? ' <span class="card-variant-warning" title="Son kontrolde sayfa varyant listesi vermedi; fiyat varsayılan varyanta ait olabilir">⚠️ doğrulanamadı</span>'
+            : ""
+        }</div>`
+      : "";
+    const offersHTML = renderOffersInfo(product);
+    const totalHTML = renderTotalInfo(product);
+    const discountHTML = renderDiscountInfo(product);
+    const dealHTML = renderDealInfo(product);
+    const convertedHTML = renderConvertedPrice(product);
+    const currencyHTML = renderCurrencyConflict(product);
+    const unitHTML = renderUnitPriceInfo(product);
+    const groupHTML = renderGroupInfo(product);
+    const scheduleHTML = renderScheduleMeta(product, schedule);
+    const intervalHTML = renderIntervalInfo(product, schedule);
+    const failureHTML = renderFailureInfo(product, index);
+
+    // Long-term history summary
+    const history = historySummaries.get(product.url);
+    const historyHTML = history
+      ? `<span class="history-meta" title="En düşük ${history.min.toFixed(2)} · En yüksek ${history.max.toFixed(2)}">📈 ${history.observations} gözlem · ${PriceTrackerHelpers.getRelativeTime(history.firstSeen)}</span>`
+      : "";
+    const sparklineHTML =
+      history && history.recent && history.recent.length > 1
+        ? `<canvas class="card-sparkline" data-index="${index}" width="72" height="24" title="Fiyat geçmişi"></canvas>`
+        : "";
+
     return `
       <div class="product-card" data-index="${index}">
         <div class="card-top">
@@ -1110,16 +1301,30 @@
             product.site
           )}</div>
         </div>
+        ${variantHTML}
+        ${offersHTML}
         
         <div class="card-price-row">
-          <div class="card-price">${price.toFixed(2)} ${product.currency}</div>
+          <div class="card-price">${price.toFixed(2)} ${product.currency}${convertedHTML}</div>
           ${changeHTML}
+          ${stockHTML}
+          ${sparklineHTML}
         </div>
+        ${currencyHTML}
+        ${dealHTML}
+        ${discountHTML}
+        ${totalHTML}
+        ${unitHTML}
+        ${groupHTML}
         
         <div class="card-meta">
           <div class="status-dot ${statusClass}"></div>
           <span>${lastCheckText}</span>
+          ${scheduleHTML}
+          ${historyHTML}
         </div>
+        ${intervalHTML}
+        ${failureHTML}
         
         <div class="card-actions">
           <button class="card-btn btn-visit" data-url="${PriceTrackerHelpers.escapeHtml(
@@ -1139,6 +1344,26 @@
             </svg>
             <span>Kontrol</span>
           </button>
+          <button class="card-btn btn-schedule" data-index="${index}" title="Kontrol zamanlaması">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="12" cy="12" r="10"></circle>
+              <polyline points="12 6 12 12 16 14"></polyline>
+            </svg>
+            <span>Plan</span>
+          </button>
+          <button class="card-btn btn-group" data-index="${index}" title="Diğer mağazalardaki aynı ürünle grupla">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
+              <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
+            </svg>
+            <span>Grupla</span>
+          </button>
+          <button class="card-btn btn-detail" data-index="${index}" title="Fiyat geçmişi ve ayrıntılar">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="22 12 18 12 15 21 9 3 6 12 2 12"></polyline>
+            </svg>
+            <span>Detay</span>
+          </button>
           <button class="card-btn btn-delete" data-index="${index}" title="Sil">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <polyline points="3 6 5 6 21 6"></polyline>
@@ -1172,6 +1397,38 @@
       });
     });
 
+    // Re-check in tab buttons (bot-walled products)
+    $$(".btn-recheck-tab").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        await recheckInTab(parseInt(btn.dataset.index), btn);
+      });
+    });
+
+    // Schedule buttons
+    $$(".btn-schedule").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openScheduleModal(parseInt(btn.dataset.index));
+      });
+    });
+
+    // Group buttons
+    $$(".btn-group").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openGroupModal(parseInt(btn.dataset.index));
+      });
+    });
+
+    // Detail buttons and sparklines
+    $$(".btn-detail, .card-sparkline").forEach((el) => {
+      el.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openProductDetail(parseInt(el.dataset.index));
+      });
+    });
+
     // Delete buttons
     $$(".btn-delete").forEach((btn) => {
       btn.addEventListener("click", async (e) => {
@@ -1182,6 +1439,746 @@
     });
   }
 
+  /**
+   * Re-check a bot-walled product by opening it in a background tab
+   */
+  async function recheckInTab(index, btn) {
+    const product = products[index];
+    if (!product) return;
+
+    btn.disabled = true;
+    btn.textContent = "Açılıyor...";
+
+    try {
+      const result = await Messenger.Actions.recheckInTab(product.url);
+      await loadProducts();
+
+      if (result.success) {
+        showToast(result.updated ? "✅ Fiyat güncellendi!" : "✅ Sekmede kontrol edildi", "success");
+      } else {
+        showToast("❌ Sekmede de fiyat bulunamadı", "error");
+      }
+    } catch (error) {
+      console.error("[Popup] Tab recheck error:", error);
+      showToast("❌ Sekmede kontrol başarısız", "error");
+      btn.disabled = false;
+      btn.textContent = "Sekmede kontrol et";
+    }
+  }
+
+  /**
+   * Render the next-check hint for a product card
+   */
+  function renderScheduleMeta(product, schedule) {
+    if (!schedule) return "";
+
+    const now = Date.now();
+
+    if (schedule.pauseUntil && schedule.pauseUntil > now) {
+      return `<span class="schedule-meta paused" title="Duraklatıldı">⏸ ${formatTimeUntil(schedule.pauseUntil)}</span>`;
+    }
+
+    const sourceLabels = { product: "ürün", domain: "site", global: "genel" };
+    const nextCheckAt = CheckScheduler.getNextCheckAt(product, schedule, now);
+
+    return `<span class="schedule-meta" title="Her ${schedule.intervalMinutes} dk (${sourceLabels[schedule.source]})">⏰ ${formatTimeUntil(nextCheckAt)}</span>`;
+  }
+
+  /**
+   * Render the effective check interval and why it was chosen
+   */
+  function renderIntervalInfo(product, schedule) {
+    if (!schedule) return "";
+
+    const reasonLabels = {
+      learning: "Veri toplanıyor",
+      volatile: "Sık değişiyor",
+      stable: "Fiyat sabit",
+      normal: "Normal değişim",
+    };
+    const fixedLabels = { product: "Ürün ayarı", domain: "Site ayarı", global: "Genel ayar" };
+
+    const reason =
+      schedule.reason === "fixed" ? fixedLabels[schedule.source] : reasonLabels[schedule.reason];
+
+    const volatility = product.volatility;
+    const title =
+      schedule.reason !== "fixed" && volatility
+        ? `Son ${Math.max(1, Math.round(volatility.observedDays))} günde ${volatility.changes} fiyat değişikliği`
+        : reason;
+
+    const domain = DomainSettings.normalizeDomain(product.domain || product.url);
+    const tabMode = domainSettings[domain]?.forceTabRender ? " · 🗂️ Sekmede" : "";
+
+    return `<div class="card-interval ${schedule.reason}" title="${title}">🔁 Her ${formatInterval(schedule.intervalMinutes)} · ${reason}${tabMode}</div>`;
+  }
+
+  /**
+   * Render the list price when the tracked price is a basket, member or coupon price
+   */
+  function renderDiscountInfo(product) {
+    const labels = {
+      basket: "Sepette",
+      member: "Üyelere özel",
+      coupon: "Kuponla",
+    };
+    const label = labels[product.priceSource];
+    if (!label || !product.listPrice) return "";
+
+    const coupon = product.priceSource === "coupon" && product.discounts?.couponText
+      ? ` title="${PriceTrackerHelpers.escapeHtml(product.discounts.couponText)}"`
+      : "";
+    return `<div class="card-discount"${coupon}>🏷️ ${label} fiyatı · liste ${parseFloat(product.listPrice).toFixed(2)} ${product.currency}</div>`;
+  }
+
+  /**
+   * Render the deal score: is the current price good compared with the history?
+   * The tooltip lists the statistics behind it.
+   */
+  function renderDealInfo(product) {
+    const deal = product.deal;
+    if (typeof DealScore === "undefined" || !deal) return "";
+    if (deal.grade === DealScore.GRADES.UNKNOWN && !deal.inflated) return "";
+
+    const icons = { great: "💎", good: "👍", fair: "⚖️", poor: "💸" };
+    const grade = deal.inflated ? "inflated" : deal.grade;
+    const icon = deal.inflated ? "⚠️" : icons[deal.grade];
+    const score = deal.score !== null ? ` · ${deal.score}/100` : "";
+    const title = PriceTrackerHelpers.escapeHtml(DealScore.explain(deal, product.currency).join("\n"));
+
+    return `<div class="card-deal ${grade}" title="${title}">${icon} ${DealScore.describe(deal)}${score}</div>`;
+  }
+
+  /**
+   * Render a badge for products that cannot be bought right now
+   */
+  function renderStockBadge(product) {
+    const labels = {
+      out_of_stock: "Tükendi",
+      preorder: "Ön sipariş",
+      discontinued: "Satıştan kalktı",
+    };
+    const label = labels[product.availability];
+    if (!label) return "";
+
+    const since = product.availabilityChangedAt
+      ? ` title="${PriceTrackerHelpers.formatDate(product.availabilityChangedAt)}"`
+      : "";
+    return `<div class="stock-badge ${product.availability}"${since}>📦 ${label}</div>`;
+  }
+
+  /**
+   * Order by price per unit; products of the same base unit stay together, unknown sizes go last
+   */
+  function compareUnitPrice(a, b) {
+    if (!a.unitPrice || !b.unitPrice) return (b.unitPrice ? 1 : 0) - (a.unitPrice ? 1 : 0);
+
+    const unitOrder = (a.quantity?.unit || "").localeCompare(b.quantity?.unit || "");
+    return unitOrder !== 0 ? unitOrder : a.unitPrice - b.unitPrice;
+  }
+
+  /**
+   * Order products by landed total price in the preferred currency
+   * Products without a known exchange rate go last, grouped by currency, since their
+   * amounts cannot be compared with the converted ones.
+   * @param {number} direction - 1 for cheapest first, -1 for most expensive first
+   */
+  function compareTotalPrice(a, b, direction) {
+    const totalA = toPreferred(getTotalPrice(a), a.currency);
+    const totalB = toPreferred(getTotalPrice(b), b.currency);
+
+    if (totalA !== null && totalB !== null) return direction * (totalA - totalB);
+    if (totalA !== null || totalB !== null) return totalA !== null ? -1 : 1;
+
+    const currencyOrder = (a.currency || "TRY").localeCompare(b.currency || "TRY");
+    return currencyOrder !== 0 ? currencyOrder : direction * (getTotalPrice(a) - getTotalPrice(b));
+  }
+
+  /**
+   * Render the package size and price per kg, litre or piece
+   */
+  function renderUnitPriceInfo(product) {
+    if (!product.unitPrice || !product.quantity || typeof UnitPrice === "undefined") return "";
+
+    return `<div class="card-unit">⚖️ ${PriceTrackerHelpers.escapeHtml(product.quantity.label)} · ${UnitPrice.format(
+      product.unitPrice,
+      product.quantity.unit,
+      product.currency
+    )}</div>`;
+  }
+
+  function getPreferredCurrency() {
+    return (settings && settings.preferredCurrency) || "TRY";
+  }
+
+  /**
+   * Amount in the preferred currency
+   * @param {number} date - Optional timestamp; past prices use the rate of their day
+   * @returns {number|null} Converted amount, or null without a known rate
+   */
+  function toPreferred(amount, currency, date = null) {
+    return PriceAlerts.convertCurrency(amount, currency || "TRY", getPreferredCurrency(), date);
+  }
+
+  /**
+   * Render the price in the preferred currency for products priced in another one
+   * The tooltip shows what the product cost when added, at that day's rate.
+   */
+  function renderConvertedPrice(product) {
+    const currency = product.currency || "TRY";
+    const target = getPreferredCurrency();
+    if (currency === target) return "";
+
+    const converted = toPreferred(parseFloat(product.price), currency);
+    if (converted === null) return "";
+
+    const initial = parseFloat(product.initialPrice);
+    const atAdd = initial > 0 && product.addedDate ? toPreferred(initial, currency, product.addedDate) : null;
+    const title =
+      atAdd !== null
+        ? ` title="Eklendiğinde ${PriceAlerts.formatPrice(atAdd, target)} (o günün kuruyla)"`
+        : "";
+
+    return `<span class="card-converted"${title}>≈ ${PriceAlerts.formatPrice(converted, target)}</span>`;
+  }
+
+  /**
+   * Warn when the page's currency sources disagreed, e.g. a "$" price on a .de domain
+   */
+  function renderCurrencyConflict(product) {
+    if (!product.currencyConflicts || typeof CurrencyResolver === "undefined") return "";
+
+    const title = PriceTrackerHelpers.escapeHtml(CurrencyResolver.describe(product));
+    return `<div class="card-currency" title="${title}">⚠️ Para birimi belirsiz · ${PriceTrackerHelpers.escapeHtml(product.currency)} varsayıldı</div>`;
+  }
+
+  /**
+   * Landed price of a product with the current domain settings
+   */
+  function getTotalPrice(product) {
+    const price = parseFloat(product.price);
+    if (typeof ShippingCosts === "undefined") return price;
+
+    const domain = DomainSettings.normalizeDomain(product.domain || product.url);
+    return ShippingCosts.computeTotal(price, product.shipping, domainSettings[domain]);
+  }
+
+  /**
+   * Render shipping fee and total price when they differ from the item price
+   */
+  function renderTotalInfo(product) {
+    if (typeof ShippingCosts === "undefined") return "";
+
+    const price = parseFloat(product.price);
+    const total = getTotalPrice(product);
+    const shippingCost = ShippingCosts.getShippingCost(product.shipping, price);
+
+    if (Math.abs(total - price) < 0.01) {
+      const freeShipping =
+        product.shipping?.cost === 0 ||
+        (product.shipping?.freeThreshold && price >= product.shipping.freeThreshold);
+      return freeShipping ? `<div class="card-total">🚚 Kargo bedava</div>` : "";
+    }
+
+    const parts = [];
+    if (shippingCost > 0) parts.push(`Kargo ${shippingCost.toFixed(2)}`);
+    if (total - price - shippingCost >= 0.01) parts.push(`Ek maliyet ${(total - price - shippingCost).toFixed(2)}`);
+    const threshold = product.shipping?.freeThreshold
+      ? ` title="${product.shipping.freeThreshold.toFixed(2)} ${product.currency} üzeri kargo bedava"`
+      : "";
+
+    return `<div class="card-total"${threshold}>🚚 ${parts.join(" · ")} · Toplam <strong>${total.toFixed(2)} ${product.currency}</strong></div>`;
+  }
+
+  /**
+   * Render the seller count and lowest offer of marketplace products
+   */
+  function renderOffersInfo(product) {
+    if (!Array.isArray(product.offers) || product.offers.length < 2) return "";
+
+    const lowest = SellerOffers.getLowest(product.offers);
+    const mode =
+      product.trackingMode === SellerOffers.TRACKING_MODES.LOWEST_OFFER
+        ? " · en düşük takip ediliyor"
+        : "";
+    return `<div class="card-offers">🏪 ${product.offers.length} satıcı · en düşük ${lowest.price.toFixed(2)} ${
+      lowest.currency || product.currency
+    } (${PriceTrackerHelpers.escapeHtml(lowest.seller)})${mode}</div>`;
+  }
+
+  /**
+   * Compare group members in the preferred currency, like the total price sort
+   */
+  function getGroupCompareOptions() {
+    return {
+      currency: getPreferredCurrency(),
+      convert: (price, product) => toPreferred(price, product.currency),
+    };
+  }
+
+  /**
+   * Render the cheapest shop of the product's group when it is another listing
+   */
+  function renderGroupInfo(product) {
+    if (typeof ProductGroups === "undefined") return "";
+
+    const group = ProductGroups.findGroup(productGroups, product.url);
+    const summary = group ? ProductGroups.summarize(group, products, getTotalPrice, getGroupCompareOptions()) : null;
+    if (!summary) return "";
+
+    const count = summary.members.length;
+    const cheapest = summary.cheapest.product;
+    const text =
+      cheapest.url === product.url
+        ? `${count} mağaza arasında en ucuz`
+        : `${count} mağazada · en ucuz ${PriceTrackerHelpers.escapeHtml(cheapest.site)} ${summary.cheapest.price.toFixed(2)} ${cheapest.currency}`;
+    return `<div class="card-group">🔗 ${text}</div>`;
+  }
+
+  /**
+   * Render the failure streak of a product that keeps failing
+   */
+  function renderFailureInfo(product, index) {
+    if (!product.failureStreak || !product.lastFailure) return "";
+
+    const failure = product.lastFailure;
+    const labels = {
+      timeout: "Zaman aşımı",
+      rate_limit: "Site yavaşlattı",
+      bot_wall: "Bot koruması",
+      http_4xx: `Sayfa hatası (HTTP ${failure.status})`,
+      http_5xx: `Sunucu hatası (HTTP ${failure.status})`,
+      selector_miss: "Seçici bulunamadı",
+      parse: "Fiyat okunamadı",
+      network: "Bağlantı hatası",
+      invalid: "Geçersiz ürün verisi",
+      unknown: "Bilinmeyen hata",
+    };
+
+    const retryText =
+      failure.nextRetryAt && failure.nextRetryAt > Date.now()
+        ? ` · tekrar ${formatTimeUntil(failure.nextRetryAt)}`
+        : "";
+
+    // Bot walls usually let a real browser tab through
+    const tabButton =
+      failure.type === "bot_wall"
+        ? `<button class="failure-action btn-recheck-tab" data-index="${index}">Sekmede kontrol et</button>`
+        : "";
+
+    return `<div class="card-failure" title="${PriceTrackerHelpers.escapeHtml(failure.message || "")}"><span>${failure.type === "bot_wall" ? "🧱" : "⚠️"} ${product.failureStreak} kez üst üste başarısız · ${labels[failure.type] || labels.unknown}${retryText}</span>${tabButton}</div>`;
+  }
+
+  /**
+   * Format an interval given in minutes
+   */
+  function formatInterval(minutes) {
+    if (minutes < 60) return `${Math.round(minutes)} dk`;
+    if (minutes < 1440) return `${Math.round((minutes / 60) * 10) / 10} saat`;
+    return `${Math.round((minutes / 1440) * 10) / 10} gün`;
+  }
+
+  /**
+   * Convert a timestamp to a datetime-local input value
+   */
+  function toDateTimeLocal(timestamp) {
+    if (!timestamp) return "";
+    const date = new Date(timestamp);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+  }
+
+  /**
+   * Open schedule modal for a product
+   */
+  function openScheduleModal(index) {
+    const product = products[index];
+    const modal = $("scheduleModal");
+    if (!product || !modal) return;
+
+    scheduleTarget = product;
+
+    const domain = DomainSettings.normalizeDomain(product.domain || product.url);
+    const domainSchedule = domainSettings[domain]?.schedule;
+    const schedule = product.schedule || domainSchedule || {};
+    const resolved = CheckScheduler.resolveSchedule(product, domainSettings, settings || {});
+    const hint =
+      resolved.source === "global" && resolved.reason !== "fixed"
+        ? `Boş bırakılırsa uyarlanabilir aralık kullanılır (şu an ${formatInterval(resolved.intervalMinutes)})`
+        : "Boş bırakılırsa genel ayar kullanılır";
+
+    $("scheduleProductName").textContent = truncate(product.name, 60);
+    $("scheduleNextCheck").textContent = formatTimeUntil(
+      CheckScheduler.getNextCheckAt(product, resolved)
+    );
+    $("scheduleInterval").value = schedule.intervalMinutes || "";
+    $("scheduleInterval").placeholder = `Varsayılan (${settings?.checkInterval || 30})`;
+    $("scheduleIntervalHint").textContent = hint;
+    $("scheduleQuietStart").value = schedule.quietHours?.start || "";
+    $("scheduleQuietEnd").value = schedule.quietHours?.end || "";
+    $("schedulePauseUntil").value = toDateTimeLocal(schedule.pauseUntil);
+    $("scheduleApplyDomain").checked = !product.schedule && !!domainSchedule;
+    $("scheduleApplyDomainLabel").textContent = `${domain} üzerindeki tüm ürünlere uygula`;
+    $("scheduleForceTab").checked = !!domainSettings[domain]?.forceTabRender;
+    $("scheduleTabFallback").checked = !!domainSettings[domain]?.tabFallback;
+    $("scheduleExtraCost").value = domainSettings[domain]?.extraCost || "";
+    $("scheduleExtraCostSuffix").textContent = product.currency || "TRY";
+    $("scheduleTrackingMode").value = product.trackingMode || SellerOffers.TRACKING_MODES.BUY_BOX;
+    $("scheduleTrackingHint").textContent = product.offers?.length
+      ? `Son kontrolde ${product.offers.length} satıcı bulundu`
+      : "Pazaryerlerinde diğer satıcıların tekliflerini de izler";
+
+    modal.style.display = "flex";
+  }
+
+  /**
+   * Close schedule modal
+   */
+  function closeScheduleModal() {
+    const modal = $("scheduleModal");
+    if (modal) modal.style.display = "none";
+    scheduleTarget = null;
+  }
+
+  /**
+   * Build a schedule from the modal inputs
+   * @returns {Object|null} Schedule or null when every field is empty
+   */
+  function readScheduleForm() {
+    const interval = parseInt($("scheduleInterval").value);
+    const quietStart = $("scheduleQuietStart").value;
+    const quietEnd = $("scheduleQuietEnd").value;
+    const pauseValue = $("schedulePauseUntil").value;
+    const pauseUntil = pauseValue ? new Date(pauseValue).getTime() : null;
+
+    const schedule = {
+      intervalMinutes: interval > 0 ? CheckScheduler.clampInterval(interval) : null,
+      quietHours: quietStart && quietEnd ? { start: quietStart, end: quietEnd } : null,
+      pauseUntil: pauseUntil && pauseUntil > Date.now() ? pauseUntil : null,
+    };
+
+    return schedule.intervalMinutes || schedule.quietHours || schedule.pauseUntil
+      ? schedule
+      : null;
+  }
+
+  /**
+   * Save (or clear) the schedule of the product in the modal
+   * @param {boolean} reset - Clear the schedule instead of saving the form
+   */
+  async function saveSchedule(reset = false) {
+    if (!scheduleTarget) return;
+
+    const product = scheduleTarget;
+    const schedule = reset ? null : readScheduleForm();
+    const applyToDomain = $("scheduleApplyDomain").checked;
+    const forceTabRender = $("scheduleForceTab").checked;
+    const tabFallback = $("scheduleTabFallback").checked;
+    const extraCost = parseFloat($("scheduleExtraCost").value);
+    const trackingMode = $("scheduleTrackingMode").value;
+
+    try {
+      await DomainSettings.set(product.domain || product.url, {
+        forceTabRender: forceTabRender || null,
+        tabFallback: tabFallback || null,
+        extraCost: extraCost > 0 ? extraCost : null,
+      });
+
+      if (!reset && trackingMode !== (product.trackingMode || SellerOffers.TRACKING_MODES.BUY_BOX)) {
+        await ProductStore.update(product.url, {
+          trackingMode: trackingMode === SellerOffers.TRACKING_MODES.LOWEST_OFFER ? trackingMode : null,
+        });
+      }
+
+      if (applyToDomain) {
+        await Messenger.Actions.updateSchedule({ domain: product.domain || product.url }, schedule);
+      }
+
+      // The product's own schedule would shadow the domain schedule
+      if (!applyToDomain || product.schedule) {
+        await Messenger.Actions.updateSchedule(
+          { productUrl: product.url },
+          applyToDomain ? null : schedule
+        );
+      }
+
+      closeScheduleModal();
+      await loadProducts();
+      showToast(reset ? "Zamanlama sıfırlandı" : "✅ Zamanlama kaydedildi", "success");
+    } catch (error) {
+      console.error("[Popup] Schedule save error:", error);
+      showToast("❌ Zamanlama kaydedilemedi", "error");
+    }
+  }
+
+  /**
+   * Line colors of the group members in the combined chart
+   */
+  const GROUP_COLORS = ["#6750A4", "#B3261E", "#386A20", "#00639B", "#8B5000", "#7D5260"];
+
+  /**
+   * Render product groups: cheapest shop, price spread and combined history chart
+   */
+  function renderGroups(filterText = "") {
+    if (!els.groupList || typeof ProductGroups === "undefined") return;
+
+    const search = filterText.toLowerCase();
+    const summaries = productGroups
+      .map((group) => ({ group, summary: ProductGroups.summarize(group, products, getTotalPrice, getGroupCompareOptions()) }))
+      .filter(({ group, summary }) => {
+        if (!summary || summary.members.length < 2) return false;
+        if (!search) return true;
+        return (
+          ProductGroups.getDisplayName(group, products).toLowerCase().includes(search) ||
+          summary.members.some(({ product }) => (product.site || "").toLowerCase().includes(search))
+        );
+      });
+
+    els.groupList.innerHTML = summaries.map(({ group, summary }) => renderGroupCard(group, summary)).join("");
+
+    els.groupList.querySelectorAll(".group-member").forEach((btn) => {
+      btn.addEventListener("click", () => browser.tabs.create({ url: btn.dataset.url }));
+    });
+
+    for (const { group, summary } of summaries) {
+      const canvas = els.groupList.querySelector(`canvas[data-group-id="${group.id}"]`);
+      if (canvas) drawGroupChart(canvas, summary);
+    }
+  }
+
+  /**
+   * Render a single group card HTML
+   */
+  function renderGroupCard(group, summary) {
+    const escape = PriceTrackerHelpers.escapeHtml;
+    const cheapest = summary.cheapest;
+    const spreadHTML =
+      summary.spread >= 0.01
+        ? `<div class="group-spread">Fiyat farkı: ${summary.spread.toFixed(2)} ${summary.currency} (%${summary.spreadPercent.toFixed(1)})</div>`
+        : `<div class="group-spread">Tüm mağazalarda aynı fiyat</div>`;
+
+    const membersHTML = summary.members
+      .map(
+        ({ product, price }, i) => `
+          <button class="group-member" data-url="${escape(product.url)}" title="${escape(product.name)}">
+            <span class="group-dot" style="background: ${GROUP_COLORS[i % GROUP_COLORS.length]}"></span>
+            <span>${escape(product.site)}</span>
+            <strong>${price.toFixed(2)} ${product.currency}</strong>
+          </button>`
+      )
+      .join("");
+
+    return `
+      <div class="group-card">
+        <div class="group-header">
+          <div class="group-name">🔗 ${escape(ProductGroups.getDisplayName(group, products))}</div>
+          <div class="group-count">${summary.members.length} mağaza</div>
+        </div>
+        <div class="group-best">En ucuz: <strong>${escape(cheapest.product.site)}</strong> · ${cheapest.price.toFixed(2)} ${cheapest.product.currency}</div>
+        ${spreadHTML}
+        <canvas class="group-chart" data-group-id="${escape(group.id)}" width="320" height="90"></canvas>
+        <div class="group-members">${membersHTML}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Draw the price histories of a group's members on one chart
+   * Members priced in another currency than the cheapest are left out.
+   */
+  async function drawGroupChart(canvas, summary) {
+    if (typeof PriceHistory === "undefined") return;
+
+    const lines = await Promise.all(
+      summary.members.map(async ({ product }, i) => ({
+        color: GROUP_COLORS[i % GROUP_COLORS.length],
+        points:
+          product.currency === summary.cheapest.product.currency
+            ? PriceHistory.toSeries(await PriceHistory.getHistory(product.url))
+            : [],
+      }))
+    );
+
+    const all = lines.flatMap((line) => line.points);
+    const ctx = canvas.getContext("2d");
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 8;
+
+    ctx.clearRect(0, 0, width, height);
+
+    const isDark = document.body.classList.contains("dark-mode");
+    const textColor = isDark ? "rgba(255, 255, 255, 0.5)" : "rgba(0, 0, 0, 0.5)";
+
+    if (all.length < 2) {
+      ctx.fillStyle = textColor;
+      ctx.font = "11px system-ui";
+      ctx.textAlign = "center";
+      ctx.fillText("Geçmiş toplanıyor...", width / 2, height / 2);
+      ctx.textAlign = "left";
+      return;
+    }
+
+    const minDate = Math.min(...all.map((p) => p.date));
+    const maxDate = Math.max(...all.map((p) => p.end || p.date), Date.now());
+    const minPrice = Math.min(...all.map((p) => p.price));
+    const maxPrice = Math.max(...all.map((p) => p.price));
+    const priceRange = maxPrice - minPrice || 1;
+
+    const getX = (date) => padding + ((date - minDate) / (maxDate - minDate || 1)) * (width - padding * 2);
+    const getY = (price) => padding + (1 - (price - minPrice) / priceRange) * (height - padding * 2);
+
+    ctx.fillStyle = textColor;
+    ctx.font = "10px system-ui";
+    ctx.fillText(maxPrice.toFixed(0), 2, padding + 3);
+    ctx.fillText(minPrice.toFixed(0), 2, height - 2);
+
+    // Step lines: a price holds until the next observation, the last one until now
+    for (const line of lines) {
+      if (line.points.length === 0) continue;
+
+      ctx.strokeStyle = line.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      line.points.forEach((point, i) => {
+        const x = getX(point.date);
+        const y = getY(point.price);
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, getY(line.points[i - 1].price));
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.lineTo(getX(maxDate), getY(line.points[line.points.length - 1].price));
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Link matching products of other shops after a product was added
+   */
+  async function groupMatchingProducts() {
+    if (typeof ProductGroups === "undefined") return;
+
+    try {
+      await ProductGroups.autoGroup(products);
+      productGroups = await ProductGroups.getAll();
+    } catch (error) {
+      console.error("[Popup] Product grouping error:", error);
+    }
+  }
+
+  /**
+   * Open the group modal of a product
+   * Listings from other shops are offered, likely matches first.
+   */
+  function openGroupModal(index) {
+    const product = products[index];
+    const modal = $("groupModal");
+    if (!product || !modal || typeof ProductGroups === "undefined") return;
+
+    groupTarget = product;
+
+    const group = ProductGroups.findGroup(productGroups, product.url);
+    const candidates = products
+      .filter((p) => p.url !== product.url)
+      .map((p) => ({
+        product: p,
+        checked: !!group && group.productUrls.includes(p.url),
+        reason: ProductGroups.matchReason(product, p),
+        similarity: ProductGroups.nameSimilarity(product.name, p.name),
+      }))
+      .sort(
+        (a, b) =>
+          b.checked - a.checked || !!b.reason - !!a.reason || b.similarity - a.similarity
+      );
+
+    const reasonLabels = { gtin: "aynı barkod", mpn: "aynı model kodu", name: "benzer ad" };
+
+    $("groupProductName").textContent = truncate(product.name, 60);
+    $("groupName").value = group?.name || "";
+    $("unlinkGroupBtn").style.display = group ? "" : "none";
+    $("groupCandidates").innerHTML = candidates.length
+      ? candidates
+          .map(
+            ({ product: p, checked, reason }) => `
+              <label class="checkbox-item">
+                <input type="checkbox" value="${PriceTrackerHelpers.escapeHtml(p.url)}"${checked ? " checked" : ""}>
+                <span class="checkbox-mark"></span>
+                <span>${PriceTrackerHelpers.escapeHtml(truncate(p.name, 50))} · ${PriceTrackerHelpers.escapeHtml(p.site)}${
+                  reason ? ` <em>(${reasonLabels[reason]})</em>` : ""
+                }</span>
+              </label>`
+          )
+          .join("")
+      : `<div class="form-hint">Gruplanacak başka ürün yok</div>`;
+
+    modal.style.display = "flex";
+  }
+
+  /**
+   * Close group modal
+   */
+  function closeGroupModal() {
+    const modal = $("groupModal");
+    if (modal) modal.style.display = "none";
+    groupTarget = null;
+  }
+
+  /**
+   * Save the checked listings as the product's group
+   */
+  async function saveGroup() {
+    if (!groupTarget) return;
+
+    const product = groupTarget;
+    const group = ProductGroups.findGroup(productGroups, product.url);
+    const selected = Array.from($$("#groupCandidates input:checked")).map((input) => input.value);
+    const name = $("groupName").value.trim();
+
+    try {
+      // Unchecked members leave the group and are not grouped back automatically
+      for (const url of group ? group.productUrls : []) {
+        if (url !== product.url && !selected.includes(url)) {
+          await ProductGroups.unlink(url);
+        }
+      }
+
+      if (selected.length > 0) {
+        await ProductGroups.link([product.url, ...selected], name);
+      } else if (group) {
+        await ProductGroups.unlink(product.url);
+      }
+
+      productGroups = await ProductGroups.getAll();
+      closeGroupModal();
+      renderProducts(els.searchInput?.value || "");
+      showToast(selected.length > 0 ? "🔗 Grup kaydedildi" : "Grup kaldırıldı", "success");
+    } catch (error) {
+      console.error("[Popup] Group save error:", error);
+      showToast("❌ Grup kaydedilemedi", "error");
+    }
+  }
+
+  /**
+   * Take the product in the modal out of its group
+   */
+  async function unlinkGroup() {
+    if (!groupTarget) return;
+
+    try {
+      await ProductGroups.unlink(groupTarget.url);
+      productGroups = await ProductGroups.getAll();
+      closeGroupModal();
+      renderProducts(els.searchInput?.value || "");
+      showToast("Ürün gruptan çıkarıldı", "success");
+    } catch (error) {
+      console.error("[Popup] Group unlink error:", error);
+      showToast("❌ İşlem başarısız", "error");
+    }
+  }
+
   /**
    * Check single product price - uses Messenger abstraction
    */
@@ -1197,16 +2194,22 @@
       const result = await Messenger.Actions.checkSingleProduct(product);
 
       if (result && result.product) {
-        products[index] = result.product;
-        await saveProducts();
+        // Only what the check changed; edits made meanwhile stay
+        const updated = await ProductStore.update(product.url, ProductStore.changedFields(product, result.product));
+        products[index] = updated || result.product;
+        await loadHistorySummaries();
 
         renderProducts(els.searchInput?.value || "");
         updateStats();
 
-        showToast(
-          result.updated ? "✅ Fiyat güncellendi!" : "ℹ️ Değişiklik yok",
-          result.updated ? "success" : "info"
-        );
+        if (result.failure) {
+          showToast("❌ Kontrol başarısız", "error");
+        } else {
+          showToast(
+            result.updated ? "✅ Fiyat güncellendi!" : "ℹ️ Değişiklik yok",
+            result.updated ? "success" : "info"
+          );
+        }
       } else {
         throw new Error("Kontrol başarısız");
       }
@@ -1235,8 +2238,26 @@
     if (!confirmed) return;
 
     try {
+      await ProductStore.remove(product.url);
       products.splice(index, 1);
-      await saveProducts();
+
+      if (typeof PriceHistory !== "undefined") {
+        await PriceHistory.removeHistory(product.url);
+      }
+      if (typeof RetryQueue !== "undefined") {
+        await RetryQueue.remove(product.url);
+      }
+      if (typeof ProductGroups !== "undefined") {
+        await ProductGroups.removeProduct(product.url);
+        productGroups = await ProductGroups.getAll();
+      }
+      if (typeof EventLog !== "undefined") {
+        await EventLog.append({
+          type: EventLog.TYPES.PRODUCT_REMOVED,
+          product,
+          oldValue: product.price,
+        });
+      }
 
       renderProducts(els.searchInput?.value || "");
       updateStats();
@@ -1278,24 +2299,36 @@
   }
 
   /**
-   * Update header statistics
+   * Savings since each product was added, in the preferred currency
+   * Products without a known exchange rate are left out.
    */
-  function updateStats() {
-    // Total products count
-    els.totalProducts.textContent = products.length;
-
-    // Calculate total savings
+  function getTotalSavings() {
     let savings = 0;
     products.forEach((p) => {
       const initial = parseFloat(p.initialPrice);
       const current = parseFloat(p.price);
       if (!isNaN(initial) && !isNaN(current) && current < initial) {
-        savings += initial - current;
+        savings += toPreferred(initial - current, p.currency) || 0;
       }
     });
+    return savings;
+  }
+
+  function formatSavings(savings) {
+    const currency = getPreferredCurrency();
+    const symbol = PriceAlerts.CURRENCIES[currency]?.symbol || currency;
+    return `${Math.max(savings, 0).toFixed(0)}${symbol}`;
+  }
 
-    els.totalSavings.textContent =
-      savings > 0 ? `${savings.toFixed(0)}₺` : "0₺";
+  /**
+   * Update header statistics
+   */
+  function updateStats() {
+    // Total products count
+    els.totalProducts.textContent = products.length;
+
+    // Calculate total savings
+    els.totalSavings.textContent = formatSavings(getTotalSavings());
 
     // Last check time
     const lastChecks = products
@@ -1391,8 +2424,8 @@
       const condition = getAlertConditionText(alert);
       
       // Determine status
-      const status = !alert.enabled ? 'paused' : 
-                     alert.triggered ? 'triggered' : 'active';
+      const state = PriceAlerts.getAlertState(alert);
+      const { status, icon: statusIcon, text: statusText } = ALERT_STATE_DISPLAY[state] || ALERT_STATE_DISPLAY.active;
       
       // Get icon for type
       const icon = getAlertTypeIcon(alert.type);
@@ -1418,7 +2451,7 @@
               <span class="alarm-condition">${condition}</span>
               <span class="alarm-separator">•</span>
               <span class="alarm-status ${status}">
-                ${status === 'active' ? '🟢 Aktif' : status === 'triggered' ? '✅ Tetiklendi' : '⏸️ Duraklatıldı'}
+                ${statusIcon} ${statusText}
               </span>
             </div>
             <div class="alarm-meta">
@@ -1447,6 +2480,21 @@
     attachAlarmCardListeners();
   }
 
+  // Card style and label of each PriceAlerts.ALERT_STATES value
+  const ALERT_STATE_DISPLAY = {
+    active: { status: 'active', icon: '🟢', text: 'Aktif' },
+    waiting: { status: 'triggered', icon: '✅', text: 'Tetiklendi' },
+    cooldown: { status: 'triggered', icon: '⏳', text: 'Beklemede' },
+    snoozed: { status: 'paused', icon: '😴', text: 'Ertelendi' },
+    paused: { status: 'paused', icon: '⏸️', text: 'Duraklatıldı' },
+  };
+
+  const SNOOZE_OPTIONS = [
+    { hours: 1, label: '1 saat' },
+    { hours: 24, label: '1 gün' },
+    { hours: 168, label: '1 hafta' },
+  ];
+
   /**
    * Attach event listeners to alarm cards
    */
@@ -1504,6 +2552,24 @@
         return `%${alert.targetPercent || '?'} artınca`;
       case 'any_change':
         return `Fiyat değişince`;
+      case 'back_in_stock':
+        return `Stoğa girince`;
+      case 'seller_price_drop':
+        return `${alert.sellerName || 'Satıcı'} düşünce`;
+      case 'good_deal':
+        return `Fırsat puanı ${alert.targetScore || '?'}+`;
+      case 'all_time_low':
+        return `En düşük fiyatta`;
+      case 'lowest_in_days':
+        return `${alert.targetDays || '?'} günün en düşüğü`;
+      case 'below_average':
+        return `30 gün ort. %${alert.targetPercent || '?'} altı`;
+      case 'below_average_90':
+        return `90 gün ort. %${alert.targetPercent || '?'} altı`;
+      case 'pre_campaign_price':
+        return `Kampanya öncesi fiyatta`;
+      case 'rule':
+        return `${alert.conditions?.length || 0} koşul (${alert.match === 'any' ? 'VEYA' : 'VE'})`;
       default:
         return 'Alarm';
     }
@@ -1518,6 +2584,15 @@
       case 'percentage_drop': return '📉';
       case 'percentage_rise': return '📈';
       case 'any_change': return '🔄';
+      case 'back_in_stock': return '📦';
+      case 'seller_price_drop': return '🏪';
+      case 'good_deal': return '💎';
+      case 'all_time_low': return '🏆';
+      case 'lowest_in_days': return '📅';
+      case 'below_average':
+      case 'below_average_90': return '📊';
+      case 'pre_campaign_price': return '↩️';
+      case 'rule': return '🧩';
       default: return '🔔';
     }
   }
@@ -1537,6 +2612,22 @@
     return 'Az önce';
   }
 
+  /**
+   * Format time until a future timestamp
+   */
+  function formatTimeUntil(timestamp) {
+    const diff = timestamp - Date.now();
+    if (diff <= 0) return 'Sırada';
+
+    const minutes = Math.ceil(diff / 60000);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) return `${days} gün sonra`;
+    if (hours > 0) return `${hours} saat sonra`;
+    return `${minutes} dk sonra`;
+  }
+
   /**
    * Toggle alert enabled state
    */
@@ -1545,6 +2636,8 @@
     if (!alert) return;
     
     alert.enabled = enabled;
+    // Turning an alert back on gives it a fresh start
+    if (enabled) alert.armed = true;
     
     try {
       await browser.storage.local.set({ priceAlerts: alerts });
@@ -1571,6 +2664,10 @@
     const currentPrice = product?.price ? `${product.price.toFixed(2)} ${product.currency || '₺'}` : '-';
     
     title.textContent = 'Alarm Detayları';
+
+    const state = PriceAlerts.getAlertState(alert);
+    const stateDisplay = ALERT_STATE_DISPLAY[state] || ALERT_STATE_DISPLAY.active;
+    const stateDetail = getAlertStateDetail(alert, state);
     
     content.innerHTML = `
       <div style="display: flex; flex-direction: column; gap: 16px;">
@@ -1589,24 +2686,93 @@
             </div>
           </div>
           <div style="padding: 12px; background: var(--md-sys-color-surface-container-high); border-radius: 12px; text-align: center;">
-            <div style="font-size: 24px; margin-bottom: 4px;">${alert.enabled ? '🟢' : '⏸️'}</div>
+            <div style="font-size: 24px; margin-bottom: 4px;">${stateDisplay.icon}</div>
             <div style="font: var(--md-sys-typescale-label-medium-font);">
-              ${alert.enabled ? 'Aktif' : 'Duraklatıldı'}
+              ${stateDisplay.text}
             </div>
+            ${stateDetail ? `<div class="alarm-state-detail">${stateDetail}</div>` : ''}
           </div>
         </div>
         
+        <div style="font: var(--md-sys-typescale-body-medium-font); color: var(--md-sys-color-on-surface-variant);">
+          ${PriceTrackerHelpers.escapeHtml(PriceAlerts.getAlertDescription(alert))}
+        </div>
+        
+        <div class="alarm-snooze">
+          <span>Ertele:</span>
+          ${SNOOZE_OPTIONS.map(o => `<button type="button" class="chip" data-snooze="${o.hours}">${o.label}</button>`).join('')}
+          ${state === 'snoozed' ? '<button type="button" class="chip selected" data-snooze="0">Ertelemeyi kaldır</button>' : ''}
+        </div>
+
+        <div>
+          <div class="alarm-history-title">Tetiklenme Geçmişi</div>
+          ${renderAlertHistory(alert)}
+        </div>
+        
         <div style="font: var(--md-sys-typescale-body-small-font); color: var(--md-sys-color-outline);">
           Oluşturulma: ${alert.createdAt ? new Date(alert.createdAt).toLocaleString('tr-TR') : '-'}
         </div>
       </div>
     `;
     
+    content.querySelectorAll('[data-snooze]').forEach(btn => {
+      btn.addEventListener('click', () => snoozeAlert(alert.id, parseFloat(btn.dataset.snooze)));
+    });
+
     // Store current alert ID for actions
     sheet.dataset.alertId = alert.id;
     sheet.classList.add('show');
   }
 
+  /**
+   * When a snoozed or cooling-down alert can fire again, and what a waiting alert waits for
+   */
+  function getAlertStateDetail(alert, state) {
+    if (state === 'snoozed') return `${formatTimeUntil(alert.snoozedUntil)} yeniden etkin`;
+    if (state === 'cooldown') return `${formatTimeUntil(alert.triggeredAt + alert.cooldownHours * 3600000)} yeniden çalabilir`;
+    if (state === 'waiting') {
+      const threshold = alert.type === 'rule' ? null : PriceAlerts.getThresholdPrice(alert);
+      return threshold ? 'Fiyat eşiğin yeniden üstüne çıkınca kurulur' : 'Koşul ortadan kalkınca kurulur';
+    }
+    return alert.repeat === false ? 'Tek seferlik' : '';
+  }
+
+  /**
+   * Every trigger of an alert with its time and price, newest first
+   */
+  function renderAlertHistory(alert) {
+    const history = alert.history || [];
+    if (history.length === 0) {
+      return '<div class="alarm-history-empty">Bu alarm henüz tetiklenmedi</div>';
+    }
+
+    return `
+      <div class="alarm-history">
+        ${history.map(entry => `
+          <div class="alarm-history-item" title="${PriceTrackerHelpers.escapeHtml(entry.message)}">
+            <span>${new Date(entry.at).toLocaleString('tr-TR')}</span>
+            <strong>${entry.price ? PriceAlerts.formatPrice(entry.price, alert.currency) : '-'}</strong>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Snooze an alert for some hours (0 ends the snooze)
+   */
+  async function snoozeAlert(alertId, hours) {
+    try {
+      await browser.runtime.sendMessage({ action: 'snoozeAlert', alertId, hours });
+      closeAlarmBottomSheet();
+      await loadAlerts();
+      showSnackbar(hours > 0 ? 'Alarm ertelendi' : 'Erteleme kaldırıldı');
+    } catch (error) {
+      console.error('[Popup] Snooze alert error:', error);
+      showToast('Alarm ertelenemedi', 'error');
+    }
+  }
+
   /**
    * Close alarm bottom sheet
    */
@@ -1697,6 +2863,15 @@
       case 'target_price': return 'target';
       case 'percentage_drop': return 'percent-down';
       case 'percentage_rise': return 'percent-up';
+      case 'back_in_stock': return 'stock';
+      case 'seller_price_drop': return 'seller';
+      case 'good_deal': return 'deal';
+      case 'all_time_low':
+      case 'lowest_in_days':
+      case 'below_average':
+      case 'below_average_90':
+      case 'pre_campaign_price': return 'history';
+      case 'rule': return 'rule';
       default: return '';
     }
   }
@@ -1710,6 +2885,15 @@
       case 'percentage_drop': return 'Düşüş';
       case 'percentage_rise': return 'Artış';
       case 'any_change': return 'Değişim';
+      case 'back_in_stock': return 'Stok';
+      case 'seller_price_drop': return 'Satıcı';
+      case 'good_deal': return 'Fırsat';
+      case 'all_time_low': return 'Dip';
+      case 'lowest_in_days': return 'Dönem Dibi';
+      case 'below_average':
+      case 'below_average_90': return 'Ortalama';
+      case 'pre_campaign_price': return 'Kampanya';
+      case 'rule': return 'Kural';
       default: return 'Alarm';
     }
   }
@@ -1727,6 +2911,24 @@
         return `Fiyat %${alert.targetPercent || '?'} arttığında bildir`;
       case 'any_change':
         return 'Herhangi bir fiyat değişikliğinde bildir';
+      case 'back_in_stock':
+        return 'Tükenen ürün yeniden stoğa girdiğinde bildir';
+      case 'seller_price_drop':
+        return `${alert.sellerName || 'Satıcı'} fiyatı düştüğünde bildir`;
+      case 'good_deal':
+        return `Fırsat puanı ${alert.targetScore || '?'} veya üstüne çıktığında bildir`;
+      case 'all_time_low':
+        return 'Fiyat tüm zamanların en düşüğüne indiğinde bildir';
+      case 'lowest_in_days':
+        return `Fiyat son ${alert.targetDays || '?'} günün en düşüğü olduğunda bildir`;
+      case 'below_average':
+        return `Fiyat 30 gün ortalamasının %${alert.targetPercent || '?'} altına indiğinde bildir`;
+      case 'below_average_90':
+        return `Fiyat 90 gün ortalamasının %${alert.targetPercent || '?'} altına indiğinde bildir`;
+      case 'pre_campaign_price':
+        return 'Fiyat kampanya öncesi seviyesine döndüğünde bildir';
+      case 'rule':
+        return `${alert.conditions?.length || 0} koşullu kural sağlandığında bildir`;
       default:
         return 'Bilinmeyen alarm türü';
     }
@@ -1773,11 +2975,15 @@
     }
 
     // Reset form
-    if (els.alertTypeSelect) els.alertTypeSelect.value = 'target_price';
-    if (els.alertTargetPrice) els.alertTargetPrice.value = '';
-    if (els.alertTargetPercent) els.alertTargetPercent.value = '';
-    
-    handleAlertTypeChange();
+    ruleConditions = [createRuleCondition('target_price')];
+    if (els.alertRuleMatch) els.alertRuleMatch.value = 'all';
+    if (els.alertPriceBasis) els.alertPriceBasis.value = 'total';
+    if (els.alertOneTime) els.alertOneTime.checked = true;
+    if (els.alertCooldown) els.alertCooldown.value = '24';
+    if (els.alertRepeatGroup) els.alertRepeatGroup.style.display = 'none';
+    updatePriceBasisOptions(null);
+
+    renderRuleConditions();
     els.addAlertModal.style.display = 'flex';
   }
 
@@ -1790,30 +2996,114 @@
     }
   }
 
+  // Conditions offered by the rule editor; param is the value each one asks for
+  const RULE_CONDITION_OPTIONS = [
+    { type: 'target_price', label: '🎯 Fiyat en fazla', param: 'price' },
+    { type: 'percentage_drop', label: '📉 Yüzde düşüş', param: 'percent' },
+    { type: 'percentage_rise', label: '📈 Yüzde artış', param: 'percent' },
+    { type: 'any_change', label: '🔄 Fiyat değişince', param: null },
+    { type: 'all_time_low', label: '🏆 Tüm zamanların en düşüğü', param: null },
+    { type: 'lowest_in_days', label: '📅 Son N günün en düşüğü', param: 'days' },
+    { type: 'below_average', label: '📊 30 gün ortalamasının altında', param: 'percent' },
+    { type: 'below_average_90', label: '📊 90 gün ortalamasının altında', param: 'percent' },
+    { type: 'pre_campaign_price', label: '↩️ Kampanya öncesi fiyata dönünce', param: null },
+    { type: 'good_deal', label: '💎 Fırsat puanı en az', param: 'score' },
+    { type: 'in_stock', label: '✅ Stokta', param: null },
+    { type: 'back_in_stock', label: '📦 Yeniden stoğa girince', param: null },
+    { type: 'seller_is', label: '🏷️ Satıcı', param: 'seller' },
+    { type: 'seller_price_drop', label: '🏪 Satıcının fiyatı düşünce', param: 'seller' },
+  ];
+
+  // Conditions compared against the price basis the user picks
+  const PRICE_BASIS_CONDITIONS = ['target_price', 'percentage_drop', 'percentage_rise', 'any_change'];
+
+  const DEFAULT_CONDITION_VALUES = { price: '', percent: '10', score: '80', days: '30', seller: '' };
+
+  function getConditionOption(type) {
+    return RULE_CONDITION_OPTIONS.find(o => o.type === type) || RULE_CONDITION_OPTIONS[0];
+  }
+
+  function createRuleCondition(type) {
+    const { param } = getConditionOption(type);
+    return { type, value: param ? DEFAULT_CONDITION_VALUES[param] : '' };
+  }
+
+  function getSelectedAlertProduct() {
+    return products.find(p => p.url === els.alertProductSelect?.value) || null;
+  }
+
   /**
-   * Handle alert type change
+   * Value field of a condition row: number with a suffix, or the sellers of the product
    */
-  function handleAlertTypeChange() {
-    const selectedCard = document.querySelector("#alarmTypeCards .alarm-type-card.selected");
-    const type = selectedCard?.dataset.type || 'target_price';
-    
-    if (els.targetPriceGroup) {
-      els.targetPriceGroup.style.display = type === 'target_price' ? 'block' : 'none';
-    }
-    
-    if (els.targetPercentGroup) {
-      const showPercent = type === 'percentage_drop' || type === 'percentage_rise';
-      els.targetPercentGroup.style.display = showPercent ? 'block' : 'none';
-      
-      // Update hint text based on type
-      const percentHint = $("percentHint");
-      if (percentHint) {
-        if (type === 'percentage_drop') {
-          percentHint.textContent = 'Fiyat bu yüzde kadar düşünce bildirim alacaksınız';
-        } else if (type === 'percentage_rise') {
-          percentHint.textContent = 'Fiyat bu yüzde kadar artınca bildirim alacaksınız';
-        }
+  function renderConditionValue(condition, product) {
+    const { param } = getConditionOption(condition.type);
+    const esc = PriceTrackerHelpers.escapeHtml;
+
+    if (!param) return '<span class="rule-condition-empty"></span>';
+
+    if (param === 'seller') {
+      const offers = Array.isArray(product?.offers) ? product.offers : [];
+      if (offers.length && !offers.some(o => o.seller === condition.value)) {
+        condition.value = offers[0].seller;
       }
+      const options = offers.length
+        ? offers.map(o => `<option value="${esc(o.seller)}" ${o.seller === condition.value ? 'selected' : ''}>${esc(o.seller)} · ${o.price.toFixed(2)} ${o.currency || ''}</option>`).join('')
+        : '<option value="">Satıcı bilgisi yok</option>';
+      return `<select class="form-select rule-condition-value" ${offers.length ? '' : 'disabled'}>${options}</select>`;
+    }
+
+    const suffixes = { percent: '%', score: '/100', days: 'gün' };
+    const suffix = param === 'price' ? PriceAlerts.CURRENCIES[product?.currency]?.symbol || '₺' : suffixes[param];
+    const maxima = { percent: 99, score: 100, days: 3650 };
+    const limits = param === 'price' ? 'min="0" step="0.01" placeholder="Örn: 1500"' : `min="1" max="${maxima[param]}"`;
+    return `
+      <div class="input-with-suffix">
+        <input type="number" class="rule-condition-value" ${limits} value="${esc(condition.value)}">
+        <span class="input-suffix">${suffix}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Draw the condition rows and show the match and price basis selects when they apply
+   */
+  function renderRuleConditions() {
+    if (!els.alertConditions) return;
+    const product = getSelectedAlertProduct();
+
+    els.alertConditions.innerHTML = ruleConditions.map((condition, index) => `
+      <div class="rule-condition" data-index="${index}">
+        <select class="form-select rule-condition-type">
+          ${RULE_CONDITION_OPTIONS.map(o => `<option value="${o.type}" ${o.type === condition.type ? 'selected' : ''}>${o.label}</option>`).join('')}
+        </select>
+        ${renderConditionValue(condition, product)}
+        <button type="button" class="rule-condition-remove" aria-label="Koşulu kaldır" ${ruleConditions.length <= 1 ? 'disabled' : ''}>×</button>
+      </div>
+    `).join('');
+
+    if (els.alertRuleMatch) {
+      els.alertRuleMatch.style.display = ruleConditions.length > 1 ? 'block' : 'none';
+    }
+    if (els.priceBasisGroup) {
+      const priceBased = ruleConditions.some(c => PRICE_BASIS_CONDITIONS.includes(c.type));
+      els.priceBasisGroup.style.display = priceBased ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Keep the editor state in step with a changed row
+   */
+  function handleRuleConditionEdit(e) {
+    const row = e.target.closest('.rule-condition');
+    if (!row) return;
+    const condition = ruleConditions[parseInt(row.dataset.index, 10)];
+
+    if (e.target.classList.contains('rule-condition-type')) {
+      if (e.type !== 'change') return;
+      Object.assign(condition, createRuleCondition(e.target.value));
+      renderRuleConditions();
+    } else if (e.target.classList.contains('rule-condition-value')) {
+      condition.value = e.target.value;
     }
   }
   
@@ -1836,17 +3126,86 @@
     } else {
       if (productInfo) productInfo.style.display = 'none';
     }
+
+    const product = products.find(p => p.url === selectedOption?.value) || null;
+    updatePriceBasisOptions(product);
+    renderRuleConditions();
+  }
+
+  /**
+   * Offer the unit price basis only for products with a known package size
+   */
+  function updatePriceBasisOptions(product) {
+    const unitOption = els.alertPriceBasis?.querySelector('option[value="unit"]');
+    if (!unitOption) return;
+
+    const hasUnitPrice = !!product?.unitPrice && !!product.quantity;
+    unitOption.disabled = !hasUnitPrice;
+    unitOption.textContent = hasUnitPrice
+      ? `Birim fiyat (${UnitPrice.format(product.unitPrice, product.quantity.unit, product.currency)})`
+      : 'Birim fiyat (paket boyutu bilinmiyor)';
+
+    if (!hasUnitPrice && els.alertPriceBasis.value === 'unit') {
+      els.alertPriceBasis.value = 'total';
+    }
+  }
+
+  /**
+   * Current price of a product on an alert's price basis
+   */
+  function getBasisPrice(product, basis) {
+    if (basis === 'total') return ShippingCosts.getEffectivePrice(product);
+    if (basis === 'unit') return product.unitPrice;
+    return product.price;
+  }
+
+  /**
+   * Validate an editor row and turn it into the condition PriceAlerts expects
+   * @returns {Object|null} Condition, or null after showing what is wrong
+   */
+  function buildRuleCondition(condition, product) {
+    const { type, value } = condition;
+    const { param } = getConditionOption(type);
+
+    if (param === 'price' && !(parseFloat(value) > 0)) {
+      showToast('Lütfen geçerli bir hedef fiyat girin', 'warning');
+      return null;
+    }
+    if (param === 'percent' && !(parseFloat(value) > 0 && parseFloat(value) <= 100)) {
+      showToast('Lütfen 1-100 arası bir yüzde girin', 'warning');
+      return null;
+    }
+    if (param === 'score' && !(parseInt(value, 10) > 0 && parseInt(value, 10) <= 100)) {
+      showToast('Lütfen 1-100 arası bir fırsat puanı girin', 'warning');
+      return null;
+    }
+    if (param === 'days' && !(parseInt(value, 10) >= 1 && parseInt(value, 10) <= 3650)) {
+      showToast('Lütfen 1-3650 arası bir gün sayısı girin', 'warning');
+      return null;
+    }
+    if (param === 'seller' && !value) {
+      showToast('Lütfen bir satıcı seçin', 'warning');
+      return null;
+    }
+
+    const offer = param === 'seller' ? (product.offers || []).find(o => o.seller === value) : null;
+    return {
+      type,
+      targetPrice: param === 'price' ? parseFloat(value) : null,
+      targetPercent: param === 'percent' ? parseFloat(value) : null,
+      targetScore: param === 'score' ? parseInt(value, 10) : null,
+      targetDays: param === 'days' ? parseInt(value, 10) : null,
+      sellerName: param === 'seller' ? value : null,
+      sellerPrice: offer ? offer.price : null,
+    };
   }
 
   /**
    * Save new alert
+   * A single condition that is an alert type of its own is saved as a plain alert, anything else as a rule.
    */
   async function saveAlert() {
     const productUrl = els.alertProductSelect?.value;
-    const selectedCard = document.querySelector("#alarmTypeCards .alarm-type-card.selected");
-    const type = selectedCard?.dataset.type || 'target_price';
-    const targetPrice = parseFloat(els.alertTargetPrice?.value);
-    const targetPercent = parseFloat(els.alertTargetPercent?.value);
 
     if (!productUrl) {
       showToast('Lütfen bir ürün seçin', 'warning');
@@ -1859,27 +3218,31 @@
       return;
     }
 
-    // Validate based on type
-    if (type === 'target_price' && (!targetPrice || targetPrice <= 0)) {
-      showToast('Lütfen geçerli bir hedef fiyat girin', 'warning');
-      return;
+    const conditions = [];
+    for (const condition of ruleConditions) {
+      const built = buildRuleCondition(condition, product);
+      if (!built) return;
+      conditions.push(built);
     }
 
-    if ((type === 'percentage_drop' || type === 'percentage_rise') && 
-        (!targetPercent || targetPercent <= 0 || targetPercent > 100)) {
-      showToast('Lütfen 1-100 arası bir yüzde girin', 'warning');
-      return;
-    }
+    const priceBasis = conditions.some(c => PRICE_BASIS_CONDITIONS.includes(c.type))
+      ? els.alertPriceBasis?.value || 'total'
+      : 'item';
+    const single = conditions.length === 1 && Object.values(PriceAlerts.ALERT_TYPES).includes(conditions[0].type)
+      ? conditions[0]
+      : null;
 
     try {
       const alertData = {
         productUrl,
         productName: product.name,
-        type,
-        targetPrice: type === 'target_price' ? targetPrice : null,
-        targetPercent: (type === 'percentage_drop' || type === 'percentage_rise') ? targetPercent : null,
-        currentPrice: product.price,
+        currentPrice: getBasisPrice(product, priceBasis),
+        priceBasis,
         currency: product.currency || 'TRY',
+        availability: product.availability || null,
+        repeat: !els.alertOneTime?.checked,
+        cooldownHours: parseFloat(els.alertCooldown?.value) || 24,
+        ...(single || { type: 'rule', match: els.alertRuleMatch?.value || 'all', conditions }),
       };
 
       await browser.runtime.sendMessage({ action: 'addAlert', alertData });
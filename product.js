@@ -0,0 +1,266 @@
+// Product Detail Page Script v1.0
+(function () {
+  "use strict";
+
+  const logger = PriceTrackerHelpers.createLogger("ProductDetail");
+  let product = null;
+  let chart = null;
+
+  // Events drawn on the chart
+  const EVENT_ANNOTATIONS = {
+    selector_repaired: () => ({ label: "Seçici değişti", color: "warning" }),
+    stock_changed: (event) =>
+      event.newValue === "out_of_stock"
+        ? { label: "Stokta yok", color: "error" }
+        : { label: event.oldValue === "out_of_stock" ? "Yeniden stokta" : "Stok değişti", color: "success" },
+    alert_triggered: () => ({ label: "Alarm tetiklendi", color: "primary" }),
+    currency_changed: (event) => ({ label: `Para birimi ${event.oldValue} → ${event.newValue}`, color: "warning" }),
+  };
+
+  // DOM Elements
+  const $ = (id) => document.getElementById(id);
+  const $$ = (sel) => document.querySelectorAll(sel);
+
+  /**
+   * Initialize the detail page
+   */
+  async function init() {
+    try {
+      await loadTheme();
+      setupEventListeners();
+
+      const url = new URLSearchParams(window.location.search).get("url");
+      product = url ? await ProductStore.get(url) : null;
+
+      if (!product) {
+        $("detailName").textContent = "Ürün bulunamadı";
+        $("detailMeta").textContent = "Ürün takipten çıkarılmış olabilir.";
+        $("detailVisitBtn").style.display = "none";
+        return;
+      }
+
+      document.title = `${product.name} - Fiyat Takipçisi Pro`;
+      renderHeader();
+      await loadChart();
+    } catch (error) {
+      logger.error("❌ Initialization error:", error);
+      showToast("Ürün yüklenemedi", "error");
+    }
+  }
+
+  /**
+   * Load theme preference
+   */
+  async function loadTheme() {
+    try {
+      const darkMode = await PriceTrackerHelpers.getStorage("darkMode", false);
+      document.body.classList.toggle("dark-mode", darkMode);
+    } catch (error) {
+      logger.error("Theme load error:", error);
+    }
+  }
+
+  /**
+   * Toggle theme and redraw the chart in the new colors
+   */
+  async function toggleTheme() {
+    const isDark = document.body.classList.toggle("dark-mode");
+    await PriceTrackerHelpers.setStorage("darkMode", isDark);
+    if (chart) chart.render();
+  }
+
+  function setupEventListeners() {
+    $("themeToggle")?.addEventListener("click", toggleTheme);
+    $("detailVisitBtn")?.addEventListener("click", () => {
+      if (product) browser.tabs.create({ url: product.url });
+    });
+
+    $$(".detail-range").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        if (!chart) return;
+        chart.setRange(btn.dataset.range);
+        setActiveRange(btn.dataset.range);
+      });
+    });
+
+    window.addEventListener("resize", PriceTrackerHelpers.debounce(() => chart?.resize(), 150));
+  }
+
+  /**
+   * Highlight the selected range preset (none after a manual zoom)
+   */
+  function setActiveRange(range) {
+    $$(".detail-range").forEach((btn) => btn.classList.toggle("active", btn.dataset.range === range));
+  }
+
+  function formatPrice(value) {
+    return `${value.toFixed(2)} ${product.currency}`;
+  }
+
+  /**
+   * Product name, shop, variant and current price
+   */
+  function renderHeader() {
+    const meta = [product.site, product.variant?.label, `${PriceTrackerHelpers.formatDate(product.lastCheck)} kontrol edildi`];
+    $("detailName").textContent = product.name;
+    $("detailMeta").textContent = meta.filter(Boolean).join(" · ");
+    $("detailPrice").textContent = formatPrice(parseFloat(product.price));
+  }
+
+  /**
+   * Load history, alert thresholds and events into the chart
+   */
+  async function loadChart() {
+    const canvas = $("detailChartCanvas");
+    const tooltip = document.createElement("div");
+    tooltip.className = "chart-tooltip";
+    document.body.appendChild(tooltip);
+
+    chart = PriceChart.createChart(canvas, {
+      tooltip,
+      formatValue: formatPrice,
+      formatDate: (timestamp) =>
+        new Date(timestamp).toLocaleString("tr-TR", {
+          day: "numeric",
+          month: "short",
+          year: "numeric",
+          hour: "2-digit",
+          minute: "2-digit",
+        }),
+      onViewChange: (stats) => {
+        renderStats(stats);
+        setActiveRange(null);
+      },
+    });
+    chart.resize();
+
+    const [record, alerts, events] = await Promise.all([
+      PriceHistory.getHistory(product.url),
+      PriceAlerts.getAlertsForProduct(product.url),
+      loadEvents(),
+    ]);
+
+    const summary = PriceHistory.summarize(record);
+    $("detailObservations").textContent = summary ? summary.observations : 0;
+    $("detailFirstSeen").textContent = summary
+      ? `İlk kayıt: ${new Date(summary.firstSeen).toLocaleDateString("tr-TR")}`
+      : "";
+
+    chart.setData({
+      series: PriceHistory.toSeries(record),
+      thresholds: getThresholds(alerts),
+      events: events.map((event) => ({ date: event.timestamp, ...EVENT_ANNOTATIONS[event.type](event) })),
+    });
+    setActiveRange("all");
+    renderEvents(events);
+  }
+
+  /**
+   * Price levels of the product's active alerts
+   * Only item-price alerts are drawn; the history does not hold totals or unit prices.
+   */
+  function getThresholds(alerts) {
+    return alerts
+      .filter((alert) => alert.enabled && (alert.priceBasis || "item") === PriceAlerts.PRICE_BASIS.ITEM)
+      .map((alert) => ({
+        value: PriceAlerts.getThresholdPrice(alert),
+        label: alert.type === PriceAlerts.ALERT_TYPES.PERCENTAGE_RISE ? "Artış alarmı" : "Alarm",
+        color: alert.type === PriceAlerts.ALERT_TYPES.PERCENTAGE_RISE ? "error" : "warning",
+      }))
+      .filter((threshold) => threshold.value > 0);
+  }
+
+  /**
+   * Events of this product that are drawn on the chart, oldest first
+   */
+  async function loadEvents() {
+    try {
+      const events = await EventLog.query({
+        productUrl: product.url,
+        type: Object.keys(EVENT_ANNOTATIONS),
+        limit: 500,
+      });
+      return events.reverse();
+    } catch (error) {
+      logger.error("Event load error:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Min, max and average of the visible range
+   */
+  function renderStats(stats) {
+    if (!stats) return;
+    const date = (timestamp) => new Date(timestamp).toLocaleDateString("tr-TR");
+
+    $("detailMin").textContent = formatPrice(stats.min);
+    $("detailMinDate").textContent = date(stats.minDate);
+    $("detailMax").textContent = formatPrice(stats.max);
+    $("detailMaxDate").textContent = date(stats.maxDate);
+    $("detailAvg").textContent = formatPrice(stats.avg);
+  }
+
+  /**
+   * List the annotated events, newest first
+   */
+  function renderEvents(events) {
+    const esc = PriceTrackerHelpers.escapeHtml;
+    $("detailEventsEmpty").style.display = events.length === 0 ? "block" : "none";
+
+    $("detailEvents").innerHTML = events
+      .slice()
+      .reverse()
+      .map((event) => {
+        const { label } = EVENT_ANNOTATIONS[event.type](event);
+        const detail = event.details?.message || "";
+        return `
+          <div class="selector-item event-item event-${esc(event.type)}">
+            <div class="selector-info">
+              <div class="selector-domain">${esc(label)}</div>
+              ${detail ? `<div class="event-values">${esc(detail)}</div>` : ""}
+              <div class="selector-meta">
+                <span class="selector-date">${new Date(event.timestamp).toLocaleString("tr-TR")}</span>
+              </div>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Show toast notification
+   */
+  function showToast(message, type = "info") {
+    const toast = $("toast");
+    const icon = $("toastIcon");
+    const msg = $("toastMessage");
+
+    if (!toast || !icon || !msg) return;
+
+    const icons = {
+      success: "check_circle",
+      error: "error",
+      info: "info",
+      warning: "warning",
+    };
+
+    icon.textContent = icons[type] || icons.info;
+    icon.className = "toast-icon material-icons-outlined";
+    msg.textContent = message;
+
+    toast.classList.add("show");
+
+    setTimeout(() => {
+      toast.classList.remove("show");
+    }, 3000);
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
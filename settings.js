@@ -31,6 +31,9 @@
       // Load products for stats
       await loadProducts();
 
+      // Load long-term price history stats
+      await loadHistoryStats();
+
       // Setup event listeners
       setupEventListeners();
 
@@ -64,6 +67,7 @@
         "general": "generalTab",
         "notifications": "notificationsTab",
         "advanced": "advancedTab",
+        "events": "eventsTab",
         "debug": "debugTab"
       };
       
@@ -151,6 +155,7 @@
 
       // Populate form fields
       populateForm();
+      await renderExchangeRateStatus();
 
       logger.info("📥 Settings loaded:", settings);
     } catch (error) {
@@ -163,7 +168,7 @@
    */
   async function loadProducts() {
     try {
-      products = await PriceTrackerHelpers.getStorage("trackedProducts", []);
+      products = await ProductStore.getAll();
       logger.info(`📦 Loaded ${products.length} products`);
     } catch (error) {
       logger.error("Products load error:", error);
@@ -171,6 +176,62 @@
     }
   }
 
+  /**
+   * Load price history store statistics
+   */
+  async function loadHistoryStats() {
+    const statsEl = $("priceHistoryStats");
+    if (!statsEl) return;
+
+    if (typeof PriceHistory === "undefined") {
+      statsEl.textContent = "Fiyat geçmişi kullanılamıyor";
+      return;
+    }
+
+    try {
+      const stats = await PriceHistory.getStats();
+      statsEl.textContent =
+        `${stats.products} ürün · ${stats.observations} gözlem · ` +
+        `${stats.rawPoints} ham nokta, ${stats.dailyBuckets} günlük, ${stats.weeklyBuckets} haftalık özet · ` +
+        PriceTrackerHelpers.formatFileSize(stats.size);
+    } catch (error) {
+      logger.error("History stats error:", error);
+      statsEl.textContent = "İstatistikler yüklenemedi";
+    }
+  }
+
+  /**
+   * Export the full price history store as JSON
+   */
+  async function exportHistory() {
+    try {
+      if (typeof PriceHistory === "undefined") {
+        showToast("Fiyat geçmişi kullanılamıyor", "warning");
+        return;
+      }
+
+      const records = await PriceHistory.exportAll();
+      const blob = new Blob(
+        [JSON.stringify({ exportDate: new Date().toISOString(), priceHistory: records }, null, 2)],
+        { type: "application/json" }
+      );
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `fiyat-gecmisi-${Date.now()}.json`;
+      a.click();
+
+      URL.revokeObjectURL(url);
+
+      showToast("✅ Fiyat geçmişi dışa aktarıldı", "success");
+      logToConsole(`${Object.keys(records).length} ürünün geçmişi dışa aktarıldı`, "success");
+    } catch (error) {
+      logger.error("History export error:", error);
+      showToast("❌ Dışa aktarma hatası", "error");
+    }
+  }
+
   /**
    * Populate form with current settings
    */
@@ -178,10 +239,22 @@
     // General
     if ($("autoCheck")) $("autoCheck").checked = settings.autoCheck;
     if ($("checkInterval")) $("checkInterval").value = settings.checkInterval;
+    if ($("adaptivePolling"))
+      $("adaptivePolling").checked = settings.adaptivePolling !== false;
+    if ($("adaptiveMinInterval"))
+      $("adaptiveMinInterval").value = settings.adaptiveMinInterval || 15;
+    if ($("adaptiveMaxInterval"))
+      $("adaptiveMaxInterval").value = settings.adaptiveMaxInterval || 720;
     if ($("maxRetries")) $("maxRetries").value = settings.maxRetries;
     if ($("rateLimitPerHour"))
       $("rateLimitPerHour").value = settings.rateLimitPerHour;
 
+    // Currency
+    if ($("preferredCurrency"))
+      $("preferredCurrency").value = settings.preferredCurrency || "TRY";
+    if ($("exchangeRateProvider"))
+      $("exchangeRateProvider").value = settings.exchangeRateProvider || "frankfurter";
+
     // Notifications
     if ($("notifications")) $("notifications").checked = settings.notifications;
     if ($("notifyOnPriceDown"))
@@ -234,6 +307,7 @@
     $("fileInput")?.addEventListener("change", importData);
     $("clearAllData")?.addEventListener("click", clearAllData);
     $("restoreBackup")?.addEventListener("click", restoreFromBackup);
+    $("exportHistory")?.addEventListener("click", exportHistory);
 
     // Backup actions
     $("manualBackup")?.addEventListener("click", createManualBackup);
@@ -245,6 +319,7 @@
     // Debug actions
     $("testExtraction")?.addEventListener("click", testExtraction);
     $("clearCache")?.addEventListener("click", clearCache);
+    $("refreshExchangeRates")?.addEventListener("click", refreshExchangeRates);
     $("viewLogs")?.addEventListener("click", viewLogs);
     $("resetSettings")?.addEventListener("click", resetSettings);
     $("clearConsole")?.addEventListener("click", clearConsole);
@@ -379,6 +454,10 @@
       content.classList.toggle("active", content.id === tabName + "Tab");
     });
 
+    if (tabName === "events") {
+      loadEvents();
+    }
+
     logger.info("📑 Switched to tab:", tabName);
   }
 
@@ -404,8 +483,13 @@
       const newSettings = {
         autoCheck: $("autoCheck")?.checked,
         checkInterval: parseInt($("checkInterval")?.value) || 30,
+        adaptivePolling: $("adaptivePolling")?.checked !== false,
+        adaptiveMinInterval: parseInt($("adaptiveMinInterval")?.value) || 15,
+        adaptiveMaxInterval: parseInt($("adaptiveMaxInterval")?.value) || 720,
         maxRetries: parseInt($("maxRetries")?.value) || 3,
         rateLimitPerHour: parseInt($("rateLimitPerHour")?.value) || 100,
+        preferredCurrency: $("preferredCurrency")?.value || "TRY",
+        exchangeRateProvider: $("exchangeRateProvider")?.value || "frankfurter",
         notifications: $("notifications")?.checked,
         notifyOnPriceDown: $("notifyOnPriceDown")?.checked,
         notifyOnPriceUp: $("notifyOnPriceUp")?.checked,
@@ -500,10 +584,7 @@
           if (!confirmed) return;
 
           // Save imported data
-          await PriceTrackerHelpers.setStorage(
-            "trackedProducts",
-            data.products
-          );
+          await ProductStore.replaceAll(data.products);
           await Messenger.Actions.updateSettings(data.settings);
 
           products = data.products;
@@ -544,8 +625,7 @@
       if (!confirmed) return;
 
       // Create backup before clearing
-      const existing = await browser.storage.local.get("trackedProducts");
-      const existingProducts = existing.trackedProducts || [];
+      const existingProducts = await ProductStore.getAll();
       
       if (existingProducts.length > 0) {
         await browser.storage.local.set({
@@ -556,7 +636,7 @@
       }
 
       // Clear storage
-      await PriceTrackerHelpers.setStorage("trackedProducts", []);
+      await ProductStore.clear();
       await Messenger.Actions.clearCache();
 
       products = [];
@@ -608,6 +688,15 @@
         });
       }
 
+      if (storage.trackedProducts_migrated && Array.isArray(storage.trackedProducts_migrated) && storage.trackedProducts_migrated.length > 0) {
+        backups.push({
+          key: "trackedProducts_migrated",
+          name: "Veritabanı Taşıma Öncesi",
+          count: storage.trackedProducts_migrated.length,
+          time: storage.productStoreMigrated || 0
+        });
+      }
+
       // Check DataManager backups
       if (typeof DataManager !== "undefined") {
         const dmBackups = await DataManager.listAutoBackups();
@@ -675,7 +764,7 @@
       }
 
       if (backupData && Array.isArray(backupData)) {
-        await browser.storage.local.set({ trackedProducts: backupData });
+        await ProductStore.replaceAll(backupData);
         products = backupData;
         updateDebugStats();
         showToast(`✅ ${backupData.length} ürün geri yüklendi`, "success");
@@ -756,6 +845,52 @@
     }
   }
 
+  /**
+   * Show the source and age of the cached exchange rates
+   */
+  async function renderExchangeRateStatus() {
+    const el = $("exchangeRateStatus");
+    if (!el || typeof ExchangeRates === "undefined") return;
+
+    await ExchangeRates.load();
+    const status = ExchangeRates.getStatus();
+    if (!status.available) {
+      el.textContent = "Henüz kur alınmadı; farklı para birimleri çevrilmiyor";
+      return;
+    }
+
+    const source = ExchangeRates.getProviders().find((provider) => provider.name === status.source);
+    const usd = ExchangeRates.getRate("USD", "TRY");
+    const eur = ExchangeRates.getRate("EUR", "TRY");
+    const rates = [usd && `1 $ = ${usd.toFixed(2)} ₺`, eur && `1 € = ${eur.toFixed(2)} ₺`].filter(Boolean);
+
+    el.textContent = [
+      rates.join(" · "),
+      `${status.date} kurları (${source ? source.label : status.source})`,
+      `Son güncelleme: ${new Date(status.fetchedAt).toLocaleString("tr-TR")}${status.stale ? " (eski)" : ""}`,
+      `${status.historyDays} günlük geçmiş`,
+    ].join(" · ");
+    el.classList.toggle("stale", status.stale);
+  }
+
+  /**
+   * Fetch exchange rates now; the provider setting must be saved first
+   */
+  async function refreshExchangeRates() {
+    try {
+      const result = await Messenger.Actions.refreshExchangeRates();
+      await renderExchangeRateStatus();
+      if (result && result.success) {
+        showToast("💱 Döviz kurları güncellendi", "success");
+      } else {
+        showToast("❌ Kurlar alınamadı, son kurlar kullanılıyor", "error");
+      }
+    } catch (error) {
+      logger.error("Exchange rate refresh error:", error);
+      showToast("❌ Kurlar alınamadı, son kurlar kullanılıyor", "error");
+    }
+  }
+
   /**
    * View logs - Shows log history modal
    */
@@ -1451,14 +1586,134 @@
     }, 1000);
   }
 
+  // ============================================
+  // EVENT LOG PANEL
+  // ============================================
+
+  const EVENT_PAGE_SIZE = 50;
+  let loadedEvents = [];
+
+  const EVENT_LABELS = {
+    price_changed: { icon: "trending_flat", label: "Fiyat değişti" },
+    stock_changed: { icon: "inventory_2", label: "Stok değişti" },
+    check_failed: { icon: "error_outline", label: "Kontrol başarısız" },
+    alert_triggered: { icon: "notifications_active", label: "Alarm tetiklendi" },
+    selector_repaired: { icon: "build", label: "Seçici onarıldı" },
+    product_added: { icon: "add_circle_outline", label: "Ürün eklendi" },
+    product_removed: { icon: "remove_circle_outline", label: "Ürün silindi" },
+    currency_changed: { icon: "currency_exchange", label: "Para birimi değişti" },
+  };
+
+  /**
+   * Setup event log panel listeners
+   */
+  function initEventsPanel() {
+    $("refreshEvents")?.addEventListener("click", () => loadEvents());
+    $("eventTypeSelect")?.addEventListener("change", () => loadEvents());
+    $("eventSearchInput")?.addEventListener(
+      "input",
+      PriceTrackerHelpers.debounce(() => loadEvents(), 300)
+    );
+    $("loadMoreEvents")?.addEventListener("click", () => loadEvents({ append: true }));
+  }
+
+  /**
+   * Query the event log with the current filters
+   * @param {Object} options - { append: load the next page instead of starting over }
+   */
+  async function loadEvents(options = {}) {
+    if (typeof EventLog === "undefined") return;
+
+    const { append = false } = options;
+
+    try {
+      const page = await EventLog.query({
+        type: $("eventTypeSelect")?.value || null,
+        search: $("eventSearchInput")?.value || "",
+        limit: EVENT_PAGE_SIZE,
+        offset: append ? loadedEvents.length : 0,
+      });
+
+      loadedEvents = append ? loadedEvents.concat(page) : page;
+
+      const countEl = $("eventCount");
+      if (countEl) countEl.textContent = await EventLog.count();
+
+      renderEvents(page.length === EVENT_PAGE_SIZE);
+    } catch (error) {
+      logger.error("Load events error:", error);
+      showToast("Olaylar yüklenemedi", "error");
+    }
+  }
+
+  /**
+   * Format an event value for display
+   */
+  function formatEventValue(value) {
+    if (value === null || value === undefined) return "—";
+    if (typeof value === "number") return value.toFixed(2);
+    if (typeof value === "object") return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Render loaded events
+   * @param {boolean} hasMore - Show the "load more" button
+   */
+  function renderEvents(hasMore) {
+    const itemsEl = $("eventItems");
+    const emptyEl = $("eventsEmpty");
+    const moreBtn = $("loadMoreEvents");
+    if (!itemsEl) return;
+
+    if (emptyEl) emptyEl.style.display = loadedEvents.length === 0 ? "flex" : "none";
+    if (moreBtn) moreBtn.style.display = hasMore ? "block" : "none";
+
+    const esc = PriceTrackerHelpers.escapeHtml;
+
+    itemsEl.innerHTML = loadedEvents
+      .map((event) => {
+        const meta = EVENT_LABELS[event.type] || { icon: "info", label: event.type };
+        const showValues = event.oldValue !== null || event.newValue !== null;
+        const source = [
+          event.method,
+          event.confidence !== null ? `%${Math.round(event.confidence * 100)}` : null,
+        ]
+          .filter(Boolean)
+          .join(" · ");
+        const detail = event.details?.message || "";
+
+        return `
+          <div class="selector-item event-item event-${esc(event.type)}">
+            <div class="selector-favicon">
+              <span class="material-icons-outlined">${meta.icon}</span>
+            </div>
+            <div class="selector-info">
+              <div class="selector-domain">${esc(meta.label)}</div>
+              <div class="selector-preview" title="${esc(event.productUrl)}">${esc(event.productName || event.productUrl)}</div>
+              ${showValues ? `<div class="event-values">${esc(formatEventValue(event.oldValue))} → ${esc(formatEventValue(event.newValue))}</div>` : ""}
+              ${detail ? `<div class="event-values">${esc(detail)}</div>` : ""}
+              <div class="selector-meta">
+                <span class="selector-date">${PriceTrackerHelpers.formatDate(event.timestamp)}</span>
+                ${source ? `<span class="event-source">${esc(source)}</span>` : ""}
+              </div>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
   // Make functions available globally
   window.loadCustomSelectors = loadCustomSelectors;
 
   // Initialize selectors panel on page load
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", initSelectorsPanel);
+    document.addEventListener("DOMContentLoaded", initEventsPanel);
   } else {
     initSelectorsPanel();
+    initEventsPanel();
   }
 
   /**
@@ -1921,167 +2176,58 @@
     ctx.clearRect(0, 0, width, height);
 
     // Get theme-aware colors
-    const isDark = document.body.classList.contains("dark-mode");
-    const memoryColor = isDark ? "#D0BCFF" : "#6750A4";
-    const storageColor = isDark ? "#CCC2DC" : "#625B71";
-    const gridColor = isDark ? "rgba(255, 255, 255, 0.1)" : "rgba(0, 0, 0, 0.1)";
-    const textColor = isDark ? "rgba(255, 255, 255, 0.5)" : "rgba(0, 0, 0, 0.5)";
-
-    // Draw grid lines with labels
-    ctx.strokeStyle = gridColor;
-    ctx.lineWidth = 1;
-    ctx.font = "10px system-ui";
-    ctx.fillStyle = textColor;
-    
-    for (let i = 0; i <= 4; i++) {
-      const y = padding + ((height - padding * 2) / 4) * i;
-      ctx.beginPath();
-      ctx.setLineDash([2, 4]);
-      ctx.moveTo(25, y);
-      ctx.lineTo(width, y);
-      ctx.stroke();
-      ctx.setLineDash([]);
-      
-      // Draw percentage labels
-      const percent = 100 - (i * 25);
-      ctx.fillText(`${percent}%`, 2, y + 3);
-    }
+    const theme = PriceChart.getTheme();
+    const memoryColor = theme.primary;
+    const storageColor = theme.secondary;
+
+    // Draw grid lines with percentage labels
+    const area = { left: 30, top: padding, right: width, bottom: height - padding };
+    PriceChart.drawGrid(ctx, area, {
+      theme,
+      lineStart: 25,
+      label: (i) => `${100 - i * 25}%`,
+    });
 
     if (perfHistory.memory.length < 2) {
-      // Draw "waiting for data" message
-      ctx.fillStyle = textColor;
-      ctx.font = "12px system-ui";
-      ctx.textAlign = "center";
-      ctx.fillText("Veri toplanıyor...", width / 2, height / 2);
-      ctx.textAlign = "left";
+      PriceChart.drawMessage(ctx, "Veri toplanıyor...", theme);
       return;
     }
 
-    const chartWidth = width - 30;
     const chartHeight = height - padding * 2;
-    const step = chartWidth / (MAX_HISTORY_POINTS - 1);
+    const step = (width - 30) / (MAX_HISTORY_POINTS - 1);
 
-    // Helper function to get Y position
+    // Helper function to get chart points
     const getY = (val) => padding + chartHeight - ((val / 100) * chartHeight);
+    const toPoints = (values) => values.map((val, i) => ({ x: 30 + i * step, y: getY(val) }));
 
     // Draw highlight vertical line if hovering
     if (highlightIndex >= 0 && highlightIndex < perfHistory.memory.length) {
-      const x = 30 + highlightIndex * step;
-      ctx.strokeStyle = isDark ? "rgba(255, 255, 255, 0.3)" : "rgba(0, 0, 0, 0.2)";
-      ctx.lineWidth = 1;
-      ctx.setLineDash([4, 4]);
-      ctx.beginPath();
-      ctx.moveTo(x, padding);
-      ctx.lineTo(x, height - padding);
-      ctx.stroke();
-      ctx.setLineDash([]);
-    }
-
-    // Draw memory line with gradient fill
-    if (perfHistory.memory.length > 1) {
-      // Create gradient
-      const memGradient = ctx.createLinearGradient(0, 0, 0, height);
-      memGradient.addColorStop(0, memoryColor + "40");
-      memGradient.addColorStop(1, memoryColor + "05");
-
-      // Draw filled area
-      ctx.fillStyle = memGradient;
-      ctx.beginPath();
-      ctx.moveTo(30, height - padding);
-      perfHistory.memory.forEach((val, i) => {
-        const x = 30 + i * step;
-        const y = getY(val);
-        ctx.lineTo(x, y);
-      });
-      ctx.lineTo(30 + (perfHistory.memory.length - 1) * step, height - padding);
-      ctx.closePath();
-      ctx.fill();
-
-      // Draw line
-      ctx.strokeStyle = memoryColor;
-      ctx.lineWidth = 2.5;
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-      ctx.beginPath();
-      perfHistory.memory.forEach((val, i) => {
-        const x = 30 + i * step;
-        const y = getY(val);
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-      });
-      ctx.stroke();
-
-      // Draw data points
-      perfHistory.memory.forEach((val, i) => {
-        const x = 30 + i * step;
-        const y = getY(val);
-        const isHighlighted = i === highlightIndex;
-        
-        ctx.beginPath();
-        ctx.arc(x, y, isHighlighted ? 5 : 2, 0, Math.PI * 2);
-        ctx.fillStyle = isHighlighted ? memoryColor : (isDark ? "#1C1B1F" : "#FFFBFE");
-        ctx.fill();
-        if (isHighlighted) {
-          ctx.strokeStyle = memoryColor;
-          ctx.lineWidth = 2;
-          ctx.stroke();
-        }
-      });
+      PriceChart.drawGuide(ctx, 30 + highlightIndex * step, padding, height - padding, theme.guide);
     }
 
-    // Draw storage line with gradient fill
-    if (perfHistory.storage.length > 1) {
-      // Create gradient
-      const storGradient = ctx.createLinearGradient(0, 0, 0, height);
-      storGradient.addColorStop(0, storageColor + "30");
-      storGradient.addColorStop(1, storageColor + "05");
-
-      // Draw filled area
-      ctx.fillStyle = storGradient;
-      ctx.beginPath();
-      ctx.moveTo(30, height - padding);
-      perfHistory.storage.forEach((val, i) => {
-        const x = 30 + i * step;
-        const y = getY(val);
-        ctx.lineTo(x, y);
-      });
-      ctx.lineTo(30 + (perfHistory.storage.length - 1) * step, height - padding);
-      ctx.closePath();
-      ctx.fill();
-
-      // Draw line
-      ctx.strokeStyle = storageColor;
-      ctx.lineWidth = 2;
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-      ctx.beginPath();
-      perfHistory.storage.forEach((val, i) => {
-        const x = 30 + i * step;
-        const y = getY(val);
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-      });
-      ctx.stroke();
-
-      // Draw data points for highlighted
-      if (highlightIndex >= 0 && highlightIndex < perfHistory.storage.length) {
-        const x = 30 + highlightIndex * step;
-        const y = getY(perfHistory.storage[highlightIndex]);
-        ctx.beginPath();
-        ctx.arc(x, y, 5, 0, Math.PI * 2);
-        ctx.fillStyle = storageColor;
-        ctx.fill();
-        ctx.strokeStyle = isDark ? "#1C1B1F" : "#FFFBFE";
-        ctx.lineWidth = 2;
-        ctx.stroke();
+    // Draw memory line with gradient fill and data points
+    const memoryPoints = toPoints(perfHistory.memory);
+    PriceChart.drawArea(ctx, memoryPoints, height - padding, memoryColor, "40");
+    PriceChart.drawLine(ctx, memoryPoints, memoryColor, 2.5);
+    memoryPoints.forEach(({ x, y }, i) => {
+      if (i === highlightIndex) {
+        PriceChart.drawPoint(ctx, x, y, 5, memoryColor, memoryColor);
+      } else {
+        PriceChart.drawPoint(ctx, x, y, 2, theme.surface);
       }
+    });
+
+    // Draw storage line with gradient fill
+    const storagePoints = toPoints(perfHistory.storage);
+    PriceChart.drawArea(ctx, storagePoints, height - padding, storageColor, "30");
+    PriceChart.drawLine(ctx, storagePoints, storageColor, 2);
+    if (highlightIndex >= 0 && highlightIndex < storagePoints.length) {
+      const { x, y } = storagePoints[highlightIndex];
+      PriceChart.drawPoint(ctx, x, y, 5, storageColor, theme.surface);
     }
 
     // Draw "now" indicator on right side
-    ctx.fillStyle = isDark ? "#1B8755" : "#1B8755";
-    ctx.beginPath();
-    ctx.arc(30 + (perfHistory.memory.length - 1) * step, height - 5, 3, 0, Math.PI * 2);
-    ctx.fill();
+    PriceChart.drawPoint(ctx, 30 + (perfHistory.memory.length - 1) * step, height - 5, 3, theme.success);
   }
 
   /**
@@ -0,0 +1,135 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, createBrowserStub } = require("./load-lib");
+
+const lib = loadLib(["config.js", "exchange-rates.js", "alerts.js"], { browser: createBrowserStub() });
+const PriceAlerts = lib.get("PriceAlerts");
+const TYPES = PriceAlerts.ALERT_TYPES;
+
+test("PriceAlerts.shouldRearm", async (t) => {
+  const target = { type: TYPES.TARGET_PRICE, targetPrice: 100 };
+  const drop = { type: TYPES.PERCENTAGE_DROP, basePrice: 200, targetPercent: 10 };
+  const rise = { type: TYPES.PERCENTAGE_RISE, basePrice: 100, targetPercent: 10 };
+
+  const cases = [
+    // Default hysteresis is 2%: a target of 100 re-arms above 102
+    { name: "target, inside the margin", alert: target, price: 101, expected: false },
+    { name: "target, past the margin", alert: target, price: 103, expected: true },
+    { name: "target, no margin", alert: { ...target, hysteresisPercent: 0 }, price: 100.5, expected: true },
+    { name: "target, no price", alert: target, price: null, result: { triggered: true }, expected: false },
+    // 10% off 200 is 180; re-arms above 183.6
+    { name: "drop, inside the margin", alert: drop, price: 183, expected: false },
+    { name: "drop, past the margin", alert: drop, price: 185, expected: true },
+    // 10% over 100 is 110; re-arms below 107.8
+    { name: "rise, inside the margin", alert: rise, price: 108, expected: false },
+    { name: "rise, past the margin", alert: rise, price: 107, expected: true },
+    // Alerts without a price level re-arm once their condition clears
+    { name: "change, still firing", alert: { type: TYPES.ANY_CHANGE }, price: 100, result: { triggered: true }, expected: false },
+    { name: "change, cleared", alert: { type: TYPES.ANY_CHANGE }, price: 100, expected: true },
+    {
+      name: "rule, still firing",
+      alert: { type: TYPES.RULE, conditions: [{ type: TYPES.TARGET_PRICE, targetPrice: 100 }] },
+      price: 200,
+      result: { triggered: true },
+      expected: false,
+    },
+  ];
+
+  for (const { name, alert, price, result = { triggered: false }, expected } of cases) {
+    await t.test(name, () => {
+      assert.equal(PriceAlerts.shouldRearm(alert, price, result), expected);
+    });
+  }
+});
+
+test("PriceAlerts.setProductCurrency", async () => {
+  const alerts = [
+    { id: "a", productUrl: "https://shop.example/p/1", currency: "TRY" },
+    { id: "b", productUrl: "https://shop.example/p/1", currency: "TRY" },
+    { id: "c", productUrl: "https://shop.example/p/2", currency: "TRY" },
+  ];
+  const stored = loadLib(["config.js", "alerts.js"], { browser: createBrowserStub({ priceAlerts: alerts }) });
+  const Alerts = stored.get("PriceAlerts");
+
+  assert.equal(await Alerts.setProductCurrency("https://shop.example/p/1", "EUR"), 2);
+  assert.equal(await Alerts.setProductCurrency("https://shop.example/p/1", "EUR"), 0);
+
+  const saved = await Alerts.loadAlerts();
+  assert.deepStrictEqual(
+    saved.map((a) => a.currency),
+    ["EUR", "EUR", "TRY"]
+  );
+});
+
+test("PriceAlerts rule alerts", async (t) => {
+  const rule = (match, conditions) =>
+    PriceAlerts.createAlert({
+      productUrl: "https://shop.example/p/1",
+      productName: "Kulaklık",
+      type: TYPES.RULE,
+      match,
+      conditions,
+      currentPrice: 120,
+    });
+  const underTarget = { type: TYPES.TARGET_PRICE, targetPrice: 100 };
+  const inStock = { type: PriceAlerts.CONDITION_TYPES.IN_STOCK };
+  const product = (price, availability) => ({ url: "https://shop.example/p/1", price, availability });
+
+  const cases = [
+    { name: "all, every condition holds", match: "all", product: product(90, "in_stock"), expected: true },
+    { name: "all, the price condition fails", match: "all", product: product(110, "in_stock"), expected: false },
+    { name: "all, the stock condition fails", match: "all", product: product(90, "out_of_stock"), expected: false },
+    { name: "any, one condition holds", match: "any", product: product(110, "in_stock"), expected: true },
+    { name: "any, no condition holds", match: "any", product: product(110, "out_of_stock"), expected: false },
+  ];
+
+  for (const { name, match, product: p, expected } of cases) {
+    await t.test(name, () => {
+      const result = PriceAlerts.checkAlert(rule(match, [underTarget, inStock]), p.price, p);
+      assert.equal(result.triggered, expected);
+    });
+  }
+
+  await t.test("the message names only the conditions that held", () => {
+    const p = product(110, "in_stock");
+    const { message } = PriceAlerts.checkAlert(rule("any", [underTarget, inStock]), p.price, p);
+    assert.ok(!message.includes("100.00"), message);
+  });
+
+  await t.test("a rule without conditions is rejected", () => {
+    assert.throws(() => rule("all", []), /at least one condition/);
+  });
+});
+
+test("PriceAlerts.checkAllAlerts with a repeating rule", async () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const alert = PriceAlerts.createAlert({
+    productUrl: "https://shop.example/p/1",
+    productName: "Kulaklık",
+    type: TYPES.RULE,
+    conditions: [{ type: TYPES.TARGET_PRICE, targetPrice: 100 }],
+    repeat: true,
+    cooldownHours: 24,
+  });
+  const stored = loadLib(["config.js", "alerts.js"], { browser: createBrowserStub({ priceAlerts: [alert] }) });
+  const Alerts = stored.get("PriceAlerts");
+  const check = async (price) => (await Alerts.checkAllAlerts([{ url: alert.productUrl, price }])).length;
+  const saved = async () => (await Alerts.loadAlerts())[0];
+
+  assert.equal(await check(90), 1);
+  // Still under the target: waits for the condition to clear
+  assert.equal(await check(90), 0);
+  assert.equal(Alerts.getAlertState(await saved()), "waiting");
+
+  // Cleared, so it re-arms, but the cooldown keeps it quiet
+  assert.equal(await check(120), 0);
+  assert.equal(await check(90), 0);
+  assert.equal(Alerts.getAlertState(await saved()), "cooldown");
+
+  // Once the cooldown is over it fires again
+  const cooledDown = await saved();
+  cooledDown.triggeredAt -= 25 * HOUR_MS;
+  await Alerts.saveAlerts([cooledDown]);
+  assert.equal(await check(90), 1);
+  assert.equal((await saved()).history.length, 2);
+});
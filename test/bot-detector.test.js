@@ -0,0 +1,28 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const lib = loadLib(["bot-detector.js"]);
+const BotDetector = lib.get("BotDetector");
+
+const page = (title, body = "") => `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+test("BotDetector.detect", async (t) => {
+  const cases = [
+    { name: "Cloudflare interstitial", page: { html: page("Just a moment...") }, expected: "cloudflare" },
+    { name: "Cloudflare interstitial, Turkish", page: { html: page("Bir dakika lütfen...") }, expected: "cloudflare" },
+    { name: "Cloudflare challenge header", page: { html: page("Ürün"), headers: { "cf-mitigated": "challenge" } }, expected: "cloudflare" },
+    { name: "DataDome captcha", page: { html: page("shop.example", '<script src="https://ct.captcha-delivery.com/c.js"></script>') }, expected: "datadome" },
+    { name: "consent redirect", page: { html: page("Google"), url: "https://consent.google.com/ml?continue=x" }, expected: "consent" },
+    // Normal pages
+    { name: "product named after a minute", page: { html: page("Bir Dakika Kum Saati - 49,90 TL") }, expected: null },
+    { name: "DataDome-protected product page", page: { html: page("Ayakkabı"), headers: { "x-datadome": "protected" } }, expected: null },
+    { name: "Cloudflare-served product page", page: { html: page("Ayakkabı", '<script src="/cdn-cgi/challenge-platform/scripts/jsd/main.js"></script>') }, expected: null },
+  ];
+
+  for (const { name, page: input, expected } of cases) {
+    await t.test(name, () => {
+      assert.equal(plain(BotDetector.detect(input))?.provider ?? null, expected);
+    });
+  }
+});
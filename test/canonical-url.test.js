@@ -0,0 +1,30 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib } = require("./load-lib");
+
+const lib = loadLib(["config.js", "sites.js", "canonical-url.js"]);
+const CanonicalUrl = lib.get("CanonicalUrl");
+
+test("CanonicalUrl.canonicalize", async (t) => {
+  const cases = [
+    {
+      url: "https://www.trendyol.com/x/y-p-123?utm_source=a&boutiqueId=5#r",
+      expected: "https://www.trendyol.com/x/y-p-123",
+    },
+    {
+      url: "https://www.hepsiburada.com/x-p-HB1?magaza=abc&b=2&a=1",
+      expected: "https://www.hepsiburada.com/x-p-HB1?a=1&b=2",
+    },
+    { url: "https://example.com/p?gclid=1&id=5&fbclid=2", expected: "https://example.com/p?id=5" },
+    // Hosts are case-insensitive, paths are not
+    { url: "https://EXAMPLE.com/P/", expected: "https://example.com/P/" },
+    { url: "not a url", expected: "not a url" },
+    { url: "", expected: "" },
+  ];
+
+  for (const { url, expected } of cases) {
+    await t.test(url || "(empty)", () => {
+      assert.equal(CanonicalUrl.canonicalize(url), expected);
+    });
+  }
+});
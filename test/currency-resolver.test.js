@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const lib = loadLib(["config.js", "sites.js", "currency-resolver.js"]);
+const CurrencyResolver = lib.get("CurrencyResolver");
+const SiteConfigs = lib.get("SiteConfigs");
+
+/**
+ * Just enough of a Document for the resolver: JSON-LD scripts, a currency meta tag and <html lang>
+ */
+function createDoc({ jsonLd = null, metaCurrency = null, lang = null } = {}) {
+  const meta = metaCurrency ? { getAttribute: () => metaCurrency, textContent: "" } : null;
+  return {
+    documentElement: { getAttribute: (name) => (name === "lang" ? lang : null) },
+    querySelectorAll: (selector) =>
+      selector.includes("ld+json") && jsonLd ? [{ textContent: JSON.stringify(jsonLd) }] : [],
+    querySelector: (selector) => (selector.includes("priceCurrency") ? meta : null),
+  };
+}
+
+const GENERIC = { name: "Generic", currency: null };
+
+test("CurrencyResolver.resolve precedence", async (t) => {
+  const productLd = { "@type": "Product", offers: { "@type": "Offer", price: "12.99", priceCurrency: "EUR" } };
+
+  const cases = [
+    {
+      name: "structured data beats everything",
+      input: { doc: createDoc({ jsonLd: productLd, lang: "tr-TR" }), url: "https://shop.com.tr/p", priceText: "$12.99", siteConfig: { currency: "TRY" } },
+      expected: { currency: "EUR", source: "structured" },
+    },
+    {
+      name: "microdata counts as structured data",
+      input: { doc: createDoc({ metaCurrency: "gbp" }), url: "https://shop.example/p", siteConfig: GENERIC },
+      expected: { currency: "GBP", source: "structured" },
+    },
+    {
+      name: "price symbol beats the site default",
+      input: { doc: createDoc(), url: "https://shop.example/p", priceText: "€ 12,99", siteConfig: { currency: "TRY" } },
+      expected: { currency: "EUR", source: "symbol" },
+    },
+    {
+      name: "site default beats the domain",
+      input: { doc: createDoc(), url: "https://shop.de/p", priceText: "12,99", siteConfig: { currency: "USD" } },
+      expected: { currency: "USD", source: "site" },
+    },
+    {
+      name: "domain beats the page language",
+      input: { doc: createDoc({ lang: "en-GB" }), url: "https://shop.de/p", priceText: "12,99", siteConfig: GENERIC },
+      expected: { currency: "EUR", source: "tld" },
+    },
+    {
+      name: "page language region",
+      input: { doc: createDoc({ lang: "en-GB" }), url: "https://shop.example/p", siteConfig: GENERIC },
+      expected: { currency: "GBP", source: "locale" },
+    },
+    {
+      name: "page language without a region",
+      input: { doc: createDoc({ lang: "de" }), url: "https://shop.example/p", siteConfig: GENERIC },
+      expected: { currency: "EUR", source: "locale" },
+    },
+    {
+      name: "nothing to go on",
+      input: { doc: createDoc({ lang: "en" }), url: "https://shop.example/p", siteConfig: GENERIC },
+      expected: { currency: "TRY", source: "default" },
+    },
+  ];
+
+  for (const { name, input, expected } of cases) {
+    await t.test(name, () => {
+      const { currency, source } = CurrencyResolver.resolve(input);
+      assert.deepStrictEqual({ currency, source }, expected);
+    });
+  }
+});
+
+test("CurrencyResolver.resolve conflicts", async (t) => {
+  await t.test("lists every source that disagrees", () => {
+    const result = plain(
+      CurrencyResolver.resolve({
+        doc: createDoc({ lang: "tr-TR" }),
+        url: "https://shop.de/p",
+        priceText: "$12.99",
+        siteConfig: { currency: "USD" },
+      })
+    );
+    assert.equal(result.currency, "USD");
+    assert.deepStrictEqual(result.conflicts, [
+      { source: "tld", currency: "EUR" },
+      { source: "locale", currency: "TRY" },
+    ]);
+  });
+
+  await t.test("no conflicts when the sources agree", () => {
+    const result = CurrencyResolver.resolve({ url: "https://shop.com.tr/p", priceText: "12,99 TL", siteConfig: { currency: "TRY" } });
+    assert.equal(result.conflicts, null);
+  });
+});
+
+test("CurrencyResolver.resolve with SiteConfigs", async (t) => {
+  await t.test("unknown shops have no site currency", () => {
+    assert.equal(SiteConfigs.getSiteConfig("https://www.amazon.de/dp/B0").currency, null);
+    const { currency, source } = CurrencyResolver.resolve({ url: "https://www.amazon.de/dp/B0", priceText: "12,99" });
+    assert.deepStrictEqual({ currency, source }, { currency: "EUR", source: "tld" });
+  });
+
+  await t.test("configured shops use their currency", () => {
+    const { currency, source } = CurrencyResolver.resolve({ url: "https://www.trendyol.com/p-1", priceText: "129,99" });
+    assert.deepStrictEqual({ currency, source }, { currency: "TRY", source: "site" });
+  });
+});
@@ -0,0 +1,88 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, createBrowserStub, plain } = require("./load-lib");
+
+const STORED_URL = "https://shop.example/p/1";
+const IMPORTED_URL = "https://m.shop.example/p/1?ref=app";
+
+/**
+ * Load DataManager over a product store with one product and stores that record what is imported
+ */
+function loadManager() {
+  const stored = { url: STORED_URL, domain: "shop.example", name: "Kulaklık", identifiers: { gtin: "0194253715245" } };
+  const products = new Map([[STORED_URL, stored]]);
+  const historyImports = [];
+  const eventImports = [];
+
+  const browser = createBrowserStub({
+    priceAlerts: [{ id: "alert_1", productUrl: STORED_URL, type: "below" }],
+  });
+  const lib = loadLib(["data-manager.js"], {
+    browser,
+    ProductStore: {
+      toKey: (url) => url,
+      getAll: async () => Array.from(products.values(), (p) => structuredClone(p)),
+      putMany: async (list) => {
+        for (const product of list) products.set(product.url, product);
+        return products.size;
+      },
+    },
+    PriceHistory: {
+      importAll: async (records, options) => {
+        historyImports.push({ urls: Object.keys(records), merge: options.merge });
+        return Object.keys(records).length;
+      },
+    },
+    EventLog: {
+      importAll: async (entries) => {
+        eventImports.push(...entries);
+        return entries.length;
+      },
+    },
+  });
+
+  return { DataManager: lib.get("DataManager"), browser, products, historyImports, eventImports };
+}
+
+test("DataManager.importData merge", async (t) => {
+  // The same listing, saved from the mobile site with a tracking parameter
+  const backup = {
+    version: "2.4.0",
+    data: {
+      products: [{ url: IMPORTED_URL, domain: "shop.example", name: "Kulaklık", identifiers: { gtin: "194253715245" } }],
+      alerts: [
+        { id: "alert_9", productUrl: IMPORTED_URL, type: "below" },
+        { id: "alert_10", productUrl: IMPORTED_URL, type: "stock" },
+      ],
+      priceHistory: { [IMPORTED_URL]: { raw: [] }, "https://other.example/p/2": { raw: [] } },
+      events: [{ type: "price_changed", productUrl: IMPORTED_URL, timestamp: 1 }],
+    },
+  };
+
+  const { DataManager, browser, products, historyImports, eventImports } = loadManager();
+  await DataManager.importData(structuredClone(backup), { merge: true });
+
+  await t.test("keeps one product for a GTIN match under another URL", () => {
+    assert.deepStrictEqual(Array.from(products.keys()), [STORED_URL]);
+  });
+
+  await t.test("moves alerts to the surviving product", async () => {
+    const { priceAlerts } = await browser.storage.local.get("priceAlerts");
+    // The duplicate "below" alert is dropped, the new "stock" alert follows the product
+    assert.deepStrictEqual(
+      plain(priceAlerts.map((alert) => [alert.productUrl, alert.type])),
+      [[STORED_URL, "below"], [STORED_URL, "stock"]]
+    );
+  });
+
+  await t.test("merges history into the surviving product", () => {
+    assert.deepStrictEqual(plain(historyImports), [
+      { urls: ["https://other.example/p/2"], merge: true },
+      { urls: [STORED_URL], merge: true },
+    ]);
+  });
+
+  await t.test("moves events to the surviving product", () => {
+    assert.deepStrictEqual(plain(eventImports.map((event) => event.productUrl)), [STORED_URL]);
+  });
+});
@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const lib = loadLib(["config.js", "deal-score.js"]);
+const DealScore = lib.get("DealScore");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1);
+
+test("DealScore.evaluate", async (t) => {
+  const steady = [{ date: NOW - 100 * DAY_MS, price: 100 }];
+
+  const cases = [
+    { name: "no history", series: [], price: 100, expected: null },
+    {
+      name: "too little history to score",
+      series: [{ date: NOW - 3 * DAY_MS, price: 100 }],
+      price: 90,
+      expected: { score: null, grade: "unknown", isAllTimeLow: true, allTimeLow: 90 },
+    },
+    {
+      name: "new low",
+      series: steady,
+      price: 80,
+      expected: { score: 100, grade: "great", isAllTimeLow: true, percentile: 0, avg30: 100 },
+    },
+    {
+      name: "usual price",
+      series: steady,
+      price: 100,
+      expected: { score: 50, grade: "fair", percentile: 50 },
+    },
+    {
+      name: "above every earlier price",
+      series: steady,
+      price: 120,
+      expected: { score: 0, grade: "poor", isAllTimeLow: false, allTimeHigh: 120 },
+    },
+    {
+      name: "sale after a short raise",
+      series: [
+        { date: NOW - 100 * DAY_MS, price: 100 },
+        { date: NOW - 10 * DAY_MS, price: 150 },
+        { date: NOW - DAY_MS, price: 120 },
+      ],
+      price: 120,
+      options: { referencePrice: 150 },
+      expected: { grade: "poor", preRaise: { price: 100, raisedAt: NOW - 10 * DAY_MS } },
+      inflated: { reason: "raised", baselinePrice: 100, claimedPercent: 20, realPercent: -20 },
+    },
+  ];
+
+  for (const { name, series, price, options = {}, expected, inflated = null } of cases) {
+    await t.test(name, () => {
+      const deal = DealScore.evaluate(series, price, { now: NOW, ...options });
+      if (expected === null) {
+        assert.equal(deal, null);
+        return;
+      }
+
+      for (const [key, value] of Object.entries(expected)) {
+        assert.deepStrictEqual(plain(deal[key]), value, key);
+      }
+      if (inflated) {
+        for (const [key, value] of Object.entries(inflated)) {
+          assert.equal(deal.inflated[key], value, `inflated.${key}`);
+        }
+      } else {
+        assert.equal(deal.inflated, null);
+      }
+    });
+  }
+});
+
+test("DealScore.computeStats preRaise", async (t) => {
+  const cases = [
+    {
+      name: "raise that just ended",
+      series: [
+        { date: NOW - 100 * DAY_MS, price: 100 },
+        { date: NOW - 20 * DAY_MS, price: 150 },
+        { date: NOW - 10 * DAY_MS, price: 110 },
+      ],
+      expected: { price: 100, raisedAt: NOW - 20 * DAY_MS },
+    },
+    {
+      name: "raise still running",
+      series: [
+        { date: NOW - 100 * DAY_MS, price: 100 },
+        { date: NOW - 5 * DAY_MS, price: 150 },
+      ],
+      expected: { price: 100, raisedAt: NOW - 5 * DAY_MS },
+    },
+    {
+      name: "raise that became the normal price",
+      series: [
+        { date: NOW - 100 * DAY_MS, price: 100 },
+        { date: NOW - 60 * DAY_MS, price: 150 },
+      ],
+      expected: null,
+    },
+    // A short raise from a campaign months ago says nothing about the current price
+    {
+      name: "raise that ended before the look-back window",
+      series: [
+        { date: NOW - 200 * DAY_MS, price: 100 },
+        { date: NOW - 120 * DAY_MS, price: 150 },
+        { date: NOW - 110 * DAY_MS, price: 100 },
+      ],
+      expected: null,
+    },
+  ];
+
+  for (const { name, series, expected } of cases) {
+    await t.test(name, () => {
+      const price = series[series.length - 1].price;
+      assert.deepStrictEqual(plain(DealScore.computeStats(series, price, NOW).preRaise), expected);
+    });
+  }
+});
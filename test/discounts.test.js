@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib } = require("./load-lib");
+
+const lib = loadLib(["config.js", "sites.js", "discounts.js"]);
+const PriceDiscounts = lib.get("PriceDiscounts");
+
+test("PriceDiscounts.parsePrice", async (t) => {
+  const cases = [
+    { text: "Sepette %10", listPrice: 1000, expected: 900 },
+    { text: "Sepette 10% indirim", listPrice: 1000, expected: 900 },
+    { text: "100 TL indirim", listPrice: 1000, expected: 900 },
+    { text: "Sepette 950 TL", listPrice: 1000, expected: 950 },
+    { text: "899,90", listPrice: 1000, expected: 899.9 },
+    // An explicit amount wins over the percent next to it
+    { text: "Sepette %10 indirimli 899,90 TL", listPrice: 1000, expected: 899.9 },
+    // Not below the list price
+    { text: "Sepette %10 indirimli 1.200 TL", listPrice: 1000, expected: null },
+    // Implausibly far below the list price
+    { text: "Sepette 100 TL", listPrice: 1000, expected: null },
+    { text: "%80 indirim", listPrice: 1000, expected: null },
+    { text: "Sepette %10", listPrice: 0, expected: null },
+    { text: "", listPrice: 1000, expected: null },
+  ];
+
+  for (const { text, listPrice, expected } of cases) {
+    await t.test(`${JSON.stringify(text)} @ ${listPrice}`, () => {
+      assert.equal(PriceDiscounts.parsePrice(text, listPrice), expected);
+    });
+  }
+});
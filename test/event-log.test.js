@@ -0,0 +1,200 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1);
+
+/**
+ * Key ranges as plain predicates
+ */
+const IDBKeyRangeStub = {
+  only: (value) => ({ includes: (key) => key === value }),
+  upperBound: (bound, open = false) => ({ includes: (key) => (open ? key < bound : key <= bound) }),
+};
+
+/**
+ * PriceTrackerDB over one auto-increment "events" store with the indexes EventLog reads;
+ * requests and cursors answer asynchronously, and a transaction completes once none are pending
+ */
+function createDatabaseStub() {
+  const rows = new Map();
+  let nextId = 1;
+  let pending = 0;
+
+  const later = (callback) => {
+    pending++;
+    setImmediate(() => {
+      pending--;
+      callback();
+    });
+  };
+
+  const request = (produce) => {
+    const req = { result: undefined, onsuccess: null, onerror: null };
+    later(() => {
+      req.result = produce();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+
+  const store = {
+    add: (entry) => request(() => {
+      const id = nextId++;
+      rows.set(id, { ...structuredClone(entry), id });
+      return id;
+    }),
+    getAll: () => request(() => Array.from(rows.values(), (row) => structuredClone(row))),
+    count: () => request(() => rows.size),
+    clear: () => rows.clear(),
+    index: (field) => ({
+      openCursor: (range, direction = "next") => {
+        const matching = Array.from(rows.values())
+          .filter((row) => !range || range.includes(row[field]))
+          .sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : a.id - b.id));
+        if (direction === "prev") matching.reverse();
+
+        let position = 0;
+        const req = { result: null, onsuccess: null, onerror: null };
+        const advance = () =>
+          later(() => {
+            const row = matching[position++];
+            req.result = row
+              ? { value: structuredClone(row), delete: () => rows.delete(row.id), continue: advance }
+              : null;
+            req.onsuccess?.();
+          });
+        advance();
+        return req;
+      },
+    }),
+  };
+
+  return {
+    rows,
+    promisify: (req) =>
+      new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }),
+    transaction: async (name, mode, work) => {
+      const result = await work(store);
+      while (pending > 0) await new Promise(setImmediate);
+      return result;
+    },
+  };
+}
+
+function loadEventLog(config = {}) {
+  const PriceTrackerDB = createDatabaseStub();
+  const lib = loadLib(["event-log.js"], {
+    PriceTrackerDB,
+    IDBKeyRange: IDBKeyRangeStub,
+    setImmediate,
+    Config: { EVENT_LOG: { RETENTION_DAYS: 365, MAX_ENTRIES: 20000, PRUNE_EVERY: 1000, ...config } },
+  });
+  return { EventLog: lib.get("EventLog"), rows: PriceTrackerDB.rows };
+}
+
+const event = (type, productUrl, timestamp, extra = {}) => ({
+  type,
+  productUrl,
+  productName: extra.productName || "Ürün",
+  timestamp,
+  ...extra,
+});
+
+test("EventLog.prune", async (t) => {
+  await t.test("drops events past the retention age", async () => {
+    const { EventLog, rows } = loadEventLog();
+    await EventLog.importAll([
+      event("price_changed", "https://a.example/1", NOW - 400 * DAY_MS),
+      event("price_changed", "https://a.example/1", NOW - 366 * DAY_MS),
+      event("price_changed", "https://a.example/1", NOW - 10 * DAY_MS),
+    ]);
+
+    assert.equal(await EventLog.prune({ now: NOW }), 2);
+    assert.deepStrictEqual(
+      Array.from(rows.values(), (row) => row.timestamp),
+      [NOW - 10 * DAY_MS]
+    );
+  });
+
+  await t.test("drops the oldest events beyond the entry cap", async () => {
+    const { EventLog, rows } = loadEventLog();
+    await EventLog.importAll(
+      [5, 4, 3, 2, 1].map((days) => event("check_failed", "https://a.example/1", NOW - days * DAY_MS))
+    );
+
+    assert.equal(await EventLog.prune({ now: NOW, maxEntries: 2 }), 3);
+    assert.deepStrictEqual(
+      Array.from(rows.values(), (row) => row.timestamp).sort(),
+      [NOW - 2 * DAY_MS, NOW - DAY_MS]
+    );
+  });
+});
+
+test("EventLog.query", async (t) => {
+  const { EventLog } = loadEventLog();
+  await EventLog.importAll([
+    event("price_changed", "https://a.example/1", NOW - 5 * DAY_MS, { productName: "Kulaklık" }),
+    event("stock_changed", "https://a.example/1", NOW - 4 * DAY_MS, { productName: "Kulaklık" }),
+    event("price_changed", "https://b.example/2", NOW - 3 * DAY_MS, { productName: "Telefon" }),
+    event("price_changed", "https://a.example/1", NOW - 2 * DAY_MS, { productName: "Kulaklık" }),
+    event("check_failed", "https://b.example/2", NOW - DAY_MS, { productName: "Telefon" }),
+  ]);
+
+  const days = (entries) => plain(entries.map((entry) => Math.round((NOW - entry.timestamp) / DAY_MS)));
+
+  const cases = [
+    { name: "newest first", filter: {}, expected: [1, 2, 3, 4, 5] },
+    { name: "one type", filter: { type: "price_changed" }, expected: [2, 3, 5] },
+    { name: "several types", filter: { type: ["stock_changed", "check_failed"] }, expected: [1, 4] },
+    { name: "one product", filter: { productUrl: "https://a.example/1" }, expected: [2, 4, 5] },
+    { name: "search by name", filter: { search: " telefon " }, expected: [1, 3] },
+    { name: "time range", filter: { from: NOW - 4 * DAY_MS, to: NOW - 2 * DAY_MS }, expected: [2, 3, 4] },
+    // Offset and limit count matching events only
+    { name: "page of a filtered list", filter: { type: "price_changed", offset: 1, limit: 1 }, expected: [3] },
+    { name: "offset past the end", filter: { productUrl: "https://b.example/2", offset: 5 }, expected: [] },
+  ];
+
+  for (const { name, filter, expected } of cases) {
+    await t.test(name, async () => {
+      assert.deepStrictEqual(days(await EventLog.query(filter)), expected);
+    });
+  }
+});
+
+test("EventLog.importAll", async (t) => {
+  const backup = [
+    event("price_changed", "https://a.example/1", NOW - 2 * DAY_MS, { id: 7 }),
+    event("price_changed", "https://a.example/1", NOW - DAY_MS, { id: 8 }),
+    event("unknown_type", "https://a.example/1", NOW),
+    event("price_changed", "https://a.example/1", null),
+  ];
+
+  await t.test("skips invalid entries and assigns new ids", async () => {
+    const { EventLog, rows } = loadEventLog();
+    assert.equal(await EventLog.importAll(backup), 2);
+    assert.deepStrictEqual(Array.from(rows.keys()), [1, 2]);
+  });
+
+  await t.test("merging skips events already stored", async () => {
+    const { EventLog, rows } = loadEventLog();
+    await EventLog.importAll(backup.slice(0, 1));
+    await EventLog.importAll([event("stock_changed", "https://a.example/1", NOW - 2 * DAY_MS)], { merge: true });
+
+    // Same type, product and time is the same event; the stock change differs by type
+    assert.equal(await EventLog.importAll([...backup, ...backup], { merge: true }), 1);
+    assert.equal(rows.size, 3);
+  });
+
+  await t.test("replacing drops the existing events", async () => {
+    const { EventLog, rows } = loadEventLog();
+    await EventLog.importAll([event("check_failed", "https://b.example/2", NOW)]);
+    await EventLog.importAll(backup);
+    assert.equal(rows.size, 2);
+    assert.ok(Array.from(rows.values()).every((row) => row.type === "price_changed"));
+  });
+});
@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, createBrowserStub, plain } = require("./load-lib");
+
+const TABLE = {
+  base: "TRY",
+  date: "2026-06-01",
+  rates: { TRY: 1, USD: 0.025, EUR: 0.02 },
+  source: "fixture",
+  fetchedAt: 0,
+  history: { "2026-01-01": { TRY: 1, USD: 0.05, EUR: 0.04 } },
+};
+
+function loadRates(stored = { exchangeRates: TABLE }) {
+  const lib = loadLib(["config.js", "exchange-rates.js"], { browser: createBrowserStub(stored) });
+  return lib.get("ExchangeRates");
+}
+
+test("ExchangeRates.rebase", async (t) => {
+  const ExchangeRates = loadRates({});
+  const cases = [
+    {
+      name: "USD base to TRY base",
+      rates: { USD: 1, EUR: 0.8, TRY: 40 },
+      from: "USD",
+      to: "TRY",
+      expected: { TRY: 1, USD: 0.025, EUR: 0.02 },
+    },
+    { name: "missing new base", rates: { USD: 1, EUR: 0.8 }, from: "USD", to: "TRY", expected: null },
+    { name: "same base", rates: { TRY: 1, USD: 0.025 }, from: "TRY", to: "TRY", expected: { TRY: 1, USD: 0.025 } },
+  ];
+
+  for (const { name, rates, from, to, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(plain(ExchangeRates.rebase(rates, from, to)), expected);
+    });
+  }
+});
+
+test("ExchangeRates.getRate", async (t) => {
+  await t.test("without a loaded table", () => {
+    const ExchangeRates = loadRates({});
+    assert.equal(ExchangeRates.getRate("USD", "TRY"), null);
+    assert.equal(ExchangeRates.getRate("TRY", "TRY"), 1);
+  });
+
+  const ExchangeRates = loadRates();
+  await ExchangeRates.load();
+
+  const cases = [
+    { from: "USD", to: "TRY", expected: 40 },
+    { from: "TRY", to: "EUR", expected: 0.02 },
+    { from: "USD", to: "EUR", expected: 0.8 },
+    { from: "USD", to: "GBP", expected: null },
+    // Past dates use the last stored day on or before them, older ones the earliest day
+    { from: "USD", to: "TRY", date: Date.UTC(2026, 2, 1), expected: 20 },
+    { from: "USD", to: "TRY", date: Date.UTC(2025, 2, 1), expected: 20 },
+    { from: "USD", to: "TRY", date: Date.UTC(2026, 6, 1), expected: 40 },
+  ];
+
+  for (const { from, to, date = null, expected } of cases) {
+    await t.test(`${from} → ${to}${date ? ` @ ${new Date(date).toISOString().slice(0, 10)}` : ""}`, () => {
+      const rate = ExchangeRates.getRate(from, to, date);
+      if (expected === null) {
+        assert.equal(rate, null);
+      } else {
+        assert.ok(Math.abs(rate - expected) < 1e-9, `${rate} ≈ ${expected}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib } = require("./load-lib");
+
+/**
+ * Load the queue with a fetch stub answering from a handler and logging request starts
+ */
+function loadQueue(handler = () => new Response("ok")) {
+  const calls = [];
+  const fetch = async (url) => {
+    calls.push({ url, at: Date.now() });
+    return handler(url, calls.length);
+  };
+  const lib = loadLib(["errors.js", "fetch-queue.js"], {
+    fetch,
+    Response,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+  });
+  return { FetchQueue: lib.get("FetchQueue"), PriceTrackerErrors: lib.get("PriceTrackerErrors"), calls };
+}
+
+const QUEUE_OPTIONS = { minSpacingMs: 50, jitterMs: 0, timeout: 1000 };
+
+test("FetchQueue.parseRetryAfter", async (t) => {
+  const { FetchQueue } = loadQueue();
+  const now = Date.UTC(2026, 5, 1, 12);
+  const cases = [
+    { value: "120", expected: 120000 },
+    { value: "0", expected: 0 },
+    { value: "Mon, 01 Jun 2026 12:00:30 GMT", expected: 30000 },
+    // Dates in the past mean "now"
+    { value: "Mon, 01 Jun 2026 11:00:00 GMT", expected: 0 },
+    { value: "soon", expected: null },
+    { value: null, expected: null },
+  ];
+
+  for (const { value, expected } of cases) {
+    await t.test(String(value), () => {
+      assert.equal(FetchQueue.parseRetryAfter(value, now), expected);
+    });
+  }
+});
+
+test("FetchQueue spacing", async (t) => {
+  await t.test("spaces requests to the same host", async () => {
+    const { FetchQueue, calls } = loadQueue();
+    const queue = FetchQueue.createQueue(QUEUE_OPTIONS);
+
+    await Promise.all([queue.fetch("https://a.example/1"), queue.fetch("https://www.a.example/2")]);
+
+    assert.equal(calls.length, 2);
+    assert.ok(calls[1].at - calls[0].at >= 45, `${calls[1].at - calls[0].at}ms apart`);
+  });
+
+  await t.test("does not space requests to different hosts", async () => {
+    const { FetchQueue, calls } = loadQueue();
+    const queue = FetchQueue.createQueue(QUEUE_OPTIONS);
+
+    await Promise.all([queue.fetch("https://a.example/1"), queue.fetch("https://b.example/1")]);
+
+    assert.ok(calls[1].at - calls[0].at < 45, `${calls[1].at - calls[0].at}ms apart`);
+  });
+});
+
+test("FetchQueue throttling", async (t) => {
+  await t.test("retries after a short Retry-After", async () => {
+    const { FetchQueue, calls } = loadQueue((url, n) =>
+      n === 1 ? new Response("", { status: 429, headers: { "Retry-After": "0" } }) : new Response("ok")
+    );
+    const queue = FetchQueue.createQueue(QUEUE_OPTIONS);
+
+    const response = await queue.fetch("https://a.example/1");
+
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+    assert.equal(queue.getStats().hosts["a.example"].throttled, 1);
+  });
+
+  await t.test("gives up on a long Retry-After", async () => {
+    const { FetchQueue, PriceTrackerErrors, calls } = loadQueue(
+      () => new Response("", { status: 503, headers: { "Retry-After": "600" } })
+    );
+    const queue = FetchQueue.createQueue(QUEUE_OPTIONS);
+
+    await assert.rejects(
+      queue.fetch("https://a.example/1"),
+      (error) => error instanceof PriceTrackerErrors.RateLimitError && error.retryAfter === 600000
+    );
+    assert.equal(calls.length, 1);
+    assert.ok(queue.getStats().hosts["a.example"].blockedFor > 590000);
+  });
+});
+
+test("FetchQueue hourly budget", async () => {
+  const { FetchQueue, PriceTrackerErrors, calls } = loadQueue();
+  const queue = FetchQueue.createQueue({ ...QUEUE_OPTIONS, maxPerHour: 2 });
+
+  const results = await Promise.allSettled([
+    queue.fetch("https://a.example/1"),
+    queue.fetch("https://b.example/1"),
+    queue.fetch("https://c.example/1"),
+  ]);
+
+  assert.deepStrictEqual(
+    results.map((r) => r.status),
+    ["fulfilled", "fulfilled", "rejected"]
+  );
+  assert.ok(results[2].reason instanceof PriceTrackerErrors.RateLimitError);
+  assert.equal(calls.length, 2);
+});
@@ -0,0 +1,60 @@
+// Test Loader v1.0
+// Runs lib/ scripts in one sandbox the way the extension pages load them
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const LIB_DIR = path.join(__dirname, "..", "lib");
+
+/**
+ * Load lib scripts in order and return the modules they declare
+ * @param {Array<string>} files - Script names in lib/, dependencies first
+ * @param {Object} globals - Extra globals for the sandbox (e.g. a browser stub)
+ * @returns {Object} Sandbox; module constants are read with sandbox.get(name)
+ */
+function loadLib(files, globals = {}) {
+  const context = vm.createContext({ console, URL, URLSearchParams, ...globals });
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(LIB_DIR, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+
+  return {
+    // Top-level const declarations are not properties of the global object
+    get: (name) => vm.runInContext(name, context),
+  };
+}
+
+/**
+ * Minimal browser.storage.local backed by a plain object
+ * @param {Object} data - Initial contents
+ * @returns {Object} browser stub
+ */
+function createBrowserStub(data = {}) {
+  const store = { ...data };
+  return {
+    storage: {
+      local: {
+        get: async (key) => (key === null ? { ...store } : key in store ? { [key]: store[key] } : {}),
+        set: async (items) => Object.assign(store, items),
+        remove: async (key) => {
+          for (const k of [].concat(key)) delete store[k];
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Copy a value returned from the sandbox into this realm, so deepStrictEqual does not
+ * trip over the sandbox's Object prototype
+ * @param {*} value - Sandbox value
+ * @returns {*} Plain copy
+ */
+function plain(value) {
+  return value === undefined ? value : structuredClone(value);
+}
+
+module.exports = { loadLib, createBrowserStub, plain };
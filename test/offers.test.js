@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const lib = loadLib(["config.js", "sites.js", "offers.js"]);
+const SellerOffers = lib.get("SellerOffers");
+const { BUY_BOX, LOWEST_OFFER } = SellerOffers.TRACKING_MODES;
+
+const BUY_BOX_OFFER = { seller: "Ana Mağaza", price: 100, shipping: 0, total: 100, currency: "TRY", isBuyBox: true };
+const CHEAP = { seller: "Ucuz Satıcı", price: 85, shipping: 10, total: 95, currency: "TRY", isBuyBox: false };
+const CHEAPEST_PRICE = { seller: "Uzak Satıcı", price: 80, shipping: 30, total: 110, currency: "TRY", isBuyBox: false };
+
+test("SellerOffers.getLowest", async (t) => {
+  const cases = [
+    // Shipping counts: the lowest sticker price is not the cheapest offer
+    { name: "by total", offers: [BUY_BOX_OFFER, CHEAPEST_PRICE, CHEAP], expected: CHEAP },
+    {
+      name: "price when the total is unknown",
+      offers: [BUY_BOX_OFFER, { seller: "Satıcı", price: 90, shipping: null, total: null }],
+      expected: { seller: "Satıcı", price: 90, shipping: null, total: null },
+    },
+    { name: "single offer", offers: [BUY_BOX_OFFER], expected: BUY_BOX_OFFER },
+    { name: "no offers", offers: [], expected: null },
+    { name: "not a list", offers: null, expected: null },
+  ];
+
+  for (const { name, offers, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(plain(SellerOffers.getLowest(offers)), expected);
+    });
+  }
+});
+
+test("SellerOffers.findSeller", () => {
+  const offers = [BUY_BOX_OFFER, CHEAP];
+  assert.equal(SellerOffers.findSeller(offers, "  ucuz   SATICI "), CHEAP);
+  assert.equal(SellerOffers.findSeller(offers, "Başka"), null);
+  assert.equal(SellerOffers.findSeller(offers, ""), null);
+});
+
+test("SellerOffers.resolve", async (t) => {
+  const data = {
+    price: 100,
+    listPrice: 100,
+    previousPrice: 120,
+    currency: "TRY",
+    shipping: { cost: 0, freeThreshold: null },
+    offers: [BUY_BOX_OFFER, CHEAP, CHEAPEST_PRICE],
+  };
+
+  await t.test("buy box mode keeps the page price", () => {
+    assert.equal(SellerOffers.resolve(BUY_BOX, data), data);
+    assert.equal(SellerOffers.resolve(undefined, data), data);
+  });
+
+  await t.test("lowest-offer mode prices at the cheapest seller", () => {
+    const resolved = plain(SellerOffers.resolve(LOWEST_OFFER, data));
+    assert.equal(resolved.price, 85);
+    assert.equal(resolved.seller, "Ucuz Satıcı");
+    assert.deepStrictEqual(resolved.shipping, { cost: 10, freeThreshold: null });
+    // The old price on the page belongs to the buy box offer
+    assert.equal(resolved.previousPrice, null);
+  });
+
+  await t.test("lowest-offer mode keeps the page shipping when the offer has none", () => {
+    const offers = [{ seller: "Satıcı", price: 70, shipping: null, total: 70, currency: null, isBuyBox: false }];
+    const resolved = plain(SellerOffers.resolve(LOWEST_OFFER, { ...data, offers }));
+    assert.equal(resolved.price, 70);
+    assert.equal(resolved.currency, "TRY");
+    assert.deepStrictEqual(resolved.shipping, data.shipping);
+  });
+
+  await t.test("lowest-offer mode without offers keeps the page price", () => {
+    const withoutOffers = { ...data, offers: [] };
+    assert.equal(SellerOffers.resolve(LOWEST_OFFER, withoutOffers), withoutOffers);
+  });
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, createBrowserStub, plain } = require("./load-lib");
+
+const lib = loadLib(["config.js", "price-history.js"], { browser: createBrowserStub() });
+const PriceHistory = lib.get("PriceHistory");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NOW = Date.UTC(2026, 5, 1, 12);
+
+function emptyRecord() {
+  return { url: "https://shop.example/p", raw: [], daily: [], weekly: [], firstSeen: null, updatedAt: null };
+}
+
+test("PriceHistory.appendObservation", async (t) => {
+  const cases = [
+    { name: "first point", points: [[100, 0]], kinds: ["initial"], raw: 1 },
+    // Same price inside the gap extends the last point
+    { name: "unchanged", points: [[100, 0], [100, HOUR_MS]], kinds: ["initial", "unchanged"], raw: 1 },
+    { name: "drop", points: [[100, 0], [90, HOUR_MS]], kinds: ["initial", "down"], raw: 2 },
+    { name: "rise", points: [[100, 0], [110, HOUR_MS]], kinds: ["initial", "up"], raw: 2 },
+    // Same price after a long gap starts a new point so the gap stays visible
+    { name: "unchanged after a gap", points: [[100, 0], [100, DAY_MS]], kinds: ["initial", "unchanged"], raw: 2 },
+  ];
+
+  for (const { name, points, kinds, raw } of cases) {
+    await t.test(name, () => {
+      const record = emptyRecord();
+      const observed = points.map(([price, offset]) =>
+        PriceHistory.appendObservation(record, price, NOW + offset, 3 * HOUR_MS)
+      );
+      assert.deepStrictEqual(observed, kinds);
+      assert.equal(record.raw.length, raw);
+      assert.equal(record.firstSeen, NOW);
+    });
+  }
+});
+
+test("PriceHistory.compact", async (t) => {
+  await t.test("folds old raw points into daily buckets", () => {
+    const record = emptyRecord();
+    const day = NOW - 40 * DAY_MS;
+    PriceHistory.appendObservation(record, 100, day, 0);
+    PriceHistory.appendObservation(record, 80, day + HOUR_MS, 0);
+    PriceHistory.appendObservation(record, 90, day + 2 * HOUR_MS, 0);
+    PriceHistory.appendObservation(record, 95, NOW, 0);
+
+    PriceHistory.compact(record, NOW);
+
+    assert.equal(record.raw.length, 1);
+    assert.equal(record.daily.length, 1);
+    const [bucket] = plain(record.daily);
+    assert.equal(bucket.min, 80);
+    assert.equal(bucket.max, 100);
+    assert.equal(bucket.open, 100);
+    assert.equal(bucket.close, 90);
+    assert.equal(bucket.count, 3);
+  });
+
+  await t.test("folds old daily buckets into weekly ones", () => {
+    const record = emptyRecord();
+    PriceHistory.appendObservation(record, 100, NOW - 400 * DAY_MS, 0);
+    PriceHistory.appendObservation(record, 120, NOW - 399 * DAY_MS, 0);
+
+    PriceHistory.compact(record, NOW);
+
+    assert.equal(record.raw.length, 0);
+    assert.equal(record.daily.length, 0);
+    const observations = record.weekly.reduce((sum, b) => sum + b.count, 0);
+    assert.equal(observations, 2);
+  });
+});
+
+test("PriceHistory.getChangeStats", () => {
+  const record = emptyRecord();
+  PriceHistory.appendObservation(record, 100, NOW - 10 * DAY_MS);
+  PriceHistory.appendObservation(record, 90, NOW - 5 * DAY_MS);
+  PriceHistory.appendObservation(record, 90, NOW - 4 * DAY_MS);
+  PriceHistory.appendObservation(record, 95, NOW - DAY_MS);
+
+  const stats = plain(PriceHistory.getChangeStats(record, { windowDays: 30, now: NOW }));
+  assert.equal(stats.changes, 2);
+  assert.equal(stats.lastChangeAt, NOW - DAY_MS);
+  assert.equal(stats.observedDays, 10);
+});
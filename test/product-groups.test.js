@@ -0,0 +1,137 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, createBrowserStub, plain } = require("./load-lib");
+
+function loadGroups(stored = {}) {
+  const lib = loadLib(["product-groups.js"], { browser: createBrowserStub(stored) });
+  return lib.get("ProductGroups");
+}
+
+const ProductGroups = loadGroups();
+
+test("ProductGroups.nameSimilarity", async (t) => {
+  const cases = [
+    { name: "same words, other order", a: "Apple iPhone 15 128 GB Siyah", b: "iPhone 15 Siyah 128GB Apple", expected: 1 },
+    { name: "stop words are ignored", a: "Yeni Sony WH-1000XM5 Kulaklık", b: "Sony WH-1000XM5 Kulaklık Orijinal", expected: 1 },
+    // Numbers tell sizes and models apart, so they must all agree
+    { name: "other storage size", a: "Apple iPhone 15 128 GB Siyah", b: "Apple iPhone 15 256 GB Siyah", expected: 0 },
+    { name: "extra model number", a: "Samsung Galaxy S24 Siyah", b: "Samsung Galaxy S24 Ultra 512 Siyah", expected: 0 },
+    { name: "too few words", a: "Kulaklık", b: "Kulaklık", expected: 0 },
+  ];
+
+  for (const { name, a, b, expected } of cases) {
+    await t.test(name, () => {
+      assert.equal(ProductGroups.nameSimilarity(a, b), expected);
+    });
+  }
+
+  await t.test("partial overlap", () => {
+    const similarity = ProductGroups.nameSimilarity("Philips Airfryer XL Siyah", "Philips Airfryer XL Beyaz");
+    assert.ok(similarity > 0 && similarity < 1, String(similarity));
+  });
+});
+
+test("ProductGroups.matchReason", async (t) => {
+  const product = (name, identifiers = {}) => ({ name, identifiers });
+  const phone = "Apple iPhone 15 128 GB Siyah";
+
+  const cases = [
+    { name: "same GTIN", a: product("Telefon A", { gtin: "0194253715245" }), b: product("Telefon B", { gtin: "194253715245" }), expected: "gtin" },
+    // A GTIN on both sides decides, even when the names are identical
+    { name: "different GTIN", a: product(phone, { gtin: "194253715245" }), b: product(phone, { gtin: "194253715252" }), expected: null },
+    { name: "brand veto", a: product(phone, { brand: "Apple" }), b: product(phone, { brand: "Kılıfçı" }), expected: null },
+    { name: "brand case is ignored", a: product(phone, { brand: "APPLE" }), b: product(phone, { brand: "apple" }), expected: "name" },
+    { name: "same MPN", a: product("Kulaklık A", { mpn: "WH-1000XM5" }), b: product("Kulaklık B", { mpn: "wh1000xm5" }), expected: "mpn" },
+    { name: "similar names", a: product(phone), b: product("iPhone 15 128GB Siyah Apple"), expected: "name" },
+    { name: "nothing in common", a: product(phone), b: product("Philips Airfryer XL Siyah"), expected: null },
+  ];
+
+  for (const { name, a, b, expected } of cases) {
+    await t.test(name, () => {
+      assert.equal(ProductGroups.matchReason(a, b), expected);
+    });
+  }
+});
+
+test("ProductGroups.autoGroup", async (t) => {
+  const products = [
+    { url: "https://a.example/1", domain: "a.example", name: "Apple iPhone 15 128 GB Siyah" },
+    { url: "https://b.example/1", domain: "b.example", name: "iPhone 15 128GB Siyah Apple" },
+    { url: "https://c.example/1", domain: "c.example", name: "Apple iPhone 15 Siyah 128 GB" },
+    // Same shop: two listings there are never grouped with each other
+    { url: "https://a.example/2", domain: "a.example", name: "Apple iPhone 15 128 GB Siyah" },
+  ];
+
+  await t.test("links matching products of different shops", async () => {
+    const Groups = loadGroups();
+    assert.equal(await Groups.autoGroup(products), 4);
+
+    const groups = await Groups.getAll();
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].source, "auto");
+    assert.deepStrictEqual(plain(groups[0].productUrls).sort(), products.map((p) => p.url).sort());
+  });
+
+  await t.test("does not re-add a product the user unlinked", async () => {
+    const Groups = loadGroups();
+    await Groups.autoGroup(products.slice(0, 3));
+    await Groups.unlink("https://c.example/1");
+
+    assert.equal(await Groups.autoGroup(products.slice(0, 3)), 0);
+    const [group] = await Groups.getAll();
+    assert.deepStrictEqual(plain(group.productUrls).sort(), ["https://a.example/1", "https://b.example/1"]);
+  });
+
+  await t.test("linking by hand lifts the exclusion", async () => {
+    const Groups = loadGroups();
+    await Groups.autoGroup(products.slice(0, 3));
+    await Groups.unlink("https://c.example/1");
+    await Groups.link(["https://a.example/1", "https://c.example/1"]);
+    await Groups.unlink("https://b.example/1");
+
+    // a and c were linked again by hand, so only b stays apart from them
+    assert.equal(await Groups.autoGroup(products.slice(0, 3)), 0);
+    const { groups, exclusions } = plain(await Groups.exportAll());
+    assert.deepStrictEqual(groups[0].productUrls.sort(), ["https://a.example/1", "https://c.example/1"]);
+    assert.deepStrictEqual(exclusions.sort(), [
+      "https://a.example/1\nhttps://b.example/1",
+      "https://b.example/1\nhttps://c.example/1",
+    ]);
+  });
+});
+
+test("ProductGroups.remapUrls", async (t) => {
+  const stored = {
+    productGroups: [
+      { id: "g1", name: "Telefon", productUrls: ["https://a.example/1?utm_source=x", "https://b.example/1"], source: "auto", createdAt: 1 },
+      { id: "g2", name: "", productUrls: ["https://a.example/1", "https://c.example/1"], source: "manual", createdAt: 2 },
+      { id: "g3", name: "Kulaklık", productUrls: ["https://a.example/9", "https://b.example/9"], source: "auto", createdAt: 3 },
+    ],
+    productGroupExclusions: ["https://a.example/1?utm_source=x\nhttps://d.example/1"],
+  };
+  const mapUrl = (url) => url.replace(/\?.*$/, "");
+
+  await t.test("merges groups that end up sharing a product", async () => {
+    const Groups = loadGroups(structuredClone(stored));
+    assert.equal(await Groups.remapUrls(mapUrl), true);
+
+    const { groups, exclusions } = plain(await Groups.exportAll());
+    assert.equal(groups.length, 2);
+
+    const merged = groups.find((g) => g.productUrls.includes("https://a.example/1"));
+    assert.deepStrictEqual(merged.productUrls.sort(), ["https://a.example/1", "https://b.example/1", "https://c.example/1"]);
+    // A manual member makes the merged group manual
+    assert.equal(merged.source, "manual");
+
+    // Groups that were not merged keep their identity
+    const untouched = groups.find((g) => g.name === "Kulaklık");
+    assert.deepStrictEqual([untouched.id, untouched.createdAt], ["g3", 3]);
+
+    assert.deepStrictEqual(exclusions, ["https://a.example/1\nhttps://d.example/1"]);
+  });
+
+  await t.test("reports nothing when no URL changes", async () => {
+    const Groups = loadGroups(structuredClone(stored));
+    assert.equal(await Groups.remapUrls((url) => url), false);
+  });
+});
@@ -0,0 +1,129 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, createBrowserStub, plain } = require("./load-lib");
+
+/**
+ * PriceTrackerDB backed by a Map per object store; requests resolve to their value
+ * and a throwing transaction leaves the store untouched
+ */
+function createDatabaseStub() {
+  const stores = new Map();
+  return {
+    open: async () => {},
+    promisify: async (value) => value,
+    transaction: async (name, mode, work) => {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const data = stores.get(name);
+      const pending = new Map(data);
+      const store = {
+        get: (key) => structuredClone(pending.get(key)),
+        getAll: () => Array.from(pending.values(), (v) => structuredClone(v)),
+        put: (record) => pending.set(record.url, structuredClone(record)),
+        delete: (key) => pending.delete(key),
+        clear: () => pending.clear(),
+      };
+      const result = await work(store);
+      if (mode === "readwrite") {
+        data.clear();
+        for (const [key, value] of pending) data.set(key, value);
+      }
+      return result;
+    },
+  };
+}
+
+function loadStore() {
+  const lib = loadLib(["errors.js", "product-store.js"], {
+    browser: createBrowserStub({ productStoreMigrated: 1 }),
+    PriceTrackerDB: createDatabaseStub(),
+  });
+  return { ProductStore: lib.get("ProductStore"), PriceTrackerErrors: lib.get("PriceTrackerErrors") };
+}
+
+const URL_A = "https://shop.example/p/1";
+
+test("ProductStore.put", async (t) => {
+  await t.test("derives the domain", async () => {
+    const { ProductStore } = loadStore();
+    await ProductStore.put({ url: "https://www.shop.example/p/1", price: 10 });
+    assert.equal((await ProductStore.get("https://www.shop.example/p/1")).domain, "shop.example");
+  });
+
+  await t.test("replaces the same variant", async () => {
+    const { ProductStore } = loadStore();
+    await ProductStore.put({ url: URL_A, price: 10, variant: { key: "size=m", label: "M" } });
+    await ProductStore.put({ url: URL_A, price: 8, variant: { key: "size=m", label: "M" } });
+    assert.equal((await ProductStore.get(URL_A)).price, 8);
+  });
+
+  const conflicts = [
+    { name: "another variant", first: { key: "size=m", label: "M" }, second: { key: "size=l", label: "L" } },
+    { name: "a variant over the default", first: null, second: { key: "size=l", label: "L" } },
+    { name: "the default over a variant", first: { key: "size=m", label: "M" }, second: null },
+  ];
+
+  for (const { name, first, second } of conflicts) {
+    await t.test(`rejects ${name}`, async () => {
+      const { ProductStore, PriceTrackerErrors } = loadStore();
+      await ProductStore.put({ url: URL_A, price: 10, variant: first });
+      await assert.rejects(
+        ProductStore.put({ url: URL_A, price: 12, variant: second }),
+        (error) => error instanceof PriceTrackerErrors.ValidationError && error.context.variant === (first?.key || null)
+      );
+      const stored = await ProductStore.get(URL_A);
+      assert.equal(stored.price, 10);
+      assert.equal(stored.variant?.key || null, first?.key || null);
+    });
+  }
+});
+
+test("ProductStore.update", async (t) => {
+  await t.test("merges fields into the stored record", async () => {
+    const { ProductStore } = loadStore();
+    await ProductStore.put({ url: URL_A, price: 10, name: "Lamp", checkInterval: 60 });
+    await ProductStore.update(URL_A, { price: 9 });
+    const stored = plain(await ProductStore.get(URL_A));
+    assert.equal(stored.price, 9);
+    assert.equal(stored.name, "Lamp");
+    assert.equal(stored.checkInterval, 60);
+  });
+
+  await t.test("does not recreate a removed product", async () => {
+    const { ProductStore } = loadStore();
+    assert.equal(await ProductStore.update(URL_A, { price: 9 }), null);
+    assert.equal(await ProductStore.get(URL_A), null);
+  });
+});
+
+test("ProductStore.changedFields", async (t) => {
+  const before = { url: URL_A, price: 10, name: "Lamp", schedule: { interval: 60 }, note: "x" };
+  const cases = [
+    { name: "nothing changed", after: { ...before }, expected: {} },
+    { name: "scalar field", after: { ...before, price: 9 }, expected: { price: 9 } },
+    { name: "nested field", after: { ...before, schedule: { interval: 30 } }, expected: { schedule: { interval: 30 } } },
+    { name: "new field", after: { ...before, lastCheck: 5 }, expected: { lastCheck: 5 } },
+    { name: "removed field", after: { url: URL_A, price: 10, name: "Lamp", schedule: { interval: 60 } }, expected: { note: undefined } },
+    { name: "url is never written", after: { ...before, url: "https://shop.example/p/2" }, expected: {} },
+  ];
+
+  for (const { name, after, expected } of cases) {
+    await t.test(name, () => {
+      const { ProductStore } = loadStore();
+      assert.deepStrictEqual({ ...ProductStore.changedFields(before, after) }, expected);
+    });
+  }
+
+  await t.test("keeps edits made while a check was running", async () => {
+    const { ProductStore } = loadStore();
+    await ProductStore.put(before);
+    const snapshot = await ProductStore.get(URL_A);
+
+    // The popup renames the product while the check runs
+    await ProductStore.update(URL_A, { name: "Desk lamp" });
+    await ProductStore.update(URL_A, ProductStore.changedFields(snapshot, { ...snapshot, price: 8 }));
+
+    const stored = await ProductStore.get(URL_A);
+    assert.equal(stored.price, 8);
+    assert.equal(stored.name, "Desk lamp");
+  });
+});
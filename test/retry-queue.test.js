@@ -0,0 +1,124 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, createBrowserStub, plain } = require("./load-lib");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const URL_A = "https://shop.example/p/1";
+
+/**
+ * Load the queue with a storage stub and an alarms stub that records what is set
+ */
+function loadQueue() {
+  const alarms = new Map();
+  const browser = {
+    ...createBrowserStub(),
+    alarms: {
+      create: async (name, info) => alarms.set(name, info.when),
+      clear: async (name) => alarms.delete(name),
+    },
+  };
+  const lib = loadLib(["config.js", "errors.js", "retry-queue.js"], { browser });
+  return { RetryQueue: lib.get("RetryQueue"), PriceTrackerErrors: lib.get("PriceTrackerErrors"), alarms };
+}
+
+test("RetryQueue.getDelay", async (t) => {
+  const { RetryQueue } = loadQueue();
+
+  // 5 minutes doubling per attempt, plus up to 20% jitter, never over 6 hours
+  const cases = [
+    { attempt: 1, min: 5 * MINUTE_MS, max: 6 * MINUTE_MS },
+    { attempt: 2, min: 10 * MINUTE_MS, max: 12 * MINUTE_MS },
+    { attempt: 4, min: 40 * MINUTE_MS, max: 48 * MINUTE_MS },
+    { attempt: 8, min: 6 * HOUR_MS, max: 6 * HOUR_MS },
+    // A longer Retry-After wins over the backoff
+    { attempt: 1, failure: { retryAfter: HOUR_MS }, min: HOUR_MS, max: 1.2 * HOUR_MS },
+  ];
+
+  for (const { attempt, failure, min, max } of cases) {
+    await t.test(`attempt ${attempt}${failure ? " with Retry-After" : ""}`, () => {
+      for (let i = 0; i < 20; i++) {
+        const delay = RetryQueue.getDelay(attempt, failure);
+        assert.ok(delay >= min && delay <= max, `${delay} in [${min}, ${max}]`);
+      }
+    });
+  }
+});
+
+test("RetryQueue.schedule", async (t) => {
+  await t.test("counts attempts and gives up after the limit", async () => {
+    const { RetryQueue, PriceTrackerErrors } = loadQueue();
+    const failure = PriceTrackerErrors.ErrorHandler.classify(new PriceTrackerErrors.HttpError(503));
+
+    assert.equal((await RetryQueue.schedule(URL_A, failure, 2)).attempts, 1);
+    assert.equal((await RetryQueue.schedule(URL_A, failure, 2)).attempts, 2);
+    assert.equal(await RetryQueue.schedule(URL_A, failure, 2), null);
+    assert.deepStrictEqual(plain(await RetryQueue.getAll()), {});
+  });
+
+  const dropped = [
+    { name: "page without a price", error: (E) => new E.ParseError("Price not found") },
+    { name: "missing selector", error: (E) => new E.SelectorMissError("Selector missing") },
+    { name: "not found", error: (E) => new E.HttpError(404) },
+  ];
+
+  for (const { name, error } of dropped) {
+    await t.test(`drops non-retryable failures: ${name}`, async () => {
+      const { RetryQueue, PriceTrackerErrors } = loadQueue();
+      const retryable = PriceTrackerErrors.ErrorHandler.classify(new PriceTrackerErrors.HttpError(503));
+      await RetryQueue.schedule(URL_A, retryable, 3);
+
+      const failure = PriceTrackerErrors.ErrorHandler.classify(error(PriceTrackerErrors));
+      assert.equal(failure.retryable, false);
+      assert.equal(await RetryQueue.schedule(URL_A, failure, 3), null);
+      assert.equal((await RetryQueue.getAll())[URL_A], undefined);
+    });
+  }
+
+  await t.test("waits for an update already holding the lock", async () => {
+    const { RetryQueue } = loadQueue();
+    const failure = { type: "timeout", retryable: true, message: "Timeout" };
+
+    // Without the lock both reads would see an empty queue and one attempt would be lost
+    const entries = await Promise.all([
+      RetryQueue.schedule(URL_A, failure, 5),
+      RetryQueue.schedule(URL_A, failure, 5),
+      RetryQueue.schedule(URL_A, failure, 5),
+    ]);
+
+    assert.deepStrictEqual(plain(entries.map((entry) => entry.attempts)), [1, 2, 3]);
+    assert.equal((await RetryQueue.getAll())[URL_A].attempts, 3);
+  });
+
+  await t.test("a failed update does not block the next one", async () => {
+    const { RetryQueue } = loadQueue();
+    const failure = { type: "timeout", retryable: true, message: "Timeout" };
+
+    await assert.rejects(RetryQueue.schedule(URL_A, null, 5));
+    assert.equal((await RetryQueue.schedule(URL_A, failure, 5)).attempts, 1);
+  });
+});
+
+test("RetryQueue.syncAlarm", async (t) => {
+  await t.test("points the alarm at the earliest retry", async () => {
+    const { RetryQueue, alarms } = loadQueue();
+    const failure = { type: "timeout", retryable: true, message: "Timeout" };
+    await RetryQueue.schedule(URL_A, failure, 5);
+    await RetryQueue.schedule(URL_A, failure, 5);
+    await RetryQueue.schedule("https://shop.example/p/2", failure, 5);
+
+    const when = await RetryQueue.syncAlarm();
+    const entries = Object.values(await RetryQueue.getAll());
+
+    assert.equal(when, Math.min(...entries.map((entry) => entry.nextRetryAt)));
+    assert.equal(alarms.get(RetryQueue.ALARM_NAME), when);
+  });
+
+  await t.test("clears the alarm when the queue is empty", async () => {
+    const { RetryQueue, alarms } = loadQueue();
+    alarms.set(RetryQueue.ALARM_NAME, Date.now());
+
+    assert.equal(await RetryQueue.syncAlarm(), null);
+    assert.equal(alarms.has(RetryQueue.ALARM_NAME), false);
+  });
+});
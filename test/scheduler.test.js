@@ -0,0 +1,181 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const lib = loadLib(["config.js", "domain-settings.js", "scheduler.js"]);
+const CheckScheduler = lib.get("CheckScheduler");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Quiet hours are wall-clock times, so the fixtures are local times too
+const at = (day, hours, minutes = 0) => new Date(2026, 5, day, hours, minutes).getTime();
+
+test("CheckScheduler.isInQuietHours", async (t) => {
+  const night = { start: "23:00", end: "07:00" };
+  const lunch = { start: "12:00", end: "13:30" };
+
+  const cases = [
+    { name: "wrapping, before midnight", quiet: night, time: at(1, 23, 30), expected: true },
+    { name: "wrapping, after midnight", quiet: night, time: at(2, 3), expected: true },
+    { name: "wrapping, end is exclusive", quiet: night, time: at(2, 7), expected: false },
+    { name: "wrapping, daytime", quiet: night, time: at(2, 15), expected: false },
+    { name: "same day, inside", quiet: lunch, time: at(1, 13, 15), expected: true },
+    { name: "same day, start is inclusive", quiet: lunch, time: at(1, 12), expected: true },
+    { name: "same day, outside", quiet: lunch, time: at(1, 13, 30), expected: false },
+    { name: "empty range", quiet: { start: "08:00", end: "08:00" }, time: at(1, 8), expected: false },
+    { name: "invalid time", quiet: { start: "25:00", end: "07:00" }, time: at(1, 3), expected: false },
+    { name: "no quiet hours", quiet: null, time: at(1, 3), expected: false },
+  ];
+
+  for (const { name, quiet, time, expected } of cases) {
+    await t.test(name, () => {
+      assert.equal(CheckScheduler.isInQuietHours(quiet, time), expected);
+    });
+  }
+});
+
+test("CheckScheduler.getNextCheckAt", async (t) => {
+  const schedule = (extra = {}) => ({ intervalMinutes: 60, quietHours: null, pauseUntil: null, ...extra });
+
+  const cases = [
+    { name: "never checked", product: {}, schedule: schedule(), now: at(1, 10), expected: at(1, 10) },
+    { name: "interval after the last check", product: { lastCheck: at(1, 10) }, schedule: schedule(), now: at(1, 10, 30), expected: at(1, 11) },
+    {
+      name: "paused",
+      product: { lastCheck: at(1, 10) },
+      schedule: schedule({ pauseUntil: at(3, 9) }),
+      now: at(1, 12),
+      expected: at(3, 9),
+    },
+    {
+      name: "expired pause no longer delays",
+      product: { lastCheck: at(3, 10) },
+      schedule: schedule({ pauseUntil: at(3, 9) }),
+      now: at(3, 12),
+      expected: at(3, 11),
+    },
+    // Due at 23:30 inside 23:00-07:00 quiet hours: moves to 07:00 the next morning
+    {
+      name: "quiet hours past midnight",
+      product: { lastCheck: at(1, 22, 30) },
+      schedule: schedule({ quietHours: { start: "23:00", end: "07:00" } }),
+      now: at(1, 22, 45),
+      expected: at(2, 7),
+    },
+    {
+      name: "overdue inside quiet hours after midnight",
+      product: { lastCheck: at(1, 20) },
+      schedule: schedule({ quietHours: { start: "23:00", end: "07:00" } }),
+      now: at(2, 2),
+      expected: at(2, 7),
+    },
+    {
+      name: "pause ending inside quiet hours",
+      product: { lastCheck: at(1, 10) },
+      schedule: schedule({ pauseUntil: at(2, 1), quietHours: { start: "23:00", end: "07:00" } }),
+      now: at(1, 12),
+      expected: at(2, 7),
+    },
+  ];
+
+  for (const { name, product, schedule: s, now, expected } of cases) {
+    await t.test(name, () => {
+      assert.equal(CheckScheduler.getNextCheckAt(product, s, now), expected);
+    });
+  }
+});
+
+test("CheckScheduler.resolveSchedule", async (t) => {
+  const settings = { checkInterval: 30 };
+  const domainSettings = {
+    "shop.example": { schedule: { intervalMinutes: 120, quietHours: { start: "23:00", end: "07:00" }, pauseUntil: at(2, 0) } },
+  };
+
+  await t.test("global interval", () => {
+    const s = CheckScheduler.resolveSchedule({ url: "https://other.example/p" }, domainSettings, settings);
+    assert.deepStrictEqual([s.intervalMinutes, s.source], [30, "global"]);
+  });
+
+  await t.test("domain beats global", () => {
+    const s = plain(CheckScheduler.resolveSchedule({ url: "https://www.shop.example/p" }, domainSettings, settings));
+    assert.deepStrictEqual([s.intervalMinutes, s.source, s.pauseUntil], [120, "domain", at(2, 0)]);
+    assert.deepStrictEqual(s.quietHours, { start: "23:00", end: "07:00" });
+  });
+
+  await t.test("product beats domain; the later pause wins", () => {
+    const product = { url: "https://shop.example/p", schedule: { intervalMinutes: 15, pauseUntil: at(1, 0) } };
+    const s = CheckScheduler.resolveSchedule(product, domainSettings, settings);
+    assert.deepStrictEqual([s.intervalMinutes, s.source, s.pauseUntil], [15, "product", at(2, 0)]);
+  });
+
+  await t.test("intervals are clamped", () => {
+    const product = { url: "https://other.example/p", schedule: { intervalMinutes: 1 } };
+    assert.equal(CheckScheduler.resolveSchedule(product, {}, settings).intervalMinutes, 5);
+  });
+});
+
+test("CheckScheduler.planChecks", async (t) => {
+  const now = at(1, 12);
+  const settings = { checkInterval: 60 };
+  const products = [
+    { url: "https://a.example/1", lastCheck: now - 90 * MINUTE_MS },
+    { url: "https://a.example/2", lastCheck: now - 20 * MINUTE_MS },
+    { url: "https://a.example/3" },
+    { url: "https://a.example/4", lastCheck: now - 45 * MINUTE_MS },
+    { url: "https://a.example/5", lastCheck: now - 2 * HOUR_MS, schedule: { pauseUntil: now + HOUR_MS } },
+  ];
+
+  const { due, nextDueAt } = CheckScheduler.planChecks(products, {}, settings, now);
+
+  await t.test("due products, oldest check first", () => {
+    assert.deepStrictEqual(
+      plain(due.map((p) => p.url)),
+      ["https://a.example/3", "https://a.example/1"]
+    );
+  });
+
+  await t.test("next check is the earliest upcoming one", () => {
+    assert.equal(nextDueAt, now + 15 * MINUTE_MS);
+  });
+
+  await t.test("alarm delay", () => {
+    assert.equal(CheckScheduler.getAlarmDelayMinutes(nextDueAt, now), 15);
+    assert.equal(CheckScheduler.getAlarmDelayMinutes(now + 5 * HOUR_MS, now), 60);
+    assert.equal(CheckScheduler.getAlarmDelayMinutes(now - MINUTE_MS, now), 1);
+    assert.equal(CheckScheduler.getAlarmDelayMinutes(null, now), 60);
+  });
+});
+
+test("CheckScheduler.getAdaptiveInterval", async (t) => {
+  const settings = { adaptiveMinInterval: 15, adaptiveMaxInterval: 720 };
+
+  const cases = [
+    { name: "no history yet", volatility: null, expected: { intervalMinutes: 60, reason: "learning" } },
+    { name: "too little history", volatility: { changes: 5, observedDays: 1 }, expected: { intervalMinutes: 60, reason: "learning" } },
+    // 10 changes in 10 days is one a day: 1440 / 96 = 15 minutes
+    { name: "daily changes", volatility: { changes: 10, observedDays: 10 }, expected: { intervalMinutes: 15, reason: "volatile" } },
+    // Changes every few minutes still stop at the minimum
+    { name: "bounded below", volatility: { changes: 1000, observedDays: 10 }, expected: { intervalMinutes: 15, reason: "volatile" } },
+    // One change in 4 days: 5760 / 96 = 60 minutes
+    { name: "as often as the base", volatility: { changes: 1, observedDays: 4 }, expected: { intervalMinutes: 60, reason: "normal" } },
+    // No changes in 3 days: grows by one base interval per quiet day
+    { name: "quiet", volatility: { changes: 0, observedDays: 3 }, expected: { intervalMinutes: 240, reason: "stable" } },
+    { name: "bounded above", volatility: { changes: 0, observedDays: 30 }, expected: { intervalMinutes: 720, reason: "stable" } },
+  ];
+
+  for (const { name, volatility, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(plain(CheckScheduler.getAdaptiveInterval(60, volatility, settings)), expected);
+    });
+  }
+
+  await t.test("only the global interval adapts", () => {
+    const adaptive = { checkInterval: 60, adaptivePolling: true, ...settings };
+    const product = { url: "https://a.example/1", volatility: { changes: 0, observedDays: 30 } };
+
+    assert.equal(CheckScheduler.resolveSchedule(product, {}, adaptive).reason, "stable");
+    const fixed = CheckScheduler.resolveSchedule({ ...product, schedule: { intervalMinutes: 30 } }, {}, adaptive);
+    assert.deepStrictEqual([fixed.intervalMinutes, fixed.reason], [30, "fixed"]);
+  });
+});
@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const lib = loadLib(["config.js", "sites.js", "shipping.js"]);
+const ShippingCosts = lib.get("ShippingCosts");
+
+test("ShippingCosts.parseText", async (t) => {
+  const cases = [
+    { text: "Kargo Bedava", expected: { cost: 0, freeThreshold: null } },
+    { text: "KARGO ÜCRETSİZ", expected: { cost: 0, freeThreshold: null } },
+    { text: "Free shipping", expected: { cost: 0, freeThreshold: null } },
+    { text: "300 TL üzeri kargo bedava", expected: { cost: null, freeThreshold: 300 } },
+    { text: "150 TL üzeri siparişlerde ücretsiz kargo", expected: { cost: null, freeThreshold: 150 } },
+    { text: "Free shipping over $35", expected: { cost: null, freeThreshold: 35 } },
+    {
+      text: "Kargo ücreti 29,99 TL, 500 TL ve üzeri kargo bedava",
+      expected: { cost: 29.99, freeThreshold: 500 },
+    },
+    { text: "Kargo: 29,99 TL", expected: { cost: 29.99, freeThreshold: null } },
+    { text: "Kargo: ₺34,90", expected: { cost: 34.9, freeThreshold: null } },
+    { text: "Shipping: $5.99", expected: { cost: 5.99, freeThreshold: null } },
+    // Delivery times are not fees
+    { text: "Kargo 2 gün", expected: null },
+    { text: "Hızlı teslimat", expected: null },
+    { text: "", expected: null },
+    { text: null, expected: null },
+  ];
+
+  for (const { text, expected } of cases) {
+    await t.test(JSON.stringify(text), () => {
+      assert.deepStrictEqual(plain(ShippingCosts.parseText(text)), expected);
+    });
+  }
+});
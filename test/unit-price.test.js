@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const lib = loadLib(["config.js", "sites.js", "unit-price.js"]);
+const UnitPrice = lib.get("UnitPrice");
+
+test("UnitPrice.parseQuantity", async (t) => {
+  const cases = [
+    { text: "Deterjan 2,5 kg", expected: { amount: 2.5, unit: "kg", label: "2,5 kg" } },
+    { text: "Kahve 250 gr", expected: { amount: 0.25, unit: "kg", label: "250 gr" } },
+    { text: "Süt 6'lı 1 L", expected: { amount: 6, unit: "l", label: "6'lı 1 l" } },
+    { text: "Su 12 x 500 ml", expected: { amount: 6, unit: "l", label: "12 x 500 ml" } },
+    { text: "Kalem 10 Adet", expected: { amount: 10, unit: "adet", label: "10 adet" } },
+    { text: "Peçete 3'LÜ", expected: { amount: 3, unit: "adet", label: "3'lü" } },
+    { text: "TELEFON", expected: null },
+    { text: "", expected: null },
+    { text: null, expected: null },
+  ];
+
+  for (const { text, expected } of cases) {
+    await t.test(JSON.stringify(text), () => {
+      assert.deepStrictEqual(plain(UnitPrice.parseQuantity(text)), expected);
+    });
+  }
+});
@@ -0,0 +1,30 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib } = require("./load-lib");
+
+const lib = loadLib(["config.js", "validators.js"]);
+const Validators = lib.get("Validators");
+
+test("Validators.sanitizeProductData", async (t) => {
+  const product = {
+    name: "Telefon",
+    price: "129.90",
+    url: "https://shop.example/p/1",
+    variant: { key: "sku:P-2", label: "Beyaz / 256 GB" },
+  };
+
+  const cases = [
+    { name: "keeps the unverified flag", input: { ...product, variantUnverified: true }, expected: true },
+    { name: "verified variant", input: { ...product, variantUnverified: false }, expected: false },
+    { name: "flag never set", input: product, expected: false },
+    { name: "only true counts", input: { ...product, variantUnverified: "yes" }, expected: false },
+  ];
+
+  for (const { name, input, expected } of cases) {
+    await t.test(name, () => {
+      const sanitized = Validators.sanitizeProductData(input);
+      assert.equal(sanitized.variantUnverified, expected);
+      assert.equal(sanitized.variant.key, "sku:P-2");
+    });
+  }
+});
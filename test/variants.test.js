@@ -0,0 +1,128 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLib, plain } = require("./load-lib");
+
+const lib = loadLib(["config.js", "sites.js", "errors.js", "variants.js"]);
+const ProductVariants = lib.get("ProductVariants");
+const PriceTrackerErrors = lib.get("PriceTrackerErrors");
+
+const BLACK_128 = { sku: "P-1", name: "Telefon", options: { color: "Siyah", size: "128 GB" }, price: 100 };
+const WHITE_256 = { sku: "P-2", name: "Telefon", options: { color: "Beyaz", size: "256 GB" }, price: 130 };
+
+test("ProductVariants.getKey", async (t) => {
+  const cases = [
+    { name: "SKU wins", variant: { sku: " P-1 ", options: { color: "Siyah" } }, expected: "sku:P-1" },
+    // Option order does not matter and labels are compared in Turkish lower case
+    { name: "options", variant: { options: { size: "M", color: "KIRMIZI" } }, expected: "opt:color=kırmızı|size=m" },
+    { name: "name only", variant: { name: "Tek Renk" }, expected: "opt:tek renk" },
+    { name: "nothing to key on", variant: { name: " " }, expected: null },
+    { name: "no variant", variant: null, expected: null },
+  ];
+
+  for (const { name, variant, expected } of cases) {
+    await t.test(name, () => {
+      assert.equal(ProductVariants.getKey(variant), expected);
+    });
+  }
+});
+
+test("ProductVariants.findMatch", async (t) => {
+  const variants = [BLACK_128, WHITE_256];
+  const cases = [
+    { name: "by SKU", tracked: ProductVariants.toTracked(WHITE_256), expected: WHITE_256 },
+    // The shop renumbered its SKUs; the options still identify the variant
+    {
+      name: "options after a SKU change",
+      tracked: { ...ProductVariants.toTracked(BLACK_128), sku: "OLD-1" },
+      expected: BLACK_128,
+    },
+    {
+      name: "options without a SKU",
+      tracked: ProductVariants.toTracked({ options: { size: "256 GB", color: "beyaz" } }),
+      expected: WHITE_256,
+    },
+    { name: "gone", tracked: ProductVariants.toTracked({ sku: "P-9", options: { color: "Mavi" } }), expected: null },
+    { name: "not tracked", tracked: null, expected: null },
+  ];
+
+  for (const { name, tracked, expected } of cases) {
+    await t.test(name, () => {
+      assert.equal(ProductVariants.findMatch(variants, tracked), expected);
+    });
+  }
+});
+
+test("ProductVariants.resolve", async (t) => {
+  const tracked = ProductVariants.toTracked(WHITE_256);
+  const page = {
+    price: 90,
+    listPrice: 100,
+    previousPrice: 120,
+    quantity: { amount: 1, unit: "piece" },
+    offers: [{ seller: "Shop", price: 100 }],
+    currency: "TRY",
+    availability: "in_stock",
+  };
+
+  await t.test("passes data through when nothing is tracked", () => {
+    assert.equal(ProductVariants.resolve(null, page), page);
+  });
+
+  await t.test("flags data without a variant list", () => {
+    assert.deepStrictEqual(plain(ProductVariants.resolve(tracked, page)), { ...page, variantUnverified: true });
+  });
+
+  await t.test("drops page-only fields for a variant the page does not show", () => {
+    const data = { ...page, variants: [{ ...BLACK_128, selected: true }, { ...WHITE_256, availability: "out_of_stock" }] };
+    const resolved = plain(ProductVariants.resolve(tracked, data));
+
+    assert.equal(resolved.price, 130);
+    assert.equal(resolved.listPrice, 130);
+    assert.equal(resolved.priceSource, "list");
+    assert.equal(resolved.previousPrice, null);
+    assert.equal(resolved.quantity, null);
+    assert.equal(resolved.offers, null);
+    assert.equal(resolved.availability, "out_of_stock");
+  });
+
+  await t.test("keeps basket and coupon prices for the shown variant", () => {
+    const discounted = { ...page, priceSource: "basket", discounts: { basket: 90 } };
+    const data = { ...discounted, variants: [BLACK_128, { ...WHITE_256, price: 100, selected: true }] };
+    const resolved = plain(ProductVariants.resolve(tracked, data));
+
+    assert.equal(resolved.price, 90);
+    assert.equal(resolved.listPrice, 100);
+    assert.equal(resolved.priceSource, "basket");
+    assert.deepStrictEqual(resolved.discounts, { basket: 90 });
+    assert.equal(resolved.previousPrice, 120);
+    assert.deepStrictEqual(resolved.offers, page.offers);
+  });
+
+  await t.test("drops basket and coupon prices for a variant the page does not show", () => {
+    const data = { ...page, priceSource: "basket", discounts: { basket: 90 }, variants: [{ ...BLACK_128, selected: true }, WHITE_256] };
+    const resolved = plain(ProductVariants.resolve(tracked, data));
+
+    assert.equal(resolved.price, 130);
+    assert.equal(resolved.priceSource, "list");
+    assert.equal(resolved.discounts, null);
+  });
+
+  await t.test("keeps the page price for the shown variant without its own price", () => {
+    const data = { ...page, variants: [BLACK_128, { ...WHITE_256, price: null, selected: true }] };
+    assert.equal(ProductVariants.resolve(tracked, data).price, 90);
+  });
+
+  const misses = [
+    { name: "the variant is gone", variants: [BLACK_128] },
+    { name: "the variant has no price and is not shown", variants: [BLACK_128, { ...WHITE_256, price: null }] },
+  ];
+
+  for (const { name, variants } of misses) {
+    await t.test(`throws when ${name}`, () => {
+      assert.throws(
+        () => ProductVariants.resolve(tracked, { ...page, variants }),
+        (error) => error instanceof PriceTrackerErrors.SelectorMissError && error.context.variant === tracked.key
+      );
+    });
+  }
+});